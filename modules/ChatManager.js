@@ -12,6 +12,20 @@ class ChatManager {
             failedStrategies: [],
             gameMode: 'unknown'
         };
+        this.setupCommands();
+    }
+
+    setupCommands() {
+        // '!command args' -> handler(playerName, args)
+        this.commands = {
+            '!status': () => this.bot.sendChat(this.bot.missionManager.getStatus()),
+            '!mission': () => this.bot.sendChat(this.bot.missionManager.getMissionProgress()),
+            '!strategy': () => this.bot.sendChat(this.bot.missionManager.getStrategy()),
+            '!inventory': (playerName, args) => this.reportInventory(args),
+            '!craft': (playerName, args) => this.craftTarget(args),
+            '!wp': (playerName, args) => this.handleWaypointCommand(playerName, args),
+            '!help': () => this.bot.sendChat(`🤖 Commands: ${Object.keys(this.commands).join(' ')}`)
+        };
     }
 
     async handleChatMessage(packet) {
@@ -29,12 +43,153 @@ class ChatManager {
         // Analyze player behavior for learning
         this.analyzePlayerBehavior(playerName, message);
         
+        if (message.startsWith('!')) {
+            await this.handleCommand(playerName, message);
+            return;
+        }
+        
         // Check if bot should respond
         if (this.shouldRespond(message, playerName)) {
             await this.generateAIResponse(playerName, message);
         }
     }
 
+    async handleCommand(playerName, message) {
+        const [name, ...args] = message.trim().split(/\s+/);
+        const command = this.commands[name.toLowerCase()];
+        if (!command) return;
+        
+        if (!this.canRun(playerName, name.toLowerCase().slice(1))) {
+            console.log(`🔒 ${playerName} is not allowed to use ${name}`);
+            await this.bot.sendChat(`🔒 ${name} is for bot admins only, ${playerName}`);
+            return;
+        }
+        
+        try {
+            await command(playerName, args.join(' '));
+        } catch (error) {
+            console.error(`❌ Command ${name} failed:`, error.message);
+        }
+    }
+
+    // Admins (config.adminUsers) may run anything; everyone else only config.allowedCommands
+    isAdmin(playerName) {
+        return (this.bot.config.adminUsers || []).includes(playerName);
+    }
+
+    canRun(playerName, command) {
+        return this.isAdmin(playerName) || (this.bot.config.allowedCommands || []).includes(command);
+    }
+
+    // '!inventory' plans the current phase, '!inventory <target>' plans anything, e.g. '12 eyes of ender'
+    async reportInventory(target) {
+        const planner = this.bot.craftingPlanner;
+        const plan = target ? planner.plan(target) : planner.planPhase(this.bot.missionManager.currentPhase);
+        
+        await this.bot.sendChat(this.bot.inventoryManager.getInventoryReport());
+        await this.bot.sendChat(planner.summarize(plan));
+    }
+
+    // '!craft <target>' crafts whatever the plan allows with the items already on hand
+    async craftTarget(target) {
+        if (!target) {
+            await this.bot.sendChat('Usage: !craft <item>, e.g. !craft 2 diamond sword');
+            return;
+        }
+        
+        const plan = this.bot.craftingPlanner.plan(target);
+        if (plan.gather.length > 0) {
+            await this.bot.sendChat(this.bot.craftingPlanner.summarize(plan));
+            return;
+        }
+        
+        const result = await this.bot.craftingManager.craftFromPlan(plan);
+        if (result.success) {
+            await this.bot.sendChat(`🔨 Crafted: ${result.crafted.map(c => `${c.crafted} ${c.item}`).join(', ') || 'nothing needed'}`);
+        } else {
+            await this.bot.sendChat(`❌ Could not craft ${result.failed.item}: ${result.reason}`);
+        }
+    }
+
+    // Players may change their own waypoints; the bot's and other players' belong to the admins
+    canChangeWaypoint(playerName, waypoint) {
+        return this.isAdmin(playerName) || waypoint.owner === playerName;
+    }
+
+    // '!wp add <name> [x y z] [kind]', '!wp list [kind]', '!wp go <name>', '!wp remove <name>';
+    // sending the bot somewhere is for admins only
+    async handleWaypointCommand(playerName, args) {
+        const store = this.bot.waypointStore;
+        const [action, name, ...rest] = args.split(/\s+/).filter(Boolean);
+        
+        try {
+            switch ((action || '').toLowerCase()) {
+                case 'add': {
+                    const coordinates = rest.slice(0, 3).map(Number);
+                    const hasCoordinates = coordinates.length === 3 && coordinates.every(Number.isFinite);
+                    const position = hasCoordinates ?
+                        { x: coordinates[0], y: coordinates[1], z: coordinates[2] } :
+                        this.getPlayerBlockPosition(playerName);
+                    if (!position) {
+                        await this.bot.sendChat(`❓ I can't see you, ${playerName}. Use !wp add <name> <x> <y> <z>`);
+                        return;
+                    }
+                    const existing = store.get(name);
+                    if (existing && !this.canChangeWaypoint(playerName, existing)) {
+                        await this.bot.sendChat(`🔒 ${existing.name} belongs to ${existing.owner || 'the bot'}, ${playerName}`);
+                        return;
+                    }
+                    const kind = (hasCoordinates ? rest[3] : rest[0]) || 'player';
+                    const waypoint = store.add(name, position, { kind, owner: playerName });
+                    await this.bot.sendChat(`📍 Saved ${waypoint.name} (${waypoint.kind}) at ${store.format(waypoint)}`);
+                    return;
+                }
+                case 'list': {
+                    const waypoints = store.list({ kind: name });
+                    await this.bot.sendChat(waypoints.length > 0 ?
+                        `📍 ${waypoints.map(waypoint => `${waypoint.name}: ${store.format(waypoint)}`).join(', ')}` :
+                        '📍 No waypoints saved yet');
+                    return;
+                }
+                case 'go': {
+                    if (!this.isAdmin(playerName)) {
+                        await this.bot.sendChat(`🔒 Only bot admins can send me places, ${playerName}`);
+                        return;
+                    }
+                    // Throws for unknown names and places no linked portal leads to
+                    const { waypoint, portal } = this.bot.navigationManager.planRoute(name);
+                    const via = portal ? ` via ${portal.name}` : '';
+                    await this.bot.sendChat(`🧭 Heading to ${waypoint.name} at ${store.format(waypoint)}${via}`);
+                    // Walking can take minutes; report when done instead of holding up chat
+                    this.bot.navigationManager.navigateToTarget(waypoint.name, { timeout: 120000 })
+                        .then(arrived => this.bot.sendChat(arrived ? `✅ Arrived at ${waypoint.name}` : `❌ Could not reach ${waypoint.name}`))
+                        .catch(error => this.bot.sendChat(`❌ ${error.message}`));
+                    return;
+                }
+                case 'remove': {
+                    const existing = store.get(name);
+                    if (existing && !this.canChangeWaypoint(playerName, existing)) {
+                        await this.bot.sendChat(`🔒 ${existing.name} belongs to ${existing.owner || 'the bot'}, ${playerName}`);
+                        return;
+                    }
+                    const waypoint = store.remove(name);
+                    await this.bot.sendChat(waypoint ? `🗑️ Removed ${waypoint.name}` : `❓ No waypoint called ${name}`);
+                    return;
+                }
+                default:
+                    await this.bot.sendChat('Usage: !wp add <name> [x y z] [kind] | !wp list [kind] | !wp go <name> | !wp remove <name>');
+            }
+        } catch (error) {
+            await this.bot.sendChat(`❌ ${error.message}`);
+        }
+    }
+
+    // Where the player stands, if the server has told us
+    getPlayerBlockPosition(playerName) {
+        const player = Array.from(this.bot.players.values()).find(p => p.name === playerName);
+        return player?.position ? this.bot.pathfinder.toFeet(player.position) : null;
+    }
+
     addToHistory(playerName, message) {
         this.chatHistory.push({
             timestamp: Date.now(),
@@ -78,8 +233,7 @@ class ChatManager {
                 console.log('🧠 Generating AI response with context:', context);
             }
             
-            const result = await this.bot.model.generateContent(prompt);
-            const response = result.response.text().trim();
+            const response = (await this.bot.llm.generateText(prompt)).trim();
             
             // Learn from the response
             this.learnFromInteraction(playerName, message, response);
@@ -1,20 +1,29 @@
 // CombatManager.js - Advanced AI-Powered Combat System
 const EventEmitter = require('events');
+const { createTactics } = require('./tactics');
 
 class CombatManager extends EventEmitter {
-    constructor(bot) {
+    // The combat simulator passes its own clock and logger and drives the state machine itself
+    constructor(bot, options = {}) {
         super();
         this.bot = bot;
         this.managers = null;
+        this.now = options.now || Date.now;
+        this.logger = options.logger || console;
         
         // Combat state
         this.inCombat = false;
         this.currentTarget = null;
         this.combatHistory = [];
         this.lastAttackTime = 0;
+        this.lastAttackCooldown = 0; // cooldown of the weapon used for the last swing
+        this.pendingHits = new Map(); // entity id -> swing waiting for the server to confirm it
         this.lastDamageTime = 0;
         this.combatStartTime = 0;
         this.threatLevel = 'NONE'; // NONE, LOW, MEDIUM, HIGH, CRITICAL
+        this.combatHandlersRegistered = false;
+        this.stateMachineBusy = false; // a run is still waiting on the AI, a swing or a walk
+        this.retreatWalk = null; // walk away from a declined fight, while it is under way
         
         // Combat statistics
         this.combatStats = {
@@ -22,7 +31,10 @@ class CombatManager extends EventEmitter {
             wins: 0,
             losses: 0,
             escapes: 0,
-            damageDealt: 0,
+            attacks: 0,
+            hits: 0,
+            misses: 0,
+            damageDealt: 0, // only what entity health updates confirmed
             damageTaken: 0,
             totalCombatTime: 0,
             averageFightDuration: 0,
@@ -32,7 +44,8 @@ class CombatManager extends EventEmitter {
         
         // Combat configuration
         this.config = {
-            attackCooldown: 600, // milliseconds
+            meleeReach: 3.5, // blocks from the eyes to the target
+            hitConfirmWindow: 1000, // ms a swing waits for a hurt or health update
             criticalHealthThreshold: 6, // hearts
             fleeHealthThreshold: 4, // hearts
             maxCombatRange: 20, // blocks
@@ -45,6 +58,8 @@ class CombatManager extends EventEmitter {
             strategicThinking: true,
             useConsumables: true,
             teamworkEnabled: true,
+            huntEndermen: true, // provoke endermen on purpose while pearls are short
+            pearlsNeeded: 12, // pearls (or eyes of ender) for a full end portal
             
             // Combat priorities
             priorityTargets: [
@@ -64,6 +79,7 @@ class CombatManager extends EventEmitter {
         this.combatPatterns = new Map();
         this.entityWeaknesses = new Map();
         this.loadCombatKnowledge();
+        this.tactics = createTactics(this);
         
         // AI consultation cache
         this.aiDecisionCache = new Map();
@@ -71,9 +87,11 @@ class CombatManager extends EventEmitter {
         this.aiConsultationCooldown = 5000; // 5 seconds
         
         // Combat monitoring
-        this.setupCombatMonitoring();
+        if (options.monitoring !== false) {
+            this.setupCombatMonitoring();
+        }
         
-        console.log('⚔️ Advanced Combat Manager initialized');
+        this.logger.log('⚔️ Advanced Combat Manager initialized');
     }
 
     setManagers(managers) {
@@ -81,11 +99,20 @@ class CombatManager extends EventEmitter {
     }
 
     async onConnect() {
-        console.log('⚔️ Combat systems online - Ready for battle!');
+        this.logger.log('⚔️ Combat systems online - Ready for battle!');
+        
+        // A reconnect starts a fresh fight context
+        if (this.inCombat) {
+            await this.endCombat('DISCONNECTED');
+        }
         this.setupCombatEventHandlers();
     }
 
     setupCombatEventHandlers() {
+        // Listeners survive reconnects, so only register them once
+        if (this.combatHandlersRegistered) return;
+        this.combatHandlersRegistered = true;
+        
         // Health monitoring
         this.bot.on('stats_update', (stats) => {
             this.handleHealthUpdate(stats);
@@ -105,21 +132,30 @@ class CombatManager extends EventEmitter {
             this.handleDamageTaken(damage);
         });
 
+        // Our swings only count once the server shows the target taking them
+        this.bot.on('entity_hurt', ({ entity }) => {
+            this.confirmHit(entity, null);
+        });
+
+        this.bot.on('entity_damaged', ({ entity, amount }) => {
+            this.confirmHit(entity, amount);
+        });
+
         // Combat events
         this.on('combat_start', (target) => {
-            console.log(`⚔️ Combat initiated with ${target.type || 'unknown entity'}`);
+            this.logger.log(`⚔️ Combat initiated with ${target.type || 'unknown entity'}`);
             this.recordCombatStart(target);
         });
 
         this.on('combat_end', (result) => {
-            console.log(`⚔️ Combat ended: ${result.outcome}`);
+            this.logger.log(`⚔️ Combat ended: ${result.outcome}`);
             this.recordCombatEnd(result);
         });
     }
 
     setupCombatMonitoring() {
         // Continuous threat assessment
-        setInterval(() => {
+        this.threatTimer = setInterval(() => {
             if (this.bot.connected) {
                 this.assessThreatLevel();
                 this.updateCombatStrategy();
@@ -127,13 +163,18 @@ class CombatManager extends EventEmitter {
         }, 1000);
 
         // Combat state machine
-        setInterval(() => {
+        this.stateTimer = setInterval(() => {
             if (this.bot.connected) {
                 this.processCombatStateMachine();
             }
         }, 100); // High frequency for responsive combat
     }
 
+    stop() {
+        clearInterval(this.threatTimer);
+        clearInterval(this.stateTimer);
+    }
+
     async assessThreatLevel() {
         const nearbyEntities = this.getNearbyHostileEntities();
         let maxThreat = 0;
@@ -155,66 +196,45 @@ class CombatManager extends EventEmitter {
             this.emit('threat_level_changed', { old: oldLevel, new: newThreatLevel, entity: primaryThreat });
             
             if (this.bot.config.debugMode) {
-                console.log(`🚨 Threat level changed: ${oldLevel} → ${newThreatLevel}`);
+                this.logger.log(`🚨 Threat level changed: ${oldLevel} → ${newThreatLevel}`);
             }
         }
     }
 
     getNearbyHostileEntities() {
-        const entities = [];
-        const botPos = this.bot.position;
-        
-        for (const [id, entity] of this.bot.entities) {
-            if (this.isHostileEntity(entity)) {
-                const distance = this.calculateDistance(botPos, entity.position || entity);
-                if (distance <= this.config.maxCombatRange) {
-                    entities.push({
-                        ...entity,
-                        id,
-                        distance,
-                        threat: this.calculateEntityThreat(entity)
-                    });
-                }
-            }
-        }
+        const nearby = this.bot.entityTracker.getEntitiesWithin(
+            this.bot.position,
+            this.config.maxCombatRange,
+            entity => this.isHostileEntity(entity)
+        );
         
-        return entities.sort((a, b) => b.threat - a.threat);
+        return nearby
+            .map(({ entity, distance }) => {
+                const snapshot = { ...entity, distance };
+                snapshot.threat = this.calculateEntityThreat(snapshot);
+                return snapshot;
+            })
+            .sort((a, b) => b.threat - a.threat);
     }
 
     isHostileEntity(entity) {
-        if (!entity.type) return false;
-        
-        const hostileTypes = [
-            'minecraft:zombie', 'minecraft:skeleton', 'minecraft:creeper', 'minecraft:spider',
-            'minecraft:enderman', 'minecraft:blaze', 'minecraft:ghast', 'minecraft:witch',
-            'minecraft:ender_dragon', 'minecraft:wither', 'minecraft:elder_guardian',
-            'minecraft:guardian', 'minecraft:shulker', 'minecraft:phantom'
-        ];
-        
-        return hostileTypes.includes(entity.type);
+        return this.bot.entityRegistry.isHostile(entity);
     }
 
     calculateEntityThreat(entity) {
-        let threat = 0;
+        const registry = this.bot.entityRegistry;
         
         // Base threat by entity type
-        const baseThreat = {
-            'minecraft:ender_dragon': 100,
-            'minecraft:wither': 90,
-            'minecraft:elder_guardian': 80,
-            'minecraft:blaze': 70,
-            'minecraft:creeper': 60,
-            'minecraft:enderman': 50,
-            'minecraft:skeleton': 40,
-            'minecraft:zombie': 30,
-            'minecraft:spider': 25,
-            'minecraft:phantom': 45
-        };
+        let threat = registry.getThreat(entity);
         
-        threat = baseThreat[entity.type] || 20;
+        // A creeper inside its fuse range is about to explode
+        const fuse = registry.getBehavior(entity, 'fuse');
+        if (fuse && entity.distance !== undefined && entity.distance <= fuse.triggerRange) {
+            threat *= 1.5;
+        }
         
-        // Distance factor (closer = more threatening)
-        if (entity.distance) {
+        // Distance factor (closer = more threatening); a mob that can already reach us counts in full
+        if (entity.distance && entity.distance > registry.getAttackRange(entity)) {
             const distanceFactor = Math.max(0.1, 1 - (entity.distance / this.config.maxCombatRange));
             threat *= distanceFactor;
         }
@@ -235,20 +255,44 @@ class CombatManager extends EventEmitter {
     }
 
     async processCombatStateMachine() {
-        if (!this.inCombat && this.threatLevel !== 'NONE') {
-            await this.initiateCombat();
-        } else if (this.inCombat) {
-            await this.processCombatActions();
+        // The timer does not wait for the previous run; ticks that land while one is busy are dropped
+        if (this.stateMachineBusy) return;
+        this.stateMachineBusy = true;
+        try {
+            if (!this.inCombat && this.threatLevel !== 'NONE') {
+                await this.initiateCombat();
+            } else if (this.inCombat) {
+                await this.processCombatActions();
+            } else {
+                await this.runIdleTactics();
+            }
+        } finally {
+            this.stateMachineBusy = false;
         }
     }
 
     async initiateCombat() {
+        // Still walking away from the last fight it turned down; nothing to re-plan until that ends
+        if (this.retreatWalk) return;
+        
         const target = this.selectOptimalTarget();
         if (!target) return;
         
+        // Cooling down after a retreat, too hurt, or not a fight worth taking: keep away from it instead
+        const recommendation = this.getBattleRecommendation(target);
+        if (recommendation.recommendation !== 'ENGAGE') {
+            if (recommendation.recommendation === 'AVOID') {
+                this.setRetreatCooldown('AVOID');
+                this.logger.log(`🤔 Avoiding ${target.type}: ${recommendation.reason}`);
+                this.emit('engagement_declined', { target, ...recommendation });
+            }
+            this.retreatWalk = this.moveAwayFromTarget(target)?.finally(() => { this.retreatWalk = null; });
+            return;
+        }
+        
         this.inCombat = true;
         this.currentTarget = target;
-        this.combatStartTime = Date.now();
+        this.combatStartTime = this.now();
         
         // Consult AI for combat strategy
         const strategy = await this.consultAIForCombatStrategy(target);
@@ -259,13 +303,35 @@ class CombatManager extends EventEmitter {
         await this.bot.sendChat(`⚔️ Engaging ${target.type}! Strategy: ${strategy.approach}`);
     }
 
+    async engageEnderDragon(dragon) {
+        if (this.inCombat && this.currentTarget?.id === dragon.id) return;
+        if (this.inCombat) {
+            await this.endCombat('RETARGET');
+        }
+        
+        // The dragon always wins target selection, whatever else is nearby
+        const target = { ...dragon, distance: this.calculateDistance(this.bot.position, dragon.position) };
+        target.threat = this.calculateEntityThreat(target);
+        
+        this.inCombat = true;
+        this.currentTarget = target;
+        this.combatStartTime = this.now();
+        this.currentStrategy = this.getDefaultStrategy(target);
+        
+        this.emit('combat_start', target);
+        
+        // The fight controller follows the dragon's phases; the generic strategies stand aside
+        this.managers?.dragonFight?.start(dragon);
+    }
+
     selectOptimalTarget() {
         const nearbyEntities = this.getNearbyHostileEntities();
         if (nearbyEntities.length === 0) return null;
         
         // Priority-based target selection
+        const registry = this.bot.entityRegistry;
         for (const priorityType of this.config.priorityTargets) {
-            const priorityTarget = nearbyEntities.find(e => e.type === priorityType);
+            const priorityTarget = nearbyEntities.find(e => registry.is(e, priorityType));
             if (priorityTarget) return priorityTarget;
         }
         
@@ -275,7 +341,7 @@ class CombatManager extends EventEmitter {
 
     async consultAIForCombatStrategy(target) {
         // Check cooldown and cache
-        const now = Date.now();
+        const now = this.now();
         const cacheKey = `${target.type}_${this.bot.health}_${target.distance}`;
         
         if (now - this.lastAIConsultation < this.aiConsultationCooldown) {
@@ -288,20 +354,22 @@ class CombatManager extends EventEmitter {
             const context = this.buildCombatContext(target);
             const prompt = this.buildCombatStrategyPrompt(target, context);
             
-            const aiResponse = await this.bot.generateAIResponse(prompt, context);
+            const aiResponse = await this.bot.generateStructuredResponse(
+                prompt, CombatManager.STRATEGY_SCHEMA, context, 'Combat strategy'
+            );
             const strategy = this.parseCombatStrategy(aiResponse, target);
             
             // Cache the decision
             this.aiDecisionCache.set(cacheKey, strategy);
             
             if (this.bot.config.debugMode) {
-                console.log('🧠 AI Combat Strategy:', strategy);
+                this.logger.log('🧠 AI Combat Strategy:', strategy);
             }
             
             return strategy;
             
         } catch (error) {
-            console.error('❌ AI consultation failed, using default strategy:', error);
+            this.logger.error('❌ AI consultation failed, using default strategy:', error);
             return this.getDefaultStrategy(target);
         }
     }
@@ -314,7 +382,7 @@ class CombatManager extends EventEmitter {
             targetType: target.type,
             targetDistance: target.distance,
             threatLevel: this.threatLevel,
-            inventory: this.managers?.inventory?.getInventoryStatus() || {},
+            inventory: this.managers?.inventory?.getCombatLoadout() || {},
             nearbyAllies: Array.from(this.bot.players.values()),
             combatHistory: this.combatHistory.slice(-5), // Last 5 combat encounters
             currentStats: this.combatStats,
@@ -344,69 +412,30 @@ Recent Performance: ${context.currentStats.wins}W-${context.currentStats.losses}
 Kill Streak: ${context.currentStats.killStreak}
 
 PROVIDE STRATEGIC RECOMMENDATION:
-1. Primary Approach (AGGRESSIVE/DEFENSIVE/BALANCED/RETREAT)
-2. Combat Tactics (specific actions to take)
-3. Risk Assessment (LOW/MEDIUM/HIGH)
-4. Expected Outcome (WIN/LOSS/UNCERTAIN)
-5. Backup Plan if things go wrong
+1. approach: AGGRESSIVE/DEFENSIVE/BALANCED/RETREAT
+2. tactics: specific actions to take
+3. risk: LOW/MEDIUM/HIGH
+4. expectedOutcome: WIN/LOSS/UNCERTAIN
+5. backup: plan if things go wrong
 
 Focus on: Survival, efficiency, and adapting to the specific enemy type.
 Consider: Entity behavior patterns, optimal range, timing, and resource management.
-
-Respond in concise tactical format.
         `;
     }
 
     parseCombatStrategy(aiResponse, target) {
+        // aiResponse has already been validated against STRATEGY_SCHEMA
         const defaultStrategy = this.getDefaultStrategy(target);
         
-        try {
-            const lines = aiResponse.toLowerCase().split('\n');
-            let approach = 'BALANCED';
-            let tactics = [];
-            let risk = 'MEDIUM';
-            let outcome = 'UNCERTAIN';
-            let backup = 'RETREAT';
-            
-            for (const line of lines) {
-                if (line.includes('approach') || line.includes('primary')) {
-                    if (line.includes('aggressive')) approach = 'AGGRESSIVE';
-                    else if (line.includes('defensive')) approach = 'DEFENSIVE';
-                    else if (line.includes('retreat')) approach = 'RETREAT';
-                    else if (line.includes('balanced')) approach = 'BALANCED';
-                }
-                
-                if (line.includes('risk')) {
-                    if (line.includes('low')) risk = 'LOW';
-                    else if (line.includes('high')) risk = 'HIGH';
-                    else risk = 'MEDIUM';
-                }
-                
-                if (line.includes('outcome') || line.includes('expected')) {
-                    if (line.includes('win')) outcome = 'WIN';
-                    else if (line.includes('loss')) outcome = 'LOSS';
-                    else outcome = 'UNCERTAIN';
-                }
-                
-                if (line.includes('tactic') || line.includes('action')) {
-                    tactics.push(line.trim());
-                }
-            }
-            
-            return {
-                approach,
-                tactics,
-                risk,
-                expectedOutcome: outcome,
-                backup,
-                confidence: 0.8,
-                aiGenerated: true
-            };
-            
-        } catch (error) {
-            console.error('Failed to parse AI strategy:', error);
-            return defaultStrategy;
-        }
+        return {
+            approach: aiResponse.approach,
+            tactics: aiResponse.tactics.length > 0 ? aiResponse.tactics : defaultStrategy.tactics,
+            risk: aiResponse.risk,
+            expectedOutcome: aiResponse.expectedOutcome,
+            backup: aiResponse.backup || defaultStrategy.backup,
+            confidence: 0.8,
+            aiGenerated: true
+        };
     }
 
     getDefaultStrategy(target) {
@@ -441,7 +470,7 @@ Respond in concise tactical format.
             }
         };
         
-        return strategies[target.type] || strategies['default'];
+        return strategies[this.bot.entityRegistry.normalize(target)] || strategies['default'];
     }
 
     async processCombatActions() {
@@ -449,12 +478,14 @@ Respond in concise tactical format.
         
         const target = this.currentTarget;
         const strategy = this.currentStrategy;
+        if (this.managers?.dragonFight?.isControlling(target)) return;
         
         // Check if target still exists and is in range
         if (!this.isTargetValid(target)) {
             await this.endCombat('TARGET_LOST');
             return;
         }
+        this.refreshTarget(target);
         
         // Health check - retreat if critical
         if (this.bot.health <= this.config.fleeHealthThreshold) {
@@ -467,7 +498,10 @@ Respond in concise tactical format.
     }
 
     async executeStrategyActions(strategy, target) {
-        const now = Date.now();
+        const now = this.now();
+        
+        // Mob-specific tactics act on flags and terrain the generic strategies ignore
+        if (await this.runTactics(target)) return;
         
         switch (strategy.approach) {
             case 'AGGRESSIVE':
@@ -491,9 +525,11 @@ Respond in concise tactical format.
     }
 
     async executeAggressiveStrategy(target) {
+        if (await this.tryRangedAttack(target)) return;
+        
         // Close distance and attack frequently
         if (target.distance > this.config.optimalCombatRange) {
-            await this.moveTowardsTarget(target);
+            this.moveTowardsTarget(target);
         }
         
         if (this.canAttack()) {
@@ -502,13 +538,15 @@ Respond in concise tactical format.
     }
 
     async executeDefensiveStrategy(target) {
+        if (await this.tryRangedAttack(target)) return;
+        
         // Maintain safe distance, time attacks carefully
         const safeDistance = this.config.optimalCombatRange * 1.5;
         
         if (target.distance < safeDistance) {
-            await this.moveAwayFromTarget(target);
+            this.moveAwayFromTarget(target);
         } else if (target.distance > this.config.maxCombatRange * 0.8) {
-            await this.moveTowardsTarget(target);
+            this.moveTowardsTarget(target);
         }
         
         if (this.canAttack() && this.isOptimalAttackTiming(target)) {
@@ -517,11 +555,13 @@ Respond in concise tactical format.
     }
 
     async executeBalancedStrategy(target) {
+        if (await this.tryRangedAttack(target)) return;
+        
         // Optimal positioning and measured attacks
         if (target.distance < this.config.optimalCombatRange * 0.8) {
-            await this.moveAwayFromTarget(target);
+            this.moveAwayFromTarget(target);
         } else if (target.distance > this.config.optimalCombatRange * 1.2) {
-            await this.moveTowardsTarget(target);
+            this.moveTowardsTarget(target);
         }
         
         if (this.canAttack()) {
@@ -529,6 +569,28 @@ Respond in concise tactical format.
         }
     }
 
+    // Every tactic may evade first; then the first one that acts on the target owns the tick
+    async runTactics(target) {
+        for (const tactic of this.tactics) {
+            if (await tactic.evade()) return true;
+        }
+        for (const tactic of this.tactics) {
+            if (await tactic.act(target)) return true;
+        }
+        return false;
+    }
+    
+    async runIdleTactics() {
+        for (const tactic of this.tactics) {
+            if (await tactic.idle()) return;
+        }
+    }
+    
+    // Where the bot may look when it wants to face `point` (endermen take offence at eye contact)
+    getSafeLookTarget(eye, point) {
+        return this.tactics.reduce((safe, tactic) => tactic.adjustLook(eye, safe), point);
+    }
+    
     async executeTactic(tactic, target) {
         switch (tactic) {
             case 'maintain_distance':
@@ -549,51 +611,207 @@ Respond in concise tactical format.
         }
     }
 
+    async maintainOptimalDistance(target) {
+        const optimalRange = this.entityWeaknesses.get(this.bot.entityRegistry.normalize(target))?.optimalRange ||
+            this.config.optimalCombatRange;
+        
+        if (target.distance < optimalRange * 0.8) {
+            this.moveAwayFromTarget(target);
+        } else if (target.distance > optimalRange * 1.2) {
+            this.moveTowardsTarget(target);
+        }
+    }
+
+    async executeHitAndRun(target) {
+        // Strike when in reach, then immediately back off (creeper fuse resets out of range)
+        if (target.distance <= this.config.optimalCombatRange && this.canAttack()) {
+            await this.attackTarget(target);
+            this.moveAwayFromTarget(target);
+        }
+    }
+
+    async dodgeDragonBreath() {
+        // Dragon breath lingers as an area effect cloud
+        const cloud = this.bot.entityTracker.findNearestOfType('minecraft:area_effect_cloud', this.bot.position, 6);
+        if (cloud) {
+            this.moveAwayFromTarget(cloud.entity);
+        }
+    }
+
+    async targetEnderCrystals() {
+        // Crystals sit on obsidian towers, out of sword reach; only ones in an arrow's sight are worth a shot
+        const crystal = this.managers?.crystals?.findShootable();
+        if (!crystal) return;
+        
+        if (this.crystalTarget?.id !== crystal.id) {
+            this.crystalTarget = crystal;
+            this.emit('crystal_targeted', { crystal, distance: this.calculateDistance(this.bot.position, crystal.position) });
+        }
+        
+        if (this.managers.ranged.canShoot()) {
+            await this.managers.ranged.shoot(crystal);
+        }
+    }
+
+    // Shoots instead of closing in when the target is out of reach and worth an arrow
+    async tryRangedAttack(target) {
+        const ranged = this.managers?.ranged;
+        if (!ranged?.canShoot() || target.distance <= this.config.meleeReach || !this.prefersRanged(target)) {
+            return false;
+        }
+        
+        const result = await ranged.shoot(target);
+        return result.status === 'fired';
+    }
+    
+    prefersRanged(target) {
+        const registry = this.bot.entityRegistry;
+        if (registry.getBehavior(target, 'dodgesProjectiles')) return false;
+        if (registry.getBehavior(target, 'flying') || registry.getBehavior(target, 'explodesWhenHit')) return true;
+        
+        const knowledge = this.entityWeaknesses.get(registry.normalize(target));
+        return !!knowledge?.preferredActions?.includes('ranged_combat') ||
+            (knowledge?.optimalRange || 0) > this.config.meleeReach * 2;
+    }
+
+    // The swing has to wait out the cooldown of whatever it was made with
     canAttack() {
-        return Date.now() - this.lastAttackTime >= this.config.attackCooldown;
+        return this.now() - this.lastAttackTime >= Math.max(this.lastAttackCooldown, this.getAttackCooldown());
+    }
+
+    // Milliseconds until the held weapon hits at full strength
+    getAttackCooldown(item = this.managers?.inventory?.getHeldItem()) {
+        return 1000 / this.bot.itemRegistry.getAttackSpeed(item?.name || 'air');
     }
 
     isOptimalAttackTiming(target) {
         // More sophisticated timing logic based on entity behavior
-        const timeSinceLastAttack = Date.now() - this.lastAttackTime;
-        const minimumInterval = this.config.attackCooldown * 1.5;
+        const timeSinceLastAttack = this.now() - this.lastAttackTime;
+        const minimumInterval = this.getAttackCooldown() * 1.5;
         
         return timeSinceLastAttack >= minimumInterval;
     }
 
+    // Returns true when a swing was sent; whether it landed arrives later as attack_confirmed
     async attackTarget(target) {
-        if (!this.canAttack()) return;
+        if (!this.canAttack() || !this.bot.client || !this.bot.connected) return false;
+        
+        const entity = this.bot.entityTracker.getEntity(target.id);
+        if (!entity || entity.dead || entity.health === 0) return false;
+        
+        const eye = this.bot.position;
+        const aim = this.getAimPoint(entity);
+        if (this.calculateDistance(eye, aim) > this.config.meleeReach) return false;
         
         try {
-            // Send attack packet (implementation depends on bedrock protocol)
-            if (this.bot.client && this.bot.connected) {
-                // This would need actual bedrock protocol implementation
-                console.log(`⚔️ Attacking ${target.type}`);
-                this.lastAttackTime = Date.now();
-                this.combatStats.damageDealt += this.estimateAttackDamage();
-                
-                this.emit('attack_executed', { target, damage: this.estimateAttackDamage() });
+            await this.equipMeleeWeapon();
+            const inventory = this.managers.inventory;
+            const weapon = inventory.getHeldItem();
+            
+            // One movement tick carries the new facing to the server before the swing
+            if (this.managers.movement) {
+                this.managers.movement.lookAt(aim);
+                await this.bot.delay(50);
             }
+            // Registered before the swing goes out: the hurt and health updates can come straight back
+            const now = this.now();
+            this.expirePendingHits(now);
+            const expectedDamage = this.getAttackDamage(weapon);
+            this.pendingHits.set(entity.id, { time: now, expectedDamage, weapon: weapon?.name || null, confirmed: false });
+            
+            this.bot.client.write('animate', { action_id: 'swing_arm', runtime_entity_id: BigInt(this.bot.runtimeId) });
+            this.bot.client.write('inventory_transaction', {
+                transaction: {
+                    legacy: { legacy_request_id: 0 },
+                    transaction_type: 'item_use_on_entity',
+                    actions: [],
+                    transaction_data: {
+                        entity_runtime_id: BigInt(entity.id),
+                        action_type: 'attack',
+                        hotbar_slot: inventory.selectedSlot,
+                        held_item: weapon?.raw || { network_id: 0 },
+                        player_pos: { x: eye.x, y: eye.y, z: eye.z },
+                        click_pos: { x: aim.x - entity.position.x, y: aim.y - entity.position.y, z: aim.z - entity.position.z }
+                    }
+                }
+            });
+            this.bot.emit('packet_sent');
+            
+            this.lastAttackTime = now;
+            this.lastAttackCooldown = this.getAttackCooldown(weapon);
+            this.combatStats.attacks++;
+            
+            // Hitting a neutral mob (enderman, zombified piglin) makes it hostile
+            entity.provoked = true;
+            
+            this.logger.log(`⚔️ Attacking ${entity.type} with ${weapon ? this.bot.itemRegistry.displayName(weapon.name) : 'bare hands'}`);
+            this.emit('attack_executed', { target, weapon: weapon?.name || null, expectedDamage });
+            return true;
         } catch (error) {
-            console.error('Attack failed:', error);
+            this.pendingHits.delete(entity.id);
+            this.logger.error('Attack failed:', error);
+            return false;
         }
     }
 
-    async moveTowardsTarget(target) {
-        if (this.managers?.navigation) {
-            const targetPos = target.position || { x: target.x, y: target.y, z: target.z };
-            await this.managers.navigation.moveToPosition(targetPos, this.config.optimalCombatRange);
+    // Mob positions are at their feet, player positions at their eyes
+    getAimPoint(entity) {
+        const offset = entity.kind === 'player' ? -0.6 : 1.0;
+        return { x: entity.position.x, y: entity.position.y + offset, z: entity.position.z };
+    }
+
+    // Holds the best melee weapon when it is already on the hotbar
+    async equipMeleeWeapon() {
+        const inventory = this.managers?.inventory;
+        const weapon = inventory?.getBestMeleeWeapon();
+        if (!weapon || inventory.getHeldItem() === weapon) return;
+        if (weapon.slot > 8 || inventory.containers.inventory[weapon.slot] !== weapon) return;
+        
+        await inventory.selectHotbarSlot(weapon.slot);
+    }
+
+    // Health updates carry the amount; a hurt flash alone confirms the hit but not the damage
+    confirmHit(entity, amount) {
+        const pending = this.pendingHits.get(entity.id);
+        if (!pending || this.now() - pending.time > this.config.hitConfirmWindow) return;
+        
+        if (!pending.confirmed) {
+            pending.confirmed = true;
+            this.combatStats.hits++;
         }
+        if (amount !== null) {
+            this.combatStats.damageDealt += amount;
+            this.pendingHits.delete(entity.id);
+        }
+        this.emit('attack_confirmed', { entity, damage: amount, expectedDamage: pending.expectedDamage, weapon: pending.weapon });
     }
 
-    async moveAwayFromTarget(target) {
-        if (this.managers?.navigation) {
-            const targetPos = target.position || { x: target.x, y: target.y, z: target.z };
-            const retreatPos = this.calculateRetreatPosition(targetPos);
-            await this.managers.navigation.moveToPosition(retreatPos);
+    expirePendingHits(now = this.now()) {
+        for (const [id, pending] of this.pendingHits) {
+            if (now - pending.time <= this.config.hitConfirmWindow) continue;
+            if (!pending.confirmed) this.combatStats.misses++;
+            this.pendingHits.delete(id);
         }
     }
 
+    // Closing in and backing off are re-planned every tick, and each walk replaces the last one,
+    // so they are started rather than waited for; the promise settles when the walk ends
+    moveTowardsTarget(target) {
+        const targetPos = target.position || { x: target.x, y: target.y, z: target.z };
+        return this.startWalk(targetPos, this.config.optimalCombatRange);
+    }
+
+    moveAwayFromTarget(target) {
+        const targetPos = target.position || { x: target.x, y: target.y, z: target.z };
+        return this.startWalk(this.calculateRetreatPosition(targetPos));
+    }
+
+    startWalk(position, precision) {
+        if (!this.managers?.navigation) return null;
+        return this.managers.navigation.moveToPosition(position, precision)
+            .catch(error => this.logger.error('Combat walk failed:', error));
+    }
+
     calculateRetreatPosition(targetPos) {
         const botPos = this.bot.position;
         const dx = botPos.x - targetPos.x;
@@ -615,14 +833,18 @@ Respond in concise tactical format.
     }
 
     async executeRetreat(reason) {
-        console.log(`🏃 Retreating from combat: ${reason}`);
+        if (!this.inCombat) return;
+        this.logger.log(`🏃 Retreating from combat: ${reason}`);
+        
+        // Ending the fight first keeps the state machine from retreating again every tick on the way
+        const target = this.currentTarget;
+        this.setRetreatCooldown(reason);
+        await this.endCombat('RETREAT');
         
         if (this.managers?.navigation) {
-            const safePos = this.findSafePosition();
+            const safePos = target?.position ? this.calculateRetreatPosition(target.position) : this.findSafePosition();
             await this.managers.navigation.moveToPosition(safePos);
         }
-        
-        await this.endCombat('RETREAT');
         await this.bot.sendChat(`🏃 Strategic retreat executed: ${reason}`);
     }
 
@@ -649,27 +871,42 @@ Respond in concise tactical format.
     }
 
     async useHealingItem() {
-        // Implementation would depend on inventory manager
+        // The inventory hands eating and drinking to the survival manager
         if (this.managers?.inventory) {
             await this.managers.inventory.useHealingItem();
         }
     }
 
     async useBuffItems() {
-        // Implementation would depend on inventory manager
         if (this.managers?.inventory) {
             await this.managers.inventory.useBuffItems();
         }
     }
 
     isTargetValid(target) {
-        const entity = this.bot.entities.get(target.id);
+        const entity = this.bot.entityTracker.getEntity(target.id);
         if (!entity) return false;
         
-        const distance = this.calculateDistance(this.bot.position, entity.position || entity);
+        // Bosses stay targeted while they circle out of melee range
+        if (this.bot.entityRegistry.isBoss(entity)) return true;
+        
+        const distance = this.calculateDistance(this.bot.position, entity.position);
         return distance <= this.config.maxCombatRange;
     }
 
+    refreshTarget(target) {
+        // Copy the tracker's live state onto the combat snapshot
+        const entity = this.bot.entityTracker.getEntity(target.id);
+        if (!entity) return target;
+        
+        target.position = { ...entity.position };
+        target.velocity = { ...entity.velocity };
+        target.health = entity.health;
+        target.flags = entity.flags;
+        target.distance = this.calculateDistance(this.bot.position, entity.position);
+        return target;
+    }
+
     calculateDistance(pos1, pos2) {
         const dx = pos1.x - pos2.x;
         const dy = pos1.y - pos2.y;
@@ -677,18 +914,50 @@ Respond in concise tactical format.
         return Math.sqrt(dx * dx + dy * dy + dz * dz);
     }
 
-    estimateAttackDamage() {
-        // Base damage estimation - would be enhanced with actual weapon data
-        return Math.floor(Math.random() * 4) + 2; // 2-6 damage
+    // Full-strength damage of a swing with this item; Sharpness adds 1.25 per level on Bedrock
+    getAttackDamage(item = this.managers?.inventory?.getHeldItem()) {
+        if (!item) return 1;
+        const sharpness = item.enchantments?.find(enchantment => enchantment.name === 'sharpness')?.level || 0;
+        return this.bot.itemRegistry.getMeleeDamage(item.name) + sharpness * 1.25;
     }
 
     assessEnvironment() {
-        // Simple environment assessment
-        const y = this.bot.position.y;
+        const surroundings = this.managers?.world?.describeSurroundings();
+        
+        // Until chunks arrive only the height is known
+        if (!surroundings?.loaded) {
+            const y = this.bot.position.y;
+            if (y < 10) return { type: 'UNDERGROUND', advantages: ['cover'], disadvantages: ['confined'] };
+            if (y > 100) return { type: 'HIGH_ALTITUDE', advantages: ['visibility'], disadvantages: ['fall_risk'] };
+            return { type: 'SURFACE', advantages: ['mobility'], disadvantages: [] };
+        }
+        
+        const advantages = [];
+        const disadvantages = [];
+        let type = 'SURFACE';
+        
+        if (surroundings.inLiquid) {
+            type = 'WATER';
+            disadvantages.push('slowed');
+        } else if (surroundings.covered && surroundings.openness < 0.5) {
+            type = 'UNDERGROUND';
+            advantages.push('cover');
+            disadvantages.push('confined');
+        } else if (surroundings.covered) {
+            type = 'CAVE';
+            advantages.push('cover');
+        } else {
+            advantages.push('mobility', 'visibility');
+        }
+        
+        if (surroundings.dropBelow === null || surroundings.dropBelow > 3) {
+            disadvantages.push('fall_risk');
+        }
+        if (surroundings.hazards.length > 0) {
+            disadvantages.push('hazards_nearby');
+        }
         
-        if (y < 10) return { type: 'UNDERGROUND', advantages: ['cover'], disadvantages: ['confined'] };
-        if (y > 100) return { type: 'HIGH_ALTITUDE', advantages: ['visibility'], disadvantages: ['fall_risk'] };
-        return { type: 'SURFACE', advantages: ['mobility'], disadvantages: [] };
+        return { type, advantages, disadvantages, hazards: surroundings.hazards };
     }
 
     handleHealthUpdate(stats) {
@@ -702,7 +971,7 @@ Respond in concise tactical format.
     }
 
     handleDamageTaken(damage) {
-        this.lastDamageTime = Date.now();
+        this.lastDamageTime = this.now();
         this.combatStats.damageTaken += damage.amount || 1;
         
         this.emit('damage_taken', damage);
@@ -717,10 +986,10 @@ Respond in concise tactical format.
         // Make strategy more defensive after taking damage
         if (this.currentStrategy.approach === 'AGGRESSIVE') {
             this.currentStrategy.approach = 'BALANCED';
-            console.log('⚔️ Adjusting strategy to BALANCED after taking damage');
+            this.logger.log('⚔️ Adjusting strategy to BALANCED after taking damage');
         } else if (this.currentStrategy.approach === 'BALANCED') {
             this.currentStrategy.approach = 'DEFENSIVE';
-            console.log('⚔️ Adjusting strategy to DEFENSIVE after taking damage');
+            this.logger.log('⚔️ Adjusting strategy to DEFENSIVE after taking damage');
         }
     }
 
@@ -728,13 +997,26 @@ Respond in concise tactical format.
         if (this.isHostileEntity(entity)) {
             const threat = this.calculateEntityThreat(entity);
             if (threat > 50 && !this.inCombat) {
-                console.log(`⚠️ High threat entity detected: ${entity.type} (threat: ${threat})`);
+                this.logger.log(`⚠️ High threat entity detected: ${entity.type} (threat: ${threat})`);
                 this.emit('high_threat_detected', entity);
             }
         }
     }
 
+    handleEntityDamage({ entity, amount }) {
+        // Health drops reported by the server for the current target
+        if (this.currentTarget && entity.id === this.currentTarget.id) {
+            this.currentTarget.health = entity.health;
+            if (this.bot.config.debugMode) {
+                this.logger.log(`🎯 ${entity.type} took ${amount} damage (${entity.health}/${entity.maxHealth})`);
+            }
+        }
+    }
+
     handleEntityRemoved(entity) {
+        // A dragon flying out of view is still alive; only its death ends that fight
+        if (this.managers?.dragonFight?.isControlling(entity) && !entity.dead) return;
+        
         if (this.currentTarget && entity.id === this.currentTarget.id) {
             this.endCombat('TARGET_DEFEATED');
         }
@@ -742,18 +1024,25 @@ Respond in concise tactical format.
 
     recordCombatStart(target) {
         this.combatHistory.push({
-            startTime: Date.now(),
+            startTime: this.now(),
             target: target.type,
             botHealthStart: this.bot.health,
             strategy: this.currentStrategy?.approach || 'UNKNOWN'
         });
     }
 
+    recordCombatEnd(result) {
+        // endCombat fills in the history entry; keep the log bounded
+        if (this.combatHistory.length > 50) {
+            this.combatHistory.splice(0, this.combatHistory.length - 50);
+        }
+    }
+
     async endCombat(outcome) {
         if (!this.inCombat) return;
         
         this.inCombat = false;
-        const combatDuration = Date.now() - this.combatStartTime;
+        const combatDuration = this.now() - this.combatStartTime;
         
         // Update statistics
         this.combatStats.totalFights++;
@@ -780,7 +1069,7 @@ Respond in concise tactical format.
         // Update combat history
         if (this.combatHistory.length > 0) {
             const lastCombat = this.combatHistory[this.combatHistory.length - 1];
-            lastCombat.endTime = Date.now();
+            lastCombat.endTime = this.now();
             lastCombat.duration = combatDuration;
             lastCombat.outcome = outcome;
             lastCombat.botHealthEnd = this.bot.health;
@@ -803,27 +1092,12 @@ Respond in concise tactical format.
     }
 
     loadCombatKnowledge() {
-        // Load entity-specific combat patterns and weaknesses
-        this.entityWeaknesses.set('minecraft:creeper', {
-            weakness: 'explosion_timer',
-            optimalRange: 8,
-            avoidActions: ['close_combat'],
-            preferredActions: ['hit_and_run', 'ranged_combat']
-        });
-        
-        this.entityWeaknesses.set('minecraft:enderman', {
-            weakness: 'water_damage',
-            optimalRange: 15,
-            avoidActions: ['eye_contact'],
-            preferredActions: ['ranged_combat', 'height_advantage']
-        });
-        
-        this.entityWeaknesses.set('minecraft:ender_dragon', {
-            weakness: 'end_crystals',
-            optimalRange: 20,
-            avoidActions: ['breath_attack_area'],
-            preferredActions: ['crystal_destruction', 'ground_combat']
-        });
+        // Entity-specific combat patterns and weaknesses live in the entity registry
+        for (const [identifier, entry] of this.bot.entityRegistry.entries) {
+            if (entry.combat) {
+                this.entityWeaknesses.set(identifier, entry.combat);
+            }
+        }
     }
 
     getCombatStatus() {
@@ -835,9 +1109,10 @@ Respond in concise tactical format.
                 threat: this.currentTarget.threat
             } : null,
             threatLevel: this.threatLevel,
-            combatDuration: this.inCombat ? Date.now() - this.combatStartTime : 0,
+            combatDuration: this.inCombat ? this.now() - this.combatStartTime : 0,
             currentStrategy: this.currentStrategy,
             stats: this.combatStats,
+            tactics: this.tactics.map(tactic => tactic.getStatus()),
             recentCombats: this.combatHistory.slice(-3)
         };
     }
@@ -846,7 +1121,7 @@ Respond in concise tactical format.
         if (!this.inCombat) return;
         
         // Periodically re-evaluate strategy during long combats
-        const combatDuration = Date.now() - this.combatStartTime;
+        const combatDuration = this.now() - this.combatStartTime;
         const shouldReassess = combatDuration > 10000 && combatDuration % 5000 < 100; // Every 5s after 10s
         
         if (shouldReassess) {
@@ -861,7 +1136,7 @@ Respond in concise tactical format.
         const oldApproach = this.currentStrategy?.approach;
         
         if (newStrategy.approach !== oldApproach) {
-            console.log(`⚔️ Strategy updated: ${oldApproach} → ${newStrategy.approach}`);
+            this.logger.log(`⚔️ Strategy updated: ${oldApproach} → ${newStrategy.approach}`);
             this.currentStrategy = newStrategy;
             this.emit('strategy_changed', { old: oldApproach, new: newStrategy.approach });
         }
@@ -873,22 +1148,23 @@ Respond in concise tactical format.
         const successProbability = this.calculateSuccessProbability(target);
         const strategicValue = this.calculateStrategicValue(target);
         
-        // Decision matrix
-        const engagementScore = (successProbability * 0.4) + (strategicValue * 0.3) - (riskFactors * 0.3);
+        // Decision matrix; risk weighs 0.3 at the default tolerance of 0.5, less for bolder settings
+        const riskWeight = 0.6 * (1 - this.config.riskTolerance);
+        const engagementScore = (successProbability * 0.4) + (strategicValue * 0.3) - (riskFactors * riskWeight);
         
         // Adjust based on bot's current state
         const stateModifier = this.getStateModifier();
         const finalScore = engagementScore + stateModifier;
         
         const decision = {
-            engage: finalScore > 0.5,
+            engage: finalScore > 0.4, // DEFENSIVE_ENGAGE or better
             confidence: Math.abs(finalScore - 0.5) * 2,
             reasoning: this.buildDecisionReasoning(riskFactors, successProbability, strategicValue, finalScore),
             recommendedAction: this.getRecommendedAction(finalScore)
         };
         
         if (this.bot.config.debugMode) {
-            console.log('🤔 Battle Decision Analysis:', decision);
+            this.logger.log('🤔 Battle Decision Analysis:', decision);
         }
         
         return decision;
@@ -934,7 +1210,7 @@ Respond in concise tactical format.
         probability += (healthRatio - 0.5) * 0.3;
         
         // Distance advantage
-        const optimalDistance = this.entityWeaknesses.get(target.type)?.optimalRange || this.config.optimalCombatRange;
+        const optimalDistance = this.entityWeaknesses.get(this.bot.entityRegistry.normalize(target))?.optimalRange || this.config.optimalCombatRange;
         const distanceScore = Math.max(0, 1 - Math.abs(target.distance - optimalDistance) / optimalDistance);
         probability += distanceScore * 0.1;
         
@@ -945,7 +1221,7 @@ Respond in concise tactical format.
         let value = 0;
         
         // Priority target bonus
-        const priorityIndex = this.config.priorityTargets.indexOf(target.type);
+        const priorityIndex = this.config.priorityTargets.findIndex(type => this.bot.entityRegistry.is(target, type));
         if (priorityIndex !== -1) {
             value += (this.config.priorityTargets.length - priorityIndex) / this.config.priorityTargets.length * 0.4;
         }
@@ -964,8 +1240,8 @@ Respond in concise tactical format.
     getStateModifier() {
         let modifier = 0;
         
-        // Aggression level
-        modifier += (this.config.aggressionLevel - 0.5) * 0.2;
+        // Aggression level; enough to turn a marginal fight either way
+        modifier += (this.config.aggressionLevel - 0.5) * 0.4;
         
         // Kill streak bonus
         if (this.combatStats.killStreak > 3) {
@@ -1020,8 +1296,8 @@ Respond in concise tactical format.
         const hasHealing = this.managers?.inventory?.hasHealingItems() || false;
         if (!hasHealing) risk += 0.3;
         
-        // Low food
-        if (this.bot.food < 10) risk += 0.2;
+        // Low food: hungry now, or nothing left to eat
+        if (this.bot.food < 10 || this.managers?.inventory?.getItemCount('food') === 0) risk += 0.2;
         
         return Math.min(1, risk);
     }
@@ -1067,18 +1343,20 @@ Respond in concise tactical format.
     }
 
     estimateLootValue(entityType) {
-        const lootValues = {
-            'minecraft:ender_dragon': 1.0,
-            'minecraft:wither': 0.9,
-            'minecraft:blaze': 0.7,
-            'minecraft:enderman': 0.6,
-            'minecraft:creeper': 0.4,
-            'minecraft:zombie': 0.3,
-            'minecraft:skeleton': 0.3,
-            'minecraft:spider': 0.2
+        // Value of the best drop (from the entity registry) for the dragon mission
+        const missionItemValues = {
+            dragon_egg: 1.0,
+            nether_star: 0.9,
+            blaze_rod: 0.7,
+            ender_pearl: 0.6,
+            gunpowder: 0.4,
+            rotten_flesh: 0.3,
+            bone: 0.3,
+            arrow: 0.3
         };
         
-        return lootValues[entityType] || 0.2;
+        return this.bot.entityRegistry.getLoot(entityType)
+            .reduce((best, drop) => Math.max(best, missionItemValues[drop.item] || 0.2), 0.2);
     }
 
     buildDecisionReasoning(risk, success, value, finalScore) {
@@ -1102,14 +1380,14 @@ Respond in concise tactical format.
     }
 
     isHazardousEnvironment() {
-        // Check for environmental hazards
-        // This would need actual world scanning implementation
-        return false; // Placeholder
+        // Lava, fire and other damaging blocks within a few blocks
+        const surroundings = this.managers?.world?.describeSurroundings();
+        return surroundings?.loaded ? surroundings.hazards.some(hazard => hazard.distance <= 3) : false;
     }
 
     // Advanced retreat logic
     async executeSmartRetreat(reason, target = null) {
-        console.log(`🧠 Executing smart retreat: ${reason}`);
+        this.logger.log(`🧠 Executing smart retreat: ${reason}`);
         
         const retreatOptions = this.analyzeRetreatOptions(target);
         const bestRetreat = retreatOptions.reduce((best, option) => 
@@ -1179,15 +1457,16 @@ Respond in concise tactical format.
             'LOW_HEALTH': 30000,      // 30 seconds
             'CRITICAL_HEALTH': 60000, // 1 minute
             'STRATEGIC': 15000,       // 15 seconds
-            'SMART_RETREAT': 20000    // 20 seconds
+            'SMART_RETREAT': 20000,   // 20 seconds
+            'AVOID': 10000            // 10 seconds before a declined fight is weighed again
         };
         
-        this.retreatCooldownEnd = Date.now() + (cooldowns[reason] || 20000);
+        this.retreatCooldownEnd = this.now() + (cooldowns[reason] || 20000);
     }
 
     canEngageInCombat() {
         // Check if retreat cooldown is active
-        if (this.retreatCooldownEnd && Date.now() < this.retreatCooldownEnd) {
+        if (this.retreatCooldownEnd && this.now() < this.retreatCooldownEnd) {
             return false;
         }
         
@@ -1217,4 +1496,17 @@ Respond in concise tactical format.
     }
 }
 
+// Reply shape requested from the AI for combat strategy
+CombatManager.STRATEGY_SCHEMA = {
+    type: 'object',
+    required: ['approach', 'tactics', 'risk', 'expectedOutcome'],
+    properties: {
+        approach: { type: 'string', enum: ['AGGRESSIVE', 'DEFENSIVE', 'BALANCED', 'RETREAT'] },
+        tactics: { type: 'array', maxItems: 8, items: { type: 'string', minLength: 1 } },
+        risk: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH'] },
+        expectedOutcome: { type: 'string', enum: ['WIN', 'LOSS', 'UNCERTAIN'] },
+        backup: { type: 'string' }
+    }
+};
+
 module.exports = CombatManager;
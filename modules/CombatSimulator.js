@@ -0,0 +1,973 @@
+// modules/CombatSimulator.js - Headless fights against common hostiles for tuning CombatManager
+// The CombatManager under test is the real one, with its tactics and ranged combat. A fake bot, the
+// real inventory fed with packets and a flat arena stand in for the server, and everything runs on a
+// virtual clock, so a minute-long fight takes milliseconds.
+const EventEmitter = require('events');
+const CombatManager = require('./CombatManager');
+const RangedCombat = require('./RangedCombat');
+const EntityRegistry = require('./EntityRegistry');
+const ItemRegistry = require('./ItemRegistry');
+const InventoryManager = require('./InventoryManager');
+
+const TICK = 50; // ms
+const EYE_HEIGHT = 1.62;
+const MOB_EYE_HEIGHT = 1.6;
+const GROUND_Y = 64; // feet height of the arena; low ground reads as underground to CombatManager
+const BOT_SPEED = 4.3; // blocks per second, walking
+const SERVER_REACH = 4; // blocks from the eyes the server accepts a hit at
+const HURT_COOLDOWN = 500; // ms a hurt mob or player ignores further hits
+const KNOCKBACK = 0.4; // blocks per tick a hit pushes the victim away
+const FRICTION = 0.6; // share of knockback speed kept each tick on the ground
+const FOLLOW_RANGE = 24; // blocks; further away a mob loses interest
+const SPAWN_DISTANCE = 12;
+const TIME_LIMIT = 60000; // ms of simulated time before a fight counts as a draw
+const SIGHT_STEP = 0.2; // blocks between the points a line of sight samples
+const BODY_RADIUS = 0.8; // blocks from the body's middle a projectile hits at
+const BODY_MIDDLE = 0.72; // blocks below the eyes; mobs are hit around a block above their feet
+
+// Projectiles in blocks per tick; arrows slow down and fall like RangedCombat expects them to
+const FIREBALL = { type: 'minecraft:small_fireball', speed: 0.8, damage: 5, gravity: 0, drag: 1, lifetime: 60 };
+const ARROW = { type: 'minecraft:arrow', speed: 3, damage: 6, gravity: 0.05, drag: 0.99, lifetime: 100 };
+const FULL_DRAW = 1000; // ms a bow needs for full power
+const LAUNCH_DROP = 0.1; // arrows leave slightly below the eyes
+
+// CombatManager logs every swing
+const SILENT = { log() {}, error() {} };
+
+const STRATEGIES = ['AGGRESSIVE', 'DEFENSIVE', 'BALANCED'];
+const ARMOR_PIECES = ['helmet', 'chestplate', 'leggings', 'boots'];
+
+// How each common hostile moves (blocks per second) and attacks; health and damage come from the
+// entity registry. Mobs taller than two blocks cannot stand under a low ceiling.
+const MOB_AI = {
+    'minecraft:zombie': { style: 'melee', speed: 2.3, attackInterval: 1000 },
+    'minecraft:husk': { style: 'melee', speed: 2.3, attackInterval: 1000 },
+    'minecraft:drowned': { style: 'melee', speed: 2.3, attackInterval: 1000 },
+    'minecraft:spider': { style: 'melee', speed: 3.0, attackInterval: 1000 },
+    'minecraft:cave_spider': { style: 'melee', speed: 3.0, attackInterval: 1000 },
+    'minecraft:enderman': { style: 'melee', speed: 6.0, attackInterval: 1000, height: 2.9 },
+    'minecraft:skeleton': { style: 'ranged', speed: 2.5, attackInterval: 2000, minRange: 6, maxRange: 15 },
+    'minecraft:stray': { style: 'ranged', speed: 2.5, attackInterval: 2000, minRange: 6, maxRange: 15 },
+    'minecraft:creeper': { style: 'fuse', speed: 2.5 },
+    // Hovers where it can see the bot and fires volleys of three; only comes closer when out of range
+    'minecraft:blaze': { style: 'volley', speed: 2.5, attackInterval: 5000, shotInterval: 300, maxRange: 16, hover: 1.5 }
+};
+
+const DEFAULT_LOADOUT = {
+    hotbar: ['iron_sword'],
+    armor: ['iron_helmet', 'iron_chestplate', 'iron_leggings', 'iron_boots']
+};
+
+const BOW_LOADOUT = {
+    hotbar: ['iron_sword', 'bow', { name: 'arrow', count: 64 }],
+    armor: DEFAULT_LOADOUT.armor
+};
+
+const DEFAULT_GRID = {
+    aggressionLevel: [0.3, 0.5, 0.7, 0.9],
+    riskTolerance: [0.3, 0.5, 0.7],
+    fleeHealthThreshold: [2, 4, 6]
+};
+
+// Solid blocks from (x1, y1, z1) to (x2, y2, z2)
+function box(x1, y1, z1, x2, y2, z2) {
+    const blocks = [];
+    for (let x = x1; x <= x2; x++) {
+        for (let y = y1; y <= y2; y++) {
+            for (let z = z1; z <= z2; z++) blocks.push({ x, y, z });
+        }
+    }
+    return blocks;
+}
+
+// Set pieces for the per-mob tactics. The bot starts at the origin and the mob `spawnDistance` blocks
+// away in the direction of `spawnAngle` (radians from +X); `blocks` stand on the arena floor
+const SCENARIOS = {
+    creeper: {
+        description: 'Strike a creeper, then get clear before its fuse runs out',
+        mob: 'creeper'
+    },
+    skeleton_cover: {
+        description: 'Close in on a skeleton from behind a wall',
+        mob: 'skeleton',
+        spawnAngle: 0,
+        blocks: box(1, GROUND_Y, 3, 1, GROUND_Y + 1, 5)
+    },
+    enderman_ceiling: {
+        description: 'Fight an enderman from under a two-block ceiling it cannot stand under',
+        mob: 'enderman',
+        spawnAngle: Math.PI,
+        blocks: box(2, GROUND_Y + 2, -2, 6, GROUND_Y + 2, 2)
+    },
+    blaze_fireballs: {
+        description: 'Sidestep fireballs while closing in on a blaze with a sword',
+        mob: 'blaze',
+        spawnAngle: 0
+    },
+    blaze_bow: {
+        description: 'Shoot a hovering blaze',
+        mob: 'blaze',
+        spawnAngle: 0,
+        loadout: BOW_LOADOUT
+    },
+    blaze_bow_watched: {
+        description: 'Hold arrows while a calm enderman stands in the line of fire',
+        mob: 'blaze',
+        spawnAngle: 0,
+        loadout: BOW_LOADOUT,
+        bystanders: [{ type: 'minecraft:enderman', position: { x: 15, y: GROUND_Y, z: 0 } }],
+        config: { huntEndermen: false }
+    }
+};
+
+// Seeded so every strategy meets the same spawns and the same skeleton luck
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Packets the bot writes go straight to the simulator instead of a server
+class SimulatedClient extends EventEmitter {
+    constructor(simulator) {
+        super();
+        this.simulator = simulator;
+    }
+
+    write(name, params) {
+        this.simulator.handlePacket(name, params);
+    }
+}
+
+// Flat ground plus a few solid blocks. They block sight, projectiles and tall mobs; walking goes
+// straight through them. Stands in for both the world model and the pathfinder the tactics query.
+class SimulatedArena {
+    constructor(blocks = []) {
+        this.blocks = new Set(blocks.map(({ x, y, z }) => `${x},${y},${z}`));
+    }
+
+    isSolid(x, y, z) {
+        const blockY = Math.floor(y);
+        return blockY < GROUND_Y || this.blocks.has(`${Math.floor(x)},${blockY},${Math.floor(z)}`);
+    }
+
+    hasLineOfSight(from, to) {
+        const distance = Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z);
+        const steps = Math.ceil(distance / SIGHT_STEP);
+        for (let step = 1; step < steps; step++) {
+            const share = step / steps;
+            if (this.isSolid(from.x + (to.x - from.x) * share, from.y + (to.y - from.y) * share, from.z + (to.z - from.z) * share)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Whether a mob this tall fits upright with its feet on the floor at `position`
+    fits(position, height) {
+        for (let dy = 0; dy < height; dy++) {
+            if (this.isSolid(position.x, GROUND_Y + dy, position.z)) return false;
+        }
+        return true;
+    }
+
+    toFeet(position) {
+        return { x: Math.floor(position.x), y: Math.floor(position.y - EYE_HEIGHT + 0.01), z: Math.floor(position.z) };
+    }
+
+    toStandingPosition(node) {
+        return { x: node.x + 0.5, y: node.y + EYE_HEIGHT, z: node.z + 0.5 };
+    }
+
+    canStand(x, y, z) {
+        return this.isSolid(x, y - 1, z) && !this.isSolid(x, y, z) && !this.isSolid(x, y + 1, z);
+    }
+}
+
+class CombatSimulator {
+    constructor(options = {}) {
+        this.options = {
+            seed: options.seed ?? 1,
+            health: options.health ?? 20,
+            spawnDistance: options.spawnDistance ?? SPAWN_DISTANCE,
+            timeLimit: options.timeLimit ?? TIME_LIMIT,
+            loadout: options.loadout || DEFAULT_LOADOUT,
+            logger: options.logger || SILENT
+        };
+        this.entityRegistry = new EntityRegistry();
+
+        this.time = 0;
+        this.sequence = 0;
+        this.timers = []; // { at, seq, callback }, soonest first
+        this.mobs = new Map();
+        this.projectiles = new Map();
+        this.nextEntityId = 2;
+        this.arena = new SimulatedArena();
+        this.fight = null;
+        this.bot = null;
+        this.combat = null;
+        this.inventory = null;
+        this.facing = { x: 0, y: 0, z: 1 };
+        this.walkToken = 0;
+        this.navigation = { moveToPosition: (position, precision) => this.walkTo(position, precision) };
+        this.movement = { lookAt: target => this.lookAt(target) };
+    }
+
+    // Virtual clock
+    schedule(delay, callback) {
+        const timer = { at: this.time + delay, seq: this.sequence++, callback };
+        const index = this.timers.findIndex(other => other.at > timer.at);
+        this.timers.splice(index < 0 ? this.timers.length : index, 0, timer);
+    }
+
+    delay(ms) {
+        return new Promise(resolve => this.schedule(ms, resolve));
+    }
+
+    every(interval, callback) {
+        const run = () => {
+            callback();
+            this.schedule(interval, run);
+        };
+        this.schedule(interval, run);
+    }
+
+    // Fires timers in order, letting every promise chain settle before the clock moves on
+    async runUntil(done, limit) {
+        while (!done() && this.timers.length > 0 && this.timers[0].at <= limit) {
+            const timer = this.timers.shift();
+            this.time = timer.at;
+            timer.callback();
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    // The entity tracker queries CombatManager, its tactics and RangedCombat make
+    getEntity(id) {
+        return this.mobs.get(id) || this.projectiles.get(id) || null;
+    }
+
+    getEntitiesWithin(position, radius, filter = () => true) {
+        return [...this.mobs.values(), ...this.projectiles.values()]
+            .map(entity => ({ entity, distance: this.distance(position, entity.position) }))
+            .filter(({ entity, distance }) => distance <= radius && filter(entity))
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    findNearest(position, filter = () => true, maxDistance = Infinity) {
+        return this.getEntitiesWithin(position, maxDistance, filter)[0] || null;
+    }
+
+    findNearestOfType(type, position, maxDistance = 32) {
+        return this.findNearest(position, entity => this.entityRegistry.is(entity, type), maxDistance);
+    }
+
+    // Velocities are in blocks per tick, as set_entity_motion reports them
+    predictPosition(entity, seconds) {
+        return {
+            x: entity.position.x + entity.velocity.x * 20 * seconds,
+            y: entity.position.y + entity.velocity.y * 20 * seconds,
+            z: entity.position.z + entity.velocity.z * 20 * seconds
+        };
+    }
+
+    distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+    }
+
+    createBot(strategy) {
+        const bot = new EventEmitter();
+        Object.assign(bot, {
+            config: { debugMode: false },
+            connected: true,
+            runtimeId: 1,
+            health: this.options.health,
+            maxHealth: 20,
+            food: 20,
+            position: { x: 0, y: GROUND_Y + EYE_HEIGHT, z: 0 },
+            velocity: { x: 0, z: 0 },
+            players: new Map(),
+            entityRegistry: this.entityRegistry,
+            entityTracker: this,
+            worldModel: this.arena,
+            delay: ms => this.delay(ms),
+            sendChat: async () => {},
+            // Stands in for the AI: every fight opens with the strategy under test
+            generateStructuredResponse: async () => ({
+                approach: strategy,
+                tactics: [],
+                risk: 'MEDIUM',
+                expectedOutcome: 'UNCERTAIN'
+            })
+        });
+        bot.itemRegistry = new ItemRegistry(bot);
+        bot.client = new SimulatedClient(this);
+        return bot;
+    }
+
+    // The loadout arrives the way a server sends it, so the real inventory code reads it; hotbar
+    // entries are names or { name, count }
+    equip(bot, loadout) {
+        const hotbar = loadout.hotbar.map(entry => (typeof entry === 'string' ? { name: entry, count: 1 } : entry));
+        const { armor } = loadout;
+        bot.itemRegistry.load([...hotbar.map(entry => entry.name), ...armor]
+            .map((name, index) => ({ name: `minecraft:${name}`, runtime_id: 100 + index })));
+
+        const inventory = new InventoryManager(bot);
+        inventory.attach(bot.client);
+        const raw = (name, count = 1) => name ?
+            { network_id: bot.itemRegistry.getId(name), count, metadata: 0, extra: { has_nbt: false } } :
+            { network_id: 0 };
+
+        bot.client.emit('inventory_content', { window_id: 'inventory', input: hotbar.map(entry => raw(entry.name, entry.count)) });
+        const pieces = {};
+        for (const piece of ARMOR_PIECES) {
+            pieces[piece] = raw(armor.find(name => name.endsWith(`_${piece}`)));
+        }
+        bot.client.emit('mob_armor_equipment', { runtime_entity_id: BigInt(bot.runtimeId), ...pieces });
+        return inventory;
+    }
+
+    spawnMob(type, position, provoked = true) {
+        const mob = {
+            id: this.nextEntityId++,
+            type,
+            kind: 'mob',
+            position: { ...position },
+            velocity: { x: 0, y: 0, z: 0 },
+            health: this.entityRegistry.getMaxHealth(type),
+            maxHealth: this.entityRegistry.getMaxHealth(type),
+            flags: {},
+            provoked, // a calm neutral mob stands by until something hits it
+            dead: false,
+            lastAttack: -Infinity,
+            lastHurt: -Infinity,
+            fuseStart: null,
+            volley: [] // times of the shots still to come in this volley
+        };
+        this.mobs.set(mob.id, mob);
+        return mob;
+    }
+
+    spawnPosition(type, angle) {
+        return {
+            x: Math.cos(angle) * this.options.spawnDistance,
+            y: GROUND_Y + (MOB_AI[type].hover || 0),
+            z: Math.sin(angle) * this.options.spawnDistance
+        };
+    }
+
+    botFeet() {
+        return { x: this.bot.position.x, y: GROUND_Y, z: this.bot.position.z };
+    }
+
+    botBody() {
+        return { x: this.bot.position.x, y: this.bot.position.y - BODY_MIDDLE, z: this.bot.position.z };
+    }
+
+    // Whether a mob's eyes can see the bot's
+    canSee(mob) {
+        const eye = { x: mob.position.x, y: mob.position.y + MOB_EYE_HEIGHT, z: mob.position.z };
+        return this.arena.hasLineOfSight(eye, this.bot.position);
+    }
+
+    // MovementController.lookAt: CombatManager gets the final say over where the bot faces
+    lookAt(target) {
+        const eye = this.bot.position;
+        const safe = this.combat.getSafeLookTarget(eye, target);
+        const dx = safe.x - eye.x;
+        const dy = safe.y - eye.y;
+        const dz = safe.z - eye.z;
+        const length = Math.hypot(dx, dy, dz) || 1;
+        this.facing = { x: dx / length, y: dy / length, z: dz / length };
+        return safe.x === target.x && safe.y === target.y && safe.z === target.z;
+    }
+
+    handlePacket(name, params) {
+        if (!this.fight) return;
+        // Changing the held item, even to the same slot, lowers a drawn bow without loosing it
+        if (name === 'mob_equipment') this.fight.drawStart = null;
+        const transaction = params?.transaction;
+        if (name !== 'inventory_transaction') return;
+
+        const data = transaction.transaction_data;
+        if (transaction.transaction_type === 'item_use_on_entity' && data.action_type === 'attack') {
+            this.handleAttack(data);
+        } else if (transaction.transaction_type === 'item_use' && data.action_type === 'click_air') {
+            // Only bows are simulated; arrows are not used up
+            if (this.isBow(data.hotbar_slot)) this.fight.drawStart = this.time;
+        } else if (transaction.transaction_type === 'item_release' && data.action_type === 'release') {
+            this.releaseBow(data.hotbar_slot);
+        }
+    }
+
+    isBow(slot) {
+        const item = this.inventory.containers.inventory[slot];
+        return !!item && this.bot.itemRegistry.normalize(item.name) === 'minecraft:bow';
+    }
+
+    // A bow fires on release, faster the longer it was drawn, where the bot is facing
+    releaseBow(slot) {
+        const fight = this.fight;
+        const drawStart = fight.drawStart;
+        fight.drawStart = null;
+        if (drawStart === null || !this.isBow(slot)) return;
+
+        const draw = Math.min(1, (this.time - drawStart) / FULL_DRAW);
+        const power = Math.min(1, (draw * draw + draw * 2) / 3);
+        if (power < 0.1) return;
+
+        const eye = this.bot.position;
+        const speed = ARROW.speed * power;
+        this.launch(ARROW, null, { x: eye.x, y: eye.y - LAUNCH_DROP, z: eye.z },
+            { x: this.facing.x * speed, y: this.facing.y * speed, z: this.facing.z * speed });
+        fight.arrowsLoosed++;
+    }
+
+    launch(kind, owner, position, velocity) {
+        const projectile = {
+            id: this.nextEntityId++,
+            type: kind.type,
+            kind: 'projectile',
+            projectile: kind,
+            owner,
+            position,
+            velocity,
+            age: 0,
+            flags: {}
+        };
+        this.projectiles.set(projectile.id, projectile);
+        return projectile;
+    }
+
+    handleAttack(data) {
+        const mob = this.mobs.get(Number(data.entity_runtime_id));
+        if (!mob || mob.dead) return;
+
+        const aim = { x: mob.position.x, y: mob.position.y + 1, z: mob.position.z };
+        if (this.distance(this.bot.position, aim) > SERVER_REACH) return;
+
+        // Swinging before the cooldown is over lands a weaker hit
+        const fight = this.fight;
+        const held = this.inventory.getHeldItem();
+        const itemName = held?.name || 'air';
+        const cooldown = 1000 / this.bot.itemRegistry.getAttackSpeed(itemName);
+        const charge = Math.min(1, (this.time - fight.lastSwing) / cooldown);
+        fight.lastSwing = this.time;
+        if (this.time - mob.lastHurt < HURT_COOLDOWN) return;
+
+        this.hurtMob(mob, this.bot.itemRegistry.getMeleeDamage(itemName) * (0.2 + charge * charge * 0.8), this.botFeet());
+    }
+
+    hurtMob(mob, damage, from) {
+        const fight = this.fight;
+        mob.health = Math.max(0, mob.health - damage);
+        mob.lastHurt = this.time;
+        mob.provoked = true;
+        fight.damageDealt += damage;
+        this.knockBack(mob, from, mob.position);
+
+        this.bot.emit('entity_hurt', { entity: mob });
+        this.bot.emit('entity_damaged', { entity: mob, amount: damage });
+        if (mob.health <= 0) {
+            mob.dead = true;
+            if (mob === fight.mob) fight.killed = true;
+            this.mobs.delete(mob.id);
+            this.bot.emit('entity_died', mob);
+            this.bot.emit('entity_removed', mob);
+        }
+    }
+
+    hurtBot(amount, source) {
+        const fight = this.fight;
+        if (this.time - fight.lastHurt < HURT_COOLDOWN || this.bot.health <= 0) return;
+        fight.lastHurt = this.time;
+
+        const armor = this.inventory.getArmorLevel() * 20;
+        const absorbed = Math.min(20, Math.max(armor / 5, armor - amount / 2));
+        const dealt = amount * (1 - absorbed / 25);
+        this.bot.health = Math.max(0, this.bot.health - dealt);
+        fight.damageTaken += dealt;
+        this.knockBack(this.bot, source.position, this.botFeet());
+
+        this.bot.emit('damage_taken', { amount: dealt, source: source.type });
+        this.bot.emit('stats_update', { health: this.bot.health, food: this.bot.food, experience: 0 });
+    }
+
+    knockBack(victim, from, to) {
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const length = Math.hypot(dx, dz) || 1;
+        victim.velocity.x += dx / length * KNOCKBACK;
+        victim.velocity.z += dz / length * KNOCKBACK;
+    }
+
+    applyVelocity(body) {
+        body.position.x += body.velocity.x;
+        body.position.z += body.velocity.z;
+        body.velocity.x *= FRICTION;
+        body.velocity.z *= FRICTION;
+    }
+
+    tickWorld() {
+        this.applyVelocity(this.bot);
+        for (const mob of this.mobs.values()) {
+            this.runMobAI(mob);
+            this.applyVelocity(mob);
+        }
+        for (const projectile of this.projectiles.values()) {
+            this.moveProjectile(projectile);
+        }
+        this.checkOutcome();
+    }
+
+    runMobAI(mob) {
+        const ai = MOB_AI[mob.type];
+        if (!ai || !this.entityRegistry.isHostile(mob)) return;
+
+        const bot = this.botFeet();
+        const dx = bot.x - mob.position.x;
+        const dz = bot.z - mob.position.z;
+        const distance = Math.hypot(dx, dz) || 0.01;
+        if (distance > FOLLOW_RANGE) return;
+
+        const step = ai.speed * TICK / 1000;
+        const move = (amount) => {
+            const next = { x: mob.position.x + dx / distance * amount, z: mob.position.z + dz / distance * amount };
+            if (ai.height > 2 && !this.arena.fits(next, ai.height)) return;
+            mob.position.x = next.x;
+            mob.position.z = next.z;
+        };
+
+        if (ai.style === 'melee') {
+            const reach = this.entityRegistry.getAttackRange(mob) || 2;
+            if (distance > reach) {
+                move(Math.min(step, distance - reach * 0.8));
+            } else if (this.time - mob.lastAttack >= ai.attackInterval) {
+                mob.lastAttack = this.time;
+                this.hurtBot(this.entityRegistry.getAttackDamage(mob), mob);
+            }
+        } else if (ai.style === 'ranged') {
+            // Without sight of the bot it walks towards it
+            const sight = this.canSee(mob);
+            if (distance > ai.maxRange || !sight) move(step);
+            else if (distance < ai.minRange) move(-step);
+
+            if (sight && distance <= ai.maxRange + 1 && this.time - mob.lastAttack >= ai.attackInterval) {
+                mob.lastAttack = this.time;
+                // Arrows scatter more the further they fly
+                if (this.fight.random() < Math.max(0.25, Math.min(0.9, 1 - distance / 20))) {
+                    this.hurtBot(this.entityRegistry.getAttackDamage(mob), mob);
+                }
+            }
+        } else if (ai.style === 'fuse') {
+            // A swelling creeper stands still; it only walks while the fuse is out
+            const fuse = this.entityRegistry.getBehavior(mob, 'fuse');
+            if (mob.fuseStart === null && distance > fuse.triggerRange * 0.6) {
+                move(Math.min(step, distance - fuse.triggerRange * 0.6));
+            }
+
+            // The lit fuse is visible to the bot as the ignited flag
+            if (distance <= fuse.triggerRange) {
+                mob.fuseStart ??= this.time;
+            } else if (distance > fuse.cancelRange) {
+                mob.fuseStart = null;
+            }
+            mob.flags.ignited = mob.fuseStart !== null;
+            if (mob.fuseStart !== null && this.time - mob.fuseStart >= fuse.seconds * 1000) {
+                this.explode(mob, fuse.explosionRadius, distance);
+            }
+        } else if (ai.style === 'volley') {
+            const sight = this.canSee(mob);
+            if (distance > ai.maxRange || !sight) move(step);
+
+            // Up close it burns whoever touches it instead of shooting
+            if (distance < 2) {
+                if (this.time - mob.lastAttack >= 1000) {
+                    mob.lastAttack = this.time;
+                    this.hurtBot(this.entityRegistry.getAttackDamage(mob), mob);
+                }
+                return;
+            }
+            if (!sight || distance > this.entityRegistry.getAttackRange(mob)) return;
+
+            if (mob.volley.length === 0 && this.time - mob.lastAttack >= ai.attackInterval) {
+                const shots = this.entityRegistry.getBehavior(mob, 'fireballVolley') || 1;
+                mob.lastAttack = this.time;
+                mob.volley = Array.from({ length: shots }, (_, shot) => this.time + shot * ai.shotInterval);
+            }
+            if (mob.volley.length > 0 && this.time >= mob.volley[0]) {
+                mob.volley.shift();
+                this.shootFireball(mob, distance);
+            }
+        }
+    }
+
+    // Aimed at the bot's body with a spread that grows with the distance, as vanilla blazes do
+    shootFireball(mob, distance) {
+        const from = { x: mob.position.x, y: mob.position.y + 1, z: mob.position.z };
+        const body = this.botBody();
+        const spread = Math.sqrt(distance) * 0.25;
+        const aim = {
+            x: body.x + (this.fight.random() - 0.5) * spread - from.x,
+            y: body.y - from.y,
+            z: body.z + (this.fight.random() - 0.5) * spread - from.z
+        };
+        const length = Math.hypot(aim.x, aim.y, aim.z) || 1;
+        const speed = FIREBALL.speed;
+        this.launch(FIREBALL, mob, from, { x: aim.x / length * speed, y: aim.y / length * speed, z: aim.z / length * speed });
+    }
+
+    // Whether the tick's flight from `position` passes within BODY_RADIUS of `point`, so a fast
+    // projectile cannot skip through a body
+    passesThrough(position, velocity, point) {
+        const speed = velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z;
+        const along = speed > 0 ? Math.max(0, Math.min(1, ((point.x - position.x) * velocity.x +
+            (point.y - position.y) * velocity.y + (point.z - position.z) * velocity.z) / speed)) : 0;
+        const closest = { x: position.x + velocity.x * along, y: position.y + velocity.y * along, z: position.z + velocity.z * along };
+        return this.distance(closest, point) < BODY_RADIUS;
+    }
+
+    // Fireballs hit the bot, arrows hit mobs; both stop at the first solid block
+    moveProjectile(projectile) {
+        const { position, velocity, projectile: kind } = projectile;
+        if (projectile.owner) {
+            if (this.passesThrough(position, velocity, this.botBody())) {
+                this.projectiles.delete(projectile.id);
+                this.hurtBot(kind.damage, projectile.owner);
+                return;
+            }
+        } else {
+            const struck = Array.from(this.mobs.values()).find(mob =>
+                this.passesThrough(position, velocity, { x: mob.position.x, y: mob.position.y + 1, z: mob.position.z }));
+            if (struck) {
+                this.projectiles.delete(projectile.id);
+                // Endermen teleport out of an arrow's way
+                if (!this.entityRegistry.getBehavior(struck, 'dodgesProjectiles')) {
+                    this.hurtMob(struck, kind.damage, position);
+                    this.fight.arrowHits++;
+                }
+                return;
+            }
+        }
+
+        position.x += velocity.x;
+        position.y += velocity.y;
+        position.z += velocity.z;
+        velocity.x *= kind.drag;
+        velocity.y = velocity.y * kind.drag - kind.gravity;
+        velocity.z *= kind.drag;
+        if (++projectile.age >= kind.lifetime || this.arena.isSolid(position.x, position.y, position.z)) {
+            this.projectiles.delete(projectile.id);
+        }
+    }
+
+    // The vanilla blast formula in the open: power 3 hurts out to 6 blocks
+    explode(mob, power, distance) {
+        const reach = power * 2;
+        if (distance < reach) {
+            const impact = 1 - distance / reach;
+            this.hurtBot(Math.floor((impact * impact + impact) / 2 * 7 * reach + 1), mob);
+        }
+        this.fight.mobGone = true;
+        this.mobs.delete(mob.id);
+        this.bot.emit('entity_removed', mob);
+    }
+
+    // NavigationManager.moveToPosition: walks until close enough, out of time or replaced
+    async walkTo(target, precision = 0.3) {
+        const token = ++this.walkToken;
+        const bot = this.bot;
+        this.fight.walks++;
+        const deadline = this.time + 2000 + Math.hypot(target.x - bot.position.x, target.z - bot.position.z) * 1000;
+
+        while (token === this.walkToken) {
+            const dx = target.x - bot.position.x;
+            const dz = target.z - bot.position.z;
+            const distance = Math.hypot(dx, dz);
+            if (distance <= precision) return true;
+            if (this.time >= deadline || bot.health <= 0) return false;
+
+            const step = Math.min(distance, BOT_SPEED * TICK / 1000);
+            bot.position.x += dx / distance * step;
+            bot.position.z += dz / distance * step;
+            await this.delay(TICK);
+        }
+        return false;
+    }
+
+    checkOutcome() {
+        const fight = this.fight;
+        if (fight.outcome) return;
+
+        if (this.bot.health <= 0) fight.outcome = 'loss';
+        else if (fight.killed) fight.outcome = 'win';
+        else if (fight.mobGone) fight.outcome = 'draw';
+        else {
+            const mob = fight.mob;
+            if (Math.hypot(mob.position.x - this.bot.position.x, mob.position.z - this.bot.position.z) > FOLLOW_RANGE) {
+                fight.outcome = 'escape';
+            }
+        }
+    }
+
+    // setup: { mob, config, loadout, blocks, bystanders, spawnAngle }, as run() resolves it
+    async runFight(setup, strategy, seed) {
+        this.time = 0;
+        this.timers = [];
+        this.mobs.clear();
+        this.projectiles.clear();
+        this.walkToken++;
+
+        const random = createRandom(seed);
+        this.arena = new SimulatedArena(setup.blocks);
+        this.bot = this.createBot(strategy);
+        this.inventory = this.equip(this.bot, setup.loadout);
+        this.facing = { x: 0, y: 0, z: 1 };
+        const fight = {
+            outcome: null,
+            reported: [], // what CombatManager itself recorded
+            mob: null,
+            killed: false,
+            mobGone: false,
+            damageDealt: 0,
+            damageTaken: 0,
+            lastSwing: -Infinity,
+            lastHurt: -Infinity,
+            drawStart: null,
+            openDraws: 0, // shots that came back unfired with the bow still drawn
+            arrowsLoosed: 0,
+            arrowHits: 0,
+            walks: 0, // moveToPosition calls, each replacing the walk before it
+            tactics: {}, // 'creeper.strike' -> times the tactic switched to that action
+            engaged: null, // whether the bot took the fight when it first weighed it
+            random
+        };
+        this.fight = fight;
+
+        const logger = this.options.logger;
+        const combat = new CombatManager(this.bot, { now: () => this.time, monitoring: false, logger });
+        const ranged = new RangedCombat(this.bot, { now: () => this.time, logger });
+        this.combat = combat;
+        Object.assign(combat.config, setup.config);
+        ranged.attach(this.bot.client);
+        const shoot = ranged.shoot.bind(ranged);
+        ranged.shoot = async target => {
+            const result = await shoot(target);
+            if (result.status !== 'fired' && fight.drawStart !== null) fight.openDraws++;
+            return result;
+        };
+        ranged.setManagers({ inventory: this.inventory, combat, movement: this.movement, entities: this });
+        combat.setManagers({
+            inventory: this.inventory,
+            navigation: this.navigation,
+            movement: this.movement,
+            ranged,
+            pathfinder: this.arena
+        });
+        combat.setupCombatEventHandlers();
+        combat.on('combat_start', () => { fight.engaged ??= true; });
+        combat.on('engagement_declined', () => { fight.engaged ??= false; });
+        combat.on('combat_end', result => fight.reported.push(result.outcome));
+        combat.on('tactic_used', ({ tactic, action }) => {
+            const key = `${tactic}.${action}`;
+            fight.tactics[key] = (fight.tactics[key] || 0) + 1;
+        });
+
+        const angle = setup.spawnAngle ?? random() * 2 * Math.PI;
+        fight.mob = this.spawnMob(setup.mob, this.spawnPosition(setup.mob, angle));
+        for (const bystander of setup.bystanders) {
+            this.spawnMob(this.entityRegistry.normalize(bystander.type), bystander.position, false);
+        }
+
+        // The same cadence as CombatManager's own monitoring timers
+        const guard = promise => promise.catch(error => { fight.error = fight.error || error.message; });
+        this.every(TICK, () => this.tickWorld());
+        this.every(100, () => guard(combat.processCombatStateMachine()));
+        this.every(1000, () => {
+            guard(combat.assessThreatLevel());
+            combat.updateCombatStrategy();
+        });
+        guard(combat.assessThreatLevel());
+
+        await this.runUntil(() => fight.outcome !== null, this.options.timeLimit);
+        this.timers = [];
+        this.fight = null;
+
+        const shots = ranged.getStats();
+        return {
+            outcome: fight.outcome || 'draw',
+            reported: fight.reported,
+            advisedEngage: fight.engaged === true,
+            duration: this.time,
+            healthLeft: this.bot.health,
+            damageDealt: fight.damageDealt,
+            damageTaken: fight.damageTaken,
+            tactics: fight.tactics,
+            // Shots RangedCombat reported fired or held, and what the arrows actually did
+            shots: shots.shots,
+            held: shots.held,
+            arrowsLoosed: fight.arrowsLoosed,
+            arrowHits: fight.arrowHits,
+            openDraws: fight.openDraws,
+            walks: fight.walks,
+            error: fight.error || null
+        };
+    }
+
+    summarize(results) {
+        const count = outcome => results.filter(result => result.outcome === outcome).length;
+        const average = key => Math.round(results.reduce((total, result) => total + result[key], 0) / results.length * 10) / 10;
+        const total = key => results.reduce((sum, result) => sum + result[key], 0);
+        const rate = value => Math.round(value / results.length * 100) / 100;
+        const advisedEngage = results.filter(result => result.advisedEngage);
+        const advisedAvoid = results.filter(result => !result.advisedEngage);
+
+        const tactics = {};
+        for (const result of results) {
+            for (const [key, times] of Object.entries(result.tactics)) {
+                tactics[key] = (tactics[key] || 0) + times;
+            }
+        }
+
+        return {
+            fights: results.length,
+            wins: count('win'),
+            losses: count('loss'),
+            escapes: count('escape'),
+            draws: count('draw'),
+            winRate: rate(count('win')),
+            lossRate: rate(count('loss')),
+            averageDuration: average('duration'),
+            averageHealthLeft: average('healthLeft'),
+            averageDamageDealt: average('damageDealt'),
+            averageDamageTaken: average('damageTaken'),
+            averageWalks: average('walks'),
+            // How often the engage decision CombatManager acted on matched what happened
+            advice: {
+                engage: advisedEngage.length,
+                engageWon: advisedEngage.filter(result => result.outcome === 'win').length,
+                avoid: advisedAvoid.length,
+                avoidLost: advisedAvoid.filter(result => result.outcome === 'loss').length
+            },
+            tactics,
+            ranged: {
+                shots: total('shots'),
+                held: total('held'),
+                arrowsLoosed: total('arrowsLoosed'),
+                arrowHits: total('arrowHits'),
+                openDraws: total('openDraws')
+            },
+            errors: results.filter(result => result.error).length
+        };
+    }
+
+    // options: { mob, scenario, fights, strategies, config } where config overrides CombatManager.config
+    // and a scenario brings its own mob, arena, loadout and config
+    async run(options = {}) {
+        const scenario = options.scenario ? SCENARIOS[options.scenario] : {};
+        if (!scenario) {
+            throw new Error(`No combat scenario ${options.scenario} (${Object.keys(SCENARIOS).join(', ')})`);
+        }
+        const mob = this.entityRegistry.normalize(options.mob || scenario.mob || 'zombie');
+        if (!MOB_AI[mob]) {
+            throw new Error(`No simulated AI for ${mob} (${Object.keys(MOB_AI).join(', ')})`);
+        }
+        const fights = options.fights || 20;
+        const strategies = options.strategies || STRATEGIES;
+        const config = { ...scenario.config, ...options.config };
+        const setup = {
+            mob,
+            config,
+            loadout: scenario.loadout || this.options.loadout,
+            blocks: scenario.blocks || [],
+            bystanders: scenario.bystanders || [],
+            spawnAngle: scenario.spawnAngle
+        };
+
+        const report = { mob, scenario: options.scenario || null, fights, config, strategies: {} };
+        for (const strategy of strategies) {
+            const results = [];
+            for (let fight = 0; fight < fights; fight++) {
+                results.push(await this.runFight(setup, strategy, this.options.seed + fight));
+            }
+            report.strategies[strategy] = this.summarize(results);
+        }
+        return report;
+    }
+
+    // Every combination of the grid, fewest losses first
+    async sweep(options = {}) {
+        const grid = { ...DEFAULT_GRID, ...options.grid };
+        let combinations = [{}];
+        for (const [key, values] of Object.entries(grid)) {
+            combinations = combinations.flatMap(combination => values.map(value => ({ ...combination, [key]: value })));
+        }
+
+        const rows = [];
+        for (const config of combinations) {
+            const report = await this.run({ ...options, config: { ...options.config, ...config } });
+            for (const [strategy, summary] of Object.entries(report.strategies)) {
+                rows.push({
+                    ...config,
+                    strategy,
+                    winRate: summary.winRate,
+                    lossRate: summary.lossRate,
+                    escapes: summary.escapes,
+                    healthLeft: summary.averageHealthLeft,
+                    advisedEngage: summary.advice.engage,
+                    engageWon: summary.advice.engageWon
+                });
+            }
+        }
+        return rows.sort((a, b) => a.lossRate - b.lossRate || b.winRate - a.winRate);
+    }
+}
+
+CombatSimulator.MOB_AI = MOB_AI;
+CombatSimulator.SCENARIOS = SCENARIOS;
+CombatSimulator.STRATEGIES = STRATEGIES;
+
+// node modules/CombatSimulator.js [mob] [fights] [--sweep] [--aggression=0.7] [--risk=0.5] [--flee=4] [--health=20] [--verbose]
+// node modules/CombatSimulator.js --scenario=blaze_bow [fights] [...]
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const flags = Object.fromEntries(args.filter(arg => arg.startsWith('--')).map(arg => arg.slice(2).split('=')));
+    const positional = args.filter(arg => !arg.startsWith('--'));
+    const [mob, fights = '20'] = flags.scenario ? [undefined, ...positional] : positional;
+    const config = {};
+    if (flags.aggression !== undefined) config.aggressionLevel = parseFloat(flags.aggression);
+    if (flags.risk !== undefined) config.riskTolerance = parseFloat(flags.risk);
+    if (flags.flee !== undefined) config.fleeHealthThreshold = parseFloat(flags.flee);
+
+    const simulator = new CombatSimulator({
+        health: flags.health !== undefined ? parseFloat(flags.health) : undefined,
+        logger: 'verbose' in flags ? console : undefined
+    });
+    const options = { mob, scenario: flags.scenario, fights: parseInt(fights, 10), config };
+    const simulation = 'sweep' in flags ?
+        simulator.sweep(options).then(rows => console.table(rows.slice(0, 20))) :
+        simulator.run(options).then(report => {
+            const scenario = report.scenario ? ` (${report.scenario}: ${SCENARIOS[report.scenario].description})` : '';
+            console.log(`⚔️ ${report.fights} simulated fights per strategy against ${report.mob}${scenario}`);
+            console.table(Object.fromEntries(Object.entries(report.strategies).map(([strategy, summary]) => {
+                const { advice, tactics, ranged, ...rest } = summary;
+                return [strategy, { ...rest, advisedEngage: advice.engage, shots: ranged.shots, held: ranged.held, arrowHits: ranged.arrowHits }];
+            })));
+            for (const [strategy, summary] of Object.entries(report.strategies)) {
+                if (Object.keys(summary.tactics).length > 0) console.log(`🎯 ${strategy} tactics:`, summary.tactics);
+            }
+        });
+
+    simulation.catch(error => {
+        console.error('❌ Combat simulation failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = CombatSimulator;
@@ -4,12 +4,14 @@ const path = require('path');
 
 class ConfigManager {
     constructor(initialOptions = {}) {
-        this.configPath = path.join(__dirname, '../config/bot-config.json');
+        this.configPath = process.env.CONFIG_PATH || path.join(__dirname, '../config/bot-config.json');
         this.defaultConfig = this.getDefaultConfig();
-        this.config = {};
         this.watchers = new Map();
         this.validationRules = this.getValidationRules();
         
+        // Usable immediately; the file config is merged in asynchronously
+        this.config = { ...this.defaultConfig, ...this.getEnvironmentOverrides(), ...initialOptions };
+        
         // Initialize configuration
         this.initializeConfig(initialOptions);
     }
@@ -24,7 +26,22 @@ class ConfigManager {
             skipPing: true,
             offlineMode: false,
             
+            // Reconnect Settings
+            reconnectEnabled: process.env.RECONNECT_ENABLED !== 'false',
+            reconnectBaseDelay: parseInt(process.env.RECONNECT_BASE_DELAY) || 2000, // milliseconds
+            reconnectMaxDelay: parseInt(process.env.RECONNECT_MAX_DELAY) || 120000, // milliseconds
+            reconnectMaxAttempts: process.env.RECONNECT_MAX_ATTEMPTS !== undefined ? parseInt(process.env.RECONNECT_MAX_ATTEMPTS) : 50, // 0 = unlimited
+            reconnectJitter: process.env.RECONNECT_JITTER !== undefined ? parseFloat(process.env.RECONNECT_JITTER) : 0.3,
+            connectTimeout: parseInt(process.env.CONNECT_TIMEOUT) || 30000, // milliseconds
+            
             // AI Configuration
+            aiProvider: process.env.AI_PROVIDER || 'gemini', // gemini, openai, ollama, scripted
+            aiModel: process.env.AI_MODEL, // defaults to geminiModel for the gemini provider
+            aiBaseUrl: process.env.AI_BASE_URL, // e.g. http://192.168.1.20:11434 for a LAN Ollama
+            aiApiKey: process.env.AI_API_KEY,
+            aiRequestTimeout: parseInt(process.env.AI_REQUEST_TIMEOUT) || 30000, // milliseconds
+            aiStructuredRetries: parseInt(process.env.AI_STRUCTURED_RETRIES ?? '2'), // repair attempts for JSON decisions
+            aiScriptFile: process.env.AI_SCRIPT_FILE, // JSON replies for the scripted provider
             geminiApiKey: process.env.GEMINI_API_KEY,
             geminiModel: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
             maxTokens: parseInt(process.env.MAX_TOKENS) || 1000,
@@ -54,6 +71,11 @@ class ConfigManager {
             pathfindingTimeout: parseInt(process.env.PATHFINDING_TIMEOUT) || 10000,
             movementSpeed: parseFloat(process.env.MOVEMENT_SPEED) || 4.317, // blocks per second
             jumpHeight: parseFloat(process.env.JUMP_HEIGHT) || 1.25,
+            waypointFile: process.env.WAYPOINT_FILE || './data/waypoints.json', // named locations, kept across restarts
+            
+            // World Model
+            worldMaxChunks: parseInt(process.env.WORLD_MAX_CHUNKS) || 625, // chunk columns kept in memory
+            worldViewDistance: parseInt(process.env.WORLD_VIEW_DISTANCE) || 12, // chunks; farther ones are unloaded
             
             // Inventory Settings
             autoManageInventory: process.env.AUTO_MANAGE_INVENTORY !== 'false',
@@ -65,6 +87,11 @@ class ConfigManager {
             logLevel: process.env.LOG_LEVEL || 'info', // error, warn, info, debug
             logPackets: process.env.LOG_PACKETS === 'true',
             simulationMode: process.env.SIMULATION_MODE === 'true',
+            mockServer: process.env.MOCK_SERVER === 'true', // offline runs against modules/MockBedrockServer
+            recordPackets: process.env.RECORD_PACKETS === 'true',
+            captureDir: process.env.CAPTURE_DIR || './data/captures',
+            replayFile: process.env.REPLAY_FILE,
+            replaySpeed: process.env.REPLAY_SPEED !== undefined ? parseFloat(process.env.REPLAY_SPEED) : 1, // 0 = as fast as possible
             
             // Performance Settings
             tickRate: parseInt(process.env.TICK_RATE) || 20, // ticks per second
@@ -77,7 +104,7 @@ class ConfigManager {
             learningDecayRate: parseFloat(process.env.LEARNING_DECAY_RATE) || 0.1,
             
             // Security Settings
-            allowedCommands: process.env.ALLOWED_COMMANDS ? process.env.ALLOWED_COMMANDS.split(',') : ['help', 'status', 'mission'],
+            allowedCommands: process.env.ALLOWED_COMMANDS ? process.env.ALLOWED_COMMANDS.split(',') : ['help', 'status', 'mission', 'strategy', 'inventory', 'wp'], // for everyone; admins may run all
             adminUsers: process.env.ADMIN_USERS ? process.env.ADMIN_USERS.split(',') : [],
             rateLimitEnabled: process.env.RATE_LIMIT_ENABLED !== 'false',
             maxRequestsPerMinute: parseInt(process.env.MAX_REQUESTS_PER_MINUTE) || 30,
@@ -103,7 +130,15 @@ class ConfigManager {
             host: { type: 'string', required: true, minLength: 1 },
             port: { type: 'number', min: 1, max: 65535 },
             username: { type: 'string', required: true, minLength: 1, maxLength: 16 },
-            geminiApiKey: { type: 'string', required: true, minLength: 1 },
+            reconnectBaseDelay: { type: 'number', min: 100, max: 60000 },
+            reconnectMaxDelay: { type: 'number', min: 1000, max: 3600000 },
+            reconnectMaxAttempts: { type: 'number', min: 0, max: 10000 },
+            reconnectJitter: { type: 'number', min: 0, max: 1 },
+            connectTimeout: { type: 'number', min: 1000, max: 300000 },
+            geminiApiKey: { type: 'string' }, // required only for the gemini provider, below
+            aiProvider: { type: 'string', enum: ['gemini', 'openai', 'ollama', 'scripted'] },
+            aiRequestTimeout: { type: 'number', min: 1000, max: 300000 },
+            aiStructuredRetries: { type: 'number', min: 0, max: 5 },
             maxTokens: { type: 'number', min: 1, max: 8192 },
             aiTemperature: { type: 'number', min: 0, max: 2 },
             aiTopP: { type: 'number', min: 0, max: 1 },
@@ -114,7 +149,10 @@ class ConfigManager {
             combatDistance: { type: 'number', min: 1, max: 10 },
             fleeThreshold: { type: 'number', min: 0.1, max: 0.9 },
             pathfindingTimeout: { type: 'number', min: 1000, max: 60000 },
+            worldMaxChunks: { type: 'number', min: 9, max: 4096 },
+            worldViewDistance: { type: 'number', min: 1, max: 64 },
             tickRate: { type: 'number', min: 1, max: 100 },
+            replaySpeed: { type: 'number', min: 0, max: 1000 },
             maxMemoryUsage: { type: 'number', min: 128, max: 4096 },
             maxLearningEntries: { type: 'number', min: 100, max: 100000 },
             maxRequestsPerMinute: { type: 'number', min: 1, max: 1000 },
@@ -174,7 +212,8 @@ class ConfigManager {
             
             // Create a clean version without sensitive data for file storage
             const cleanConfig = { ...this.config };
-            delete cleanConfig.geminiApiKey; // Don't save API key to file
+            delete cleanConfig.geminiApiKey; // Don't save API keys to file
+            delete cleanConfig.aiApiKey;
             
             await fs.writeFile(this.configPath, JSON.stringify(cleanConfig, null, 2));
         } catch (error) {
@@ -247,6 +286,16 @@ class ConfigManager {
             }
         });
         
+        // Provider-specific requirements
+        if (this.config.aiProvider === 'gemini' && !this.config.geminiApiKey) {
+            errors.push('geminiApiKey is required when aiProvider is gemini');
+        }
+        if (this.config.aiProvider === 'ollama' || this.config.aiProvider === 'openai') {
+            if (!this.config.aiModel) {
+                errors.push(`aiModel is required when aiProvider is ${this.config.aiProvider}`);
+            }
+        }
+        
         if (errors.length > 0) {
             throw new Error(`Configuration validation failed: ${errors.join('; ')}`);
         }
@@ -260,6 +309,7 @@ class ConfigManager {
         // Return config without sensitive information
         const publicConfig = { ...this.config };
         delete publicConfig.geminiApiKey;
+        delete publicConfig.aiApiKey;
         delete publicConfig.webhookUrl;
         delete publicConfig.adminUsers;
         return publicConfig;
@@ -0,0 +1,473 @@
+// modules/CraftingManager.js - Executes server recipes through item_stack_request and verifies the result
+const EYE_HEIGHT = 1.62;
+const REACH = 5; // blocks a crafting table can be used from
+const CONTAINER_TIMEOUT = 3000; // ms to wait for container_open
+const RESPONSE_TIMEOUT = 5000; // ms to wait for item_stack_response
+const PLACE_TIMEOUT = 3000; // ms to wait for the server to confirm a placed block
+const CREATED_OUTPUT_SLOT = 50; // where the server puts a crafted stack before it is placed
+const MAX_STACK = 64;
+
+class CraftingManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = null;
+        this.client = null;
+
+        this.nextRequestId = -1;
+        this.pendingRequests = new Map();
+        this.openContainer = null;
+        this.containerWaiter = null;
+        this.knownTables = [];
+        this.busy = false;
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    get inventory() {
+        return this.managers?.inventory || this.bot.inventoryManager;
+    }
+
+    get recipes() {
+        return this.bot.recipeDatabase;
+    }
+
+    // Open windows and pending stack requests belong to the old connection; their ids mean nothing on the new one
+    attach(client) {
+        this.client = client;
+        this.openContainer = null;
+        this.knownTables = [];
+        this.rejectPending('Connection replaced');
+
+        client.on('item_stack_response', (packet) => this.handleStackResponse(packet));
+        client.on('container_open', (packet) => this.handleContainerOpen(packet));
+        client.on('container_close', (packet) => this.handleContainerClose(packet));
+    }
+
+    handleStackResponse(packet) {
+        for (const response of packet.responses || []) {
+            const pending = this.pendingRequests.get(response.request_id);
+            if (!pending) continue;
+
+            clearTimeout(pending.timer);
+            this.pendingRequests.delete(response.request_id);
+            pending.resolve(response);
+        }
+    }
+
+    handleContainerOpen(packet) {
+        this.openContainer = {
+            windowId: packet.window_id,
+            type: packet.window_type,
+            position: packet.coordinates ? { ...packet.coordinates } : null
+        };
+
+        if (packet.window_type === 'workbench' && packet.coordinates) {
+            this.rememberTable(packet.coordinates);
+        }
+
+        if (this.containerWaiter) {
+            this.containerWaiter(this.openContainer);
+            this.containerWaiter = null;
+        }
+    }
+
+    handleContainerClose(packet) {
+        if (this.openContainer && packet.window_id === this.openContainer.windowId) {
+            this.openContainer = null;
+        }
+    }
+
+    rememberTable(position) {
+        const known = this.knownTables.some(table =>
+            table.x === position.x && table.y === position.y && table.z === position.z);
+        if (!known) {
+            this.knownTables.push({ x: position.x, y: position.y, z: position.z });
+        }
+    }
+
+    // Craft `count` of an item (rounded up to whole recipe outputs)
+    async craft(item, count = 1) {
+        const name = this.recipes.shortName(item);
+        if (!this.client || !this.bot.connected) {
+            return this.fail(name, count, 'not_connected');
+        }
+        if (this.busy) {
+            return this.fail(name, count, 'busy');
+        }
+
+        this.busy = true;
+        try {
+            return await this.executeCraft(name, count);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    async executeCraft(name, count) {
+        // Planner targets like 'planks' are tags: any member the server can craft will do
+        const candidates = this.recipes.isTag(name)
+            ? this.recipes.getTagMembers(name).flatMap(member => this.recipes.getExecutableRecipes(member))
+            : this.recipes.getExecutableRecipes(name);
+        if (candidates.length === 0) {
+            const reason = this.recipes.isCraftable(name) ? 'recipe_not_synced' : 'no_recipe';
+            return this.fail(name, count, reason);
+        }
+
+        // First recipe whose ingredients are all in the inventory
+        let selected = null;
+        let missing = null;
+        for (const recipe of candidates) {
+            const times = Math.ceil(count / recipe.count);
+            const allocation = this.allocateIngredients(recipe, times);
+            if (allocation.missing.length === 0) {
+                selected = { recipe, times, consumed: allocation.consumed };
+                break;
+            }
+            missing = missing || allocation.missing;
+        }
+
+        if (!selected) {
+            return this.fail(name, count, 'missing_ingredients', { missing });
+        }
+
+        const { recipe, times, consumed } = selected;
+        const output = recipe.output;
+        const produced = times * recipe.count;
+        const destination = this.findDestinationSlot(output, produced, consumed);
+        if (destination === null) {
+            return this.fail(name, count, 'inventory_full');
+        }
+
+        if (recipe.station === 'crafting_table') {
+            const opened = await this.openCraftingTable();
+            if (!opened.success) {
+                return this.fail(name, count, opened.reason);
+            }
+        }
+
+        try {
+            const before = this.inventory.getItemCount(output);
+            const requestId = this.takeRequestId();
+            const response = await this.sendStackRequest(requestId,
+                this.buildCraftActions(requestId, recipe, times, consumed, destination, produced));
+
+            if (response.status !== 'ok' && response.status !== 0) {
+                return this.fail(name, count, 'rejected', { requestId });
+            }
+
+            this.inventory.applyStackResponse(response, { [destination.slot]: `minecraft:${output}` });
+
+            // Trust the mirror, not our own prediction
+            const gained = this.inventory.getItemCount(output) - before;
+            if (gained < produced) {
+                return this.fail(name, count, 'verification_failed', { expected: produced, gained });
+            }
+
+            console.log(`🔨 Crafted ${produced}x ${this.displayName(output)}`);
+            this.bot.emit('item_crafted', { item: output, count: produced, recipe: recipe.networkId });
+            return { success: true, item: output, crafted: produced };
+        } catch (error) {
+            return this.fail(name, count, 'no_response', { error: error.message });
+        } finally {
+            if (recipe.station === 'crafting_table') {
+                this.closeContainer();
+            }
+        }
+    }
+
+    // Run the craft steps of a CraftingPlanner plan in order, stopping at the first failure
+    async craftFromPlan(plan) {
+        const crafted = [];
+        for (const step of plan.craft) {
+            const result = await this.craft(step.item, step.count);
+            if (!result.success) {
+                return { success: false, crafted, failed: step, reason: result.reason };
+            }
+            crafted.push(result);
+        }
+        return { success: true, crafted };
+    }
+
+    // A planner step can run now when its ingredients are on hand and its station is reachable
+    canCraftStep(step) {
+        if (step.station === 'furnace') return false; // smelting is not automated
+
+        const stock = (this.managers?.planner || this.bot.craftingPlanner).getStock();
+        const enough = Object.entries(step.ingredients).every(([ingredient, perCraft]) =>
+            (stock[ingredient] || 0) >= perCraft * step.crafts);
+        if (!enough) return false;
+
+        return step.station !== 'crafting_table' ||
+            !!this.findNearbyTable() || this.inventory.findHotbarSlot('crafting_table') !== null;
+    }
+
+    // Pick inventory slots for every ingredient; a slot is never promised twice
+    allocateIngredients(recipe, times) {
+        const remainingInSlot = new Map();
+        const consumed = [];
+        const missing = [];
+
+        for (const [ingredient, perCraft] of Object.entries(recipe.ingredients)) {
+            let needed = perCraft * times;
+
+            this.inventory.containers.inventory.forEach((slotItem, slot) => {
+                if (needed <= 0 || !slotItem || !this.recipes.matchesIngredient(ingredient, slotItem.name)) return;
+
+                const available = remainingInSlot.get(slot) ?? slotItem.count;
+                const used = Math.min(available, needed);
+                if (used <= 0) return;
+
+                remainingInSlot.set(slot, available - used);
+                consumed.push({ slot, count: used, stackId: slotItem.stackId ?? 0 });
+                needed -= used;
+            });
+
+            if (needed > 0) {
+                missing.push({ item: ingredient, count: needed });
+            }
+        }
+
+        return { consumed, missing };
+    }
+
+    // An existing stack with room, otherwise an empty slot (or one the craft empties)
+    findDestinationSlot(name, produced, consumed) {
+        const slots = this.inventory.containers.inventory;
+        const wanted = `minecraft:${name}`;
+        const emptied = new Set(consumed
+            .filter(use => slots[use.slot] && slots[use.slot].count === use.count)
+            .map(use => use.slot));
+
+        const stackSlot = slots.findIndex(slotItem =>
+            slotItem && slotItem.name === wanted && slotItem.count + produced <= MAX_STACK);
+        if (stackSlot >= 0) {
+            return { slot: stackSlot, stackId: slots[stackSlot].stackId ?? 0 };
+        }
+
+        const emptySlot = slots.findIndex((slotItem, slot) => !slotItem || emptied.has(slot));
+        return emptySlot >= 0 ? { slot: emptySlot, stackId: 0 } : null;
+    }
+
+    // Recipe-book style request: ingredients are consumed straight from the inventory
+    buildCraftActions(requestId, recipe, times, consumed, destination, produced) {
+        const actions = [
+            { type_id: 'craft_recipe_auto', recipe_network_id: recipe.networkId, times_crafted: times, ingredients: recipe.input || [] },
+            { type_id: 'results_deprecated', result_items: [{ ...recipe.result, count: produced }], times_crafted: times }
+        ];
+
+        for (const use of consumed) {
+            actions.push({
+                type_id: 'consume',
+                count: use.count,
+                source: { slot_type: 'hotbar_and_inventory', slot: use.slot, stack_id: use.stackId }
+            });
+        }
+
+        actions.push({
+            type_id: 'place',
+            count: produced,
+            source: { slot_type: 'creative_output', slot: CREATED_OUTPUT_SLOT, stack_id: requestId },
+            destination: { slot_type: 'hotbar_and_inventory', slot: destination.slot, stack_id: destination.stackId }
+        });
+
+        return actions;
+    }
+
+    takeRequestId() {
+        // Clients use odd negative ids so they never collide with server-initiated ones
+        const requestId = this.nextRequestId;
+        this.nextRequestId -= 2;
+        return requestId;
+    }
+
+    sendStackRequest(requestId, actions) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(requestId);
+                reject(new Error(`No item_stack_response for request ${requestId}`));
+            }, RESPONSE_TIMEOUT);
+
+            this.pendingRequests.set(requestId, { resolve, reject, timer });
+            this.client.write('item_stack_request', {
+                requests: [{ request_id: requestId, actions, custom_names: [], cause: 'chat_public' }]
+            });
+            this.bot.emit('packet_sent');
+        });
+    }
+
+    // Swaps an inventory item with whatever sits in `targetSlot`, which may be nothing; true once the server accepts
+    async swapSlots(slotItem, targetSlot) {
+        const displaced = this.inventory.containers.inventory[targetSlot];
+        try {
+            const response = await this.sendStackRequest(this.takeRequestId(), [{
+                type_id: 'swap',
+                source: { slot_type: 'hotbar_and_inventory', slot: slotItem.slot, stack_id: slotItem.stackId },
+                destination: { slot_type: 'hotbar_and_inventory', slot: targetSlot, stack_id: displaced?.stackId ?? 0 }
+            }]);
+            if (response.status !== 'ok' && response.status !== 0) return false;
+
+            const created = { [targetSlot]: slotItem };
+            if (displaced) created[slotItem.slot] = displaced;
+            this.inventory.applyStackResponse(response, created);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    rejectPending(reason) {
+        for (const pending of this.pendingRequests.values()) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error(reason));
+        }
+        this.pendingRequests.clear();
+    }
+
+    // Crafting table handling
+    async openCraftingTable() {
+        if (this.openContainer?.type === 'workbench') {
+            return { success: true };
+        }
+
+        let table = this.findNearbyTable();
+        if (!table) {
+            const placed = await this.placeCraftingTable();
+            if (!placed.success) return placed;
+            table = placed.position;
+        }
+
+        const opened = this.waitForContainer(CONTAINER_TIMEOUT);
+        this.inventory.useItem(this.getHeldSlot(), table);
+        const container = await opened;
+
+        if (!container || container.type !== 'workbench') {
+            // A table that does not open is gone or was never placed
+            this.knownTables = this.knownTables.filter(known => known !== table);
+            return { success: false, reason: 'table_not_opened' };
+        }
+        return { success: true };
+    }
+
+    findNearbyTable() {
+        const feet = this.getFeetPosition();
+        if (!feet) return null;
+
+        return this.knownTables
+            .map(table => ({ table, distance: this.distance(table, feet) }))
+            .filter(({ distance }) => distance <= REACH)
+            .sort((a, b) => a.distance - b.distance)[0]?.table || null;
+    }
+
+    // Put a table from the hotbar on the ground next to the bot; it only counts once the server shows it
+    async placeCraftingTable() {
+        const slot = this.inventory.findHotbarSlot('crafting_table');
+        if (slot === null) {
+            return { success: false, reason: this.inventory.hasItem('crafting_table') ? 'crafting_table_not_in_hotbar' : 'no_crafting_table' };
+        }
+
+        const feet = this.getFeetPosition();
+        if (!feet) return { success: false, reason: 'unknown_position' };
+
+        // The server checks the held item against the slot we claim to use
+        if (this.getHeldSlot() !== slot && !await this.inventory.selectHotbarSlot(slot)) {
+            return { success: false, reason: 'not_connected' };
+        }
+
+        const ground = { x: feet.x + 1, y: feet.y - 1, z: feet.z };
+        const position = { x: ground.x, y: ground.y + 1, z: ground.z };
+        const placed = this.waitForBlock(position, 'crafting_table', PLACE_TIMEOUT);
+        this.inventory.useItem(slot, ground);
+
+        if (!await placed) {
+            return { success: false, reason: 'table_not_placed' };
+        }
+
+        this.rememberTable(position);
+        console.log(`🪵 Placed crafting table at ${position.x}, ${position.y}, ${position.z}`);
+        return { success: true, position: this.knownTables.find(table =>
+            table.x === position.x && table.y === position.y && table.z === position.z) };
+    }
+
+    waitForContainer(timeout) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.containerWaiter = null;
+                resolve(null);
+            }, timeout);
+
+            this.containerWaiter = (container) => {
+                clearTimeout(timer);
+                resolve(container);
+            };
+        });
+    }
+
+    // Resolves true once the world model sees `name` appear at `position`
+    waitForBlock(position, name, timeout) {
+        return new Promise(resolve => {
+            const onChange = (change) => {
+                const at = change.position;
+                if (at.x !== position.x || at.y !== position.y || at.z !== position.z || change.name !== name) return;
+                clearTimeout(timer);
+                this.bot.removeListener('block_changed', onChange);
+                resolve(true);
+            };
+            const timer = setTimeout(() => {
+                this.bot.removeListener('block_changed', onChange);
+                resolve(false);
+            }, timeout);
+
+            this.bot.on('block_changed', onChange);
+        });
+    }
+
+    closeContainer() {
+        if (!this.openContainer || !this.client || !this.bot.connected) return;
+
+        this.client.write('container_close', { window_id: this.openContainer.windowId, server: false });
+        this.bot.emit('packet_sent');
+        this.openContainer = null;
+    }
+
+    getHeldSlot() {
+        return this.inventory.selectedSlot;
+    }
+
+    getFeetPosition() {
+        const position = this.bot.position;
+        if (!position) return null;
+        return {
+            x: Math.floor(position.x),
+            y: Math.floor(position.y - EYE_HEIGHT),
+            z: Math.floor(position.z)
+        };
+    }
+
+    distance(a, b) {
+        return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+    }
+
+    displayName(name) {
+        return this.bot.itemRegistry.displayName(name);
+    }
+
+    fail(item, count, reason, details = {}) {
+        const missing = details.missing ? ` (missing ${details.missing.map(m => `${m.count} ${m.item}`).join(', ')})` : '';
+        console.log(`❌ Cannot craft ${count}x ${this.displayName(item)}: ${reason}${missing}`);
+
+        this.bot.emit('crafting_failed', { item, count, reason, ...details });
+        return { success: false, item, reason, ...details };
+    }
+
+    getStats() {
+        return {
+            knownTables: this.knownTables.length,
+            openContainer: this.openContainer?.type || null,
+            pendingRequests: this.pendingRequests.size
+        };
+    }
+}
+
+module.exports = CraftingManager;
@@ -0,0 +1,287 @@
+// modules/CraftingPlanner.js - Expands targets into a raw-material bill and an ordered gather/craft list
+const { aliases, goals, phases, sources } = require('./data/recipes.json');
+
+// A better pickaxe can always stand in for a worse one
+const PICKAXE_TIERS = ['wooden_pickaxe', 'stone_pickaxe', 'iron_pickaxe', 'diamond_pickaxe', 'netherite_pickaxe'];
+
+// Recipes this deep are certainly a cycle the filter missed
+const MAX_DEPTH = 16;
+
+// One piece of fuel smelts this many items
+const ITEMS_PER_FUEL = 8;
+
+// Tags read better in chat as the item people actually collect
+const TAG_LABELS = {
+    stone_tool_materials: 'Cobblestone',
+    coals: 'Coal',
+    wool: 'Wool'
+};
+
+class CraftingPlanner {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = null;
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    get recipes() {
+        return this.bot.recipeDatabase;
+    }
+
+    get itemRegistry() {
+        return this.bot.itemRegistry;
+    }
+
+    // 'full diamond armor + 12 eyes of ender' or { diamond_sword: 1 } -> { item: count }
+    parseTargets(input) {
+        const targets = {};
+        const add = (name, count) => {
+            const item = this.resolveName(name);
+            if (goals[item]) {
+                for (const [goalItem, goalCount] of Object.entries(goals[item])) {
+                    add(goalItem, goalCount * count);
+                }
+                return;
+            }
+            targets[item] = (targets[item] || 0) + count;
+        };
+
+        if (typeof input === 'string') {
+            for (const part of input.split(/\s*[+,]\s*/)) {
+                const match = part.trim().match(/^(\d+)\s*x?\s+(.+)$/i);
+                if (match) {
+                    add(match[2], parseInt(match[1]));
+                } else if (part.trim()) {
+                    add(part, 1);
+                }
+            }
+        } else {
+            for (const [name, count] of Object.entries(input || {})) {
+                add(name, count);
+            }
+        }
+
+        return targets;
+    }
+
+    resolveName(name) {
+        const item = name.trim().toLowerCase()
+            .replace(/^minecraft:/, '')
+            .replace(/^(a|an|full|some)\s+/, '')
+            .replace(/\s+/g, '_');
+
+        const known = candidate => aliases[candidate] || (goals[candidate] || this.isKnown(candidate) ? candidate : null);
+        return known(item) || known(item.replace(/e?s$/, '')) || item;
+    }
+
+    isKnown(item) {
+        return this.recipes.isCraftable(item) || this.recipes.isTag(item) || !!sources[item] ||
+            this.itemRegistry.getId(item) !== null;
+    }
+
+    planPhase(phase) {
+        return this.plan(phases[phase] || {});
+    }
+
+    getPhaseTargets(phase) {
+        return this.parseTargets(phases[phase] || {});
+    }
+
+    plan(input) {
+        const targets = this.parseTargets(input);
+        const stock = this.getStock();
+
+        // Pass 1: choose a recipe per item and order items so dependencies come first
+        const order = [];
+        const chosen = new Map();
+        const tools = new Map();
+        const visited = new Set();
+        const visit = (item, path) => {
+            if (visited.has(item)) return;
+            visited.add(item);
+
+            const recipe = path.length < MAX_DEPTH ? this.chooseRecipe(item, stock, path) : null;
+            chosen.set(item, recipe);
+
+            const next = [...path, item];
+            if (recipe) {
+                for (const ingredient of Object.keys(recipe.ingredients)) visit(ingredient, next);
+                if (recipe.station !== 'inventory') visit(recipe.station, next);
+                if (recipe.station === 'furnace') visit('coals', next);
+            } else {
+                const tool = this.requiredTool(item, stock);
+                if (tool && !next.includes(tool)) {
+                    tools.set(item, tool);
+                    visit(tool, next);
+                }
+            }
+            order.push(item);
+        };
+        for (const item of Object.keys(targets)) visit(item, []);
+
+        // Pass 2: consumers before ingredients, so every demand is known before it is netted
+        const demand = new Map(Object.entries(targets));
+        const needOnce = new Set(); // stations and tools are used, not consumed
+        const addDemand = (item, count) => demand.set(item, (demand.get(item) || 0) + count);
+        const results = new Map();
+
+        for (const item of [...order].reverse()) {
+            const gross = Math.max(demand.get(item) || 0, needOnce.has(item) ? 1 : 0);
+            const have = Math.min(stock[item] || 0, gross);
+            const net = gross - have;
+            this.consume(stock, item, have);
+            const recipe = chosen.get(item);
+            results.set(item, { gross, have, net });
+
+            if (net <= 0) continue;
+
+            if (recipe) {
+                const crafts = Math.ceil(net / recipe.count);
+                results.get(item).crafts = crafts;
+                for (const [ingredient, count] of Object.entries(recipe.ingredients)) {
+                    addDemand(ingredient, count * crafts);
+                }
+                if (recipe.station !== 'inventory') needOnce.add(recipe.station);
+                if (recipe.station === 'furnace') addDemand('coals', Math.ceil(crafts / ITEMS_PER_FUEL));
+            } else if (tools.has(item)) {
+                needOnce.add(tools.get(item));
+            }
+        }
+
+        return this.buildPlan(targets, order, chosen, tools, results);
+    }
+
+    buildPlan(targets, order, chosen, tools, results) {
+        const gather = [];
+        const craft = [];
+        const steps = [];
+
+        for (const item of order) {
+            const { net, crafts } = results.get(item);
+            if (!net || net <= 0) continue;
+
+            const recipe = chosen.get(item);
+            if (recipe) {
+                const step = {
+                    type: 'craft',
+                    item,
+                    count: crafts * recipe.count,
+                    crafts,
+                    station: recipe.station,
+                    ingredients: recipe.ingredients
+                };
+                step.description = `Craft ${step.count} ${this.displayName(item)}` +
+                    (recipe.station !== 'inventory' ? ` at ${this.displayName(recipe.station)}` : '');
+                craft.push(step);
+                steps.push(step);
+            } else {
+                const step = { type: 'gather', item, count: net, ...this.describeSource(item, tools.get(item)) };
+                step.description = `Gather ${net} ${this.displayName(item)} (${step.method}` +
+                    (step.tool ? `, needs ${this.displayName(step.tool)}` : '') + ')';
+                gather.push(step);
+                steps.push(step);
+            }
+        }
+
+        const have = {};
+        for (const [item, result] of results) {
+            if (result.have > 0) have[item] = result.have;
+        }
+
+        return {
+            targets,
+            have,
+            gather,
+            craft,
+            steps,
+            complete: steps.length === 0
+        };
+    }
+
+    // Prefer a recipe whose direct ingredients are already in stock; never one that loops back
+    chooseRecipe(item, stock, path) {
+        const candidates = this.recipes.getRecipes(item)
+            .filter(recipe => !Object.keys(recipe.ingredients).some(ingredient =>
+                ingredient === item || path.includes(ingredient)));
+
+        return candidates.find(recipe => Object.entries(recipe.ingredients)
+            .every(([ingredient, count]) => (stock[ingredient] || 0) >= count)) || candidates[0] || null;
+    }
+
+    requiredTool(item, stock) {
+        const tool = sources[item]?.tool;
+        if (!tool) return null;
+
+        const tier = PICKAXE_TIERS.indexOf(tool);
+        if (tier >= 0 && PICKAXE_TIERS.slice(tier).some(pickaxe => stock[pickaxe] > 0)) return null;
+        return tool;
+    }
+
+    describeSource(item, tool) {
+        if (sources[item]) {
+            return { method: sources[item].method, tool: tool || null, mobs: [] };
+        }
+
+        const mobs = this.bot.entityRegistry?.findByLoot(item) || [];
+        if (mobs.length > 0) {
+            const names = mobs.slice(0, 2).map(mob => this.bot.entityRegistry.getDisplayName(mob));
+            return { method: `kill ${names.join(' or ')}`, tool: null, mobs };
+        }
+
+        return { method: 'find or trade', tool: null, mobs: [] };
+    }
+
+    // Short item name -> count across inventory, offhand and worn armor, with tag totals
+    getStock() {
+        const inventory = this.managers?.inventory || this.bot.inventoryManager;
+        const stock = {};
+        for (const slotItem of [...inventory.getAllItems(), ...inventory.getArmorItems()]) {
+            const name = this.itemRegistry.shortName(slotItem.name);
+            stock[name] = (stock[name] || 0) + slotItem.count;
+        }
+
+        for (const [tag, members] of this.recipes.tags) {
+            const total = members.reduce((sum, member) => sum + (stock[member] || 0), 0);
+            if (total > 0) stock[tag] = (stock[tag] || 0) + total;
+        }
+
+        return stock;
+    }
+
+    // Keep tag totals and their member counts in step so one stack is never spent twice
+    consume(stock, item, amount) {
+        if (amount <= 0) return;
+        stock[item] -= amount;
+
+        for (const [tag, members] of this.recipes.tags) {
+            if (tag === item) {
+                let remaining = amount;
+                for (const member of members) {
+                    const used = Math.min(stock[member] || 0, remaining);
+                    if (used > 0) stock[member] -= used;
+                    remaining -= used;
+                }
+            } else if (members.includes(item) && stock[tag]) {
+                stock[tag] = Math.max(0, stock[tag] - amount);
+            }
+        }
+    }
+
+    displayName(item) {
+        return TAG_LABELS[item] || this.itemRegistry.displayName(item);
+    }
+
+    // One chat line: what is still needed and what to do next
+    summarize(plan, maxLength = 120) {
+        if (plan.complete) return '✅ Everything on the list is ready';
+
+        const needs = plan.gather.map(step => `${step.count} ${this.displayName(step.item)}`).join(', ');
+        const line = `Need: ${needs || 'nothing raw'} | Next: ${plan.steps[0].description}`;
+        return line.length > maxLength ? `${line.slice(0, maxLength - 3)}...` : line;
+    }
+}
+
+module.exports = CraftingPlanner;
@@ -0,0 +1,331 @@
+// modules/DragonFightController.js - Runs the ender dragon fight from the dragon's entity packets
+const DRAGON = 'minecraft:ender_dragon';
+const BREATH_CLOUD = 'minecraft:area_effect_cloud';
+const DRAGON_FIREBALL = 'minecraft:dragon_fireball';
+
+const FOUNTAIN = { x: 0, z: 0 }; // the exit portal the dragon perches on
+const TICK_INTERVAL = 250; // ms between decisions
+const SAMPLE_WINDOW = 1000; // ms of dragon positions behind its measured velocity
+
+const PERCH_RADIUS = 8; // blocks from the fountain while perched
+const PERCH_SPEED = 0.15; // blocks per tick; slower than this over the fountain is a perch
+const LANDING_RADIUS = 40; // blocks from the fountain where a dive toward it is a landing
+const HEADING_ALIGNMENT = 0.85; // cosine between the dragon's heading and a target it flies at
+const CHARGE_RANGE = 40; // blocks; further away a dive at the bot is still a strafing run
+const CHARGE_HEIGHT = 12; // blocks above the bot a charge comes down to
+const FIREBALL_MEMORY = 2000; // ms a fireball keeps the run counted as strafing
+
+const BREATH_DODGE_RADIUS = 5; // blocks from a breath cloud the bot steps away at
+const FIREBALL_DODGE_RADIUS = 12;
+const DODGE_DISTANCE = 6; // blocks sideways out of a charge or a fireball's path
+const READY_DISTANCE = 10; // blocks from the fountain to wait for a perch
+
+class DragonFightController {
+    // Tests pass their own clock to play back dragon flight samples
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.now = options.now || Date.now;
+        this.managers = null;
+        this.dragonId = null;
+        this.active = false;
+        this.timer = null;
+        this.acting = false;
+        this.phase = 'none'; // none, circling, strafing, charging, landing, perching, breathing, dying
+        this.samples = [];
+        this.lastFireball = -Infinity;
+        this.lastAction = null;
+        this.warnedNoBow = false;
+        this.stats = { fights: 0, phaseChanges: 0, actions: {} };
+
+        this.bot.on('entity_spawned', (entity) => this.handleSpawn(entity));
+        this.bot.on('entity_removed', (entity) => this.handleRemoved(entity));
+        this.bot.on('entity_died', (entity) => this.handleDied(entity));
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    get entities() {
+        return this.managers?.entities || this.bot.entityTracker;
+    }
+
+    get crystals() {
+        return this.managers?.crystals || this.bot.crystalPlanner;
+    }
+
+    // The dragon comes back under a new runtime id after a reconnect, so the fight is picked up afresh
+    attach() {
+        this.stop('disconnected');
+    }
+
+    isDragon(entity) {
+        return this.bot.entityRegistry.is(entity, DRAGON);
+    }
+
+    isControlling(target) {
+        return this.active && target?.id === this.dragonId;
+    }
+
+    handleSpawn(entity) {
+        if (this.bot.entityRegistry.is(entity, DRAGON_FIREBALL)) {
+            this.lastFireball = this.now();
+        }
+    }
+
+    handleRemoved(entity) {
+        // Leaving render distance also removes the dragon; the fight is not over until it dies
+        if (entity.id === this.dragonId && this.active && !entity.dead) {
+            console.log('🐉 Dragon out of view, waiting for it to return');
+        }
+    }
+
+    handleDied(entity) {
+        if (!this.isDragon(entity)) return;
+
+        this.setPhase('dying');
+        this.stop('victory');
+        console.log('🏆 Ender dragon killed');
+        this.bot.emit('ender_dragon_defeated', entity);
+    }
+
+    start(dragon) {
+        if (this.active && this.dragonId === dragon.id) return;
+        this.stop('retarget');
+
+        this.dragonId = dragon.id;
+        this.active = true;
+        this.samples = [];
+        this.warnedNoBow = false;
+        this.stats.fights++;
+
+        console.log(`🐉 Dragon fight started: ${this.crystals.count} end crystals standing`);
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    }
+
+    stop(outcome) {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (!this.active) return;
+
+        this.active = false;
+        console.log(`🐉 Dragon fight ended: ${outcome}`);
+        this.bot.emit('dragon_fight_ended', { outcome, dragonId: this.dragonId });
+    }
+
+    async tick() {
+        if (this.acting || !this.active || !this.bot.connected) return;
+
+        const dragon = this.entities.getEntity(this.dragonId);
+        if (!dragon || dragon.dead) return;
+
+        this.recordSample(dragon);
+        this.setPhase(this.detectPhase(dragon));
+
+        this.acting = true;
+        try {
+            await this.act(dragon);
+        } catch (error) {
+            console.error('Dragon fight action failed:', error.message);
+        } finally {
+            this.acting = false;
+        }
+    }
+
+    recordSample(dragon) {
+        const now = this.now();
+        this.samples.push({ time: now, position: { ...dragon.position } });
+        while (this.samples.length > 2 && now - this.samples[0].time > SAMPLE_WINDOW) {
+            this.samples.shift();
+        }
+    }
+
+    // Blocks per tick, from the positions seen over the last second
+    getVelocity() {
+        if (this.samples.length < 2) return { x: 0, y: 0, z: 0 };
+        const first = this.samples[0];
+        const last = this.samples[this.samples.length - 1];
+        const ticks = (last.time - first.time) / 50;
+        if (ticks <= 0) return { x: 0, y: 0, z: 0 };
+        return {
+            x: (last.position.x - first.position.x) / ticks,
+            y: (last.position.y - first.position.y) / ticks,
+            z: (last.position.z - first.position.z) / ticks
+        };
+    }
+
+    // How directly the dragon is flying at a point: 1 straight at it, 0 sideways, -1 away
+    headingToward(dragon, velocity, point) {
+        const speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+        const dx = point.x - dragon.position.x;
+        const dy = point.y - dragon.position.y;
+        const dz = point.z - dragon.position.z;
+        const distance = Math.hypot(dx, dy, dz);
+        if (speed === 0 || distance === 0) return 0;
+        return (velocity.x * dx + velocity.y * dy + velocity.z * dz) / (speed * distance);
+    }
+
+    detectPhase(dragon) {
+        const velocity = this.getVelocity();
+        const speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+        const fromFountain = Math.hypot(dragon.position.x - FOUNTAIN.x, dragon.position.z - FOUNTAIN.z);
+
+        if (fromFountain <= PERCH_RADIUS && speed < PERCH_SPEED) {
+            return this.findBreathClouds(dragon.position, PERCH_RADIUS * 2).length > 0 ? 'breathing' : 'perching';
+        }
+
+        const perchHeight = this.bot.entityRegistry.getBehavior(DRAGON, 'perchHeight') || 64;
+        const fountain = { x: FOUNTAIN.x, y: perchHeight, z: FOUNTAIN.z };
+        if (fromFountain <= LANDING_RADIUS && velocity.y < 0 && this.headingToward(dragon, velocity, fountain) >= HEADING_ALIGNMENT) {
+            return 'landing';
+        }
+
+        const bot = this.bot.position;
+        if (bot && this.headingToward(dragon, velocity, bot) >= HEADING_ALIGNMENT) {
+            const distance = Math.hypot(dragon.position.x - bot.x, dragon.position.z - bot.z);
+            const diving = dragon.position.y - bot.y <= CHARGE_HEIGHT && velocity.y <= 0;
+            if (distance <= CHARGE_RANGE && diving && this.now() - this.lastFireball > FIREBALL_MEMORY) {
+                return 'charging';
+            }
+            return 'strafing';
+        }
+        if (this.now() - this.lastFireball <= FIREBALL_MEMORY) return 'strafing';
+
+        return 'circling';
+    }
+
+    setPhase(phase) {
+        if (phase === this.phase) return;
+        const previous = this.phase;
+        this.phase = phase;
+        this.stats.phaseChanges++;
+        console.log(`🐉 Dragon phase: ${previous} → ${phase}`);
+        this.bot.emit('dragon_phase_changed', { phase, previous });
+    }
+
+    findBreathClouds(position, radius) {
+        if (!position) return [];
+        return this.entities.getEntitiesWithin(position, radius, entity => this.bot.entityRegistry.is(entity, BREATH_CLOUD));
+    }
+
+    // One action per tick, most urgent first
+    async act(dragon) {
+        const bot = this.bot.position;
+        if (!bot) return;
+        const combat = this.managers.combat;
+        const ranged = this.managers.ranged;
+
+        const cloud = this.findBreathClouds(bot, BREATH_DODGE_RADIUS)[0];
+        if (cloud) {
+            return this.perform('dodge_breath', () => this.stepAway(cloud.entity.position, DODGE_DISTANCE));
+        }
+
+        const fireball = this.entities.findNearestOfType(DRAGON_FIREBALL, bot, FIREBALL_DODGE_RADIUS);
+        if (fireball) {
+            return this.perform('dodge_fireball', () => this.sidestep(fireball.entity.velocity));
+        }
+
+        if (this.phase === 'charging') {
+            return this.perform('dodge_charge', () => this.sidestep(this.getVelocity()));
+        }
+
+        // Any pass within reach is worth a swing; perched is the only time it stays there
+        const target = { ...dragon, distance: combat.calculateDistance(bot, dragon.position) };
+        if (await combat.attackTarget(target)) {
+            return this.perform('melee');
+        }
+        if (this.phase === 'breathing') {
+            // Walking in now means walking through the breath
+            return this.perform('wait_out_breath');
+        }
+        if (this.phase === 'perching') {
+            return this.perform('approach_perch', () => this.managers.navigation.moveToPosition(
+                this.pointToward(dragon.position, combat.config.meleeReach - 1), 1));
+        }
+
+        // Crystals heal the dragon: shoot what we can see, walk to where we can, and leave the
+        // ones that need a tower for later
+        if (this.crystals.count > 0) {
+            const crystal = this.crystals.findShootable();
+            if (crystal && ranged?.canShoot()) {
+                return this.perform('shoot_crystal', () => ranged.shoot(crystal));
+            }
+
+            const plans = this.crystals.getPlans();
+            const shot = plans.find(plan => plan.method === 'shoot');
+            if (shot && ranged?.canShoot()) {
+                return this.perform('move_to_shot', () => this.managers.navigation.moveToPosition(
+                    this.managers.pathfinder.toStandingPosition(shot.standAt), 1));
+            }
+            plans.filter(plan => plan.method === 'tower').forEach(plan => this.crystals.announceTower(plan));
+            if (!ranged?.getWeaponSlot() && !this.warnedNoBow) {
+                this.warnedNoBow = true;
+                console.log('🏹 No bow or crossbow on the hotbar; crystals have to be reached by hand');
+            }
+        }
+
+        if (ranged?.canShoot() && combat.calculateDistance(bot, dragon.position) <= 64) {
+            return this.perform('shoot_dragon', () => ranged.shoot(dragon));
+        }
+
+        // Nothing to hit from here: stand by the fountain for the next perch
+        const fromFountain = Math.hypot(bot.x - FOUNTAIN.x, bot.z - FOUNTAIN.z);
+        if (fromFountain > READY_DISTANCE * 1.5) {
+            return this.perform('move_to_fountain', () => this.managers.navigation.moveToPosition(
+                this.pointToward({ x: FOUNTAIN.x, y: bot.y, z: FOUNTAIN.z }, READY_DISTANCE), 2));
+        }
+        return this.perform('wait');
+    }
+
+    async perform(action, fn) {
+        this.lastAction = { action, phase: this.phase, time: this.now() };
+        this.stats.actions[action] = (this.stats.actions[action] || 0) + 1;
+        if (fn) await fn();
+    }
+
+    // The spot `distance` blocks short of a point, on the bot's side of it
+    pointToward(point, distance) {
+        const bot = this.bot.position;
+        const dx = bot.x - point.x;
+        const dz = bot.z - point.z;
+        const length = Math.hypot(dx, dz) || 1;
+        return { x: point.x + dx / length * distance, y: bot.y, z: point.z + dz / length * distance };
+    }
+
+    stepAway(point, distance) {
+        const bot = this.bot.position;
+        const dx = bot.x - point.x;
+        const dz = bot.z - point.z;
+        const length = Math.hypot(dx, dz) || 1;
+        return this.managers.navigation.moveToPosition({ x: bot.x + dx / length * distance, y: bot.y, z: bot.z + dz / length * distance }, 1);
+    }
+
+    // Out of the line something is travelling along, to whichever side is closer to the fountain
+    sidestep(velocity) {
+        const bot = this.bot.position;
+        const length = Math.hypot(velocity.x, velocity.z) || 1;
+        const side = { x: -velocity.z / length, z: velocity.x / length };
+        const towardFountain = side.x * (FOUNTAIN.x - bot.x) + side.z * (FOUNTAIN.z - bot.z) >= 0 ? 1 : -1;
+        return this.managers.navigation.moveToPosition({
+            x: bot.x + side.x * towardFountain * DODGE_DISTANCE,
+            y: bot.y,
+            z: bot.z + side.z * towardFountain * DODGE_DISTANCE
+        }, 1);
+    }
+
+    getStatus() {
+        const dragon = this.dragonId !== null ? this.entities.getEntity(this.dragonId) : null;
+        return {
+            active: this.active,
+            phase: this.phase,
+            dragon: dragon ? { id: dragon.id, health: dragon.health, position: dragon.position, dead: dragon.dead } : null,
+            crystals: this.crystals.count,
+            lastAction: this.lastAction,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = DragonFightController;
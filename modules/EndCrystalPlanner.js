@@ -0,0 +1,432 @@
+// modules/EndCrystalPlanner.js - Tracks end crystals on their pillars and plans how to destroy each
+// Every crystal stands on a bedrock block on top of an obsidian pillar, and a few are caged in iron
+// bars. An arrow needs a clear line from somewhere on the ground; otherwise the bot towers up beside
+// the pillar with building blocks, breaks the cage and hits the crystal from close range.
+const CRYSTAL = 'minecraft:ender_crystal';
+const PILLAR_BLOCK = 'obsidian';
+const CAGE_BLOCK = 'iron_bars';
+const PLAYER_WIDTH = 0.6;
+const PLAYER_HEIGHT = 1.8;
+
+const MAX_PILLAR_RADIUS = 6;
+const CAGE_REACH = 2; // blocks around the crystal the bars stand in
+const CAGE_HEIGHT = 4; // blocks above the crystal's feet the cage reaches
+const SHOT_DISTANCES = [10, 16, 24, 32]; // rings of ground spots tried around a pillar
+const SHOT_DIRECTIONS = 16;
+const GROUND_SEARCH = 8; // blocks above and below the bot's feet a shooting spot may stand
+const STRIKE_DISTANCE = 2.5; // blocks from the crystal when hitting it off the tower
+const SAFETY_MARGIN = 4; // health points left over after a crystal blows up next to us
+const VIEW_DISTANCE = 48; // blocks; a crystal that disappears further away may just be out of view
+const PLAN_TTL = 5000; // ms a plan stays good while the world around it settles
+
+class EndCrystalPlanner {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = null;
+        this.crystals = new Map(); // entity id -> { id, position, pillar, waypoint, inView, plan }
+        this.announced = new Set(); // crystal ids whose tower plan has been logged
+        this.stats = { seen: 0, destroyed: 0, planned: 0 };
+
+        this.bot.on('entity_spawned', (entity) => this.handleSpawn(entity));
+        this.bot.on('entity_removed', (entity) => this.handleRemoved(entity));
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    get world() {
+        return this.managers?.world || this.bot.worldModel;
+    }
+
+    get entities() {
+        return this.managers?.entities || this.bot.entityTracker;
+    }
+
+    get count() {
+        return this.getStanding().length;
+    }
+
+    // Crystals re-enter view with new runtime ids after a reconnect and get announced once more
+    attach() {
+        this.crystals.clear();
+        this.announced.clear();
+    }
+
+    isCrystal(entity) {
+        return this.bot.entityRegistry.is(entity, CRYSTAL);
+    }
+
+    handleSpawn(entity) {
+        if (!this.isCrystal(entity)) return;
+
+        // Back in view: same crystal, maybe a new entity id
+        for (const [id, record] of this.crystals) {
+            if (Math.hypot(record.position.x - entity.position.x, record.position.z - entity.position.z) > 1) continue;
+            this.crystals.delete(id);
+            this.crystals.set(entity.id, { ...record, id: entity.id, inView: true, plan: null });
+            return;
+        }
+
+        const record = {
+            id: entity.id,
+            position: { ...entity.position },
+            pillar: this.locatePillar(entity.position),
+            waypoint: null,
+            inView: true,
+            plan: null
+        };
+        if (this.managers?.navigation?.currentDimension === 'the_end') {
+            try {
+                record.waypoint = this.managers.navigation.addEndCrystalLocation(record.position).name;
+            } catch (error) {
+                console.error('Error saving end crystal waypoint:', error.message);
+            }
+        }
+
+        this.crystals.set(entity.id, record);
+        this.stats.seen++;
+        const pillar = record.pillar ? `on a ${record.pillar.height}-block pillar` : 'with no pillar found yet';
+        console.log(`💎 End crystal at ${Math.floor(entity.position.x)}, ${Math.floor(entity.position.y)}, ${Math.floor(entity.position.z)} ${pillar}`);
+    }
+
+    handleRemoved(entity) {
+        const record = this.crystals.get(entity.id);
+        if (!record) return;
+
+        // Crystals never move, so one vanishing close by has blown up
+        const bot = this.bot.position;
+        if (bot && Math.hypot(record.position.x - bot.x, record.position.z - bot.z) > VIEW_DISTANCE) {
+            record.inView = false;
+            return;
+        }
+
+        this.crystals.delete(entity.id);
+        this.announced.delete(entity.id);
+        this.stats.destroyed++;
+        if (record.waypoint) {
+            this.managers?.waypoints?.remove(record.waypoint, 'the_end');
+        }
+
+        const remaining = this.count;
+        console.log(`💎 End crystal gone, ${remaining} left`);
+        this.bot.emit('end_crystal_destroyed', { crystal: entity, remaining });
+    }
+
+    getStanding() {
+        return Array.from(this.crystals.values());
+    }
+
+    // Returns null while the column under the crystal is not loaded or is not obsidian
+    locatePillar(position) {
+        const world = this.world;
+        const x = Math.floor(position.x);
+        const z = Math.floor(position.z);
+        let top = Math.floor(position.y) - 1;
+        const support = world.getBlock(x, top, z);
+        if (!support) return null;
+        if (support.name === 'bedrock') top--;
+        if (world.getBlock(x, top, z)?.name !== PILLAR_BLOCK) return null;
+
+        let bottom = top;
+        while (world.getBlock(x, bottom - 1, z)?.name === PILLAR_BLOCK) bottom--;
+
+        const extent = (dx, dz) => {
+            let radius = 0;
+            while (radius < MAX_PILLAR_RADIUS && world.getBlock(x + dx * (radius + 1), top, z + dz * (radius + 1))?.name === PILLAR_BLOCK) {
+                radius++;
+            }
+            return radius;
+        };
+        const radius = Math.max(extent(1, 0), extent(-1, 0), extent(0, 1), extent(0, -1));
+
+        return { center: { x, z }, top, bottom, height: top - bottom + 1, radius };
+    }
+
+    findCageBars(position) {
+        const world = this.world;
+        const x = Math.floor(position.x);
+        const y = Math.floor(position.y);
+        const z = Math.floor(position.z);
+        const bars = [];
+        for (let dy = -1; dy <= CAGE_HEIGHT; dy++) {
+            for (let dx = -CAGE_REACH; dx <= CAGE_REACH; dx++) {
+                for (let dz = -CAGE_REACH; dz <= CAGE_REACH; dz++) {
+                    if (world.getBlock(x + dx, y + dy, z + dz)?.name === CAGE_BLOCK) {
+                        bars.push({ x: x + dx, y: y + dy, z: z + dz });
+                    }
+                }
+            }
+        }
+        return bars;
+    }
+
+    // Straight sight line standing in for the arrow's arc; unloaded blocks count as air
+    hasLineOfSight(from, to, ignore = []) {
+        return this.world.hasLineOfSight(from, to, ignore);
+    }
+
+    // Share of the body a blast at `center` can see, from rays to points spread over the hitbox
+    getExposure(center, feet) {
+        let seen = 0;
+        let total = 0;
+        for (let i = 0; i <= 2; i++) {
+            for (let j = 0; j <= 2; j++) {
+                for (let k = 0; k <= 2; k++) {
+                    const point = {
+                        x: feet.x - PLAYER_WIDTH / 2 + PLAYER_WIDTH * i / 2,
+                        y: feet.y + PLAYER_HEIGHT * j / 2,
+                        z: feet.z - PLAYER_WIDTH / 2 + PLAYER_WIDTH * k / 2
+                    };
+                    total++;
+                    if (this.hasLineOfSight(center, point)) seen++;
+                }
+            }
+        }
+        return seen / total;
+    }
+
+    // The vanilla blast formula (power 6 hurts out to 12 blocks), less what armor soaks up
+    estimateExplosionDamage(center, feet) {
+        const power = this.bot.entityRegistry.getBehavior(CRYSTAL, 'explosionRadius') || 6;
+        const reach = power * 2;
+        const distance = Math.hypot(feet.x - center.x, feet.y + PLAYER_HEIGHT / 2 - center.y, feet.z - center.z);
+        if (distance >= reach) return 0;
+
+        const impact = (1 - distance / reach) * this.getExposure(center, feet);
+        const raw = Math.floor((impact * impact + impact) / 2 * 7 * reach + 1);
+        const armor = (this.managers?.inventory?.getArmorLevel() || 0) * 20;
+        const absorbed = Math.min(20, Math.max(armor / 5, armor - raw / 2));
+        return Math.round(raw * (1 - absorbed / 25) * 10) / 10;
+    }
+
+    isSurvivable(damage) {
+        return damage < (this.bot.health ?? 20) - SAFETY_MARGIN;
+    }
+
+    getTargetPoint(record) {
+        const entity = this.entities.getEntity(record.id);
+        return this.managers.combat.getAimPoint(entity || { position: record.position });
+    }
+
+    getRangedWeapon() {
+        const ranged = this.managers?.ranged;
+        if (!ranged || ranged.getArrowCount() === 0) return null;
+        return ranged.getWeaponSlot()?.name || null;
+    }
+
+    getBuildingBlocks() {
+        return this.managers?.inventory?.getItemCount('buildingBlocks') || 0;
+    }
+
+    // Feet block of the nearest spot around `column` the bot can stand on, near a given height
+    findGround(x, z, nearY) {
+        const pathfinder = this.managers.pathfinder;
+        for (let offset = 0; offset <= GROUND_SEARCH; offset++) {
+            for (const y of offset === 0 ? [nearY] : [nearY - offset, nearY + offset]) {
+                if (pathfinder.canStand(x, y, z)) return { x, y, z };
+            }
+        }
+        return null;
+    }
+
+    canShootFrom(feet, target, weapon, ignore = []) {
+        const eye = this.managers.pathfinder.toStandingPosition(feet);
+        return this.managers.ranged.canReach(eye, target, weapon) && this.hasLineOfSight(eye, target, ignore);
+    }
+
+    // Where on the ground an arrow gets through, closest walk first
+    findShotSpot(record, target, weapon, ignore = []) {
+        const bot = this.bot.position;
+        if (!bot || !weapon) return null;
+        const pathfinder = this.managers.pathfinder;
+        const here = pathfinder.toFeet(bot);
+        if (this.canShootFrom(here, target, weapon, ignore)) {
+            return { feet: here, walk: 0 };
+        }
+
+        let best = null;
+        for (const distance of SHOT_DISTANCES) {
+            for (let direction = 0; direction < SHOT_DIRECTIONS; direction++) {
+                const angle = direction * 2 * Math.PI / SHOT_DIRECTIONS;
+                const x = Math.floor(record.position.x + Math.cos(angle) * distance);
+                const z = Math.floor(record.position.z + Math.sin(angle) * distance);
+                const walk = Math.hypot(x - here.x, z - here.z);
+                if (best && walk >= best.walk) continue;
+
+                const feet = this.findGround(x, z, here.y);
+                if (feet && this.canShootFrom(feet, target, weapon, ignore)) {
+                    best = { feet, walk };
+                }
+            }
+        }
+        return best;
+    }
+
+    // Beside the pillar on the bot's side, up to the pillar's top, then in to arm's length
+    planTower(record, target, bars, weapon) {
+        const pillar = record.pillar || (record.pillar = this.locatePillar(record.position));
+        const bot = this.bot.position || record.position;
+        const center = pillar ?
+            { x: pillar.center.x + 0.5, z: pillar.center.z + 0.5 } :
+            { x: record.position.x, z: record.position.z };
+        const radius = pillar ? pillar.radius : 0;
+        const dx = bot.x - center.x;
+        const dz = bot.z - center.z;
+        const length = Math.hypot(dx, dz) || 1;
+        const along = distance => ({
+            x: Math.floor(center.x + dx / length * distance),
+            z: Math.floor(center.z + dz / length * distance)
+        });
+
+        const topY = pillar ? pillar.top + 1 : Math.floor(record.position.y);
+        const column = along(radius + 1);
+        const groundY = this.findGround(column.x, column.z, pillar ? pillar.bottom : this.managers.pathfinder.toFeet(bot).y)?.y;
+        const base = { ...column, y: groundY ?? topY };
+        const blocksNeeded = Math.max(0, topY - base.y);
+
+        const strikeAt = { ...along(Math.min(radius + 1, STRIKE_DISTANCE)), y: topY };
+        const strikeFeet = { x: strikeAt.x + 0.5, y: strikeAt.y, z: strikeAt.z + 0.5 };
+        const meleeDamage = this.estimateExplosionDamage(target, strikeFeet);
+        let strike = { method: 'melee', from: strikeAt, explosionDamage: meleeDamage };
+
+        // Too close to live through: open the cage, climb down and shoot it from the ground
+        if (!this.isSurvivable(meleeDamage) && weapon) {
+            const spot = this.findShotSpot(record, target, weapon, [CAGE_BLOCK]);
+            if (spot) {
+                const feet = { x: spot.feet.x + 0.5, y: spot.feet.y, z: spot.feet.z + 0.5 };
+                strike = { method: 'shoot', from: spot.feet, explosionDamage: this.estimateExplosionDamage(target, feet) };
+            }
+        }
+
+        const steps = [`walk to ${base.x} ${base.y} ${base.z}`];
+        if (blocksNeeded > 0) steps.push(`tower up ${blocksNeeded} blocks`);
+        if (bars.length > 0) steps.push(`break ${bars.length} iron bars`);
+        if (strike.method === 'shoot') {
+            steps.push(`climb down and shoot from ${strike.from.x} ${strike.from.y} ${strike.from.z}`);
+        } else {
+            steps.push('hit the crystal');
+        }
+
+        return {
+            method: 'tower',
+            standAt: base,
+            blocksNeeded,
+            strike,
+            survivable: this.isSurvivable(strike.explosionDamage),
+            steps,
+            cost: Math.hypot(base.x - bot.x, base.z - bot.z) + blocksNeeded * 2 + bars.length * 2
+        };
+    }
+
+    planCrystal(record) {
+        const target = this.getTargetPoint(record);
+        const bars = this.findCageBars(record.position);
+        const weapon = this.getRangedWeapon();
+        this.stats.planned++;
+
+        const base = {
+            crystalId: record.id,
+            waypoint: record.waypoint,
+            position: record.position,
+            pillarHeight: record.pillar?.height ?? null,
+            caged: bars.length > 0,
+            cageBars: bars.length
+        };
+
+        // Bars stop arrows, so a caged crystal always needs the tower
+        const spot = bars.length === 0 ? this.findShotSpot(record, target, weapon) : null;
+        if (spot) {
+            const feet = { x: spot.feet.x + 0.5, y: spot.feet.y, z: spot.feet.z + 0.5 };
+            const explosionDamage = this.estimateExplosionDamage(target, feet);
+            return {
+                ...base,
+                method: 'shoot',
+                standAt: spot.feet,
+                blocksNeeded: 0,
+                strike: { method: 'shoot', from: spot.feet, explosionDamage },
+                survivable: this.isSurvivable(explosionDamage),
+                steps: spot.walk > 0 ? [`walk to ${spot.feet.x} ${spot.feet.y} ${spot.feet.z}`, 'shoot'] : ['shoot'],
+                cost: spot.walk
+            };
+        }
+        return { ...base, ...this.planTower(record, target, bars, weapon) };
+    }
+
+    getPlan(record, now = Date.now()) {
+        if (!record.plan || now - record.plan.plannedAt > PLAN_TTL) {
+            record.plan = { ...this.planCrystal(record), plannedAt: now };
+        }
+        return record.plan;
+    }
+
+    // Cheapest first; towers share the building blocks we carry, in that order
+    getPlans() {
+        if (!this.managers?.combat) return [];
+        const now = Date.now();
+        let blocks = this.getBuildingBlocks();
+        return this.getStanding()
+            .map(record => this.getPlan(record, now))
+            .sort((a, b) => a.cost - b.cost)
+            .map(plan => {
+                if (plan.method !== 'tower') return plan;
+                const enoughBlocks = plan.blocksNeeded <= blocks;
+                if (enoughBlocks) blocks -= plan.blocksNeeded;
+                return { ...plan, enoughBlocks, blocksShort: enoughBlocks ? 0 : plan.blocksNeeded - blocks };
+            });
+    }
+
+    // The nearest standing crystal an arrow reaches from where the bot is now
+    findShootable() {
+        const bot = this.bot.position;
+        const weapon = this.getRangedWeapon();
+        if (!bot || !weapon) return null;
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const record of this.getStanding()) {
+            const entity = this.entities.getEntity(record.id);
+            if (!entity) continue;
+            const distance = Math.hypot(entity.position.x - bot.x, entity.position.z - bot.z);
+            if (distance >= nearestDistance) continue;
+            const target = this.managers.combat.getAimPoint(entity);
+            if (this.managers.ranged.canReach(bot, target, weapon) && this.hasLineOfSight(bot, target)) {
+                nearest = entity;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    // Towers are planned but not built yet; say once per crystal what one would take
+    announceTower(plan) {
+        if (this.announced.has(plan.crystalId)) return;
+        this.announced.add(plan.crystalId);
+        const blocks = plan.enoughBlocks === false ? ` (${plan.blocksShort} building blocks short)` : '';
+        console.log(`🧱 Crystal ${plan.waypoint || plan.crystalId} needs a tower: ${plan.steps.join(', ')}${blocks}`);
+    }
+
+    getStatus() {
+        const plans = this.getPlans();
+        return {
+            standing: plans.length,
+            caged: plans.filter(plan => plan.caged).length,
+            buildingBlocks: this.getBuildingBlocks(),
+            blocksNeeded: plans.reduce((total, plan) => total + plan.blocksNeeded, 0),
+            plans: plans.map(plan => ({
+                crystal: plan.waypoint || plan.crystalId,
+                method: plan.method,
+                caged: plan.caged,
+                pillarHeight: plan.pillarHeight,
+                blocksNeeded: plan.blocksNeeded,
+                strike: plan.strike.method,
+                explosionDamage: plan.strike.explosionDamage,
+                survivable: plan.survivable,
+                steps: plan.steps
+            })),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = EndCrystalPlanner;
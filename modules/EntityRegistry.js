@@ -0,0 +1,115 @@
+// modules/EntityRegistry.js - Single source of truth for Bedrock entity identifiers and their traits
+const defaultEntities = require('./data/entities.json');
+
+// Bare or Java-style names people (and older code) use for Bedrock identifiers
+const ALIASES = {
+    'minecraft:zombified_piglin': 'minecraft:zombie_pigman',
+    'minecraft:evoker': 'minecraft:evocation_illager',
+    'minecraft:end_crystal': 'minecraft:ender_crystal',
+    'minecraft:villager': 'minecraft:villager_v2',
+    'minecraft:experience_orb': 'minecraft:xp_orb'
+};
+
+const UNKNOWN_THREAT = 20;
+
+class EntityRegistry {
+    constructor(entries = defaultEntities) {
+        this.entries = new Map(Object.entries(entries));
+    }
+
+    // Accepts 'zombie', 'minecraft:zombie', 'ZOMBIE' or an entity record with a type
+    normalize(typeOrEntity) {
+        const type = typeof typeOrEntity === 'string' ? typeOrEntity : typeOrEntity?.type;
+        if (!type) return null;
+
+        let identifier = type.trim().toLowerCase();
+        if (!identifier.includes(':')) {
+            identifier = `minecraft:${identifier}`;
+        }
+        return ALIASES[identifier] || identifier;
+    }
+
+    get(typeOrEntity) {
+        return this.entries.get(this.normalize(typeOrEntity)) || null;
+    }
+
+    is(typeOrEntity, identifier) {
+        return this.normalize(typeOrEntity) === this.normalize(identifier);
+    }
+
+    // Hostile mobs and bosses always count; neutral mobs only once provoked
+    isHostile(typeOrEntity) {
+        const entry = this.get(typeOrEntity);
+        if (!entry) return false;
+
+        if (entry.hostility === 'hostile' || entry.hostility === 'boss') return true;
+        if (entry.hostility === 'neutral' && typeof typeOrEntity === 'object') {
+            return this.isProvoked(typeOrEntity);
+        }
+        return false;
+    }
+
+    isProvoked(entity) {
+        const provocation = this.getBehavior(entity, 'provocation');
+        if (!provocation) return false;
+
+        if (entity.provoked) return true;
+        return !!(provocation.angryFlag && entity.flags?.[provocation.angryFlag]);
+    }
+
+    isBoss(typeOrEntity) {
+        return this.get(typeOrEntity)?.hostility === 'boss';
+    }
+
+    getThreat(typeOrEntity) {
+        return this.get(typeOrEntity)?.threat ?? UNKNOWN_THREAT;
+    }
+
+    getMaxHealth(typeOrEntity) {
+        return this.get(typeOrEntity)?.maxHealth ?? null;
+    }
+
+    getAttackDamage(typeOrEntity) {
+        return this.get(typeOrEntity)?.attackDamage ?? 0;
+    }
+
+    getAttackRange(typeOrEntity) {
+        return this.get(typeOrEntity)?.attackRange ?? 0;
+    }
+
+    getBehavior(typeOrEntity, name) {
+        return this.get(typeOrEntity)?.behaviors?.[name] ?? null;
+    }
+
+    getCombatKnowledge(typeOrEntity) {
+        return this.get(typeOrEntity)?.combat ?? null;
+    }
+
+    getLoot(typeOrEntity) {
+        return this.get(typeOrEntity)?.loot ?? [];
+    }
+
+    getDisplayName(typeOrEntity) {
+        return this.get(typeOrEntity)?.name || this.normalize(typeOrEntity) || 'unknown entity';
+    }
+
+    // Which mobs drop an item, e.g. 'ender_pearl' -> ['minecraft:enderman']
+    findByLoot(item) {
+        const wanted = item.replace(/^minecraft:/, '');
+        return Array.from(this.entries.entries())
+            .filter(([, entry]) => (entry.loot || []).some(drop => drop.item === wanted))
+            .map(([identifier]) => identifier);
+    }
+
+    listByHostility(hostility) {
+        return Array.from(this.entries.entries())
+            .filter(([, entry]) => entry.hostility === hostility)
+            .map(([identifier]) => identifier);
+    }
+
+    register(identifier, entry) {
+        this.entries.set(this.normalize(identifier), entry);
+    }
+}
+
+module.exports = EntityRegistry;
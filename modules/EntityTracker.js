@@ -0,0 +1,317 @@
+// modules/EntityTracker.js - Live entity state (position, motion, health, flags) and spatial queries
+class EntityTracker {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = null;
+        this.client = null;
+
+        // Shared with the bot so existing bot.entities readers see live records
+        this.entities = bot.entities;
+        // remove_entity names entities by unique id; everything else uses the runtime id
+        this.runtimeIds = new Map(); // unique id -> runtime id
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    // Runtime ids are handed out per connection, so a reconnect starts from an empty table
+    attach(client) {
+        this.client = client;
+        this.entities.clear();
+        this.runtimeIds.clear();
+
+        client.on('add_entity', (packet) => this.handleAddEntity(packet));
+        client.on('add_item_entity', (packet) => this.handleAddItemEntity(packet));
+        client.on('remove_entity', (packet) => this.handleRemoveEntity(packet));
+        client.on('move_entity', (packet) => this.handleMoveEntity(packet));
+        client.on('move_entity_delta', (packet) => this.handleMoveEntityDelta(packet));
+        client.on('set_entity_motion', (packet) => this.handleEntityMotion(packet));
+        client.on('set_entity_data', (packet) => this.handleEntityData(packet));
+        client.on('update_attributes', (packet) => this.handleAttributes(packet));
+        client.on('entity_event', (packet) => this.handleEntityEvent(packet));
+    }
+
+    createRecord(id, fields) {
+        return {
+            id,
+            uniqueId: null,
+            type: 'unknown',
+            kind: 'mob',
+            position: { x: 0, y: 0, z: 0 },
+            velocity: { x: 0, y: 0, z: 0 },
+            rotation: { pitch: 0, yaw: 0, headYaw: 0 },
+            health: null,
+            dead: false,
+            maxHealth: null,
+            flags: {},
+            metadata: {},
+            onGround: false,
+            spawnedAt: Date.now(),
+            lastUpdate: Date.now(),
+            ...fields
+        };
+    }
+
+    handleAddEntity(packet) {
+        const id = this.toId(packet.runtime_id);
+        const entity = this.createRecord(id, {
+            uniqueId: this.toId(packet.unique_id),
+            type: packet.entity_type || 'unknown',
+            position: this.copyVector(packet.position),
+            velocity: this.copyVector(packet.velocity),
+            rotation: { pitch: packet.pitch || 0, yaw: packet.yaw || 0, headYaw: packet.head_yaw || 0 }
+        });
+
+        this.applyAttributes(entity, packet.attributes);
+        this.applyMetadata(entity, packet.metadata);
+
+        this.entities.set(id, entity);
+        this.runtimeIds.set(entity.uniqueId, id);
+        this.bot.emit('entity_spawned', entity);
+    }
+
+    handleAddItemEntity(packet) {
+        const id = this.toId(packet.runtime_entity_id);
+        const entity = this.createRecord(id, {
+            uniqueId: this.toId(packet.entity_id_self),
+            type: 'minecraft:item',
+            kind: 'item',
+            position: this.copyVector(packet.position),
+            velocity: this.copyVector(packet.velocity),
+            item: packet.item || null
+        });
+
+        this.applyMetadata(entity, packet.metadata);
+
+        this.entities.set(id, entity);
+        this.runtimeIds.set(entity.uniqueId, id);
+        this.bot.emit('item_spawned', entity);
+    }
+
+    handleMoveEntity(packet) {
+        const entity = this.entities.get(this.toId(packet.runtime_entity_id));
+        if (!entity) return;
+
+        entity.position = this.copyVector(packet.position);
+        if (packet.rotation) {
+            entity.rotation = {
+                pitch: packet.rotation.pitch ?? entity.rotation.pitch,
+                yaw: packet.rotation.yaw ?? entity.rotation.yaw,
+                headYaw: packet.rotation.head_yaw ?? entity.rotation.headYaw
+            };
+        }
+        if (packet.flags && typeof packet.flags === 'object') {
+            entity.onGround = !!packet.flags.on_ground;
+        }
+        this.touch(entity);
+    }
+
+    handleMoveEntityDelta(packet) {
+        const entity = this.entities.get(this.toId(packet.runtime_entity_id));
+        if (!entity) return;
+
+        // Bedrock sends absolute coordinates for each axis flagged as changed
+        const flags = packet.flags || {};
+        const position = { ...entity.position };
+        if (flags.has_x && packet.x !== undefined) position.x = packet.x;
+        if (flags.has_y && packet.y !== undefined) position.y = packet.y;
+        if (flags.has_z && packet.z !== undefined) position.z = packet.z;
+        entity.position = position;
+
+        if (flags.has_rot_x && packet.rot_x !== undefined) entity.rotation.pitch = packet.rot_x;
+        if (flags.has_rot_y && packet.rot_y !== undefined) entity.rotation.yaw = packet.rot_y;
+        if (flags.has_rot_z && packet.rot_z !== undefined) entity.rotation.headYaw = packet.rot_z;
+        entity.onGround = !!flags.on_ground;
+
+        this.touch(entity);
+    }
+
+    handleEntityMotion(packet) {
+        const entity = this.entities.get(this.toId(packet.runtime_entity_id));
+        if (!entity) return;
+
+        entity.velocity = this.copyVector(packet.velocity);
+        this.touch(entity);
+    }
+
+    handleEntityData(packet) {
+        const entity = this.entities.get(this.toId(packet.runtime_entity_id));
+        if (!entity) return;
+
+        this.applyMetadata(entity, packet.metadata);
+        this.touch(entity);
+        this.bot.emit('entity_data_updated', entity);
+    }
+
+    handleAttributes(packet) {
+        const id = this.toId(packet.runtime_entity_id);
+        if (id === this.bot.runtimeId) return; // the bot's own attributes are handled by the bot
+
+        const entity = this.entities.get(id);
+        if (!entity) return;
+
+        const previousHealth = entity.health;
+        this.applyAttributes(entity, packet.attributes);
+        this.touch(entity);
+
+        if (previousHealth !== null && entity.health !== null && entity.health < previousHealth) {
+            this.bot.emit('entity_damaged', { entity, amount: previousHealth - entity.health });
+        }
+        if (entity.health !== null && entity.health <= 0) {
+            this.markDead(entity);
+        }
+    }
+
+    // The red flash is sent for every hit, even when no health attribute follows
+    handleEntityEvent(packet) {
+        const entity = this.entities.get(this.toId(packet.runtime_entity_id));
+        if (!entity) return;
+
+        if (packet.event_id === 'hurt_animation' || packet.event_id === 2) {
+            this.touch(entity);
+            this.bot.emit('entity_hurt', { entity });
+        } else if (packet.event_id === 'death_animation' || packet.event_id === 3) {
+            this.markDead(entity);
+        }
+    }
+
+    // Removal alone can mean the entity went out of view; only these two mean it died
+    markDead(entity) {
+        if (entity.dead) return;
+        entity.dead = true;
+        this.touch(entity);
+        this.bot.emit('entity_died', entity);
+    }
+
+    applyAttributes(entity, attributes) {
+        for (const attribute of attributes || []) {
+            if (attribute.name !== 'minecraft:health') continue;
+            // add_entity uses 'value', update_attributes uses 'current'
+            entity.health = attribute.current ?? attribute.value ?? entity.health;
+            entity.maxHealth = attribute.max ?? entity.maxHealth;
+        }
+    }
+
+    applyMetadata(entity, metadata) {
+        for (const item of metadata || []) {
+            if (item.key === 'flags' || item.key === 'flags_extended') {
+                Object.assign(entity.flags, item.value || {});
+            } else {
+                entity.metadata[item.key] = item.value;
+            }
+        }
+    }
+
+    handleRemoveEntity(packet) {
+        const uniqueId = this.toId(packet.entity_id_self);
+        const id = this.runtimeIds.get(uniqueId);
+        if (id === undefined) return;
+
+        this.runtimeIds.delete(uniqueId);
+        this.remove(id);
+    }
+
+    remove(rawId) {
+        const id = this.toId(rawId);
+        const entity = this.entities.get(id);
+        if (!entity) return null;
+
+        this.entities.delete(id);
+        this.bot.emit('entity_removed', entity);
+        return entity;
+    }
+
+    touch(entity) {
+        entity.lastUpdate = Date.now();
+    }
+
+    // Spatial queries
+    getEntity(id) {
+        return this.entities.get(this.toId(id)) || null;
+    }
+
+    distanceBetween(a, b) {
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const dz = a.z - b.z;
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    getEntitiesWithin(position, radius, filter = null) {
+        const results = [];
+        for (const entity of this.entities.values()) {
+            if (filter && !filter(entity)) continue;
+            const distance = this.distanceBetween(position, entity.position);
+            if (distance <= radius) {
+                results.push({ entity, distance });
+            }
+        }
+        return results.sort((a, b) => a.distance - b.distance);
+    }
+
+    findNearest(position, filter = null, maxDistance = Infinity) {
+        const [nearest] = this.getEntitiesWithin(position, maxDistance, filter);
+        return nearest || null;
+    }
+
+    findNearestOfType(type, position = this.bot.position, maxDistance = Infinity) {
+        const types = Array.isArray(type) ? type : [type];
+        return this.findNearest(position, entity => types.includes(entity.type), maxDistance);
+    }
+
+    // Entities within `width` blocks of the straight segment from -> to, ordered by distance along it
+    getEntitiesAlongPath(from, to, width = 2, filter = null) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const dz = to.z - from.z;
+        const lengthSquared = dx * dx + dy * dy + dz * dz;
+        const results = [];
+
+        for (const entity of this.entities.values()) {
+            if (filter && !filter(entity)) continue;
+
+            const p = entity.position;
+            let t = lengthSquared === 0 ? 0 :
+                ((p.x - from.x) * dx + (p.y - from.y) * dy + (p.z - from.z) * dz) / lengthSquared;
+            t = Math.max(0, Math.min(1, t));
+
+            const closest = { x: from.x + dx * t, y: from.y + dy * t, z: from.z + dz * t };
+            const offset = this.distanceBetween(p, closest);
+            if (offset <= width) {
+                results.push({ entity, along: t * Math.sqrt(lengthSquared), offset });
+            }
+        }
+
+        return results.sort((a, b) => a.along - b.along);
+    }
+
+    // Straight-line extrapolation from the last known motion
+    predictPosition(entity, seconds) {
+        const elapsed = seconds + (Date.now() - entity.lastUpdate) / 1000;
+        // set_entity_motion velocity is in blocks per tick
+        return {
+            x: entity.position.x + entity.velocity.x * 20 * elapsed,
+            y: entity.position.y + entity.velocity.y * 20 * elapsed,
+            z: entity.position.z + entity.velocity.z * 20 * elapsed
+        };
+    }
+
+    toId(value) {
+        return value === undefined || value === null ? null : Number(value);
+    }
+
+    copyVector(vector) {
+        return vector ? { x: vector.x, y: vector.y, z: vector.z } : { x: 0, y: 0, z: 0 };
+    }
+
+    getStats() {
+        const byKind = {};
+        for (const entity of this.entities.values()) {
+            byKind[entity.kind] = (byKind[entity.kind] || 0) + 1;
+        }
+        return { tracked: this.entities.size, byKind };
+    }
+}
+
+module.exports = EntityTracker;
@@ -79,11 +79,14 @@ class EventManager extends EventEmitter {
         this.registerHandler('item_collected', this.onItemCollected.bind(this));
         this.registerHandler('item_used', this.onItemUsed.bind(this));
         this.registerHandler('inventory_full', this.onInventoryFull.bind(this));
+        this.registerHandler('item_crafted', this.onItemCrafted.bind(this));
+        this.registerHandler('crafting_failed', this.onCraftingFailed.bind(this));
         
         // Entity events
         this.registerHandler('entity_spawned', this.onEntitySpawned.bind(this));
         this.registerHandler('entity_removed', this.onEntityRemoved.bind(this));
         this.registerHandler('ender_dragon_spotted', this.onEnderDragonSpotted.bind(this));
+        this.registerHandler('ender_dragon_defeated', this.onEnderDragonDefeated.bind(this));
         
         // Learning events
         this.registerHandler('learning_updated', this.onLearningUpdated.bind(this));
@@ -384,20 +387,35 @@ class EventManager extends EventEmitter {
         }
     }
 
+    async onItemCrafted(result) {
+        if (this.managers.mission?.missionActive) {
+            this.managers.mission.logProgress(`Crafted ${result.count}x ${result.item}`);
+        }
+    }
+
+    async onCraftingFailed(failure) {
+        console.log(`📡 EventManager: Crafting failed - ${failure.item} (${failure.reason})`);
+        
+        if (this.managers.mission?.missionActive) {
+            this.managers.mission.logProgress(`Could not craft ${failure.item}: ${failure.reason}`);
+        }
+    }
+
     // Entity Event Handlers
     async onEntitySpawned(entity) {
-        if (entity.type === 'ender_dragon') {
+        // CombatManager subscribes to entity events itself; this only routes special spawns
+        if (this.bot.entityRegistry.is(entity, 'minecraft:ender_dragon')) {
             this.bot.emit('ender_dragon_spotted', entity);
         }
         
-        if (this.managers.combat && this.isHostileEntity(entity)) {
-            await this.managers.combat.handleHostileEntitySpawn(entity);
+        if (this.isHostileEntity(entity) && this.config.enableEventLogging) {
+            console.log(`📡 EventManager: Hostile ${this.bot.entityRegistry.getDisplayName(entity)} spawned`);
         }
     }
 
     async onEntityRemoved(entity) {
-        if (this.managers.combat) {
-            await this.managers.combat.handleEntityRemoval(entity);
+        if (this.config.enableEventLogging) {
+            console.log(`📡 EventManager: ${this.bot.entityRegistry.getDisplayName(entity)} removed`);
         }
     }
 
@@ -414,6 +432,14 @@ class EventManager extends EventEmitter {
         }
     }
 
+    async onEnderDragonDefeated(dragon) {
+        console.log('📡 EventManager: Ender Dragon died');
+        
+        if (this.managers.mission) {
+            await this.managers.mission.handleEnderDragonDefeated(dragon);
+        }
+    }
+
     // Learning Event Handlers
     async onLearningUpdated(learningData) {
         console.log('📡 EventManager: Learning system updated');
@@ -485,11 +511,7 @@ class EventManager extends EventEmitter {
     }
 
     isHostileEntity(entity) {
-        const hostileTypes = [
-            'zombie', 'skeleton', 'creeper', 'spider', 'enderman',
-            'witch', 'blaze', 'ghast', 'ender_dragon', 'wither'
-        ];
-        return hostileTypes.includes(entity.type);
+        return this.bot.entityRegistry.isHostile(entity);
     }
 
     generateEventId() {
@@ -546,7 +568,9 @@ class EventManager extends EventEmitter {
         // Basic error recovery strategies
         if (error.message.includes('connection')) {
             console.log('📡 EventManager: Attempting connection recovery...');
-            // Could trigger reconnection logic here
+            if (this.managers.reconnect && !this.bot.connected) {
+                this.managers.reconnect.scheduleReconnect(error.message);
+            }
         } else if (error.message.includes('timeout')) {
             console.log('📡 EventManager: Handling timeout error...');
             // Could implement timeout recovery
@@ -578,11 +602,15 @@ class EventManager extends EventEmitter {
     }
 
     startEventQueueProcessing() {
-        setInterval(() => {
+        this.queueTimer = setInterval(() => {
             this.processEventQueue();
         }, this.config.queueProcessingInterval);
     }
 
+    stop() {
+        clearInterval(this.queueTimer);
+    }
+
     async processEventQueue() {
         if (this.processing || this.eventQueue.length === 0) {
             return;
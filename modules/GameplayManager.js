@@ -18,75 +18,33 @@ class GameplayManager {
             playerCollaborationData: []
         };
         
-        // Initialize game mode detection
-        this.detectGameMode();
         this.setupAdaptiveStrategies();
+        this.setupSessionListeners();
     }
 
-    async detectGameMode() {
-        // Try to detect game mode through various methods
-        try {
-            // Method 1: Try to break a block (creative mode allows instant breaking)
-            await this.testCreativeMode();
-            
-            // Method 2: Check health regeneration
-            await this.testHealthRegeneration();
-            
-            // Method 3: Analyze player behavior patterns
-            this.analyzePlayerPatterns();
-            
-        } catch (error) {
-            console.log('🔍 Game mode detection in progress...');
-            this.currentGameMode = 'survival'; // Default assumption
-        }
-        
-        console.log(`🎮 Detected game mode: ${this.currentGameMode} (${this.difficulty})`);
-        this.adaptStrategyToGameMode();
-    }
-
-    async testCreativeMode() {
-        // This would require actual block interaction
-        // For now, we'll use heuristics based on player behavior
-        setTimeout(() => {
-            if (this.bot.health === 20 && this.performanceMetrics.damageTaken === 0) {
-                // Likely creative or peaceful
-                this.currentGameMode = 'creative';
-                this.difficulty = 'creative';
-            }
-        }, 5000);
+    setupSessionListeners() {
+        // Game mode and difficulty come straight from the server (see SessionStateManager)
+        this.bot.on('session_state', (state) => {
+            this.updateGameSettings(state.gameMode, state.difficulty);
+        });
+        this.bot.on('game_mode_changed', ({ gameMode }) => {
+            this.updateGameSettings(gameMode, this.difficulty);
+        });
+        this.bot.on('difficulty_changed', ({ difficulty }) => {
+            this.updateGameSettings(this.currentGameMode, difficulty);
+        });
     }
 
-    async testHealthRegeneration() {
-        const initialHealth = this.bot.health;
+    updateGameSettings(gameMode, difficulty) {
+        const previousKey = this.getStrategyKey();
+        this.currentGameMode = gameMode;
+        this.difficulty = difficulty;
         
-        setTimeout(() => {
-            if (this.bot.health > initialHealth && this.bot.health === 20) {
-                this.difficulty = 'peaceful';
-            } else if (this.bot.health < 20) {
-                this.difficulty = this.bot.health < 10 ? 'hard' : 'normal';
-            }
-            this.currentGameMode = 'survival';
-        }, 10000);
-    }
-
-    analyzePlayerPatterns() {
-        // Analyze player movement and behavior to infer game mode
-        const playerBehaviors = this.bot.chatManager?.learningData.playerBehaviors;
-        if (playerBehaviors) {
-            let creativeBehaviorCount = 0;
-            let survivalBehaviorCount = 0;
-            
-            playerBehaviors.forEach(behavior => {
-                if (behavior.topics.includes('building') || behavior.topics.includes('creative')) {
-                    creativeBehaviorCount++;
-                } else if (behavior.topics.includes('survival') || behavior.topics.includes('food')) {
-                    survivalBehaviorCount++;
-                }
-            });
-            
-            if (creativeBehaviorCount > survivalBehaviorCount) {
-                this.currentGameMode = 'creative';
-            }
+        console.log(`🎮 Game mode: ${this.currentGameMode} (${this.difficulty})`);
+        
+        // Reconnects replay start_game; only re-announce when the strategy really changes
+        if (this.getStrategyKey() !== previousKey || !this.activeStrategyKey) {
+            this.adaptStrategyToGameMode();
         }
     }
 
@@ -121,14 +79,21 @@ class GameplayManager {
         });
     }
 
+    getStrategyKey() {
+        if (['creative', 'spectator', 'creative_spectator'].includes(this.currentGameMode)) {
+            return 'creative';
+        }
+        // Peaceful plays like easy as far as preparation goes
+        const difficulty = this.difficulty === 'peaceful' ? 'easy' : this.difficulty;
+        return `survival_${difficulty}`;
+    }
+
     adaptStrategyToGameMode() {
-        const strategyKey = this.currentGameMode === 'creative' 
-            ? 'creative' 
-            : `survival_${this.difficulty}`;
-            
+        const strategyKey = this.getStrategyKey();
         const currentStrategy = this.adaptiveStrategies.get(strategyKey);
         
         if (currentStrategy) {
+            this.activeStrategyKey = strategyKey;
             console.log(`🧠 Adapting strategy for ${strategyKey}:`, currentStrategy);
             this.applyStrategy(currentStrategy);
         }
@@ -140,6 +105,11 @@ class GameplayManager {
             await this.bot.missionManager.updateStrategy(strategy);
         }
         
+        // start_game comes before spawn, and chat sent before spawn never reaches the server
+        if (!this.bot.connected) {
+            await new Promise(resolve => this.bot.once('connected', resolve));
+        }
+        
         // Adjust chat behavior
         if (this.bot.chatManager) {
             await this.bot.chatManager.broadcastToAllPlayers(
@@ -152,18 +122,20 @@ class GameplayManager {
     async makeAICombatDecision(situation) {
         try {
             const prompt = this.createCombatPrompt(situation);
-            const result = await this.bot.model.generateContent(prompt);
-            const decision = result.response.text().trim();
+            const reply = await this.bot.structuredOutput.generate(prompt, GameplayManager.DECISION_SCHEMA, {
+                label: 'Combat decision'
+            });
+            const decision = this.parseAIDecision(reply);
             
             // Learn from this decision
             this.learningModel.actionOutcomes.push({
                 situation: situation,
-                decision: decision,
+                decision: `${decision.action}: ${decision.reasoning}`,
                 timestamp: Date.now(),
                 gameMode: this.currentGameMode
             });
             
-            return this.parseAIDecision(decision);
+            return decision;
             
         } catch (error) {
             console.error('❌ AI combat decision failed:', error);
@@ -181,7 +153,7 @@ CURRENT SITUATION:
 - Enemy: ${situation.enemy || 'Unknown'}
 - Enemy Health: ${situation.enemyHealth || 'Unknown'}
 - Distance: ${situation.distance || 'Unknown'}
-- Environment: ${situation.environment || 'Unknown'}
+- Environment: ${situation.environment || this.analyzeEnvironment().terrain}
 - Available Items: ${situation.availableItems || 'Unknown'}
 - Player Allies: ${this.bot.players.size}
 
@@ -194,33 +166,23 @@ PERFORMANCE HISTORY:
 PAST SUCCESSFUL ACTIONS:
 ${this.getSuccessfulActions()}
 
-Choose ONE action and explain briefly:
+Choose ONE action and give a brief reason (max 50 chars):
 1. ATTACK_MELEE - Close combat with sword/axe
 2. ATTACK_RANGED - Bow/crossbow attack
 3. RETREAT - Move away from danger
 4. HEAL - Use food/potions
 5. BLOCK - Use shield/defensive stance
 6. SPECIAL - Use special items (ender pearls, potions)
-7. COORDINATE - Call for player help
-
-Format: ACTION_NAME: Brief reason (max 50 chars)`;
+7. COORDINATE - Call for player help`;
     }
 
-    parseAIDecision(decision) {
-        const actions = ['ATTACK_MELEE', 'ATTACK_RANGED', 'RETREAT', 'HEAL', 'BLOCK', 'SPECIAL', 'COORDINATE'];
-        
-        for (const action of actions) {
-            if (decision.toUpperCase().includes(action)) {
-                return {
-                    action: action,
-                    reasoning: decision.split(':')[1]?.trim() || 'AI recommended',
-                    confidence: this.calculateActionConfidence(action)
-                };
-            }
-        }
-        
-        // Default fallback
-        return { action: 'RETREAT', reasoning: 'Uncertain situation', confidence: 0.3 };
+    parseAIDecision(reply) {
+        // reply has already been validated against DECISION_SCHEMA
+        return {
+            action: reply.action,
+            reasoning: reply.reasoning || 'AI recommended',
+            confidence: this.calculateActionConfidence(reply.action)
+        };
     }
 
     getDefaultCombatAction(situation) {
@@ -288,14 +250,14 @@ Format: ACTION_NAME: Brief reason (max 50 chars)`;
         
         if (successRate < 0.3) {
             // Low success rate - become more cautious
-            const currentStrategy = this.adaptiveStrategies.get(`${this.currentGameMode}_${this.difficulty}`);
+            const currentStrategy = this.adaptiveStrategies.get(this.getStrategyKey());
             if (currentStrategy) {
                 currentStrategy.riskTolerance = 'minimal';
                 console.log('🛡️ Adapting to more cautious strategy due to low success rate');
             }
         } else if (successRate > 0.8) {
             // High success rate - can be more aggressive
-            const currentStrategy = this.adaptiveStrategies.get(`${this.currentGameMode}_${this.difficulty}`);
+            const currentStrategy = this.adaptiveStrategies.get(this.getStrategyKey());
             if (currentStrategy) {
                 currentStrategy.riskTolerance = 'high';
                 console.log('⚔️ Adapting to more aggressive strategy due to high success rate');
@@ -304,7 +266,7 @@ Format: ACTION_NAME: Brief reason (max 50 chars)`;
     }
 
     // Environmental analysis for better decision making
-    analyzeEnvironment(position, surroundings) {
+    analyzeEnvironment(position = this.bot.position, surroundings = null) {
         const environmentalFactors = {
             terrain: 'unknown',
             hazards: [],
@@ -312,23 +274,51 @@ Format: ACTION_NAME: Brief reason (max 50 chars)`;
             visibility: 'good'
         };
 
-        // This would analyze the actual world data in a real implementation
-        // For now, we'll store the analysis for learning
+        const world = surroundings || this.bot.worldModel?.describeSurroundings(position);
+        if (world?.loaded) {
+            if (world.inLiquid) {
+                environmentalFactors.terrain = 'water';
+            } else if (world.covered) {
+                environmentalFactors.terrain = world.openness < 0.5 ? 'underground' : 'cave';
+                environmentalFactors.visibility = 'limited';
+                environmentalFactors.advantages.push('cover');
+            } else {
+                environmentalFactors.terrain = 'surface';
+                environmentalFactors.advantages.push('open_ground');
+            }
+
+            environmentalFactors.ground = world.ground;
+            environmentalFactors.hazards = world.hazards.map(hazard => hazard.name);
+            if (world.dropBelow === null || world.dropBelow > 3) {
+                environmentalFactors.hazards.push('fall');
+            }
+        }
+
+        // Kept for learning which terrain works out
         this.learningModel.environmentalFactors.push({
             position: position,
             factors: environmentalFactors,
             timestamp: Date.now()
         });
+        if (this.learningModel.environmentalFactors.length > 100) {
+            this.learningModel.environmentalFactors.shift();
+        }
 
         return environmentalFactors;
     }
 
+    // Stronghold phase: triangulate with eyes of ender (asking players as a fallback), then go there
+    async searchForStronghold() {
+        try {
+            await this.bot.navigationManager.navigateToStronghold();
+        } catch (error) {
+            console.log('❌ Stronghold search failed:', error.message);
+        }
+    }
+
     // Get current strategy for other modules
     getCurrentStrategy() {
-        const strategyKey = this.currentGameMode === 'creative' 
-            ? 'creative' 
-            : `survival_${this.difficulty}`;
-        return this.adaptiveStrategies.get(strategyKey) || this.adaptiveStrategies.get('survival_normal');
+        return this.adaptiveStrategies.get(this.getStrategyKey()) || this.adaptiveStrategies.get('survival_normal');
     }
 
     // Update health and track damage
@@ -363,4 +353,17 @@ Format: ACTION_NAME: Brief reason (max 50 chars)`;
     }
 }
 
+// Reply shape requested from the AI for a single combat action
+GameplayManager.DECISION_SCHEMA = {
+    type: 'object',
+    required: ['action', 'reasoning'],
+    properties: {
+        action: {
+            type: 'string',
+            enum: ['ATTACK_MELEE', 'ATTACK_RANGED', 'RETREAT', 'HEAL', 'BLOCK', 'SPECIAL', 'COORDINATE']
+        },
+        reasoning: { type: 'string', maxLength: 80 }
+    }
+};
+
 module.exports = GameplayManager;
\ No newline at end of file
@@ -1,224 +1,549 @@
 // modules/InventoryManager.js
+// Mirrors the player's real inventory from server packets
+
+// Bedrock window ids (bedrock-protocol may deliver either the number or the name)
+const WINDOWS = {
+    0: 'inventory',
+    119: 'offhand',
+    120: 'armor',
+    124: 'ui'
+};
+
+const CONTAINER_SIZES = {
+    inventory: 36,
+    armor: 4,
+    offhand: 1
+};
+
+const ARMOR_PIECES = ['helmet', 'chestplate', 'leggings', 'boots'];
+
+// item_stack_response container slot types -> mirrored containers
+const STACK_SLOT_TYPES = {
+    hotbar_and_inventory: 'inventory',
+    hotbar: 'inventory',
+    inventory: 'inventory',
+    armor: 'armor',
+    offhand: 'offhand'
+};
+
+const BUILDING_BLOCKS = [
+    'cobblestone', 'stone', 'dirt', 'netherrack', 'cobbled_deepslate', 'deepslate',
+    'andesite', 'diorite', 'granite', 'sandstone', 'end_stone', 'blackstone'
+];
+
+// Legacy summary keys the rest of the bot (and players) still ask about
+const SUMMARY_ITEMS = {
+    diamonds: name => name === 'diamond',
+    iron: name => name === 'iron_ingot',
+    wood: name => name.endsWith('_log') || name.endsWith('_planks') || name.endsWith('_stem'),
+    enderPearls: name => name === 'ender_pearl',
+    blazeRods: name => name === 'blaze_rod',
+    obsidian: name => name === 'obsidian',
+    food: (name, registry) => registry.isFood(name) && name !== 'rotten_flesh',
+    arrows: name => name === 'arrow',
+    eyesOfEnder: name => name === 'ender_eye',
+    buildingBlocks: name => BUILDING_BLOCKS.includes(name) || name.endsWith('_planks')
+};
+
 class InventoryManager {
     constructor(bot) {
         this.bot = bot;
-        
-        // Initialize inventory
-        this.inventory = {
-            diamonds: 0,
-            iron: 0,
-            wood: 0,
-            enderPearls: 0,
-            blazeRods: 0,
-            obsidian: 0,
-            food: 0,
-            arrows: 0,
-            armor: 'none',
-            weapons: [],
-            tools: [],
-            eyesOfEnder: 0,
-            buildingBlocks: 0
-        };
+        this.client = null;
+        this.containers = this.createEmptyContainers();
+        this.selectedSlot = 0;
+        this.lastUpdate = null;
     }
 
-    // Resource management methods
-    addItem(item, quantity = 1) {
-        if (this.inventory.hasOwnProperty(item)) {
-            this.inventory[item] += quantity;
-            return true;
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    get itemRegistry() {
+        return this.bot.itemRegistry;
+    }
+
+    // Legacy counter view, computed from the real slots
+    get inventory() {
+        return this.getSummary();
+    }
+
+    createEmptyContainers() {
+        const containers = {};
+        for (const [name, size] of Object.entries(CONTAINER_SIZES)) {
+            containers[name] = new Array(size).fill(null);
         }
-        return false;
+        return containers;
+    }
+
+    // Containers start empty: the server sends the whole inventory again after each spawn
+    attach(client) {
+        this.client = client;
+        this.containers = this.createEmptyContainers();
+        this.selectedSlot = 0;
+
+        client.on('inventory_content', (packet) => this.handleInventoryContent(packet));
+        client.on('inventory_slot', (packet) => this.handleInventorySlot(packet));
+        client.on('mob_equipment', (packet) => this.handleMobEquipment(packet));
+        client.on('mob_armor_equipment', (packet) => this.handleArmorEquipment(packet));
+        client.on('player_hotbar', (packet) => this.handlePlayerHotbar(packet));
     }
 
-    removeItem(item, quantity = 1) {
-        if (this.inventory.hasOwnProperty(item) && this.inventory[item] >= quantity) {
-            this.inventory[item] -= quantity;
-            return true;
+    handleInventoryContent(packet) {
+        const container = this.getContainer(packet.window_id);
+        if (!container) return;
+
+        const items = packet.input || packet.items || [];
+        for (let slot = 0; slot < container.length; slot++) {
+            container[slot] = this.toItem(items[slot], slot);
         }
-        return false;
+        this.markUpdated(this.resolveWindow(packet.window_id));
     }
 
-    hasItem(item, quantity = 1) {
-        return this.inventory.hasOwnProperty(item) && this.inventory[item] >= quantity;
+    handleInventorySlot(packet) {
+        const container = this.getContainer(packet.window_id);
+        if (!container || packet.slot >= container.length) return;
+
+        container[packet.slot] = this.toItem(packet.item, packet.slot);
+        this.markUpdated(this.resolveWindow(packet.window_id));
     }
 
-    getItemCount(item) {
-        return this.inventory[item] || 0;
+    handleMobEquipment(packet) {
+        const id = Number(packet.runtime_entity_id);
+        if (id === this.bot.runtimeId) {
+            this.selectedSlot = packet.selected_slot ?? packet.slot ?? this.selectedSlot;
+            return;
+        }
+
+        // Other entities: remember what they are holding (bows, tridents, ...)
+        const entity = this.bot.entityTracker?.getEntity(id);
+        if (entity) {
+            entity.heldItem = this.toItem(packet.item, packet.slot);
+        }
+    }
+
+    handleArmorEquipment(packet) {
+        const pieces = ARMOR_PIECES.map((piece, slot) => this.toItem(packet[piece], slot));
+        const id = Number(packet.runtime_entity_id);
+
+        if (id === this.bot.runtimeId) {
+            this.containers.armor = pieces;
+            this.markUpdated('armor');
+            return;
+        }
+
+        const entity = this.bot.entityTracker?.getEntity(id);
+        if (entity) {
+            entity.armor = pieces;
+        }
     }
 
-    addWeapon(weapon) {
-        if (!this.inventory.weapons.includes(weapon)) {
-            this.inventory.weapons.push(weapon);
-            return true;
+    handlePlayerHotbar(packet) {
+        if (packet.select_slot !== false && packet.selected_slot !== undefined) {
+            this.selectedSlot = packet.selected_slot;
         }
-        return false;
     }
 
-    addTool(tool) {
-        if (!this.inventory.tools.includes(tool)) {
-            this.inventory.tools.push(tool);
-            return true;
+    // The server only confirms counts and stack ids for accepted stack requests; `created`
+    // names items that appeared in a slot as a result of the request ({ slot: itemName }), or
+    // gives the slot record that moved there so its metadata and NBT survive ({ slot: slotItem })
+    applyStackResponse(response, created = {}) {
+        for (const changed of response.containers || []) {
+            const containerName = STACK_SLOT_TYPES[changed.slot_type];
+            const container = this.containers[containerName];
+            if (!container) continue;
+
+            for (const slotInfo of changed.slots || []) {
+                if (slotInfo.slot >= container.length) continue;
+                if (!slotInfo.count) {
+                    container[slotInfo.slot] = null;
+                    continue;
+                }
+
+                const existing = container[slotInfo.slot];
+                const arrived = containerName === 'inventory' ? created[slotInfo.slot] : null;
+                const name = (typeof arrived === 'string' ? arrived : arrived?.name) || existing?.name;
+                if (!name) continue;
+
+                const raw = arrived?.raw || (existing && existing.name === name
+                    ? existing.raw
+                    : { network_id: this.itemRegistry.getId(name), metadata: 0, extra: { has_nbt: false } });
+                container[slotInfo.slot] = this.toItem({
+                    ...raw,
+                    count: slotInfo.count,
+                    stack_id: slotInfo.item_stack_id
+                }, slotInfo.slot);
+            }
+            this.markUpdated(containerName);
         }
-        return false;
     }
 
-    setArmor(armorType) {
-        this.inventory.armor = armorType;
+    resolveWindow(windowId) {
+        return WINDOWS[windowId] || windowId;
+    }
+
+    getContainer(windowId) {
+        return this.containers[this.resolveWindow(windowId)] || null;
+    }
+
+    markUpdated(container) {
+        this.lastUpdate = Date.now();
+        this.bot.emit('inventory_updated', { container });
     }
 
-    // Crafting methods
-    async craftDiamondGear() {
-        if (this.inventory.diamonds >= 8) {
-            console.log('🔨 Crafting diamond equipment...');
-            await this.bot.sendChat('🔨 Crafting diamond sword, pickaxe, and armor!');
-            
-            this.addWeapon('Diamond Sword');
-            this.addTool('Diamond Pickaxe');
-            this.setArmor('Diamond Armor Set');
-            this.removeItem('diamonds', 8);
-            
-            await this.bot.sendChat('⚔️ Diamond gear crafted! Ready for serious adventuring!');
-            this.bot.missionManager.logProgress('Diamond gear crafted successfully');
-            return true;
+    // Protocol item -> slot record with simplified NBT
+    toItem(raw, slot) {
+        if (!raw || !raw.network_id || raw.count === 0) return null;
+
+        const name = this.itemRegistry.getName(raw.network_id);
+        const nbt = this.simplifyNbt(raw.extra?.nbt?.nbt ?? raw.extra?.nbt ?? null) || {};
+        const maxDurability = this.itemRegistry.getMaxDurability(name);
+        const damage = Number(nbt.Damage ?? 0);
+
+        return {
+            slot,
+            networkId: raw.network_id,
+            name,
+            count: raw.count,
+            metadata: raw.metadata || 0,
+            stackId: raw.stack_id ?? null,
+            durability: maxDurability ? {
+                damage,
+                max: maxDurability,
+                remaining: Math.max(0, maxDurability - damage)
+            } : null,
+            enchantments: (nbt.ench || []).map(enchant => ({
+                id: enchant.id,
+                name: this.itemRegistry.getEnchantmentName(enchant.id),
+                level: enchant.lvl
+            })),
+            customName: nbt.display?.Name || null,
+            nbt,
+            raw
+        };
+    }
+
+    // prismarine-nbt { type, value } trees -> plain objects
+    simplifyNbt(tag) {
+        if (tag === null || tag === undefined || typeof tag !== 'object') return tag;
+
+        if (tag.type === 'compound') {
+            return this.simplifyCompound(tag.value);
         }
-        return false;
+        if (tag.type === 'list') {
+            const list = tag.value || {};
+            return (list.value || []).map(entry =>
+                list.type === 'compound' ? this.simplifyCompound(entry) : this.simplifyNbt({ type: list.type, value: entry })
+            );
+        }
+        if ('type' in tag && 'value' in tag) {
+            return typeof tag.value === 'bigint' ? Number(tag.value) : tag.value;
+        }
+        return tag;
     }
 
-    async craftEyesOfEnder() {
-        console.log('👁️ Crafting eyes of ender...');
-        await this.bot.sendChat('👁️ Crafting eyes of ender for stronghold search!');
-        
-        const eyesCrafted = Math.min(this.inventory.enderPearls, this.inventory.blazeRods);
-        if (eyesCrafted > 0) {
-            this.removeItem('enderPearls', eyesCrafted);
-            this.removeItem('blazeRods', eyesCrafted);
-            this.addItem('eyesOfEnder', eyesCrafted);
-            
-            await this.bot.sendChat(`✅ Crafted ${eyesCrafted} eyes of ender! Time to find the stronghold!`);
-            this.bot.missionManager.logProgress(`Crafted ${eyesCrafted} eyes of ender`);
-            return eyesCrafted;
+    simplifyCompound(value) {
+        const result = {};
+        for (const [key, child] of Object.entries(value || {})) {
+            result[key] = this.simplifyNbt(child);
         }
-        return 0;
+        return result;
+    }
+
+    // Queries
+    getAllItems() {
+        return [
+            ...this.containers.inventory,
+            ...this.containers.offhand
+        ].filter(Boolean);
+    }
+
+    getArmorItems() {
+        return this.containers.armor.filter(Boolean);
+    }
+
+    getHeldItem() {
+        return this.containers.inventory[this.selectedSlot] || null;
     }
 
-    // Resource gathering simulation
-    async simulateMining(resource, minAmount = 1, maxAmount = 3, successRate = 0.7) {
-        if (Math.random() <= successRate) {
-            const found = Math.floor(Math.random() * (maxAmount - minAmount + 1)) + minAmount;
-            this.addItem(resource, found);
-            return found;
+    // Accepts legacy keys ('blazeRods'), identifiers ('minecraft:blaze_rod') or display names ('Blaze rod')
+    getItemCount(item) {
+        const matcher = this.createMatcher(item);
+        return this.getAllItems()
+            .filter(slotItem => matcher(this.itemRegistry.shortName(slotItem.name)))
+            .reduce((total, slotItem) => total + slotItem.count, 0);
+    }
+
+    hasItem(item, quantity = 1) {
+        if (this.isEquipped(item)) return quantity <= 1;
+        return this.getItemCount(item) >= quantity;
+    }
+
+    isEquipped(item) {
+        const matcher = this.createMatcher(item);
+        return this.getArmorItems().some(armorItem => matcher(this.itemRegistry.shortName(armorItem.name)));
+    }
+
+    createMatcher(item) {
+        if (SUMMARY_ITEMS[item]) {
+            return name => SUMMARY_ITEMS[item](name, this.itemRegistry);
+        }
+        const wanted = this.itemRegistry.shortName(item);
+        return name => name === wanted;
+    }
+
+    findItem(predicate) {
+        return this.containers.inventory.find(slotItem => slotItem && predicate(slotItem)) || null;
+    }
+
+    findItemByName(name) {
+        const wanted = this.itemRegistry.normalize(name);
+        return this.findItem(slotItem => slotItem.name === wanted);
+    }
+
+    findHotbarSlot(name) {
+        const wanted = this.itemRegistry.normalize(name);
+        const slot = this.containers.inventory.slice(0, 9).findIndex(slotItem => slotItem?.name === wanted);
+        return slot >= 0 ? slot : null;
+    }
+
+    getEmptySlotCount() {
+        return this.containers.inventory.filter(slotItem => !slotItem).length;
+    }
+
+    getWeapons() {
+        return this.getAllItems().filter(slotItem => /_(sword|axe)$|^(bow|crossbow|trident)$/.test(this.itemRegistry.shortName(slotItem.name)));
+    }
+
+    getTools() {
+        return this.getAllItems().filter(slotItem => /_(pickaxe|shovel|hoe)$|^(shears|flint_and_steel)$/.test(this.itemRegistry.shortName(slotItem.name)));
+    }
+
+    getBestMeleeWeapon() {
+        return this.getWeapons()
+            .filter(slotItem => /_(sword|axe)$|^trident$/.test(this.itemRegistry.shortName(slotItem.name)))
+            .sort((a, b) => this.itemRegistry.getMeleeDamage(b.name) - this.itemRegistry.getMeleeDamage(a.name))[0] || null;
+    }
+
+    getArmorDescription() {
+        const armor = this.containers.armor;
+        if (armor.every(piece => !piece)) return 'none';
+
+        const materials = armor.map(piece => piece ? this.itemRegistry.shortName(piece.name).split('_')[0] : null);
+        if (materials.every(material => material && material === materials[0])) {
+            return `${this.itemRegistry.displayName(materials[0])} Armor Set`;
         }
-        return 0;
+        return armor.filter(Boolean).map(piece => this.itemRegistry.displayName(piece.name)).join(', ');
+    }
+
+    // 0..1 share of the 20 armor points a full netherite/diamond set gives
+    getArmorLevel() {
+        const points = this.getArmorItems()
+            .reduce((total, piece) => total + this.itemRegistry.getArmorPoints(piece.name), 0);
+        return Math.min(1, points / 20);
+    }
+
+    // Remaining durability (0..1) of the best melee weapon; 0 when unarmed
+    getWeaponDurability() {
+        const weapon = this.getBestMeleeWeapon();
+        if (!weapon) return 0;
+        if (!weapon.durability) return 1;
+        return weapon.durability.remaining / weapon.durability.max;
     }
 
-    async simulateHunting(creature, dropItem, minAmount = 1, maxAmount = 2, successRate = 0.6) {
-        if (Math.random() <= successRate) {
-            const found = Math.floor(Math.random() * (maxAmount - minAmount + 1)) + minAmount;
-            this.addItem(dropItem, found);
-            return found;
+    // Golden apples, or potions that heal; a potion's kind is in its metadata
+    hasHealingItems() {
+        return this.getAllItems().some(slotItem => {
+            const name = this.itemRegistry.shortName(slotItem.name);
+            if (name === 'golden_apple' || name === 'enchanted_golden_apple') return true;
+            if (name !== 'potion' && name !== 'splash_potion') return false;
+            const effect = this.itemRegistry.getPotion(slotItem.metadata)?.effect;
+            return effect === 'instant_health' || effect === 'regeneration';
+        });
+    }
+
+    // Eating and drinking belong to the survival manager; combat and event handlers still ask here
+    async useHealingItem() {
+        const survival = this.managers?.survival;
+        return survival ? survival.heal() : { success: false, reason: 'no_survival_manager' };
+    }
+
+    async useBuffItems() {
+        const survival = this.managers?.survival;
+        return survival ? survival.useBuffs() : { success: false, reason: 'no_survival_manager' };
+    }
+
+    getSummary() {
+        const summary = {};
+        for (const key of Object.keys(SUMMARY_ITEMS)) {
+            summary[key] = this.getItemCount(key);
         }
-        return 0;
+        summary.armor = this.getArmorDescription();
+        summary.weapons = this.getWeapons().map(slotItem => this.itemRegistry.displayName(slotItem.name));
+        summary.tools = this.getTools().map(slotItem => this.itemRegistry.displayName(slotItem.name));
+        return summary;
+    }
+
+    getCombatLoadout() {
+        const consumables = this.getAllItems()
+            .filter(slotItem => this.itemRegistry.isFood(slotItem.name) || /potion|totem/.test(slotItem.name))
+            .map(slotItem => `${slotItem.count}x ${this.itemRegistry.displayName(slotItem.name)}`);
+
+        return {
+            weapons: this.getWeapons().map(slotItem => this.describeItem(slotItem)).join(', ') || null,
+            armor: this.getArmorDescription(),
+            consumables: consumables.join(', ') || null
+        };
+    }
+
+    describeItem(slotItem) {
+        let description = this.itemRegistry.displayName(slotItem.name);
+        if (slotItem.enchantments.length > 0) {
+            description += ` (${slotItem.enchantments.map(e => `${e.name} ${e.level}`).join(', ')})`;
+        }
+        if (slotItem.durability) {
+            description += ` [${slotItem.durability.remaining}/${slotItem.durability.max}]`;
+        }
+        return description;
+    }
+
+    // Hotbar selection (slots 0-8)
+    async selectHotbarSlot(slot) {
+        if (!this.client || !this.bot.connected || slot < 0 || slot > 8) return false;
+
+        const item = this.containers.inventory[slot];
+        this.client.write('mob_equipment', {
+            runtime_entity_id: BigInt(this.bot.runtimeId),
+            item: item?.raw || { network_id: 0 },
+            slot,
+            selected_slot: slot,
+            window_id: 'inventory'
+        });
+        this.selectedSlot = slot;
+        this.bot.emit('packet_sent');
+        return true;
+    }
+
+    // Right-click with the item in a hotbar slot: into the air, or on the top face of `block`
+    useItem(hotbarSlot, block = null) {
+        const held = this.containers.inventory[hotbarSlot];
+        const playerPos = this.bot.position || { x: 0, y: 0, z: 0 };
+
+        this.client.write('inventory_transaction', {
+            transaction: {
+                legacy: { legacy_request_id: 0 },
+                transaction_type: 'item_use',
+                actions: [],
+                transaction_data: {
+                    action_type: block ? 'click_block' : 'click_air',
+                    block_position: block ? { x: block.x, y: block.y, z: block.z } : { x: 0, y: 0, z: 0 },
+                    face: block ? 1 : -1,
+                    hotbar_slot: hotbarSlot,
+                    held_item: held?.raw || { network_id: 0 },
+                    player_pos: { x: playerPos.x, y: playerPos.y, z: playerPos.z },
+                    click_pos: block ? { x: 0.5, y: 1, z: 0.5 } : { x: 0, y: 0, z: 0 },
+                    block_runtime_id: 0
+                }
+            }
+        });
+        this.bot.emit('packet_sent');
+    }
+
+    // Ends a use that was held down: 'release' looses a bow or crossbow, 'consume' finishes a meal or a drink
+    releaseItem(hotbarSlot, action = 'release') {
+        const held = this.containers.inventory[hotbarSlot];
+        const head = this.bot.position || { x: 0, y: 0, z: 0 };
+
+        this.client.write('inventory_transaction', {
+            transaction: {
+                legacy: { legacy_request_id: 0 },
+                transaction_type: 'item_release',
+                actions: [],
+                transaction_data: {
+                    action_type: action,
+                    hotbar_slot: hotbarSlot,
+                    held_item: held?.raw || { network_id: 0 },
+                    head_pos: { x: head.x, y: head.y, z: head.z }
+                }
+            }
+        });
+        this.bot.emit('packet_sent');
+    }
+
+    // Resource requirement checking, driven by the crafting planner's phase targets
+    get planner() {
+        return this.managers?.planner || this.bot.craftingPlanner;
     }
 
-    // Resource requirement checking
     checkDiamondGearRequirements() {
-        return this.inventory.diamonds >= 8;
+        return this.planner.planPhase('preparation').complete;
     }
 
     checkNetherExpeditionRequirements() {
-        return this.hasItem('obsidian', 10) && this.inventory.weapons.includes('Diamond Sword');
+        return this.planner.planPhase('nether').complete;
     }
 
     checkStrongholdSearchRequirements() {
-        return this.inventory.blazeRods >= 7 && this.inventory.enderPearls >= 12;
+        return this.planner.planPhase('stronghold').complete;
     }
 
     checkEndFightRequirements() {
-        return (
-            this.inventory.weapons.includes('Diamond Sword') &&
-            this.inventory.armor === 'Diamond Armor Set' &&
-            this.inventory.food >= 20 &&
-            this.inventory.arrows >= 64
-        );
+        return this.planner.planPhase('end_fight').complete;
     }
 
     // Inventory reporting
     getInventoryReport() {
-        return `📦 Key items: ${this.inventory.diamonds}💎 ${this.inventory.blazeRods}🔥 ${this.inventory.enderPearls}👁️ | Armor: ${this.inventory.armor}`;
+        const summary = this.getSummary();
+        return `📦 Key items: ${summary.diamonds}💎 ${summary.blazeRods}🔥 ${summary.enderPearls}👁️ | Armor: ${summary.armor}`;
     }
 
     getDetailedInventory() {
-        const weapons = this.inventory.weapons.join(', ') || 'None';
-        const tools = this.inventory.tools.join(', ') || 'None';
-        
+        const summary = this.getSummary();
+
         return {
             resources: {
-                diamonds: this.inventory.diamonds,
-                iron: this.inventory.iron,
-                obsidian: this.inventory.obsidian,
-                enderPearls: this.inventory.enderPearls,
-                blazeRods: this.inventory.blazeRods,
-                eyesOfEnder: this.inventory.eyesOfEnder,
-                food: this.inventory.food,
-                arrows: this.inventory.arrows
+                diamonds: summary.diamonds,
+                iron: summary.iron,
+                obsidian: summary.obsidian,
+                enderPearls: summary.enderPearls,
+                blazeRods: summary.blazeRods,
+                eyesOfEnder: summary.eyesOfEnder,
+                food: summary.food,
+                arrows: summary.arrows
             },
             equipment: {
-                armor: this.inventory.armor,
-                weapons: weapons,
-                tools: tools
-            }
+                armor: summary.armor,
+                weapons: summary.weapons.join(', ') || 'None',
+                tools: summary.tools.join(', ') || 'None'
+            },
+            slots: {
+                used: CONTAINER_SIZES.inventory - this.getEmptySlotCount(),
+                total: CONTAINER_SIZES.inventory,
+                held: this.getHeldItem() ? this.describeItem(this.getHeldItem()) : null
+            },
+            lastUpdate: this.lastUpdate
         };
     }
 
-    // Mission-specific inventory checks
+    // Mission-specific inventory checks: raw materials still to gather for the phase
     getMissingItems(phase) {
-        const missing = [];
-        
-        switch (phase) {
-            case 'preparation':
-                if (this.inventory.diamonds < 8) missing.push(`${8 - this.inventory.diamonds} more diamonds`);
-                if (this.inventory.iron < 10) missing.push(`${10 - this.inventory.iron} more iron`);
-                break;
-                
-            case 'nether':
-                if (this.inventory.obsidian < 10) missing.push(`${10 - this.inventory.obsidian} obsidian`);
-                if (!this.inventory.weapons.includes('Diamond Sword')) missing.push('Diamond sword');
-                break;
-                
-            case 'stronghold':
-                if (this.inventory.blazeRods < 7) missing.push(`${7 - this.inventory.blazeRods} blaze rods`);
-                if (this.inventory.enderPearls < 12) missing.push(`${12 - this.inventory.enderPearls} ender pearls`);
-                break;
-                
-            case 'end_fight':
-                if (this.inventory.food < 20) missing.push(`${20 - this.inventory.food} food items`);
-                if (this.inventory.arrows < 64) missing.push(`${64 - this.inventory.arrows} arrows`);
-                break;
-        }
-        
-        return missing;
-    }
-
-    getInventoryStatus(phase) {
-        const missing = this.getMissingItems(phase);
-        if (missing.length === 0) {
+        return this.planner.planPhase(phase).gather
+            .map(step => `${step.count} ${this.planner.displayName(step.item)}`);
+    }
+
+    getInventoryStatus(phase = this.bot.missionManager?.currentPhase) {
+        const plan = this.planner.planPhase(phase);
+        if (plan.complete) {
             return `✅ All required items for ${phase} phase obtained!`;
-        } else {
-            return `⚠️ Still need: ${missing.join(', ')}`;
         }
+
+        const missing = plan.gather.map(step => `${step.count} ${this.planner.displayName(step.item)}`);
+        return `⚠️ Still need: ${missing.join(', ') || 'crafting only'} | Next: ${plan.steps[0].description}`;
     }
 
-    // Resource priority suggestions
+    // Raw materials for the phase, in the order the plan gathers them
     getResourcePriority(phase) {
-        const priorities = {
-            'preparation': ['diamonds', 'iron', 'food'],
-            'nether': ['obsidian', 'food', 'arrows'],
-            'stronghold': ['blazeRods', 'enderPearls'],
-            'end_fight': ['food', 'arrows', 'buildingBlocks']
-        };
-        
-        return priorities[phase] || [];
+        return this.planner.planPhase(phase).gather.map(step => step.item);
     }
 }
 
-module.exports = InventoryManager;
\ No newline at end of file
+module.exports = InventoryManager;
@@ -0,0 +1,114 @@
+// modules/ItemRegistry.js - Network item ids for the current session plus static item data
+const itemData = require('./data/items.json');
+
+class ItemRegistry {
+    constructor(bot) {
+        this.bot = bot;
+        this.byId = new Map();
+        this.byName = new Map();
+    }
+
+    // Item runtime ids are assigned per server, so they are reloaded for every session
+    attach(client) {
+        this.byId.clear();
+        this.byName.clear();
+
+        client.on('start_game', (packet) => this.load(packet.itemstates));
+        client.on('item_registry', (packet) => this.load(packet.itemstates || packet.items));
+    }
+
+    load(states) {
+        for (const state of states || []) {
+            const id = state.runtime_id ?? state.network_id ?? state.id;
+            if (id === undefined || !state.name) continue;
+
+            const name = this.normalize(state.name);
+            this.byId.set(Number(id), name);
+            this.byName.set(name, Number(id));
+        }
+
+        if (this.byId.size > 0 && this.bot.config.debugMode) {
+            console.log(`📦 Item registry loaded: ${this.byId.size} items`);
+        }
+    }
+
+    normalize(name) {
+        if (!name) return null;
+        const identifier = name.trim().toLowerCase().replace(/\s+/g, '_');
+        return identifier.includes(':') ? identifier : `minecraft:${identifier}`;
+    }
+
+    // 'minecraft:diamond_sword' -> 'diamond_sword'
+    shortName(name) {
+        return this.normalize(name)?.replace(/^minecraft:/, '') || null;
+    }
+
+    displayName(name) {
+        return (this.shortName(name) || 'unknown')
+            .split('_')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    getName(networkId) {
+        if (networkId === 0 || networkId === undefined || networkId === null) return 'minecraft:air';
+        return this.byId.get(Number(networkId)) || `unknown:${networkId}`;
+    }
+
+    getId(name) {
+        return this.byName.get(this.normalize(name)) ?? null;
+    }
+
+    getMaxDurability(name) {
+        return itemData.maxDurability[this.shortName(name)] ?? null;
+    }
+
+    getMeleeDamage(name) {
+        return itemData.meleeDamage[this.shortName(name)] ?? 1;
+    }
+
+    // Full-strength swings per second; anything that is not a weapon swings like a fist
+    getAttackSpeed(name) {
+        return itemData.attackSpeed[this.shortName(name)] ?? 4;
+    }
+
+    getFood(name) {
+        return itemData.food[this.shortName(name)] || null;
+    }
+
+    isFood(name) {
+        return !!this.getFood(name);
+    }
+
+    // Potions, splash or not, tell their kind by the item's metadata; null for water and awkward potions
+    getPotion(metadata) {
+        return itemData.potions[String(metadata)] || null;
+    }
+
+    isPotion(name) {
+        return ['potion', 'splash_potion', 'lingering_potion'].includes(this.shortName(name));
+    }
+
+    getEffectName(id) {
+        return itemData.effects[String(id)] || `effect_${id}`;
+    }
+
+    getArmorPoints(name) {
+        const shortName = this.shortName(name) || '';
+        const match = shortName.match(/^(\w+?)_(helmet|chestplate|leggings|boots)$/);
+        if (!match) return 0;
+
+        const pieces = ['helmet', 'chestplate', 'leggings', 'boots'];
+        return itemData.armorPoints[match[1]]?.[pieces.indexOf(match[2])] ?? 0;
+    }
+
+    getEnchantmentName(id) {
+        return itemData.enchantments[String(id)] || `enchantment_${id}`;
+    }
+
+    get size() {
+        return this.byId.size;
+    }
+}
+
+module.exports = ItemRegistry;
@@ -1,4 +1,9 @@
 // modules/MissionManager.js
+const { NETHER_FOOD_RESERVE } = require('./SurvivalManager');
+
+// Legs that still lie ahead of (or include) the Nether; a food shortage here holds the Nether leg
+const BEFORE_STRONGHOLD = ['research', 'preparation', 'nether'];
+
 class MissionManager {
     constructor(bot) {
         this.bot = bot;
@@ -15,10 +20,24 @@ class MissionManager {
             enderDragonKnowledge: '',
             currentStrategy: '',
             requiredItems: [],
-            currentGoal: ''
+            currentGoal: '',
+            materialPlan: null
         };
+        this.craftingInProgress = false;
+        this.foodHold = null; // { phase, want, advance, goal, task } while the mission waits for enough food
         
         this.setupGeminiContext();
+
+        // Gathered materials become gear as soon as a planned recipe is covered
+        this.bot.on('inventory_updated', () => {
+            if (this.missionActive && this.currentPhase === 'preparation') this.craftPlannedItems();
+            if (this.foodHold) this.checkFoodHold();
+        });
+
+        // SurvivalManager only notices the shortage; what to do about it depends on the mission leg
+        this.bot.on('food_needed', (need) => {
+            this.handleFoodNeeded(need).catch(error => console.error('❌ Food restock failed:', error.message));
+        });
     }
 
     setupGeminiContext() {
@@ -34,6 +53,7 @@ Your personality:
 Mission Status: ${this.missionActive ? 'ACTIVE' : 'WAITING FOR PLAYERS'}
 Current Phase: ${this.currentPhase}
 Current Goal: ${this.research.currentGoal || 'Waiting for mission start'}
+Next steps: ${this.research.materialPlan?.steps.slice(0, 3).map(step => step.description).join('; ') || 'none planned'}
 
 Current strategy: ${this.research.currentStrategy}
 
@@ -50,6 +70,14 @@ Available actions you can take:
 Always respond with determination and focus on the mission. Keep responses under 150 characters for chat.`;
     }
 
+    async onConnect() {
+        // Called once per connection session, including after reconnects
+        if (this.missionActive) {
+            this.logProgress(`Reconnected during ${this.currentPhase} phase`);
+            await this.bot.sendChat(`🔌 Back online! Resuming mission phase: ${this.currentPhase}`);
+        }
+    }
+
     async handlePlayerJoin(playerName) {
         if (!this.missionStarted && this.bot.players.size === 1) {
             await this.startEnderDragonMission();
@@ -96,8 +124,7 @@ Always respond with determination and focus on the mission. Keep responses under
 
 Be specific about quantities and crafting recipes. This is for Minecraft Bedrock Edition.`;
 
-            const result = await this.bot.model.generateContent(researchPrompt);
-            const researchResponse = result.response.text();
+            const researchResponse = await this.bot.llm.generateText(researchPrompt);
             
             this.research.enderDragonKnowledge = researchResponse;
             await this.parseResearchForStrategy(researchResponse);
@@ -119,30 +146,19 @@ Be specific about quantities and crafting recipes. This is for Minecraft Bedrock
     async parseResearchForStrategy(research) {
         try {
             const strategyPrompt = `Based on this Ender Dragon research, extract:
-1. A prioritized list of items needed
-2. The immediate next goal/action
-3. A concise strategy summary (under 200 words)
+1. items: a prioritized list of items needed
+2. nextGoal: the immediate next goal/action
+3. strategy: a concise strategy summary (under 200 words)
 
-Research: ${research}
+Research: ${research}`;
 
-Format as:
-ITEMS: item1, item2, item3...
-NEXT_GOAL: what to do immediately
-STRATEGY: brief strategy summary`;
-
-            const result = await this.bot.model.generateContent(strategyPrompt);
-            const parsed = result.response.text();
+            const parsed = await this.bot.structuredOutput.generate(strategyPrompt, MissionManager.STRATEGY_SCHEMA, {
+                label: 'Mission strategy'
+            });
             
-            const lines = parsed.split('\n');
-            for (const line of lines) {
-                if (line.startsWith('ITEMS:')) {
-                    this.research.requiredItems = line.replace('ITEMS:', '').split(',').map(item => item.trim());
-                } else if (line.startsWith('NEXT_GOAL:')) {
-                    this.research.currentGoal = line.replace('NEXT_GOAL:', '').trim();
-                } else if (line.startsWith('STRATEGY:')) {
-                    this.research.currentStrategy = line.replace('STRATEGY:', '').trim();
-                }
-            }
+            this.research.requiredItems = parsed.items;
+            this.research.currentGoal = parsed.nextGoal;
+            this.research.currentStrategy = parsed.strategy;
             
         } catch (error) {
             console.error('Strategy parsing failed:', error);
@@ -151,30 +167,41 @@ STRATEGY: brief strategy summary`;
     }
 
     async setBasicStrategy() {
-        this.research.requiredItems = [
-            'Diamond sword', 'Diamond pickaxe', 'Diamond armor set',
-            'Bow and arrows', 'Ender pearls (12+)', 'Blaze rods (7+)',
-            'Food (steak/bread)', 'Building blocks', 'Crafting table'
-        ];
+        const planner = this.bot.craftingPlanner;
+        this.research.requiredItems = ['preparation', 'nether', 'stronghold', 'end_fight']
+            .flatMap(phase => Object.entries(planner.getPhaseTargets(phase)))
+            .map(([item, count]) => `${planner.displayName(item)}${count > 1 ? ` (${count})` : ''}`);
         this.research.currentGoal = 'Mine diamonds and gather basic resources';
         this.research.currentStrategy = 'Gather diamonds, create equipment, explore Nether for blaze rods and ender pearls, find stronghold, defeat dragon';
     }
 
     async startPreparationPhase() {
         this.currentPhase = 'preparation';
+        this.refreshMaterialPlan();
         await this.bot.sendChat(`🎯 Phase 1: Preparation! Goal: ${this.research.currentGoal}`);
         
         console.log('📋 Required items:', this.research.requiredItems);
         console.log('🎯 Current goal:', this.research.currentGoal);
+        this.research.materialPlan.steps.forEach((step, index) => console.log(`   ${index + 1}. ${step.description}`));
         
         this.logProgress(`Preparation phase started - Goal: ${this.research.currentGoal}`);
         
+        // Whatever the inventory already covers is crafted before heading out
+        await this.craftPlannedItems();
+        
         // Delegate to gameplay manager
         await this.bot.gameplayManager.beginResourceGathering();
     }
 
     async advanceMissionPhase(newPhase) {
+        // Hunger drains fast in the Nether and nothing there is worth eating
+        if (newPhase === 'nether' && !await this.ensureFood(NETHER_FOOD_RESERVE)) {
+            await this.holdForFood(newPhase, NETHER_FOOD_RESERVE, true);
+            return;
+        }
+        
         this.currentPhase = newPhase;
+        this.refreshMaterialPlan();
         this.setupGeminiContext(); // Update context with new phase
         
         switch (newPhase) {
@@ -193,6 +220,179 @@ STRATEGY: brief strategy summary`;
         }
     }
 
+    // Recompute what the current phase still needs; the first step becomes the goal
+    refreshMaterialPlan() {
+        const plan = this.bot.craftingPlanner.planPhase(this.currentPhase);
+        this.research.materialPlan = plan;
+        if (plan.steps.length > 0 && !this.foodHold) {
+            this.research.currentGoal = plan.steps[0].description;
+        }
+        return plan;
+    }
+
+    // Run every craft step of the phase plan that is ready; the rest waits for gathering
+    async craftPlannedItems() {
+        if (this.craftingInProgress) return [];
+        this.craftingInProgress = true;
+        
+        const crafted = [];
+        try {
+            for (const step of this.refreshMaterialPlan().craft) {
+                if (!this.bot.craftingManager.canCraftStep(step)) continue;
+                
+                const result = await this.bot.craftingManager.craftFromPlan({ craft: [step] });
+                if (result.success) crafted.push(...result.crafted);
+            }
+        } finally {
+            this.craftingInProgress = false;
+        }
+        
+        if (crafted.length > 0) this.refreshMaterialPlan();
+        return crafted;
+    }
+
+    getFoodCount() {
+        return this.bot.inventoryManager.getItemCount('food');
+    }
+
+    // Hungry with nothing to eat, or in the Nether without the reserve
+    async handleFoodNeeded({ reason, want = NETHER_FOOD_RESERVE }) {
+        if (!this.missionActive || this.currentPhase === 'victory') return;
+        if (await this.ensureFood(want)) return;
+
+        // Past the Nether the phase plans already carry food; the run goes on
+        if (!BEFORE_STRONGHOLD.includes(this.currentPhase)) {
+            this.logProgress(`Short on food (${reason}): ${this.getFoodCount()}/${want}`);
+            return;
+        }
+
+        // Only the Nether leg is gated on food; research and preparation carry on from where they were
+        const inNether = this.currentPhase === 'nether';
+        await this.holdForFood(this.currentPhase, want, inNether);
+        if (inNether && this.bot.navigationManager.currentDimension === 'nether') await this.leaveNetherForFood();
+    }
+
+    // Crafts food from what is on hand until `want` is met; true when it is
+    async ensureFood(want) {
+        if (this.getFoodCount() >= want) return true;
+        if (this.craftingInProgress) return false;
+        this.craftingInProgress = true;
+
+        try {
+            for (const step of this.planFood(want - this.getFoodCount()).filter(step => step.station !== 'furnace')) {
+                if (!this.bot.craftingManager.canCraftStep(step)) continue;
+                await this.bot.craftingManager.craftFromPlan({ craft: [step] });
+                if (this.getFoodCount() >= want) break;
+            }
+        } finally {
+            this.craftingInProgress = false;
+        }
+        return this.getFoodCount() >= want;
+    }
+
+    // Craft steps for every food the inventory's ingredients cover, bread and cooked meat alike
+    planFood(shortfall) {
+        const planner = this.bot.craftingPlanner;
+        const recipes = this.bot.recipeDatabase;
+        const stock = planner.getStock();
+        const steps = [];
+
+        for (const item of recipes.getTagMembers('food')) {
+            if (shortfall <= 0) break;
+            for (const recipe of recipes.getRecipes(item)) {
+                const crafts = Math.min(...Object.entries(recipe.ingredients)
+                    .map(([ingredient, count]) => Math.floor((stock[ingredient] || 0) / count)));
+                const count = Math.min(crafts * recipe.count, shortfall);
+                if (count <= 0) continue;
+
+                // Plans net out what is already on hand
+                steps.push(...planner.plan({ [item]: (stock[item] || 0) + count }).craft.filter(step => step.item === item));
+                shortfall -= count;
+                break;
+            }
+        }
+        return steps;
+    }
+
+    // Smelting is not automated, so raw meat only shows up in the goal, ahead of hunting for more
+    describeFoodGoal(want) {
+        const shortfall = want - this.getFoodCount();
+        const cooking = this.planFood(shortfall).find(step => step.station === 'furnace');
+        if (cooking) return `${cooking.description} for the Nether food reserve`;
+        return `${this.bot.craftingPlanner.plan({ food: want }).steps[0]?.description || 'Gather food'} for the Nether food reserve`;
+    }
+
+    // `advance` holds the move into `phase` itself; otherwise the goal and task it replaces come back afterwards
+    async holdForFood(phase, want, advance) {
+        const first = !this.foodHold;
+        const { goal, task } = this.foodHold || { goal: this.research.currentGoal, task: this.currentTask };
+        // Hunger while the Nether leg is already held keeps it held
+        if (this.foodHold?.advance) ({ phase, advance } = this.foodHold);
+        this.foodHold = { phase, want, advance, goal, task };
+        this.currentTask = 'gathering_food';
+        this.research.currentGoal = this.describeFoodGoal(want);
+        this.setupGeminiContext();
+        if (!first) return;
+
+        this.logProgress(`Holding the ${phase} leg: ${this.getFoodCount()}/${want} food - ${this.research.currentGoal}`);
+        await this.bot.sendChat(advance
+            ? `🍖 Not risking the Nether on ${this.getFoodCount()}/${want} food! ${this.research.currentGoal}`
+            : `🍖 Out of food, restocking first! ${this.research.currentGoal}`);
+    }
+
+    // Once the reserve is on hand a held Nether leg starts; any other phase picks up its old goal
+    checkFoodHold() {
+        const { phase, want, advance, goal, task } = this.foodHold;
+        if (this.getFoodCount() < want) return;
+
+        this.foodHold = null;
+        this.logProgress(`Food reserve met (${this.getFoodCount()}/${want}) - resuming the ${phase} leg`);
+        if (advance) {
+            this.currentTask = null;
+            this.advanceMissionPhase(phase).catch(error => console.error(`❌ Could not resume the ${phase} leg:`, error.message));
+            return;
+        }
+
+        this.currentTask = task;
+        this.research.currentGoal = goal;
+        this.refreshMaterialPlan();
+        this.setupGeminiContext();
+    }
+
+    // A run already under way goes back through the nearest portal with a known Overworld end
+    async leaveNetherForFood() {
+        const navigation = this.bot.navigationManager;
+        const portal = this.bot.waypointStore.list({ kind: 'portal', dimension: 'nether' })
+            .filter(candidate => candidate.link?.dimension === 'overworld')
+            .sort((a, b) => navigation.calculateDistance(a.position, this.bot.position) -
+                navigation.calculateDistance(b.position, this.bot.position))[0];
+        if (!portal) {
+            console.log('🍖 No linked portal back to the Overworld; restocking has to wait');
+            return false;
+        }
+
+        this.logProgress(`Leaving the Nether through ${portal.name} to restock food`);
+        return navigation.travelThroughPortal(portal);
+    }
+
+    async handleEnderDragonSpotted(dragon) {
+        // The dragon only exists in the End, so seeing it means the final phase has begun
+        if (!this.missionActive || this.currentPhase === 'end_fight' || this.currentPhase === 'victory') return;
+        
+        this.currentPhase = 'end_fight';
+        this.refreshMaterialPlan();
+        this.setupGeminiContext();
+        this.logProgress(`Ender Dragon spotted (entity ${dragon.id}) - final fight phase`);
+    }
+
+    // Victory comes from the dragon entity dying, never from a guess
+    async handleEnderDragonDefeated(dragon) {
+        if (this.currentPhase === 'victory') return;
+        
+        this.logProgress(`Ender Dragon (entity ${dragon.id}) died`);
+        await this.advanceMissionPhase('victory');
+    }
+
     async celebrateVictory() {
         console.log('🏆 ENDER DRAGON DEFEATED!');
         await this.bot.sendChat('🏆 THE ENDER DRAGON IS DEFEATED! MISSION ACCOMPLISHED!');
@@ -231,13 +431,15 @@ STRATEGY: brief strategy summary`;
         this.currentPhase = 'waiting';
         this.currentTask = null;
         this.progressLog = [];
+        this.foodHold = null;
         
         // Reset research
         this.research = {
             enderDragonKnowledge: '',
             currentStrategy: '',
             requiredItems: [],
-            currentGoal: ''
+            currentGoal: '',
+            materialPlan: null
         };
         
         setTimeout(() => this.startEnderDragonMission(), 2000);
@@ -256,7 +458,26 @@ STRATEGY: brief strategy summary`;
         console.log(`📊 Progress: ${message}`);
     }
 
+    async updateStrategy(adaptiveStrategy) {
+        // Called by GameplayManager when the game mode or difficulty is known
+        this.adaptiveStrategy = adaptiveStrategy;
+        this.logProgress(`Strategy adapted: ${adaptiveStrategy.dragonStrategy} (${adaptiveStrategy.preparation} preparation)`);
+    }
+
     // Status reporting methods
+    getCurrentStatus() {
+        return {
+            active: this.missionActive,
+            phase: this.currentPhase,
+            task: this.currentTask,
+            goal: this.research.currentGoal,
+            nextSteps: this.research.materialPlan?.steps.slice(0, 5).map(step => step.description) || [],
+            adaptiveStrategy: this.adaptiveStrategy?.dragonStrategy || null,
+            foodHold: this.foodHold,
+            progress: this.progressLog.slice(-5)
+        };
+    }
+
     getStatus() {
         return `🤖 Status: ${this.currentPhase} | Goal: ${this.research.currentGoal || 'Dragon hunt!'}`;
     }
@@ -273,4 +494,15 @@ STRATEGY: brief strategy summary`;
     }
 }
 
+// Reply shape requested from the AI when distilling research
+MissionManager.STRATEGY_SCHEMA = {
+    type: 'object',
+    required: ['items', 'nextGoal', 'strategy'],
+    properties: {
+        items: { type: 'array', minItems: 1, maxItems: 30, items: { type: 'string', minLength: 1 } },
+        nextGoal: { type: 'string', minLength: 1, maxLength: 200 },
+        strategy: { type: 'string', minLength: 1, maxLength: 1500 }
+    }
+};
+
 module.exports = MissionManager;
\ No newline at end of file
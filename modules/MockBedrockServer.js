@@ -0,0 +1,1116 @@
+// modules/MockBedrockServer.js - Scriptable stand-in for a Bedrock server
+const EventEmitter = require('events');
+const minecraftData = require('minecraft-data');
+const itemData = require('./data/items.json');
+
+// Block runtime ids for the chunks the mock sends (the mock speaks the 1.20 layout)
+const blockData = minecraftData('bedrock_1.20.0');
+
+// Overworld sub-chunks start at y -64
+const MIN_SECTION = -4;
+
+const MELEE_REACH = 4; // blocks the mock accepts attacks from
+const HURT_COOLDOWN = 500; // ms a mob ignores further hits after taking one
+const ARROW_GRAVITY = 0.05; // blocks per tick², applied after 1% drag
+const ARROW_DRAG = 0.99;
+// Like BDS, unique ids come from a different range than runtime ids; remove_entity uses the unique one
+const UNIQUE_ID_OFFSET = 1000000n;
+
+// Item tags the mock recipes use
+const ITEM_TAGS = {
+    'minecraft:planks': name => name.endsWith('_planks'),
+    'minecraft:logs': name => name.endsWith('_log')
+};
+
+// Client double exposing the same on/write surface as a bedrock-protocol client
+class MockClient extends EventEmitter {
+    constructor(server, options = {}) {
+        super();
+        this.server = server;
+        this.options = options;
+        this.username = options.username || 'DragonSlayerBot';
+        this.closed = false;
+    }
+
+    write(name, params) {
+        if (this.closed) {
+            throw new Error('Mock client is closed');
+        }
+        this.server.receiveFromClient(this, name, params);
+    }
+
+    queue(name, params) {
+        this.write(name, params);
+    }
+
+    // Deliver a packet to the bot the way bedrock-protocol does
+    deliver(name, params) {
+        if (this.closed) return;
+        this.emit('packet', { data: { name, params }, metadata: { size: 0 } });
+        this.emit(name, params);
+    }
+
+    disconnect(reason = 'Client disconnected') {
+        if (this.closed) return;
+        this.server.handleClientDisconnect(this, reason);
+        this.close();
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+}
+
+class MockBedrockServer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            speed: options.speed || 1, // >1 plays the scenario faster
+            loginDelay: options.loginDelay ?? 50, // ms
+            botRuntimeId: options.botRuntimeId || 1,
+            spawnPosition: options.spawnPosition || { x: 0, y: 64, z: 0 },
+            gameMode: options.gameMode || 'survival',
+            difficulty: options.difficulty ?? 2,
+            dimension: options.dimension || 0,
+            movementAuthority: options.movementAuthority || 'client', // 'server' makes the bot send player_auth_input
+            echoChat: options.echoChat !== false,
+            itemStates: options.itemStates || MockBedrockServer.defaultItemStates(),
+            recipes: options.recipes || null,
+            craftingTables: options.craftingTables || [],
+            chunkRadius: options.chunkRadius ?? 2, // columns around spawn sent at login
+            flatLayers: options.flatLayers || MockBedrockServer.defaultFlatLayers(),
+            blocks: options.blocks || [], // [{ position, name }] placed on top of the flat world
+            stronghold: options.stronghold || null, // { x, z } that thrown eyes of ender fly toward
+            eyeBreaks: options.eyeBreaks || false, // thrown eyes shatter instead of dropping
+            portals: options.portals || [] // [{ dimension, position, exit: { dimension, position } }] feet blocks
+        };
+
+        this.scenario = options.scenario || [];
+        this.client = null;
+        this.writes = [];
+        this.timers = new Set();
+        this.clientHandlers = new Map();
+        this.players = new Map();
+        this.mobs = new Map(); // runtime id -> { type, position, health, maxHealth, lastHurt }
+        this.drawing = null; // { slot, name, start } while a bow or crossbow is held back
+        this.crossbowLoaded = false;
+        this.nextRuntimeId = this.options.botRuntimeId + 1;
+        this.nextStackId = 0;
+        this.nextWindowId = 1;
+        this.currentTick = 0n;
+        this.inventory = new Array(36).fill(null);
+        this.heldSlot = 0;
+        this.craftingTables = this.options.craftingTables.map(position => ({ ...position }));
+        this.openWindow = null;
+        this.blocks = new Map();
+        this.options.blocks.forEach(block => this.blocks.set(this.blockKey(block.position), block.name));
+        this.botState = {
+            position: { ...this.options.spawnPosition },
+            health: 20,
+            hunger: 20,
+            saturation: 5
+        };
+        this.dimension = this.options.dimension;
+        this.portalTimer = null;
+        this.portalCooldown = false; // set after a trip until the bot steps out of the exit portal
+        this.awaitingDimensionAck = false;
+
+        this.setupDefaultClientHandlers();
+    }
+
+    // Drop-in replacement for bedrock.createClient
+    createClient(options = {}) {
+        if (this.client && !this.client.closed) {
+            this.client.close();
+        }
+
+        this.client = new MockClient(this, options);
+        this.schedule(this.options.loginDelay, () => this.performLogin());
+        return this.client;
+    }
+
+    performLogin() {
+        const client = this.client;
+        if (!client || client.closed) return;
+
+        client.deliver('play_status', { status: 'login_success' });
+        client.emit('join');
+
+        this.inventory = new Array(36).fill(null);
+        this.heldSlot = 0;
+        this.openWindow = null;
+
+        client.deliver('start_game', this.buildStartGamePacket(client));
+        client.deliver('crafting_data', {
+            recipes: this.options.recipes || this.defaultRecipes(),
+            potion_type_recipes: [],
+            potion_container_recipes: [],
+            material_reducers: [],
+            clear_recipes: true
+        });
+        client.deliver('inventory_content', { window_id: 'inventory', input: [] });
+        client.deliver('inventory_content', { window_id: 'armor', input: [] });
+        this.sendChunks(client);
+        client.deliver('play_status', { status: 'player_spawn' });
+        client.emit('spawn');
+
+        this.emit('client_spawned', client);
+        this.runScenario(this.scenario);
+    }
+
+    buildStartGamePacket(client) {
+        return {
+            entity_id: BigInt(this.options.botRuntimeId),
+            runtime_entity_id: BigInt(this.options.botRuntimeId),
+            player_gamemode: this.options.gameMode,
+            player_position: { ...this.options.spawnPosition, y: this.options.spawnPosition.y + 1.62 },
+            rotation: { x: 0, z: 0 },
+            seed: 0n,
+            dimension: this.options.dimension,
+            generator: 1,
+            world_gamemode: this.options.gameMode,
+            difficulty: this.options.difficulty,
+            spawn_position: { ...this.options.spawnPosition },
+            level_id: 'mock',
+            world_name: 'Mock World',
+            current_tick: this.currentTick,
+            movement_authority: this.options.movementAuthority,
+            itemstates: this.options.itemStates,
+            player_name: client.username
+        };
+    }
+
+    runScenario(steps) {
+        for (const step of steps) {
+            this.schedule(step.at || 0, () => this.runStep(step));
+        }
+    }
+
+    runStep(step) {
+        switch (step.type) {
+            case 'player_join':
+                return this.playerJoin(step.username, step.position);
+            case 'player_leave':
+                return this.playerLeave(step.username);
+            case 'spawn_mob':
+                return this.spawnMob(step.entityType, step.position, step.health);
+            case 'move_entity':
+                return this.moveEntity(step.runtimeId, step.position);
+            case 'remove_entity':
+                return this.removeEntity(step.runtimeId);
+            case 'set_health':
+                return this.setHealth(step.health, step.maxHealth);
+            case 'set_hunger':
+                return this.setHunger(step.hunger, step.saturation);
+            case 'chat':
+                return this.chat(step.source, step.message);
+            case 'set_game_mode':
+                return this.sendPacket('set_player_game_type', { gamemode: step.gameMode });
+            case 'set_difficulty':
+                return this.sendPacket('set_difficulty', { difficulty: step.difficulty });
+            case 'change_dimension':
+                return this.changeDimension(step.dimension, step.position || { ...this.options.spawnPosition });
+            case 'give_item':
+                return this.giveItem(step.slot, step.item, step.count, step);
+            case 'set_block':
+                return this.setBlock(step.position, step.name);
+            case 'packet':
+                return this.sendPacket(step.name, step.params);
+            case 'disconnect':
+                return this.kick(step.reason);
+            default:
+                console.warn(`🎭 Unknown scenario step type: ${step.type}`);
+        }
+    }
+
+    // Scripted world events
+    playerJoin(username, position = { x: 10, y: 64, z: 10 }) {
+        const runtimeId = this.nextRuntimeId++;
+        this.players.set(username, runtimeId);
+
+        this.sendPacket('add_player', {
+            uuid: `mock-${username}`,
+            username,
+            runtime_id: BigInt(runtimeId),
+            unique_id: this.uniqueIdOf(runtimeId),
+            platform_chat_id: '',
+            position: { ...position },
+            velocity: { x: 0, y: 0, z: 0 },
+            pitch: 0,
+            yaw: 0,
+            head_yaw: 0,
+            held_item: { network_id: 0 },
+            gamemode: this.options.gameMode,
+            metadata: [],
+            links: [],
+            device_id: '',
+            device_os: 'Win10'
+        });
+        return runtimeId;
+    }
+
+    playerLeave(username) {
+        const runtimeId = this.players.get(username);
+        if (runtimeId === undefined) return;
+
+        this.players.delete(username);
+        this.sendPacket('remove_entity', { entity_id_self: this.uniqueIdOf(runtimeId) });
+    }
+
+    spawnMob(entityType, position = { x: 5, y: 64, z: 5 }, health = 20) {
+        const runtimeId = this.nextRuntimeId++;
+
+        this.sendPacket('add_entity', {
+            unique_id: this.uniqueIdOf(runtimeId),
+            runtime_id: BigInt(runtimeId),
+            entity_type: entityType,
+            position: { ...position },
+            velocity: { x: 0, y: 0, z: 0 },
+            pitch: 0,
+            yaw: 0,
+            head_yaw: 0,
+            body_yaw: 0,
+            attributes: [{ name: 'minecraft:health', min: 0, max: health, current: health }],
+            metadata: [],
+            properties: { ints: [], floats: [] },
+            links: []
+        });
+        this.mobs.set(runtimeId, { type: entityType, position: { ...position }, health, maxHealth: health, lastHurt: 0 });
+        return runtimeId;
+    }
+
+    uniqueIdOf(runtimeId) {
+        return BigInt(runtimeId) + UNIQUE_ID_OFFSET;
+    }
+
+    moveEntity(runtimeId, position) {
+        const mob = this.mobs.get(runtimeId);
+        if (mob) mob.position = { ...position };
+        this.sendPacket('move_entity', {
+            runtime_entity_id: BigInt(runtimeId),
+            flags: 0,
+            position: { ...position },
+            rotation: { yaw: 0, pitch: 0, head_yaw: 0 }
+        });
+    }
+
+    removeEntity(runtimeId) {
+        this.mobs.delete(runtimeId);
+        this.sendPacket('remove_entity', { entity_id_self: this.uniqueIdOf(runtimeId) });
+    }
+
+    setHealth(health, maxHealth = 20) {
+        this.botState.health = health;
+        this.sendPacket('update_attributes', {
+            runtime_entity_id: BigInt(this.options.botRuntimeId),
+            attributes: [{
+                min: 0,
+                max: maxHealth,
+                current: health,
+                default: maxHealth,
+                name: 'minecraft:health',
+                modifiers: []
+            }],
+            tick: this.currentTick
+        });
+    }
+
+    setHunger(hunger, saturation = Math.min(this.botState.saturation, hunger)) {
+        this.botState.hunger = hunger;
+        this.botState.saturation = saturation;
+        this.sendPacket('update_attributes', {
+            runtime_entity_id: BigInt(this.options.botRuntimeId),
+            attributes: [
+                { min: 0, max: 20, current: hunger, default: 20, name: 'minecraft:player.hunger', modifiers: [] },
+                { min: 0, max: 20, current: saturation, default: 5, name: 'minecraft:player.saturation', modifiers: [] }
+            ],
+            tick: this.currentTick
+        });
+    }
+
+    networkIdOf(name) {
+        const state = this.options.itemStates.find(candidate => candidate.name === `minecraft:${name}` || candidate.name === name);
+        if (!state) throw new Error(`Mock server has no item state for ${name}`);
+        return state.runtime_id;
+    }
+
+    buildItem(name, count = 1, options = {}) {
+        const networkId = this.networkIdOf(name);
+
+        const tags = {};
+        if (options.damage) {
+            tags.Damage = { type: 'int', value: options.damage };
+        }
+        if (options.enchantments) {
+            tags.ench = {
+                type: 'list',
+                value: {
+                    type: 'compound',
+                    value: options.enchantments.map(e => ({ id: { type: 'short', value: e.id }, lvl: { type: 'short', value: e.level } }))
+                }
+            };
+        }
+        const hasNbt = Object.keys(tags).length > 0;
+
+        return {
+            network_id: networkId,
+            count,
+            metadata: options.metadata || 0,
+            has_stack_id: 1,
+            stack_id: ++this.nextStackId,
+            block_runtime_id: 0,
+            extra: {
+                has_nbt: hasNbt,
+                nbt: hasNbt ? { version: 1, nbt: { type: 'compound', name: '', value: tags } } : undefined,
+                can_place_on: [],
+                can_destroy: []
+            }
+        };
+    }
+
+    giveItem(slot, name, count = 1, options = {}) {
+        const item = this.buildItem(name, count, options);
+        const windowId = options.window || 'inventory';
+        if (windowId === 'inventory') {
+            this.inventory[slot] = item;
+        }
+
+        this.sendPacket('inventory_slot', { window_id: windowId, slot, item });
+    }
+
+    itemName(item) {
+        const state = item && this.options.itemStates.find(candidate => candidate.runtime_id === item.network_id);
+        return state ? state.name : null;
+    }
+
+    chat(source, message) {
+        this.sendPacket('text', {
+            type: 'chat',
+            needs_translation: false,
+            source_name: source,
+            message,
+            xuid: '',
+            platform_chat_id: ''
+        });
+    }
+
+    kick(reason = 'Server closed') {
+        if (!this.client || this.client.closed) return;
+
+        this.sendPacket('disconnect', { hide_disconnect_reason: false, message: reason });
+        this.client.close();
+    }
+
+    sendPacket(name, params) {
+        if (!this.client || this.client.closed) return;
+        this.currentTick++;
+        this.client.deliver(name, params);
+    }
+
+    // Client -> server traffic
+    onClientPacket(name, handler) {
+        this.clientHandlers.set(name, handler);
+    }
+
+    setupDefaultClientHandlers() {
+        this.onClientPacket('text', (params) => {
+            if (this.options.echoChat) {
+                this.sendPacket('text', { ...params });
+            }
+        });
+
+        // Like a real server, movement is ignored until the client acknowledges a dimension change
+        this.onClientPacket('move_player', (params) => {
+            if (this.awaitingDimensionAck) return;
+            this.botState.position = { ...params.position };
+            this.botState.rotation = { yaw: params.yaw, pitch: params.pitch };
+            this.checkPortals();
+        });
+
+        this.onClientPacket('player_auth_input', (params) => {
+            if (this.awaitingDimensionAck) return;
+            this.botState.position = { ...params.position };
+            this.botState.rotation = { yaw: params.yaw, pitch: params.pitch };
+            this.botState.tick = params.tick;
+            this.checkPortals();
+        });
+
+        this.onClientPacket('request_chunk_radius', (params) => {
+            this.sendPacket('chunk_radius_update', { chunk_radius: params.chunk_radius });
+        });
+
+        this.onClientPacket('player_action', (params) => {
+            if (params.action === 'dimension_change_ack') this.awaitingDimensionAck = false;
+        });
+
+        this.onClientPacket('mob_equipment', (params) => {
+            this.heldSlot = params.selected_slot;
+        });
+
+        this.onClientPacket('subchunk_request', (params) => this.handleSubChunkRequest(params));
+        this.onClientPacket('inventory_transaction', (params) => this.handleItemUse(params.transaction));
+        this.onClientPacket('item_stack_request', (params) => this.handleStackRequests(params.requests));
+
+        this.onClientPacket('container_close', (params) => {
+            this.openWindow = null;
+            this.sendPacket('container_close', { window_id: params.window_id, server: false });
+        });
+    }
+
+    // Melee hits deal the held weapon's damage, with the vanilla hurt cooldown and death
+    handleAttack(data) {
+        if (data.action_type !== 'attack') return;
+        const runtimeId = Number(data.entity_runtime_id);
+        const mob = this.mobs.get(runtimeId);
+        if (!mob || mob.health <= 0) return;
+
+        const { x, y, z } = this.botState.position;
+        const distance = Math.hypot(mob.position.x - x, mob.position.y + 1 - y, mob.position.z - z);
+        if (distance > MELEE_REACH) return;
+
+        const weapon = this.itemName(this.inventory[data.hotbar_slot])?.replace(/^minecraft:/, '');
+        this.damageMob(runtimeId, itemData.meleeDamage[weapon] ?? 1);
+    }
+
+    damageMob(runtimeId, damage) {
+        const mob = this.mobs.get(runtimeId);
+        const now = Date.now();
+        if (!mob || mob.health <= 0 || now - mob.lastHurt < HURT_COOLDOWN / this.options.speed) return;
+
+        mob.health = Math.max(0, mob.health - damage);
+        mob.lastHurt = now;
+
+        const entityId = BigInt(runtimeId);
+        this.sendPacket('entity_event', { runtime_entity_id: entityId, event_id: 'hurt_animation', data: 0 });
+        this.sendPacket('update_attributes', {
+            runtime_entity_id: entityId,
+            attributes: [{ min: 0, max: mob.maxHealth, current: mob.health, default: mob.maxHealth, name: 'minecraft:health', modifiers: [] }],
+            tick: this.currentTick
+        });
+
+        if (mob.health <= 0) {
+            this.sendPacket('entity_event', { runtime_entity_id: entityId, event_id: 'death_animation', data: 0 });
+            this.schedule(1000, () => this.removeEntity(runtimeId));
+        }
+    }
+
+    // A bow fires on release, faster the longer it was drawn; a crossbow loads once fully charged
+    handleRelease(data) {
+        if (data.action_type === 'consume') return this.finishEating(data);
+
+        const drawing = this.drawing;
+        this.drawing = null;
+        if (!drawing || drawing.slot !== data.hotbar_slot || !this.takeArrow()) return;
+
+        const ticks = (Date.now() - drawing.start) * this.options.speed / 50;
+        if (drawing.name === 'minecraft:crossbow') {
+            this.crossbowLoaded = ticks >= 25;
+            return;
+        }
+
+        const draw = Math.min(1, ticks / 20);
+        const power = Math.min(1, (draw * draw + draw * 2) / 3);
+        if (power >= 0.1) this.fireArrow(power * 3);
+    }
+
+    // Food and drinkable potions are taken once held for 32 ticks
+    finishEating(data) {
+        const eating = this.eating;
+        this.eating = null;
+        if (!eating || eating.slot !== data.hotbar_slot) return;
+        if ((Date.now() - eating.start) * this.options.speed / 50 < 32) return;
+
+        if (eating.name === 'minecraft:potion') {
+            const potion = this.takeOne(eating.slot, 'glass_bottle');
+            return this.usePotion(potion);
+        }
+
+        const food = itemData.food[eating.name.replace(/^minecraft:/, '')];
+        this.takeOne(eating.slot);
+        const hunger = Math.min(20, this.botState.hunger + food.hunger);
+        this.setHunger(hunger, Math.min(hunger, this.botState.saturation + food.saturation));
+    }
+
+    // Instant health heals at once; other potions start their effect
+    usePotion(potion) {
+        const kind = itemData.potions[String(potion.metadata)];
+        if (!kind) return;
+
+        if (kind.effect === 'instant_health') {
+            return this.setHealth(Math.min(20, this.botState.health + (4 << kind.amplifier)));
+        }
+        const effectId = Number(Object.keys(itemData.effects).find(id => itemData.effects[id] === kind.effect));
+        this.sendPacket('mob_effect', {
+            runtime_entity_id: BigInt(this.options.botRuntimeId),
+            event_id: 'add',
+            effect_id: effectId,
+            amplifier: kind.amplifier,
+            particles: true,
+            duration: kind.duration * 20
+        });
+    }
+
+    // Removes one item from a slot, leaving `leftover` behind when the stack runs out; returns the item taken
+    takeOne(slot, leftover = null) {
+        const item = this.inventory[slot];
+        item.count--;
+        if (item.count === 0) this.inventory[slot] = leftover ? this.buildItem(leftover) : null;
+        this.sendPacket('inventory_slot', { window_id: 'inventory', slot, item: this.inventory[slot] || { network_id: 0 } });
+        return item;
+    }
+
+    takeArrow() {
+        const slot = this.inventory.findIndex(item => this.itemName(item) === 'minecraft:arrow');
+        if (slot < 0) return false;
+
+        const arrows = this.inventory[slot];
+        arrows.count--;
+        if (arrows.count === 0) this.inventory[slot] = null;
+        this.sendPacket('inventory_slot', { window_id: 'inventory', slot, item: this.inventory[slot] || { network_id: 0 } });
+        return true;
+    }
+
+    // Flies the arrow along the bot's facing and hurts the first mob it passes through
+    fireArrow(speed) {
+        const { yaw = 0, pitch = 0 } = this.botState.rotation || {};
+        const yawRadians = yaw * Math.PI / 180;
+        const pitchRadians = pitch * Math.PI / 180;
+        const position = { ...this.botState.position, y: this.botState.position.y - 0.1 };
+        const velocity = {
+            x: -Math.sin(yawRadians) * Math.cos(pitchRadians) * speed,
+            y: -Math.sin(pitchRadians) * speed,
+            z: Math.cos(yawRadians) * Math.cos(pitchRadians) * speed
+        };
+
+        for (let tick = 1; tick <= 100; tick++) {
+            // Check a few points along each tick's step so fast arrows cannot skip a mob
+            for (let part = 1; part <= 4; part++) {
+                const point = {
+                    x: position.x + velocity.x * part / 4,
+                    y: position.y + velocity.y * part / 4,
+                    z: position.z + velocity.z * part / 4
+                };
+                for (const [runtimeId, mob] of this.mobs) {
+                    const radius = mob.type === 'minecraft:ender_crystal' ? 1.5 : 0.8;
+                    const distance = Math.hypot(mob.position.x - point.x, mob.position.y + 1 - point.y, mob.position.z - point.z);
+                    if (distance > radius) continue;
+
+                    this.schedule(tick * 50, () => {
+                        if (mob.type === 'minecraft:ender_crystal') this.removeEntity(runtimeId);
+                        else this.damageMob(runtimeId, Math.ceil(Math.hypot(velocity.x, velocity.y, velocity.z) * 2));
+                    });
+                    return;
+                }
+            }
+            position.x += velocity.x;
+            position.y += velocity.y;
+            position.z += velocity.z;
+            velocity.x *= ARROW_DRAG;
+            velocity.y = velocity.y * ARROW_DRAG - ARROW_GRAVITY;
+            velocity.z *= ARROW_DRAG;
+        }
+    }
+
+    changeDimension(dimension, position) {
+        this.dimension = dimension;
+        this.botState.position = { ...position };
+        this.awaitingDimensionAck = true;
+        this.sendPacket('change_dimension', { dimension, position: { ...position }, respawn: false });
+    }
+
+    // Standing in a portal block for 4 seconds moves the bot to its exit
+    checkPortals() {
+        const { x, y, z } = this.botState.position;
+        const feet = { x: Math.floor(x), y: Math.floor(y - 1.62), z: Math.floor(z) };
+        const portal = this.options.portals.find(candidate => candidate.dimension === this.dimension &&
+            candidate.position.x === feet.x && candidate.position.z === feet.z &&
+            Math.abs(candidate.position.y - feet.y) <= 1);
+
+        if (!portal) {
+            this.portalCooldown = false;
+            if (this.portalTimer) {
+                clearTimeout(this.portalTimer);
+                this.timers.delete(this.portalTimer);
+                this.portalTimer = null;
+            }
+            return;
+        }
+        if (this.portalTimer || this.portalCooldown) return;
+
+        this.portalTimer = this.schedule(4000, () => {
+            this.portalTimer = null;
+            this.portalCooldown = true;
+            const exit = portal.exit.position;
+            this.changeDimension(portal.exit.dimension, { x: exit.x + 0.5, y: exit.y + 1.62, z: exit.z + 0.5 });
+        });
+    }
+
+    // Right-clicking a crafting table opens it; clicking with a table in hand places one;
+    // using an eye of ender throws it
+    handleItemUse(transaction) {
+        if (transaction?.transaction_type === 'item_use_on_entity') {
+            return this.handleAttack(transaction.transaction_data);
+        }
+        if (transaction?.transaction_type === 'item_release') {
+            return this.handleRelease(transaction.transaction_data);
+        }
+        if (transaction?.transaction_type !== 'item_use') return;
+        const data = transaction.transaction_data;
+        if (data.action_type === 'click_air') {
+            const name = this.itemName(this.inventory[data.hotbar_slot]);
+            if (name === 'minecraft:ender_eye') {
+                this.throwEye(data.hotbar_slot);
+            } else if (name === 'minecraft:crossbow' && this.crossbowLoaded) {
+                this.crossbowLoaded = false;
+                this.fireArrow(3.15);
+            } else if (name === 'minecraft:bow' || name === 'minecraft:crossbow') {
+                this.drawing = { slot: data.hotbar_slot, name, start: Date.now() };
+            } else if (name === 'minecraft:splash_potion') {
+                this.usePotion(this.takeOne(data.hotbar_slot));
+            } else if (name === 'minecraft:potion' || itemData.food[name?.replace(/^minecraft:/, '')]) {
+                this.eating = { slot: data.hotbar_slot, name, start: Date.now() };
+            }
+            return;
+        }
+        if (data.action_type !== 'click_block') return;
+
+        const position = data.block_position;
+        const isTable = table => table.x === position.x && table.y === position.y && table.z === position.z;
+        if (this.craftingTables.some(isTable)) {
+            this.openWindow = { id: this.nextWindowId++, type: 'workbench', position: { ...position } };
+            this.sendPacket('container_open', {
+                window_id: this.openWindow.id,
+                window_type: 'workbench',
+                coordinates: { ...position },
+                runtime_entity_id: -1n
+            });
+            return;
+        }
+
+        const held = this.inventory[data.hotbar_slot];
+        if (this.itemName(held) === 'minecraft:crafting_table' && data.face === 1) {
+            const target = { x: position.x, y: position.y + 1, z: position.z };
+            // Like a real server, refuse to place from a slot the player is not holding and resend the block
+            if (data.hotbar_slot !== this.heldSlot) {
+                this.setBlock(target, this.blocks.get(this.blockKey(target)) || 'air');
+                return;
+            }
+            this.craftingTables.push(target);
+            this.setBlock(target, 'crafting_table');
+            held.count--;
+            if (held.count === 0) this.inventory[data.hotbar_slot] = null;
+            this.sendPacket('inventory_slot', {
+                window_id: 'inventory',
+                slot: data.hotbar_slot,
+                item: this.inventory[data.hotbar_slot] || { network_id: 0 }
+            });
+        }
+    }
+
+    // The eye flies 12 blocks toward the stronghold over 40 ticks, then drops or shatters
+    throwEye(hotbarSlot) {
+        const held = this.inventory[hotbarSlot];
+        held.count--;
+        if (held.count === 0) this.inventory[hotbarSlot] = null;
+        this.sendPacket('inventory_slot', {
+            window_id: 'inventory',
+            slot: hotbarSlot,
+            item: this.inventory[hotbarSlot] || { network_id: 0 }
+        });
+
+        const target = this.options.stronghold;
+        if (!target) return;
+
+        const start = { ...this.botState.position };
+        const distance = Math.hypot(target.x - start.x, target.z - start.z) || 1;
+        const direction = { x: (target.x - start.x) / distance, z: (target.z - start.z) / distance };
+        const runtimeId = this.spawnMob('minecraft:eye_of_ender_signal', start, 1);
+
+        const ticks = 40;
+        for (let tick = 1; tick <= ticks; tick++) {
+            this.schedule(tick * 50, () => this.moveEntity(runtimeId, {
+                x: start.x + direction.x * 12 * tick / ticks,
+                y: start.y + tick * 0.05,
+                z: start.z + direction.z * 12 * tick / ticks
+            }));
+        }
+        this.schedule((ticks + 1) * 50, () => {
+            this.removeEntity(runtimeId);
+            if (!this.options.eyeBreaks) {
+                this.dropItem('ender_eye', 1, {
+                    x: start.x + direction.x * 12,
+                    y: start.y,
+                    z: start.z + direction.z * 12
+                });
+            }
+        });
+    }
+
+    dropItem(name, count, position) {
+        const runtimeId = this.nextRuntimeId++;
+        this.sendPacket('add_item_entity', {
+            entity_id_self: this.uniqueIdOf(runtimeId),
+            runtime_entity_id: BigInt(runtimeId),
+            item: this.buildItem(name, count),
+            position: { ...position },
+            velocity: { x: 0, y: 0, z: 0 },
+            metadata: [],
+            is_from_fishing: false
+        });
+        return runtimeId;
+    }
+
+    // Validates recipe-book crafts against the mock inventory and answers like a server
+    handleStackRequests(requests = []) {
+        const responses = requests.map(request => {
+            const changed = this.applySwapRequest(request) || this.applyCraftRequest(request);
+            if (!changed) return { status: 'error', request_id: request.request_id };
+
+            return {
+                status: 'ok',
+                request_id: request.request_id,
+                containers: [{
+                    slot_type: 'hotbar_and_inventory',
+                    slots: [...changed].map(slot => ({
+                        slot,
+                        hotbar_slot: slot,
+                        count: this.inventory[slot]?.count || 0,
+                        item_stack_id: this.inventory[slot]?.stack_id || 0,
+                        custom_name: '',
+                        durability_correction: 0
+                    }))
+                }]
+            };
+        });
+
+        this.sendPacket('item_stack_response', { responses });
+    }
+
+    applySwapRequest(request) {
+        const swap = request.actions.find(action => action.type_id === 'swap');
+        if (!swap) return null;
+
+        const { source, destination } = swap;
+        const from = this.inventory[source.slot];
+        const to = this.inventory[destination.slot];
+        if (!from || from.stack_id !== source.stack_id || (to?.stack_id || 0) !== destination.stack_id) return null;
+
+        this.inventory[source.slot] = to;
+        this.inventory[destination.slot] = from;
+        return new Set([source.slot, destination.slot]);
+    }
+
+    applyCraftRequest(request) {
+        const craft = request.actions.find(action => action.type_id === 'craft_recipe_auto');
+        const entry = craft && (this.options.recipes || this.defaultRecipes())
+            .find(candidate => candidate.recipe.network_id === craft.recipe_network_id);
+        if (!entry) return null;
+
+        const recipe = entry.recipe;
+        const needsTable = entry.type === 'shaped' ? recipe.width > 2 || recipe.height > 2 : recipe.input.length > 4;
+        if (needsTable && this.openWindow?.type !== 'workbench') return null;
+
+        // Every ingredient must be consumed exactly, from stacks the client really has
+        const needed = new Map();
+        for (const ingredient of [recipe.input].flat(2)) {
+            if (ingredient.type === 'invalid') continue;
+            const key = ingredient.tag || ingredient.network_id;
+            needed.set(key, (needed.get(key) || 0) + ingredient.count * craft.times_crafted);
+        }
+
+        const consumes = request.actions.filter(action => action.type_id === 'consume');
+        for (const consume of consumes) {
+            const item = this.inventory[consume.source.slot];
+            if (!item || item.stack_id !== consume.source.stack_id || item.count < consume.count) return null;
+
+            const key = [...needed.keys()].find(candidate => candidate === item.network_id ||
+                ITEM_TAGS[candidate]?.(this.itemName(item)));
+            if (key === undefined) return null;
+            needed.set(key, needed.get(key) - consume.count);
+        }
+        if ([...needed.values()].some(count => count !== 0)) return null;
+
+        const place = request.actions.find(action => action.type_id === 'place');
+        const [output] = recipe.output;
+        if (!place) return null;
+        // A slot this craft empties may take the result, as on a real server
+        const destination = this.inventory[place.destination.slot];
+        const consumedThere = consumes
+            .filter(consume => consume.source.slot === place.destination.slot)
+            .reduce((sum, consume) => sum + consume.count, 0);
+        if (destination && destination.network_id !== output.network_id && consumedThere < destination.count) return null;
+
+        const changed = new Set();
+        for (const consume of consumes) {
+            const item = this.inventory[consume.source.slot];
+            item.count -= consume.count;
+            if (item.count === 0) this.inventory[consume.source.slot] = null;
+            changed.add(consume.source.slot);
+        }
+
+        const produced = output.count * craft.times_crafted;
+        const existing = this.inventory[place.destination.slot];
+        const name = this.itemName(output).replace('minecraft:', '');
+        this.inventory[place.destination.slot] = this.buildItem(name, (existing?.count || 0) + produced);
+        changed.add(place.destination.slot);
+        return changed;
+    }
+
+    // Flat world terrain plus scripted blocks, served the way BDS does: level_chunk then subchunk on request
+    blockKey(position) {
+        return `${position.x},${position.y},${position.z}`;
+    }
+
+    blockAt(x, y, z) {
+        const placed = this.blocks.get(`${x},${y},${z}`);
+        if (placed) return placed;
+
+        const layer = this.options.flatLayers.find(candidate => y >= candidate.from && y <= candidate.to);
+        return layer ? layer.name : 'air';
+    }
+
+    blockRuntimeId(name) {
+        const block = blockData.blocksByName[name];
+        if (!block) throw new Error(`Mock server has no block state for ${name}`);
+        return block.defaultState;
+    }
+
+    setBlock(position, name) {
+        this.blocks.set(this.blockKey(position), name);
+        this.sendPacket('update_block', {
+            position: { ...position },
+            block_runtime_id: this.blockRuntimeId(name),
+            flags: { neighbors: true, network: true, no_graphic: false, unused: false, priority: false },
+            layer: 0
+        });
+    }
+
+    sendChunks(client) {
+        const center = { x: Math.floor(this.options.spawnPosition.x) >> 4, z: Math.floor(this.options.spawnPosition.z) >> 4 };
+        const topY = Math.max(...this.options.flatLayers.map(layer => layer.to), ...[...this.blocks.keys()].map(key => Number(key.split(',')[1])));
+        const radius = this.options.chunkRadius;
+
+        for (let x = center.x - radius; x <= center.x + radius; x++) {
+            for (let z = center.z - radius; z <= center.z + radius; z++) {
+                client.deliver('level_chunk', {
+                    x,
+                    z,
+                    sub_chunk_count: -2,
+                    highest_subchunk_count: (topY >> 4) - MIN_SECTION + 1,
+                    cache_enabled: false,
+                    payload: Buffer.alloc(0)
+                });
+            }
+        }
+    }
+
+    handleSubChunkRequest(params) {
+        const origin = params.origin;
+        const entries = params.requests.map(({ dx, dy, dz }) => {
+            const payload = this.encodeSection(origin.x + dx, origin.y + dy, origin.z + dz);
+            return {
+                dx,
+                dy,
+                dz,
+                result: payload ? 'success' : 'success_all_air',
+                payload: payload || Buffer.alloc(0),
+                heightmap_type: 'no_data'
+            };
+        });
+
+        this.sendPacket('subchunk', { cache_enabled: false, dimension: params.dimension, origin: { ...origin }, entries });
+    }
+
+    // Network sub-chunk format, version 9 with a single block storage; null when the section is all air
+    encodeSection(cx, sectionY, cz) {
+        const palette = [];
+        const indices = new Array(4096);
+        for (let index = 0; index < 4096; index++) {
+            const x = (cx << 4) + (index >> 8);
+            const z = (cz << 4) + ((index >> 4) & 15);
+            const y = (sectionY << 4) + (index & 15);
+            const runtimeId = this.blockRuntimeId(this.blockAt(x, y, z));
+
+            let paletteIndex = palette.indexOf(runtimeId);
+            if (paletteIndex === -1) {
+                palette.push(runtimeId);
+                paletteIndex = palette.length - 1;
+            }
+            indices[index] = paletteIndex;
+        }
+        if (palette.length === 1 && palette[0] === this.blockRuntimeId('air')) return null;
+
+        const bytes = [9, 1, sectionY & 0xff];
+        const writeZigZag = (value) => {
+            let encoded = ((value << 1) ^ (value >> 31)) >>> 0;
+            while (encoded >= 0x80) {
+                bytes.push((encoded & 0x7f) | 0x80);
+                encoded >>>= 7;
+            }
+            bytes.push(encoded);
+        };
+
+        if (palette.length === 1) {
+            bytes.push(1); // zero bits per block, runtime palette
+            writeZigZag(palette[0]);
+            return Buffer.from(bytes);
+        }
+
+        const bitsPerBlock = [1, 2, 3, 4, 5, 6, 8, 16].find(bits => (1 << bits) >= palette.length);
+        const blocksPerWord = Math.floor(32 / bitsPerBlock);
+        bytes.push((bitsPerBlock << 1) | 1);
+
+        const words = Buffer.alloc(Math.ceil(4096 / blocksPerWord) * 4);
+        for (let index = 0; index < 4096; index++) {
+            const offset = Math.floor(index / blocksPerWord) * 4;
+            const word = words.readUInt32LE(offset) | (indices[index] << ((index % blocksPerWord) * bitsPerBlock));
+            words.writeUInt32LE(word >>> 0, offset);
+        }
+        bytes.push(...words);
+
+        writeZigZag(palette.length);
+        palette.forEach(writeZigZag);
+        return Buffer.from(bytes);
+    }
+
+    receiveFromClient(client, name, params) {
+        const record = { name, params, time: Date.now() };
+        this.writes.push(record);
+        this.emit('client_packet', record);
+
+        const handler = this.clientHandlers.get(name);
+        if (handler) {
+            handler(params, client);
+        }
+    }
+
+    handleClientDisconnect(client, reason) {
+        this.emit('client_disconnected', { reason });
+        this.clearTimers();
+    }
+
+    // Inspection helpers for tests and CI
+    getWrites(name) {
+        return name ? this.writes.filter(write => write.name === name) : [...this.writes];
+    }
+
+    waitForWrite(name, predicate = () => true, timeout = 5000) {
+        const existing = this.writes.find(write => write.name === name && predicate(write.params));
+        if (existing) return Promise.resolve(existing);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.removeListener('client_packet', listener);
+                reject(new Error(`Timed out waiting for client packet ${name}`));
+            }, timeout);
+
+            const listener = (record) => {
+                if (record.name === name && predicate(record.params)) {
+                    clearTimeout(timer);
+                    this.removeListener('client_packet', listener);
+                    resolve(record);
+                }
+            };
+            this.on('client_packet', listener);
+        });
+    }
+
+    schedule(delay, fn) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, delay / this.options.speed);
+        this.timers.add(timer);
+        return timer;
+    }
+
+    clearTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    close() {
+        this.clearTimers();
+        if (this.client) {
+            this.client.close();
+        }
+    }
+
+    // A short session covering the packet handlers the bot cares about
+    static defaultScenario() {
+        return [
+            { at: 1000, type: 'give_item', slot: 0, item: 'stone_sword', count: 1, damage: 12 },
+            { at: 1000, type: 'give_item', slot: 1, item: 'bread', count: 6 },
+            { at: 2000, type: 'player_join', username: 'Steve', position: { x: 10, y: 64, z: 10 } },
+            { at: 4000, type: 'chat', source: 'Steve', message: 'Hey bot, what is the dragon strategy?' },
+            { at: 6000, type: 'spawn_mob', entityType: 'minecraft:zombie', position: { x: 4, y: 64, z: 3 } },
+            { at: 8000, type: 'set_health', health: 14 },
+            { at: 12000, type: 'set_health', health: 20 },
+            { at: 15000, type: 'player_leave', username: 'Steve' }
+        ];
+    }
+
+    // A handful of crafting_data recipes (1.20 layout) using the default item states
+    defaultRecipes() {
+        if (this.cachedRecipes) return this.cachedRecipes;
+
+        const item = name => ({ type: 'int_id_meta', network_id: this.networkIdOf(name), metadata: 32767, count: 1 });
+        const planks = { type: 'item_tag', tag: 'minecraft:planks', count: 1 };
+        const output = (name, count = 1) => [{ network_id: this.networkIdOf(name), count, metadata: 0, block_runtime_id: 0, extra: { has_nbt: false, can_place_on: [], can_destroy: [] } }];
+        const shaped = (networkId, name, count, width, height, rows) => ({
+            type: 'shaped',
+            recipe: { recipe_id: `mock:${name}`, width, height, input: rows, output: output(name, count), uuid: '', block: 'crafting_table', priority: 0, network_id: networkId }
+        });
+        const shapeless = (networkId, name, count, input) => ({
+            type: 'shapeless',
+            recipe: { recipe_id: `mock:${name}`, input, output: output(name, count), uuid: '', block: 'crafting_table', priority: 0, network_id: networkId }
+        });
+
+        this.cachedRecipes = [
+            shapeless(1, 'oak_planks', 4, [item('oak_log')]),
+            shaped(2, 'stick', 4, 1, 2, [[planks, planks]]),
+            shaped(3, 'crafting_table', 1, 2, 2, [[planks, planks], [planks, planks]]),
+            shaped(4, 'diamond_sword', 1, 1, 3, [[item('diamond'), item('diamond'), item('stick')]]),
+            shaped(5, 'diamond_pickaxe', 1, 3, 3, [
+                [item('diamond'), { type: 'invalid', count: 0 }, { type: 'invalid', count: 0 }],
+                [item('diamond'), item('stick'), item('stick')],
+                [item('diamond'), { type: 'invalid', count: 0 }, { type: 'invalid', count: 0 }]
+            ]),
+            shapeless(6, 'blaze_powder', 2, [item('blaze_rod')]),
+            shapeless(7, 'ender_eye', 1, [item('ender_pearl'), item('blaze_powder')]),
+            shaped(8, 'bread', 1, 3, 1, [[item('wheat')], [item('wheat')], [item('wheat')]])
+        ];
+        return this.cachedRecipes;
+    }
+
+    // Superflat-style overworld: the spawn position stands on the grass
+    static defaultFlatLayers() {
+        return [
+            { name: 'bedrock', from: -64, to: -64 },
+            { name: 'stone', from: -63, to: 59 },
+            { name: 'dirt', from: 60, to: 62 },
+            { name: 'grass', from: 63, to: 63 }
+        ];
+    }
+
+    // Item runtime ids announced in start_game; real servers send the full table
+    static defaultItemStates() {
+        const names = [
+            'diamond', 'iron_ingot', 'gold_ingot', 'stick', 'oak_log', 'oak_planks', 'cobblestone', 'obsidian',
+            'ender_pearl', 'blaze_rod', 'blaze_powder', 'ender_eye', 'arrow', 'bow', 'bread', 'cooked_beef',
+            'golden_apple', 'crafting_table', 'furnace', 'string', 'flint_and_steel', 'flint',
+            'wooden_sword', 'stone_sword', 'iron_sword', 'diamond_sword',
+            'wooden_pickaxe', 'stone_pickaxe', 'iron_pickaxe', 'diamond_pickaxe',
+            'diamond_helmet', 'diamond_chestplate', 'diamond_leggings', 'diamond_boots',
+            'iron_helmet', 'iron_chestplate', 'iron_leggings', 'iron_boots', 'shield', 'water_bucket', 'bucket',
+            'crossbow', 'potion', 'splash_potion', 'glass_bottle', 'rotten_flesh', 'wheat'
+        ];
+        return names.map((name, index) => ({ name: `minecraft:${name}`, runtime_id: 300 + index, component_based: false }));
+    }
+}
+
+module.exports = MockBedrockServer;
+module.exports.MockClient = MockClient;
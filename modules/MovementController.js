@@ -0,0 +1,467 @@
+// modules/MovementController.js - Fixed-tick player physics and movement input (player_auth_input / move_player)
+const TICK_MS = 50; // 20 ticks per second, like the game
+
+const EYE_HEIGHT = 1.62;
+const PLAYER_WIDTH = 0.6;
+const PLAYER_HEIGHT = 1.8;
+
+// Per-tick physics constants (blocks, blocks/tick)
+const GRAVITY = 0.08;
+const AIR_DRAG = 0.98;
+const JUMP_VELOCITY = 0.42;
+const WATER_GRAVITY = 0.02;
+const WATER_DRAG = 0.8;
+const SWIM_UP = 0.04;
+const GROUND_ACCELERATION = 0.6; // share of the gap to the wanted speed closed per tick
+const AIR_ACCELERATION = 0.1;
+const SPRINT_MULTIPLIER = 1.3;
+const SNEAK_MULTIPLIER = 0.3;
+const STEP_HEIGHT = 0.5625;
+
+const EPSILON = 1e-7;
+
+class MovementController {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = null;
+        this.client = null;
+        this.timer = null;
+
+        this.authority = 'client';
+        this.tick = 0n;
+        this.position = null; // feet, block-center based like the server's
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.onGround = false;
+        this.horizontalCollision = false;
+        this.yaw = 0;
+        this.pitch = 0;
+        this.controls = this.createControls();
+        this.goal = null;
+        this.lastSent = null;
+        this.stats = { ticks: 0, inputsSent: 0, corrections: 0 };
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    get world() {
+        return this.managers?.world || this.bot.worldModel;
+    }
+
+    createControls() {
+        return { forward: 0, strafe: 0, jump: false, sneak: false, sprint: false };
+    }
+
+    // The tick loop belongs to one client; a new session starts a new loop
+    attach(client) {
+        this.stop();
+        this.client = client;
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.controls = this.createControls();
+        this.cancelGoal('session_ended');
+
+        client.on('start_game', (packet) => this.handleStartGame(packet));
+        client.on('spawn', () => this.start());
+        client.on('move_player', (packet) => this.handleServerMove(packet));
+        client.on('correct_player_move_prediction', (packet) => this.handleCorrection(packet));
+        client.on('set_entity_motion', (packet) => this.handleMotion(packet));
+        client.on('change_dimension', (packet) => this.handleChangeDimension(packet));
+        client.on('close', () => this.stop());
+    }
+
+    handleStartGame(packet) {
+        const authority = packet.movement_authority;
+        this.authority = typeof authority === 'number' ? ['client', 'server', 'server_with_rewind'][authority] : authority || 'client';
+        this.tick = BigInt(packet.current_tick ?? 0);
+        if (packet.player_position) {
+            this.setPosition(packet.player_position);
+        }
+        this.yaw = packet.rotation?.z ?? 0;
+        this.pitch = packet.rotation?.x ?? 0;
+    }
+
+    isSelf(runtimeId) {
+        return runtimeId !== undefined && Number(runtimeId) === this.bot.runtimeId;
+    }
+
+    // Teleports and server-side resets move us no matter what we predicted
+    handleServerMove(packet) {
+        if (!this.isSelf(packet.runtime_id)) return;
+        this.setPosition(packet.position);
+        this.velocity = { x: 0, y: 0, z: 0 };
+    }
+
+    handleCorrection(packet) {
+        this.stats.corrections++;
+        this.setPosition(packet.position);
+        this.velocity = { ...packet.delta };
+        this.onGround = !!packet.on_ground;
+    }
+
+    // Knockback and explosions
+    handleMotion(packet) {
+        if (!this.isSelf(packet.runtime_entity_id)) return;
+        this.velocity = { ...packet.velocity };
+    }
+
+    // Portals and respawns: nothing from the old dimension carries over, and the server
+    // ignores our movement until we acknowledge the change
+    handleChangeDimension(packet) {
+        this.cancelGoal('dimension_changed');
+        if (packet.position) {
+            this.setPosition(packet.position);
+        }
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.lastSent = null;
+
+        this.client.write('player_action', {
+            runtime_entity_id: BigInt(this.bot.runtimeId),
+            action: 'dimension_change_ack',
+            position: { x: 0, y: 0, z: 0 },
+            result_position: { x: 0, y: 0, z: 0 },
+            face: 0
+        });
+        this.bot.emit('packet_sent');
+    }
+
+    // Player positions arrive at eye height
+    setPosition(eyePosition) {
+        this.position = { x: eyePosition.x, y: eyePosition.y - EYE_HEIGHT, z: eyePosition.z };
+        this.bot.position = { ...eyePosition };
+    }
+
+    getEyePosition() {
+        return this.position ? { x: this.position.x, y: this.position.y + EYE_HEIGHT, z: this.position.z } : null;
+    }
+
+    start() {
+        if (this.timer) return;
+        if (!this.position && this.bot.position) {
+            this.setPosition(this.bot.position);
+        }
+        this.timer = setInterval(() => this.runTick(), TICK_MS);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    runTick() {
+        // The client was replaced or torn down without a close event
+        if (this.bot.client !== this.client) {
+            this.stop();
+            return;
+        }
+        if (!this.bot.connected || !this.position) return;
+
+        this.tick++;
+        this.stats.ticks++;
+        this.steer();
+        this.simulate();
+        this.sendInput();
+    }
+
+    // Controls from the current walk goal, if any
+    steer() {
+        const goal = this.goal;
+        if (!goal) return;
+
+        const dx = goal.target.x - this.position.x;
+        const dz = goal.target.z - this.position.z;
+        const dy = goal.target.y - EYE_HEIGHT - this.position.y;
+        const horizontal = Math.hypot(dx, dz);
+
+        if (horizontal <= goal.precision && Math.abs(dy) < 1.2) {
+            this.finishGoal(null);
+            return;
+        }
+        if (Date.now() > goal.deadline) {
+            this.finishGoal(new Error('Movement timeout'));
+            return;
+        }
+
+        // Stuck against something we cannot jump over
+        goal.stuckTicks = this.horizontalCollision && this.onGround ? goal.stuckTicks + 1 : 0;
+        if (goal.stuckTicks > 40) {
+            this.finishGoal(new Error('Movement blocked'));
+            return;
+        }
+
+        this.lookAt(goal.target);
+        this.controls.forward = Math.min(1, horizontal / 0.3);
+        this.controls.strafe = 0;
+        this.controls.sprint = goal.sprint && horizontal > 3;
+        // Jump for a higher waypoint, anything we walked into, and to swim up
+        this.controls.jump = (dy > 0.5 && horizontal < 1.5) || this.horizontalCollision || (this.isInWater() && dy > 0);
+    }
+
+    simulate() {
+        const inWater = this.isInWater();
+        const speed = this.getWalkSpeed();
+
+        // Wanted horizontal velocity from the move vector, rotated by yaw
+        const radians = this.yaw * Math.PI / 180;
+        const forwardX = -Math.sin(radians);
+        const forwardZ = Math.cos(radians);
+        const wantX = (forwardX * this.controls.forward + forwardZ * this.controls.strafe) * speed;
+        const wantZ = (forwardZ * this.controls.forward - forwardX * this.controls.strafe) * speed;
+
+        const acceleration = this.onGround || inWater ? GROUND_ACCELERATION : AIR_ACCELERATION;
+        this.velocity.x += (wantX - this.velocity.x) * acceleration;
+        this.velocity.z += (wantZ - this.velocity.z) * acceleration;
+
+        if (inWater && this.controls.jump) {
+            this.velocity.y += SWIM_UP;
+        } else if (this.controls.jump && this.onGround) {
+            this.velocity.y = JUMP_VELOCITY;
+        }
+
+        this.move(this.velocity.x, this.velocity.y, this.velocity.z);
+        this.bot.position = this.getEyePosition();
+
+        // Gravity applies after the move, as in the game; hover until the ground under us has been sent
+        if (!this.isGroundKnown()) {
+            this.velocity.y = 0;
+        } else if (inWater) {
+            this.velocity.y = (this.velocity.y - WATER_GRAVITY) * WATER_DRAG;
+        } else {
+            this.velocity.y = (this.velocity.y - GRAVITY) * AIR_DRAG;
+        }
+    }
+
+    getWalkSpeed() {
+        const blocksPerTick = (this.bot.config.movementSpeed || 4.317) / 20;
+        if (this.controls.sneak) return blocksPerTick * SNEAK_MULTIPLIER;
+        if (this.controls.sprint) return blocksPerTick * SPRINT_MULTIPLIER;
+        return blocksPerTick;
+    }
+
+    // Axis-by-axis movement against full-block collision, with step-up onto slabs and stairs
+    move(dx, dy, dz) {
+        const wantedX = dx;
+        const wantedZ = dz;
+        const wantedY = dy;
+
+        dy = this.clip(1, dy);
+        this.position.y += dy;
+        dx = this.clip(0, dx);
+        this.position.x += dx;
+        dz = this.clip(2, dz);
+        this.position.z += dz;
+
+        this.horizontalCollision = Math.abs(dx - wantedX) > EPSILON || Math.abs(dz - wantedZ) > EPSILON;
+
+        if (this.horizontalCollision && this.onGround) {
+            this.tryStepUp(wantedX - dx, wantedZ - dz);
+        }
+
+        this.onGround = wantedY < 0 && Math.abs(dy - wantedY) > EPSILON;
+        if (Math.abs(dy - wantedY) > EPSILON) this.velocity.y = 0;
+        if (Math.abs(dx - wantedX) > EPSILON) this.velocity.x = 0;
+        if (Math.abs(dz - wantedZ) > EPSILON) this.velocity.z = 0;
+    }
+
+    tryStepUp(dx, dz) {
+        const saved = { ...this.position };
+        const up = this.clip(1, STEP_HEIGHT);
+        this.position.y += up;
+        const stepX = this.clip(0, dx);
+        this.position.x += stepX;
+        const stepZ = this.clip(2, dz);
+        this.position.z += stepZ;
+
+        if (Math.abs(stepX) + Math.abs(stepZ) <= EPSILON) {
+            this.position = saved;
+            return;
+        }
+        this.position.y += this.clip(1, -up);
+        this.horizontalCollision = Math.abs(stepX - dx) > EPSILON || Math.abs(stepZ - dz) > EPSILON;
+    }
+
+    getBox() {
+        const half = PLAYER_WIDTH / 2;
+        return {
+            min: [this.position.x - half, this.position.y, this.position.z - half],
+            max: [this.position.x + half, this.position.y + PLAYER_HEIGHT, this.position.z + half]
+        };
+    }
+
+    // How far the player box can move along one axis before hitting a solid block
+    clip(axis, amount) {
+        if (amount === 0 || !this.world) return amount;
+
+        const box = this.getBox();
+        const min = [...box.min];
+        const max = [...box.max];
+        if (amount > 0) max[axis] += amount;
+        else min[axis] += amount;
+
+        for (let x = Math.floor(min[0]); x < Math.ceil(max[0]); x++) {
+            for (let y = Math.floor(min[1]); y < Math.ceil(max[1]); y++) {
+                for (let z = Math.floor(min[2]); z < Math.ceil(max[2]); z++) {
+                    if (!this.world.isSolid(x, y, z)) continue;
+
+                    const block = [x, y, z];
+                    if (amount > 0) {
+                        const gap = block[axis] - box.max[axis];
+                        if (gap >= -EPSILON) amount = Math.min(amount, Math.max(0, gap));
+                    } else {
+                        const gap = block[axis] + 1 - box.min[axis];
+                        if (gap <= EPSILON) amount = Math.max(amount, Math.min(0, gap));
+                    }
+                }
+            }
+        }
+        return amount;
+    }
+
+    isInWater() {
+        const world = this.world;
+        if (!world || !this.position) return false;
+        const { x, y, z } = this.position;
+        return world.getBlock(x, y, z)?.name?.includes('water') || world.getBlock(x, y + 1, z)?.name?.includes('water') || false;
+    }
+
+    isGroundKnown() {
+        return !!this.world?.isLoaded(this.position.x, this.position.z) &&
+            this.world.getStateId(this.position.x, this.position.y - 1, this.position.z) !== null;
+    }
+
+    // Returns false when the look had to be turned away from `target` (an enderman's eyes were in it)
+    lookAt(target) {
+        const eye = this.getEyePosition();
+        const safe = this.managers?.combat?.getSafeLookTarget(eye, target) || target;
+        const dx = safe.x - eye.x;
+        const dy = safe.y - eye.y;
+        const dz = safe.z - eye.z;
+        // Yaw 0 faces +Z (south), 90 faces -X (west)
+        this.yaw = Math.atan2(-dx, dz) * 180 / Math.PI;
+        this.pitch = -Math.atan2(dy, Math.hypot(dx, dz)) * 180 / Math.PI;
+        return safe.x === target.x && safe.y === target.y && safe.z === target.z;
+    }
+
+    setControls(controls) {
+        this.controls = { ...this.controls, ...controls };
+    }
+
+    sendInput() {
+        const position = this.getEyePosition();
+
+        if (this.authority !== 'client') {
+            const inputData = {};
+            if (this.controls.forward > 0) inputData.up = true;
+            if (this.controls.forward < 0) inputData.down = true;
+            if (this.controls.strafe > 0) inputData.left = true;
+            if (this.controls.strafe < 0) inputData.right = true;
+            if (this.controls.jump) {
+                inputData.jumping = true;
+                inputData.jump_down = true;
+                inputData.want_up = true;
+            }
+            if (this.controls.sneak) inputData.sneaking = true;
+            if (this.controls.sprint) inputData.sprinting = true;
+
+            this.client.write('player_auth_input', {
+                pitch: this.pitch,
+                yaw: this.yaw,
+                position,
+                move_vector: { x: this.controls.strafe, z: this.controls.forward },
+                head_yaw: this.yaw,
+                input_data: inputData,
+                input_mode: 'mouse',
+                play_mode: 'normal',
+                interaction_model: 'crosshair',
+                tick: this.tick,
+                delta: { ...this.velocity },
+                analogue_move_vector: { x: this.controls.strafe, z: this.controls.forward }
+            });
+            this.stats.inputsSent++;
+            return;
+        }
+
+        // Client authority: only report real changes
+        const last = this.lastSent;
+        if (last && last.x === position.x && last.y === position.y && last.z === position.z &&
+            last.yaw === this.yaw && last.pitch === this.pitch) return;
+
+        this.client.write('move_player', {
+            runtime_id: this.bot.runtimeId,
+            position,
+            pitch: this.pitch,
+            yaw: this.yaw,
+            head_yaw: this.yaw,
+            mode: 'normal',
+            on_ground: this.onGround,
+            ridden_runtime_id: 0,
+            tick: this.tick
+        });
+        this.lastSent = { ...position, yaw: this.yaw, pitch: this.pitch };
+        this.stats.inputsSent++;
+    }
+
+    isRunning() {
+        return !!this.timer;
+    }
+
+    // Walk in a straight line to an eye-height position; resolves on arrival
+    walkTo(target, options = {}) {
+        if (!this.isRunning() || !this.position) {
+            return Promise.reject(new Error('Movement controller is not running'));
+        }
+
+        this.cancelGoal('replaced');
+        return new Promise((resolve, reject) => {
+            this.goal = {
+                target: { ...target },
+                precision: options.precision ?? 0.3,
+                sprint: options.sprint || false,
+                deadline: Date.now() + (options.timeout || 10000),
+                stuckTicks: 0,
+                resolve,
+                reject
+            };
+        });
+    }
+
+    finishGoal(error) {
+        const goal = this.goal;
+        this.goal = null;
+        this.controls = this.createControls();
+        if (!goal) return;
+
+        if (error) goal.reject(error);
+        else goal.resolve(this.getEyePosition());
+    }
+
+    cancelGoal(reason = 'cancelled') {
+        if (this.goal) {
+            this.finishGoal(new Error(`Movement ${reason}`));
+        }
+    }
+
+    jump() {
+        this.controls.jump = true;
+        setTimeout(() => {
+            if (!this.goal) this.controls.jump = false;
+        }, TICK_MS * 2);
+    }
+
+    getStatus() {
+        return {
+            authority: this.authority,
+            running: this.isRunning(),
+            tick: this.tick.toString(),
+            position: this.getEyePosition(),
+            velocity: { ...this.velocity },
+            onGround: this.onGround,
+            walking: !!this.goal,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = MovementController;
@@ -1,6 +1,20 @@
 // NavigationManager.js - Handles bot movement and pathfinding
 const EventEmitter = require('events');
 
+// The exit portal on the main End island
+const END_SPAWN = { x: 0, y: 64, z: 0 };
+
+// One Nether block is eight Overworld blocks horizontally; heights are not scaled
+const NETHER_SCALE = 8;
+const PORTAL_DIMENSIONS = ['overworld', 'nether'];
+// How far the game looks for an existing portal to come out of, in the destination's blocks
+const PORTAL_SEARCH_RADIUS = { overworld: 128, nether: 16 };
+const PORTAL_FRAME_SLACK = 8; // a frame is wider than the block we stood in
+const PORTAL_MATCH_DISTANCE = 8; // entries this close are the same portal
+// Pause after a failed path step, doubling per failure in a row, so replanning cannot spin
+const STEP_RETRY_DELAY = 100;
+const MAX_STEP_RETRY_DELAY = 2000;
+
 class NavigationManager extends EventEmitter {
     constructor(bot) {
         super();
@@ -11,24 +25,24 @@ class NavigationManager extends EventEmitter {
         this.currentTarget = null;
         this.isNavigating = false;
         this.pathQueue = [];
+        this.currentPath = null; // last pathfinder result being followed
+        this.replanNeeded = false;
         this.lastPosition = { x: 0, y: 0, z: 0 };
         this.stuckCounter = 0;
         this.maxStuckCount = 10;
+        this.positionTrackingStarted = false;
         
         // Movement settings
-        this.movementSpeed = 0.1;
+        this.movementSpeed = 1.0; // blocks per straight-line step when there is no path
         this.jumpHeight = 1.0;
         this.followDistance = 3.0;
         this.pathfindingEnabled = true;
+        this.dangerLookahead = 8; // blocks ahead checked for hostiles
+        this.dangerClearance = 2.5; // blocks either side of the travel line
         
-        // Ender Dragon specific locations
-        this.enderDragonLocations = {
-            stronghold: null,
-            endPortal: null,
-            endDimension: { x: 0, y: 64, z: 0 },
-            dragonPerch: { x: 0, y: 80, z: 0 },
-            endCrystals: []
-        };
+        this.waypointWaitTimeout = 30000; // how long to wait for players to share a location
+        this.candidateRegionsPerSearch = 3; // stronghold regions walked before asking players
+        this.portalTimeout = 15000; // standing in a portal takes 4 seconds in survival
         
         // Navigation history for learning
         this.navigationHistory = [];
@@ -47,13 +61,30 @@ class NavigationManager extends EventEmitter {
     }
 
     startPositionTracking() {
+        // Listeners survive reconnects, so only register them once
+        if (this.positionTrackingStarted) return;
+        this.positionTrackingStarted = true;
+        
         // Track position changes
         this.bot.on('position_update', (position) => {
             this.updatePosition(position);
         });
 
+        // A block changing on the route means the path may be blocked or a shortcut opened
+        this.bot.on('block_changed', ({ position }) => {
+            if (this.isNavigating && this.pathQueue.length > 0 &&
+                this.managers.pathfinder?.affectsPath(this.pathQueue, position)) {
+                this.replanNeeded = true;
+            }
+        });
+
+        // Walking through a Nether portal tells us where both of its ends are
+        this.bot.on('dimension_changed', (event) => {
+            this.handleDimensionChange(event);
+        });
+
         // Check for stuck detection every 5 seconds
-        setInterval(() => {
+        this.stuckTimer = setInterval(() => {
             this.checkIfStuck();
         }, 5000);
     }
@@ -74,6 +105,89 @@ class NavigationManager extends EventEmitter {
         this.emit('position_changed', { old: oldPosition, new: newPosition, distance });
     }
 
+    get currentDimension() {
+        return this.managers.session?.state.dimension || 'overworld';
+    }
+
+    // Overworld x/z divide by 8 in the Nether and multiply back on the way out
+    translatePosition(position, from, to) {
+        if (from === to) return { ...position };
+        if (!PORTAL_DIMENSIONS.includes(from) || !PORTAL_DIMENSIONS.includes(to)) {
+            throw new Error(`No coordinate mapping between the ${from} and the ${to}`);
+        }
+
+        const scale = to === 'nether' ? 1 / NETHER_SCALE : NETHER_SCALE;
+        return { x: position.x * scale, y: position.y, z: position.z * scale };
+    }
+
+    handleDimensionChange({ dimension, previous, position }) {
+        const entry = this.lastPosition;
+        if (position) {
+            this.lastPosition = { ...position };
+        }
+        if (!PORTAL_DIMENSIONS.includes(previous) || !PORTAL_DIMENSIONS.includes(dimension) || !position) return;
+
+        // Commands and respawns also change dimension; a portal trip comes out near the scaled entry
+        const expected = this.translatePosition(entry, previous, dimension);
+        const offset = Math.hypot(expected.x - position.x, expected.z - position.z);
+        if (offset > PORTAL_SEARCH_RADIUS[dimension] + PORTAL_FRAME_SLACK) {
+            if (this.bot.config.debugMode) {
+                console.log(`🌀 Dimension change ${Math.round(offset)} blocks off a portal trip, not linking`);
+            }
+            return;
+        }
+
+        try {
+            this.linkPortals(previous, entry, dimension, position);
+        } catch (error) {
+            console.error('Error linking portals:', error.message);
+        }
+    }
+
+    // Saves both ends under one name, each pointing at the other
+    linkPortals(fromDimension, fromPosition, toDimension, toPosition) {
+        const store = this.managers.waypoints;
+        const pathfinder = this.managers.pathfinder;
+        const from = pathfinder.toFeet(fromPosition);
+        const to = pathfinder.toFeet(toPosition);
+
+        const nearby = (dimension, position) => store.list({ kind: 'portal', dimension })
+            .find(portal => this.calculateDistance(portal.position, position) <= PORTAL_MATCH_DISTANCE);
+        const existing = nearby(fromDimension, from) || nearby(toDimension, to);
+
+        // A name can be reused on a side only by the portal already saved under it there
+        const fits = candidate => [[fromDimension, from], [toDimension, to]].every(([dimension, position]) => {
+            const taken = store.get(candidate, dimension);
+            return !taken || this.calculateDistance(taken.position, position) <= PORTAL_MATCH_DISTANCE;
+        });
+
+        let name = existing?.name;
+        if (!name || !fits(name)) {
+            let index = 1;
+            while (!fits(`portal-${index}`)) index++;
+            name = `portal-${index}`;
+        }
+
+        // Going back and forth through the same pair leaves the saved ends alone
+        const save = (dimension, position, other) => {
+            const saved = store.get(name, dimension);
+            if (saved && saved.link?.dimension === other && saved.link.name === name &&
+                this.calculateDistance(saved.position, position) <= PORTAL_MATCH_DISTANCE) {
+                return { waypoint: saved, changed: false };
+            }
+            const waypoint = store.add(name, position, { kind: 'portal', dimension, link: { dimension: other, name } });
+            return { waypoint, changed: true };
+        };
+        const entry = save(fromDimension, from, toDimension);
+        const exit = save(toDimension, to, fromDimension);
+
+        if (entry.changed || exit.changed) {
+            console.log(`🌀 Linked ${name}: ${store.format(entry.waypoint)} ↔ ${store.format(exit.waypoint)}`);
+            this.emit('portal_linked', { entry: entry.waypoint, exit: exit.waypoint });
+        }
+        return { entry: entry.waypoint, exit: exit.waypoint };
+    }
+
     checkIfStuck() {
         if (!this.isNavigating || !this.currentTarget) return;
 
@@ -120,10 +234,14 @@ class NavigationManager extends EventEmitter {
         this.emit('navigation_failed', { reason: 'stuck', position: this.lastPosition });
     }
 
+    // target is a position or the name of a waypoint
     async navigateToTarget(target, options = {}) {
         if (!target) {
             throw new Error('Navigation target is required');
         }
+        if (typeof target === 'string') {
+            return this.navigateToWaypoint(target, options);
+        }
 
         this.currentTarget = target;
         this.isNavigating = true;
@@ -142,31 +260,166 @@ class NavigationManager extends EventEmitter {
             await this.executeNavigation(target, config);
             console.log('✅ Navigation completed successfully');
             this.emit('navigation_completed', { target, success: true });
+            return true;
         } catch (error) {
             console.log('❌ Navigation failed:', error.message);
             this.emit('navigation_failed', { target, error: error.message });
+            return false;
         } finally {
             this.isNavigating = false;
             this.currentTarget = null;
+            this.currentPath = null;
+            this.pathQueue = [];
         }
     }
 
+    // Throws for unknown names and for places no linked portal leads to
+    planRoute(name) {
+        const store = this.managers.waypoints;
+        const waypoint = store?.resolve(name);
+        if (!waypoint) {
+            throw new Error(`Unknown waypoint: ${name}`);
+        }
+
+        const here = this.currentDimension;
+        if (waypoint.dimension === here) {
+            return { waypoint, portal: null };
+        }
+        if (!PORTAL_DIMENSIONS.includes(here) || !PORTAL_DIMENSIONS.includes(waypoint.dimension)) {
+            throw new Error(`Waypoint ${waypoint.name} is in the ${waypoint.dimension}`);
+        }
+
+        // Cheapest total walk: to the portal here, then from its other end to the waypoint
+        const position = this.bot.position ? this.managers.pathfinder.toFeet(this.bot.position) : null;
+        let best = null;
+        let bestDistance = Infinity;
+        for (const portal of store.list({ kind: 'portal', dimension: here })) {
+            if (portal.link?.dimension !== waypoint.dimension) continue;
+            const exit = store.get(portal.link.name, portal.link.dimension);
+            if (!exit) continue;
+
+            const distance = (position ? this.calculateDistance(position, portal.position) : 0) +
+                this.calculateDistance(exit.position, waypoint.position);
+            if (distance < bestDistance) {
+                best = portal;
+                bestDistance = distance;
+            }
+        }
+
+        if (!best) {
+            const target = this.translatePosition(waypoint.position, waypoint.dimension, here);
+            throw new Error(`No linked portal to the ${waypoint.dimension} yet; ` +
+                `one built near ${Math.floor(target.x)} ${Math.floor(target.z)} would lead to ${waypoint.name}`);
+        }
+        return { waypoint, portal: best };
+    }
+
+    // Waypoints store the block under the feet; navigation works in standing positions
+    async navigateToWaypoint(name, options = {}) {
+        const { waypoint, portal } = this.planRoute(name);
+        if (portal && !await this.travelThroughPortal(portal, options)) {
+            return false;
+        }
+        return this.navigateToTarget(this.managers.pathfinder.toStandingPosition(waypoint.position), options);
+    }
+
+    async travelThroughPortal(portal, options = {}) {
+        const destination = portal.link.dimension;
+        console.log(`🌀 Taking ${portal.name} to the ${destination}`);
+
+        // A portal we just came out of only works again once we have stepped off it
+        const pathfinder = this.managers.pathfinder;
+        const feet = this.bot.position ? pathfinder.toFeet(this.bot.position) : null;
+        if (feet && feet.x === portal.position.x && feet.z === portal.position.z && Math.abs(feet.y - portal.position.y) <= 1) {
+            const aside = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+                .map(([dx, dz]) => ({ x: feet.x + dx, y: feet.y, z: feet.z + dz }))
+                .find(node => pathfinder.canStand(node.x, node.y, node.z) !== false); // null: not loaded yet
+            if (aside) {
+                await this.navigateToTarget(pathfinder.toStandingPosition(aside), { ...options, precision: 0.5 });
+            }
+        }
+
+        const reached = await this.navigateToTarget(this.managers.pathfinder.toStandingPosition(portal.position), {
+            ...options,
+            precision: 0.5
+        });
+        if (this.currentDimension === destination) return true;
+        if (!reached) return false;
+
+        const arrived = await this.waitForDimension(destination, this.portalTimeout);
+        if (!arrived) {
+            console.log(`❌ ${portal.name} did not take us to the ${destination}`);
+        }
+        return arrived;
+    }
+
+    waitForDimension(dimension, timeout) {
+        return new Promise((resolve) => {
+            const onChange = (event) => {
+                if (event.dimension === dimension) finish(true);
+            };
+            const finish = (result) => {
+                clearTimeout(timer);
+                this.bot.removeListener('dimension_changed', onChange);
+                resolve(result);
+            };
+            const timer = setTimeout(() => finish(false), timeout);
+            this.bot.on('dimension_changed', onChange);
+        });
+    }
+
     async executeNavigation(target, config) {
         const startTime = Date.now();
         const maxTime = config.timeout;
+        const pathfinder = this.managers.pathfinder;
+        const dimension = this.currentDimension;
+        this.currentPath = null;
+        this.pathQueue = [];
+        if (this.bot.position) {
+            this.lastPosition = { ...this.bot.position };
+        }
 
+        let failedSteps = 0;
         while (this.isNavigating && (Date.now() - startTime) < maxTime) {
+            // Target coordinates mean nothing on the other side of a portal
+            if (this.currentDimension !== dimension) {
+                throw new Error(`Left the ${dimension}`);
+            }
+            // Before spawn or after a close every step would fail at once
+            if (!this.managers.movement.isRunning()) {
+                throw new Error('Movement controller is not running');
+            }
+
             const currentDistance = this.calculateDistance(this.lastPosition, target);
             
             if (currentDistance <= config.precision) {
                 return; // Reached target
             }
 
-            // Generate next movement step
-            const nextStep = this.calculateNextStep(this.lastPosition, target);
-            await this.moveToPosition(nextStep);
-            
-            await this.bot.delay(500); // Prevent spam
+            // No block data yet (old servers, replays): fall back to a straight line
+            if (!pathfinder?.canPlanFrom(this.lastPosition)) {
+                let nextStep = this.calculateNextStep(this.lastPosition, target);
+                if (config.avoidDanger) {
+                    nextStep = this.avoidHostilesOnPath(this.lastPosition, nextStep, target);
+                }
+                await this.moveToPosition(nextStep);
+                await this.bot.delay(500); // Prevent spam
+                continue;
+            }
+
+            // Plan at the start, when the route changed, and at the end of a partial path
+            if (this.pathQueue.length === 0 || this.replanNeeded) {
+                this.planPath(target, config);
+            }
+
+            const waypoint = this.pathQueue.shift();
+            if (await this.moveToPosition(pathfinder.toStandingPosition(waypoint), 0.35)) {
+                failedSteps = 0;
+            } else {
+                this.replanNeeded = true;
+                failedSteps++;
+                await this.bot.delay(Math.min(MAX_STEP_RETRY_DELAY, STEP_RETRY_DELAY * 2 ** (failedSteps - 1)));
+            }
         }
 
         if ((Date.now() - startTime) >= maxTime) {
@@ -174,6 +427,31 @@ class NavigationManager extends EventEmitter {
         }
     }
 
+    planPath(target, config) {
+        const pathfinder = this.managers.pathfinder;
+        const avoid = config.avoidDanger ? this.getDangerZones() : [];
+        const result = pathfinder.findPath(this.lastPosition, target, { range: config.precision, avoid });
+        this.replanNeeded = false;
+
+        if (result.status === 'no_path' || result.path.length === 0) {
+            throw new Error('No path to target');
+        }
+
+        this.currentPath = result;
+        this.pathQueue = [...result.path];
+        if (this.bot.config.debugMode) {
+            console.log(`🧭 ${result.status} path: ${result.path.length} steps (${result.explored} nodes explored)`);
+        }
+    }
+
+    // Hostile mobs near the bot, as areas for the pathfinder to steer around
+    getDangerZones() {
+        const isHostile = entity => this.managers.combat?.isHostileEntity(entity);
+        return this.bot.entityTracker
+            .getEntitiesWithin(this.lastPosition, 24, isHostile)
+            .map(({ entity }) => ({ x: entity.position.x, z: entity.position.z, radius: this.dangerClearance }));
+    }
+
     calculateNextStep(current, target) {
         const dx = target.x - current.x;
         const dy = target.y - current.y;
@@ -192,48 +470,62 @@ class NavigationManager extends EventEmitter {
         };
     }
 
-    async moveToPosition(position) {
+    avoidHostilesOnPath(current, step, target) {
+        const isHostile = entity => this.managers.combat?.isHostileEntity(entity);
+        const threats = this.bot.entityTracker
+            .getEntitiesAlongPath(current, target, this.dangerClearance, isHostile)
+            .filter(hit => hit.along <= this.dangerLookahead);
+        
+        if (threats.length === 0) return step;
+        
+        // Sidestep perpendicular to the travel direction, away from the closest threat
+        const threat = threats[0].entity.position;
+        const dx = target.x - current.x;
+        const dz = target.z - current.z;
+        const length = Math.sqrt(dx * dx + dz * dz) || 1;
+        const perpendicular = { x: -dz / length, z: dx / length };
+        const awaySide = perpendicular.x * (current.x - threat.x) + perpendicular.z * (current.z - threat.z);
+        const side = awaySide >= 0 ? 1 : -1;
+        
+        if (this.bot.config.debugMode) {
+            console.log(`🧭 Avoiding ${threats[0].entity.type} on path`);
+        }
+        
+        return {
+            x: step.x + perpendicular.x * side * this.movementSpeed,
+            y: step.y,
+            z: step.z + perpendicular.z * side * this.movementSpeed
+        };
+    }
+
+    // Walks there through the movement controller; resolves false when the walk was cut short
+    async moveToPosition(position, precision = 0.3) {
         if (!this.bot.client || !this.bot.connected) {
             throw new Error('Bot not connected');
         }
 
+        const start = { ...this.bot.position };
         try {
-            // Send movement packet
-            this.bot.client.write('move_player', {
-                runtime_id: this.bot.runtimeId,
-                position: position,
-                pitch: 0,
-                yaw: this.calculateYaw(this.lastPosition, position),
-                head_yaw: 0,
-                mode: 0,
-                on_ground: true,
-                ridden_runtime_id: 0,
-                cause: {
-                    type: 0,
-                    entity_runtime_id: 0
-                },
-                tick: BigInt(Date.now())
+            await this.managers.movement.walkTo(position, {
+                precision,
+                timeout: 2000 + this.calculateDistance(start, position) * 1000
             });
-
-            this.bot.emit('packet_sent');
+            return true;
         } catch (error) {
-            console.error('Movement failed:', error);
-            throw error;
+            if (this.bot.config.debugMode) {
+                console.log(`🚶 ${error.message}`);
+            }
+            return false;
+        } finally {
+            this.lastPosition = { ...this.bot.position };
+            if (this.calculateDistance(start, this.lastPosition) > 0.1) {
+                this.stuckCounter = 0;
+            }
         }
     }
 
-    calculateYaw(from, to) {
-        const dx = to.x - from.x;
-        const dz = to.z - from.z;
-        return Math.atan2(dz, dx) * (180 / Math.PI);
-    }
-
     async jump() {
-        const jumpPosition = {
-            ...this.lastPosition,
-            y: this.lastPosition.y + this.jumpHeight
-        };
-        await this.moveToPosition(jumpPosition);
+        this.managers.movement?.jump();
         console.log('🦘 Attempted jump');
     }
 
@@ -256,9 +548,10 @@ class NavigationManager extends EventEmitter {
 
     async teleportToSafeLocation() {
         // Try to teleport to a known safe location
+        const bases = this.managers.waypoints?.list({ kind: 'base' }) || [];
         const safeLocations = [
+            ...bases.map(base => base.position),
             { x: 0, y: 64, z: 0 }, // World spawn
-            this.enderDragonLocations.endDimension,
             ...this.getRecentSuccessfulLocations()
         ];
 
@@ -283,76 +576,104 @@ class NavigationManager extends EventEmitter {
 
     // Ender Dragon specific navigation methods
     async navigateToStronghold() {
-        if (!this.enderDragonLocations.stronghold) {
+        const stronghold = this.managers.waypoints.findNearest('stronghold') ||
             await this.searchForStronghold();
-        }
         
-        if (this.enderDragonLocations.stronghold) {
-            await this.navigateToTarget(this.enderDragonLocations.stronghold);
+        if (stronghold) {
+            await this.navigateToTarget(stronghold.name);
         } else {
             throw new Error('Stronghold location unknown');
         }
     }
 
     async navigateToEndPortal() {
-        if (!this.enderDragonLocations.endPortal) {
+        const portal = this.managers.waypoints.findNearest('end_portal') ||
             await this.searchForEndPortal();
-        }
         
-        if (this.enderDragonLocations.endPortal) {
-            await this.navigateToTarget(this.enderDragonLocations.endPortal);
+        if (portal) {
+            await this.navigateToTarget(portal.name);
         } else {
             throw new Error('End portal location unknown');
         }
     }
 
     async navigateToEndDimension() {
-        await this.navigateToTarget(this.enderDragonLocations.endDimension, {
+        await this.navigateToTarget(END_SPAWN, {
             precision: 5.0,
             timeout: 60000
         });
     }
 
     async navigateToEndCrystal(crystalIndex = 0) {
-        if (this.enderDragonLocations.endCrystals.length > crystalIndex) {
-            const crystal = this.enderDragonLocations.endCrystals[crystalIndex];
-            await this.navigateToTarget(crystal, { precision: 3.0 });
+        const crystals = this.managers.waypoints.list({ kind: 'end_crystal', dimension: 'the_end' });
+        if (crystals.length > crystalIndex) {
+            await this.navigateToTarget(crystals[crystalIndex].name, { precision: 3.0 });
         } else {
             throw new Error('End crystal location unknown');
         }
     }
 
+    // Eyes of ender first, then the likeliest ring regions; players are asked when both come up empty
     async searchForStronghold() {
-        // Use eye of ender or player guidance to find stronghold
-        await this.bot.sendChat('🔍 Searching for stronghold... Does anyone know the location?');
-        
-        // Listen for player responses about stronghold location
-        const listener = (message) => {
-            const strongholdPattern = /stronghold.*?(-?\d+).*?(-?\d+).*?(-?\d+)/i;
-            const match = message.match(strongholdPattern);
-            
-            if (match) {
-                this.enderDragonLocations.stronghold = {
-                    x: parseInt(match[1]),
-                    y: parseInt(match[2]),
-                    z: parseInt(match[3])
-                };
-                console.log('🏰 Stronghold location discovered:', this.enderDragonLocations.stronghold);
-                this.bot.removeListener('chat_received', listener);
-            }
-        };
+        const result = await this.managers.stronghold.locate();
+        if (result.status === 'located') {
+            return result.waypoint;
+        }
         
-        this.bot.on('chat_received', listener);
+        (result.rays || []).forEach(ray => this.managers.strongholdSearch.applyEyeRay(ray));
+        const found = await this.exploreStrongholdCandidates();
+        if (found) {
+            return found;
+        }
         
-        // Remove listener after timeout
-        setTimeout(() => {
-            this.bot.removeListener('chat_received', listener);
-        }, 30000);
+        return this.askForWaypoint('stronghold',
+            '🔍 Searching for stronghold... If you know where it is: !wp add stronghold <x> <y> <z> stronghold');
     }
 
     async searchForEndPortal() {
-        await this.bot.sendChat('🌀 Searching for End Portal... Any coordinates?');
-        // Similar implementation to stronghold search
+        return this.askForWaypoint('end_portal',
+            '🌀 Searching for End Portal... If you know where it is: !wp add portal <x> <y> <z> end_portal');
+    }
+
+    // Walks the planner's route, looking around at each region until a stronghold shows up
+    async exploreStrongholdCandidates(limit = this.candidateRegionsPerSearch) {
+        const planner = this.managers.strongholdSearch;
+        
+        for (const region of planner.getRoute(this.bot.position, limit)) {
+            console.log(`🗺️ Searching stronghold region ${region.id} around ${region.center.x}, ${region.center.z}`);
+            await this.navigateToTarget({ x: region.center.x, y: this.bot.position.y, z: region.center.z }, {
+                precision: 16,
+                timeout: 180000
+            });
+            
+            const found = planner.scan(this.bot.position);
+            if (found) {
+                if (found.portalRoom) {
+                    this.updateEndPortalLocation(found.position);
+                }
+                return this.updateStrongholdLocation(found.position);
+            }
+        }
+        return null;
+    }
+
+    // Ask in chat and wait for a player to add a waypoint of that kind
+    askForWaypoint(kind, question) {
+        return new Promise(resolve => {
+            const listener = (waypoint) => {
+                if (waypoint.kind !== kind) return;
+                clearTimeout(timer);
+                this.bot.removeListener('waypoint_added', listener);
+                resolve(waypoint);
+            };
+            const timer = setTimeout(() => {
+                this.bot.removeListener('waypoint_added', listener);
+                resolve(null);
+            }, this.waypointWaitTimeout);
+
+            this.bot.on('waypoint_added', listener);
+            this.bot.sendChat(question);
+        });
     }
 
     // Follow player functionality
@@ -392,10 +713,15 @@ class NavigationManager extends EventEmitter {
     stopNavigation() {
         this.isNavigating = false;
         this.currentTarget = null;
+        this.managers.movement?.cancelGoal('stopped');
         console.log('⏹️ Navigation stopped');
         this.emit('navigation_stopped');
     }
 
+    stop() {
+        clearInterval(this.stuckTimer);
+    }
+
     // Utility methods
     calculateDistance(pos1, pos2) {
         const dx = pos1.x - pos2.x;
@@ -440,7 +766,12 @@ class NavigationManager extends EventEmitter {
             isNavigating: this.isNavigating,
             distance: this.currentTarget ? 
                 this.calculateDistance(this.lastPosition, this.currentTarget) : null,
-            stuckCounter: this.stuckCounter
+            stuckCounter: this.stuckCounter,
+            path: this.currentPath ? {
+                status: this.currentPath.status,
+                remaining: this.pathQueue.length,
+                next: this.pathQueue[0] || null
+            } : null
         };
     }
 
@@ -451,24 +782,33 @@ class NavigationManager extends EventEmitter {
             position: this.lastPosition,
             navigationHistory: this.navigationHistory.length,
             stuckCounter: this.stuckCounter,
-            enderDragonLocations: this.enderDragonLocations
+            dimension: this.currentDimension,
+            linkedPortals: this.managers.waypoints?.list({ kind: 'portal', dimension: this.currentDimension })
+                .filter(portal => portal.link).length || 0,
+            waypoints: this.managers.waypoints?.getStats()
         };
     }
 
-    // Update known locations
+    // Update known locations; positions are block coordinates
     updateStrongholdLocation(position) {
-        this.enderDragonLocations.stronghold = position;
-        console.log('🏰 Stronghold location updated:', position);
+        return this.managers.waypoints.add('stronghold', position, { kind: 'stronghold', dimension: 'overworld' });
     }
 
     updateEndPortalLocation(position) {
-        this.enderDragonLocations.endPortal = position;
-        console.log('🌀 End Portal location updated:', position);
+        return this.managers.waypoints.add('end-portal', position, { kind: 'end_portal', dimension: 'overworld' });
     }
 
+    // A crystal seen again (or respawned on the same pillar) keeps its waypoint
     addEndCrystalLocation(position) {
-        this.enderDragonLocations.endCrystals.push(position);
-        console.log('💎 End Crystal location added:', position);
+        const waypoints = this.managers.waypoints;
+        const crystals = waypoints.list({ kind: 'end_crystal', dimension: 'the_end' });
+        const known = crystals.find(waypoint =>
+            Math.hypot(waypoint.position.x - position.x, waypoint.position.z - position.z) <= 2);
+        if (known) return known;
+
+        let index = crystals.length + 1;
+        while (waypoints.get(`crystal-${index}`, 'the_end')) index++;
+        return waypoints.add(`crystal-${index}`, position, { kind: 'end_crystal', dimension: 'the_end' });
     }
 }
 
@@ -0,0 +1,148 @@
+// modules/PacketRecorder.js - Records client traffic to JSON-lines capture files
+const fs = require('fs');
+const path = require('path');
+
+// Lifecycle events bedrock-protocol emits outside the packet stream
+const LIFECYCLE_EVENTS = ['join', 'spawn', 'kick', 'close'];
+
+class PacketRecorder {
+    constructor(bot) {
+        this.bot = bot;
+        this.captureDir = bot.config.captureDir || './data/captures';
+
+        this.stream = null;
+        this.client = null;
+        this.originalWrite = null;
+        this.originalQueue = null;
+        this.listeners = [];
+        this.filePath = null;
+        this.startTime = 0;
+        this.stats = { inbound: 0, outbound: 0, events: 0 };
+    }
+
+    start(client) {
+        this.stop();
+
+        fs.mkdirSync(this.captureDir, { recursive: true });
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this.filePath = path.join(this.captureDir, `capture-${timestamp}-s${this.bot.sessionId}.jsonl`);
+        this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+        this.client = client;
+        this.startTime = Date.now();
+        this.stats = { inbound: 0, outbound: 0, events: 0 };
+
+        this.writeLine({
+            dir: 'meta',
+            t: 0,
+            time: this.startTime,
+            username: this.bot.config.username,
+            host: this.bot.config.host,
+            version: this.bot.config.version,
+            sessionId: this.bot.sessionId
+        });
+
+        // Inbound packets
+        const onPacket = (packet) => {
+            this.stats.inbound++;
+            this.record('in', packet.data.name, packet.data.params);
+        };
+        client.on('packet', onPacket);
+        this.listeners.push(['packet', onPacket]);
+
+        LIFECYCLE_EVENTS.forEach(eventName => {
+            const onEvent = () => {
+                this.stats.events++;
+                this.record('event', eventName);
+            };
+            client.on(eventName, onEvent);
+            this.listeners.push([eventName, onEvent]);
+        });
+
+        // Outbound packets
+        this.originalWrite = client.write;
+        client.write = (name, params) => {
+            this.stats.outbound++;
+            this.record('out', name, params);
+            return this.originalWrite.call(client, name, params);
+        };
+
+        if (typeof client.queue === 'function') {
+            this.originalQueue = client.queue;
+            client.queue = (name, params) => {
+                this.stats.outbound++;
+                this.record('out', name, params);
+                return this.originalQueue.call(client, name, params);
+            };
+        }
+
+        console.log(`🎥 Recording packets to ${this.filePath}`);
+        return this.filePath;
+    }
+
+    record(dir, name, params) {
+        if (!this.stream) return;
+
+        const entry = { dir, name, t: Date.now() - this.startTime };
+        if (params !== undefined) {
+            entry.params = params;
+        }
+        this.writeLine(entry);
+    }
+
+    writeLine(entry) {
+        try {
+            this.stream.write(PacketRecorder.serialize(entry) + '\n');
+        } catch (error) {
+            console.error('Failed to record packet:', error.message);
+        }
+    }
+
+    stop() {
+        if (!this.stream) return;
+
+        if (this.client) {
+            this.listeners.forEach(([eventName, listener]) => this.client.removeListener(eventName, listener));
+            if (this.originalWrite) this.client.write = this.originalWrite;
+            if (this.originalQueue) this.client.queue = this.originalQueue;
+        }
+
+        this.stream.end();
+        console.log(`🎥 Capture closed: ${this.filePath} (${this.stats.inbound} in, ${this.stats.outbound} out)`);
+
+        this.stream = null;
+        this.client = null;
+        this.originalWrite = null;
+        this.originalQueue = null;
+        this.listeners = [];
+    }
+
+    getStatus() {
+        return {
+            recording: this.stream !== null,
+            file: this.filePath,
+            ...this.stats
+        };
+    }
+
+    // Packets carry BigInt and Buffer fields that plain JSON cannot round-trip
+    static serialize(entry) {
+        return JSON.stringify(entry, function (key, value) {
+            const raw = this[key];
+            if (typeof raw === 'bigint') return { $bigint: raw.toString() };
+            if (Buffer.isBuffer(raw)) return { $buffer: raw.toString('base64') };
+            return value;
+        });
+    }
+
+    static deserialize(line) {
+        return JSON.parse(line, (key, value) => {
+            if (value && typeof value === 'object') {
+                if (typeof value.$bigint === 'string') return BigInt(value.$bigint);
+                if (typeof value.$buffer === 'string') return Buffer.from(value.$buffer, 'base64');
+            }
+            return value;
+        });
+    }
+}
+
+module.exports = PacketRecorder;
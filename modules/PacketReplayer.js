@@ -0,0 +1,176 @@
+// modules/PacketReplayer.js - Feeds a recorded capture back through the bot
+const fs = require('fs').promises;
+const EventEmitter = require('events');
+const PacketRecorder = require('./PacketRecorder');
+
+// Sent on the client's own movement tick, so how many fall between two server packets differs
+// from run to run; they are counted but left out of the order comparison
+const TICK_PACKETS = ['player_auth_input', 'move_player', 'tick_sync'];
+const SETTLE_TIME = 500; // ms after the last entry for replies still in flight to go out
+
+class PacketReplayer extends EventEmitter {
+    constructor(bot) {
+        super();
+        this.bot = bot;
+
+        this.entries = [];
+        this.meta = null;
+        this.client = null;
+        this.replayWrites = [];
+        this.replaying = false;
+        this.position = 0;
+        this.timer = null;
+    }
+
+    async load(filePath) {
+        const contents = await fs.readFile(filePath, 'utf8');
+        const lines = contents.split('\n').filter(line => line.trim().length > 0);
+
+        this.entries = [];
+        this.meta = null;
+        lines.forEach((line, index) => {
+            try {
+                const entry = PacketRecorder.deserialize(line);
+                if (entry.dir === 'meta') {
+                    this.meta = entry;
+                } else {
+                    this.entries.push(entry);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Skipping malformed capture line ${index + 1}: ${error.message}`);
+            }
+        });
+
+        console.log(`📼 Loaded ${this.entries.length} entries from ${filePath}`);
+        return this.entries.length;
+    }
+
+    // speed: 1 = original timing, >1 = accelerated, 0 = as fast as possible
+    start(options = {}) {
+        const speed = options.speed ?? 1;
+
+        // Required here so loading the replayer does not load the mock server's block data
+        const { MockClient } = require('./MockBedrockServer');
+        this.client = new MockClient(this, { username: this.meta?.username || this.bot.config.username });
+        this.replayWrites = [];
+        this.position = 0;
+        this.replaying = true;
+
+        console.log(`📼 Replaying capture at ${speed === 0 ? 'max' : `${speed}x`} speed`);
+
+        return new Promise((resolve) => {
+            this.once('finished', resolve);
+            this.scheduleNext(speed, 0);
+        });
+    }
+
+    scheduleNext(speed, previousTime) {
+        if (!this.replaying) return;
+
+        if (this.position >= this.entries.length) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.finish();
+            }, SETTLE_TIME);
+            return;
+        }
+
+        const entry = this.entries[this.position];
+        const wait = speed === 0 ? 0 : Math.max(0, (entry.t - previousTime) / speed);
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.position++;
+            this.dispatch(entry);
+            this.scheduleNext(speed, entry.t);
+        }, wait);
+    }
+
+    dispatch(entry) {
+        switch (entry.dir) {
+            case 'in':
+                this.client.deliver(entry.name, entry.params);
+                break;
+            case 'event':
+                if (entry.name === 'close') {
+                    this.client.close();
+                } else {
+                    this.client.emit(entry.name, entry.params);
+                }
+                break;
+            // Outbound entries are the reference the replayed bot is compared against
+        }
+    }
+
+    finish() {
+        if (!this.replaying) return;
+        this.replaying = false;
+
+        const report = this.getReport();
+        console.log(`📼 Replay finished: ${report.inbound} packets fed, ${report.replayedOutbound}/${report.recordedOutbound} outbound packets reproduced`);
+        if (report.firstDivergence) {
+            console.log('📼 First outbound divergence:', report.firstDivergence);
+        }
+        this.emit('finished', report);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.finish();
+    }
+
+    // Server-side surface used by MockClient
+    receiveFromClient(client, name, params) {
+        this.replayWrites.push({ name, params, time: Date.now() });
+    }
+
+    handleClientDisconnect() {
+        this.stop();
+    }
+
+    // Outbound packets compared by order (tick packets aside) and by count per packet name
+    getReport() {
+        const recorded = this.entries.filter(entry => entry.dir === 'out').map(entry => entry.name);
+        const replayed = this.replayWrites.map(write => write.name);
+        const ordered = names => names.filter(name => !TICK_PACKETS.includes(name));
+        const recordedOrder = ordered(recorded);
+        const replayedOrder = ordered(replayed);
+
+        let firstDivergence = null;
+        const length = Math.max(recordedOrder.length, replayedOrder.length);
+        for (let i = 0; i < length; i++) {
+            if (recordedOrder[i] !== replayedOrder[i]) {
+                firstDivergence = { index: i, recorded: recordedOrder[i] || null, replayed: replayedOrder[i] || null };
+                break;
+            }
+        }
+
+        const counts = {};
+        for (const [side, names] of [['recorded', recorded], ['replayed', replayed]]) {
+            for (const name of names) {
+                counts[name] = counts[name] || { recorded: 0, replayed: 0 };
+                counts[name][side]++;
+            }
+        }
+        const countDifferences = Object.fromEntries(Object.entries(counts)
+            .filter(([name, count]) => !TICK_PACKETS.includes(name) && count.recorded !== count.replayed));
+
+        return {
+            inbound: this.entries.slice(0, this.position).filter(entry => entry.dir === 'in').length,
+            recordedOutbound: recorded.length,
+            replayedOutbound: replayed.length,
+            tickPackets: {
+                recorded: recorded.length - recordedOrder.length,
+                replayed: replayed.length - replayedOrder.length
+            },
+            firstDivergence,
+            countDifferences,
+            complete: this.position >= this.entries.length
+        };
+    }
+}
+
+module.exports = PacketReplayer;
@@ -0,0 +1,278 @@
+// modules/Pathfinder.js - A* over walkable blocks in the world model
+const EYE_HEIGHT = 1.62;
+
+// Move costs, in blocks walked
+const DIAGONAL_COST = Math.SQRT2;
+const JUMP_COST = 1.5;
+const DROP_COST = 0.5; // per block fallen
+const SWIM_COST = 2.0; // multiplier on moves through water
+const HAZARD_COST = 8; // next to lava, fire, cactus...
+const DANGER_COST = 6; // near a hostile mob
+
+// Falls of more than three blocks hurt; deeper holes count as void
+const MAX_DROP = 3;
+
+const CARDINALS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const DIAGONALS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+// Binary min-heap on node.f
+class OpenSet {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(node) {
+        const items = this.items;
+        items.push(node);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].f <= items[i].f) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].f < items[smallest].f) smallest = left;
+                if (right < items.length && items[right].f < items[smallest].f) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+class Pathfinder {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = null;
+        this.maxNodes = 20000;
+        this.stats = { searches: 0, complete: 0, partial: 0, failed: 0, lastExplored: 0 };
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    get world() {
+        return this.managers?.world || this.bot.worldModel;
+    }
+
+    // Player positions are at eye height; paths are made of the blocks the feet stand in
+    toFeet(position) {
+        return {
+            x: Math.floor(position.x),
+            y: Math.floor(position.y - EYE_HEIGHT + 0.01),
+            z: Math.floor(position.z)
+        };
+    }
+
+    toStandingPosition(node) {
+        return { x: node.x + 0.5, y: node.y + EYE_HEIGHT, z: node.z + 0.5 };
+    }
+
+    canPlanFrom(position) {
+        return !!position && !!this.world?.isLoaded(position.x, position.z);
+    }
+
+    // start/goal are player positions. status is 'complete', 'partial' (ends at the loaded
+    // node closest to the goal) or 'no_path'
+    findPath(start, goal, options = {}) {
+        const range = options.range ?? 1;
+        const maxNodes = options.maxNodes || this.maxNodes;
+        const deadline = Date.now() + (options.timeout || this.bot.config.pathfindingTimeout || 10000);
+        const avoid = options.avoid || [];
+
+        const origin = this.toFeet(start);
+        const target = { x: goal.x, y: goal.y - (options.goalIsFeet ? 0 : EYE_HEIGHT), z: goal.z };
+        this.stats.searches++;
+
+        const heuristic = (node) => Math.hypot(node.x + 0.5 - target.x, node.y - target.y, node.z + 0.5 - target.z);
+        const key = (x, y, z) => `${x},${y},${z}`;
+
+        const startNode = { x: origin.x, y: origin.y, z: origin.z, g: 0, f: 0, h: 0, parent: null };
+        startNode.h = heuristic(startNode);
+        startNode.f = startNode.h;
+
+        const open = new OpenSet();
+        const best = new Map([[key(origin.x, origin.y, origin.z), startNode]]);
+        const closed = new Set();
+        open.push(startNode);
+
+        let closest = startNode;
+        let touchedUnknown = false;
+        let explored = 0;
+
+        while (open.size > 0) {
+            const node = open.pop();
+            const nodeKey = key(node.x, node.y, node.z);
+            if (closed.has(nodeKey)) continue;
+            closed.add(nodeKey);
+            explored++;
+
+            if (node.h <= range) {
+                return this.finish('complete', node, explored);
+            }
+            if (node.h < closest.h) closest = node;
+
+            if (explored >= maxNodes || (explored % 1000 === 0 && Date.now() > deadline)) {
+                touchedUnknown = true; // out of budget: treat the rest as unexplored
+                break;
+            }
+
+            for (const move of this.getMoves(node)) {
+                if (move.unknown) {
+                    touchedUnknown = true;
+                    continue;
+                }
+
+                const moveKey = key(move.x, move.y, move.z);
+                if (closed.has(moveKey)) continue;
+
+                const g = node.g + move.cost + this.extraCost(move, avoid);
+                const known = best.get(moveKey);
+                if (known && known.g <= g) continue;
+
+                const next = { x: move.x, y: move.y, z: move.z, g, h: 0, f: 0, parent: node };
+                next.h = heuristic(next);
+                next.f = g + next.h;
+                best.set(moveKey, next);
+                open.push(next);
+            }
+        }
+
+        if (touchedUnknown && closest !== startNode) {
+            return this.finish('partial', closest, explored);
+        }
+        return this.finish('no_path', null, explored);
+    }
+
+    finish(status, node, explored) {
+        const path = [];
+        for (let current = node; current?.parent; current = current.parent) {
+            path.unshift({ x: current.x, y: current.y, z: current.z });
+        }
+
+        this.stats[status === 'no_path' ? 'failed' : status]++;
+        this.stats.lastExplored = explored;
+        return { status, path, cost: node ? node.g : Infinity, explored };
+    }
+
+    // A body fits when feet and head are free; it stands when there is ground or water
+    canStand(x, y, z) {
+        const world = this.world;
+        if (world.getStateId(x, y, z) === null || world.getStateId(x, y - 1, z) === null) return null;
+        if (!world.isPassable(x, y, z) || !world.isPassable(x, y + 1, z)) return false;
+        return world.isSolid(x, y - 1, z) || world.isLiquid(x, y, z);
+    }
+
+    bodyFits(x, y, z) {
+        return this.world.isPassable(x, y, z) && this.world.isPassable(x, y + 1, z);
+    }
+
+    getMoves(node) {
+        const world = this.world;
+        const { x, y, z } = node;
+        const swimming = world.isLiquid(x, y, z);
+        const swim = cost => (swimming ? cost * SWIM_COST : cost);
+        const moves = [];
+
+        for (const [dx, dz] of CARDINALS) {
+            const nx = x + dx;
+            const nz = z + dz;
+            const level = this.canStand(nx, y, nz);
+
+            if (level === null) {
+                moves.push({ unknown: true });
+                continue;
+            }
+            if (level) {
+                moves.push({ x: nx, y, z: nz, cost: swim(1) });
+                continue;
+            }
+
+            // Step up one block: needs head room above us for the jump
+            if (this.canStand(nx, y + 1, nz) && world.isPassable(x, y + 2, z)) {
+                moves.push({ x: nx, y: y + 1, z: nz, cost: swim(1 + JUMP_COST) });
+                continue;
+            }
+
+            // Walk off an edge and land within MAX_DROP blocks
+            if (this.bodyFits(nx, y, nz)) {
+                for (let drop = 1; drop <= MAX_DROP; drop++) {
+                    const landing = this.canStand(nx, y - drop, nz);
+                    if (landing === null) {
+                        moves.push({ unknown: true });
+                        break;
+                    }
+                    if (landing) {
+                        moves.push({ x: nx, y: y - drop, z: nz, cost: 1 + drop * DROP_COST });
+                        break;
+                    }
+                    if (!world.isPassable(nx, y - drop, nz)) break;
+                }
+            }
+        }
+
+        // Diagonals only on level ground and never around a corner
+        for (const [dx, dz] of DIAGONALS) {
+            if (this.canStand(x + dx, y, z + dz) && this.bodyFits(x + dx, y, z) && this.bodyFits(x, y, z + dz)) {
+                moves.push({ x: x + dx, y, z: z + dz, cost: swim(DIAGONAL_COST) });
+            }
+        }
+
+        // Swim straight up or down
+        if (swimming) {
+            if (this.canStand(x, y + 1, z)) moves.push({ x, y: y + 1, z, cost: SWIM_COST });
+            if (world.isLiquid(x, y - 1, z) && this.canStand(x, y - 1, z)) moves.push({ x, y: y - 1, z, cost: SWIM_COST });
+        }
+
+        return moves;
+    }
+
+    extraCost(move, avoid) {
+        const world = this.world;
+        let cost = 0;
+
+        if (world.isHazard(move.x, move.y - 1, move.z) ||
+            CARDINALS.some(([dx, dz]) => world.isHazard(move.x + dx, move.y, move.z + dz))) {
+            cost += HAZARD_COST;
+        }
+
+        for (const danger of avoid) {
+            if (Math.hypot(move.x + 0.5 - danger.x, move.z + 0.5 - danger.z) <= (danger.radius || 3)) {
+                cost += DANGER_COST;
+            }
+        }
+        return cost;
+    }
+
+    // Does a changed block touch any node still ahead on the path (feet, head or ground)?
+    affectsPath(path, position) {
+        return path.some(node => node.x === position.x && node.z === position.z &&
+            position.y >= node.y - 1 && position.y <= node.y + 1);
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+module.exports = Pathfinder;
@@ -0,0 +1,291 @@
+// modules/RangedCombat.js - Bow and crossbow shots aimed with arrow ballistics
+// Arrows move, then lose 1% of their speed, then fall 0.05 blocks/tick faster, every tick
+const GRAVITY = 0.05; // blocks per tick²
+const DRAG = 0.99;
+const BOW_SPEED = 3; // blocks per tick at full draw
+const CROSSBOW_SPEED = 3.15;
+const FULL_DRAW_TICKS = 20;
+const CROSSBOW_CHARGE_TICKS = 25; // less 5 per Quick Charge level
+const TICK = 50; // ms
+
+const MAX_FLIGHT_TICKS = 100;
+const MIN_PITCH = -60; // degrees above (+) or below (-) the horizon
+const MAX_PITCH = 60;
+const LEAD_ITERATIONS = 3;
+const LAUNCH_DROP = 0.1; // arrows leave slightly below the eyes
+const CONFIRM_SLACK = 500; // ms past the predicted impact a hit may still be reported
+const MAX_RANGE = 64; // blocks; further shots scatter too much to be worth an arrow
+const CLEAR_LOOK_TICKS = 10; // ticks a drawn shot waits for an enderman to leave the line of fire
+
+class RangedCombat {
+    // The combat simulator passes its own clock and logger
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.now = options.now || Date.now;
+        this.logger = options.logger || console;
+        this.managers = null;
+        this.client = null;
+        this.busy = false;
+        this.crossbowLoaded = false;
+        this.pendingShots = new Map(); // target id -> { deadline, weapon }
+        this.lastShot = null;
+        this.stats = { shots: 0, hits: 0, misses: 0, outOfRange: 0, held: 0 };
+
+        // Only the server can say whether an arrow landed
+        this.bot.on('entity_hurt', ({ entity }) => this.confirmHit(entity));
+        this.bot.on('entity_damaged', ({ entity }) => this.confirmHit(entity));
+        // End crystals have no health; a hit blows them up
+        this.bot.on('entity_removed', (entity) => this.confirmHit(entity));
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    get inventory() {
+        return this.managers?.inventory || this.bot.inventoryManager;
+    }
+
+    get entities() {
+        return this.managers?.entities || this.bot.entityTracker;
+    }
+
+    attach(client) {
+        this.client = client;
+        this.busy = false;
+        this.crossbowLoaded = false;
+        this.pendingShots.clear();
+    }
+
+    // Bow first: it needs no reload between shots
+    getWeaponSlot() {
+        for (const name of ['bow', 'crossbow']) {
+            const slot = this.inventory.findHotbarSlot(name);
+            if (slot !== null) return { slot, name, item: this.inventory.containers.inventory[slot] };
+        }
+        return null;
+    }
+
+    getArrowCount() {
+        return this.inventory.getItemCount('arrows');
+    }
+
+    canShoot() {
+        return !this.busy && !!this.client && this.bot.connected && !!this.getWeaponSlot() && this.getArrowCount() > 0;
+    }
+
+    // Steps one arrow tick by tick; returns the height and flight time where it has covered the
+    // horizontal distance, or null if it falls short
+    simulate(pitchDegrees, speed, distance) {
+        const pitch = pitchDegrees * Math.PI / 180;
+        let horizontal = 0;
+        let height = 0;
+        let vh = Math.cos(pitch) * speed;
+        let vy = Math.sin(pitch) * speed;
+
+        for (let tick = 1; tick <= MAX_FLIGHT_TICKS; tick++) {
+            const nextHorizontal = horizontal + vh;
+            const nextHeight = height + vy;
+            if (nextHorizontal >= distance) {
+                const share = vh > 0 ? (distance - horizontal) / vh : 0;
+                return { height: height + vy * share, ticks: tick - 1 + share };
+            }
+            horizontal = nextHorizontal;
+            height = nextHeight;
+            vh *= DRAG;
+            vy = vy * DRAG - GRAVITY;
+            if (vh < 1e-3) break;
+        }
+        return null;
+    }
+
+    // The flat arc: the lowest pitch whose arrow arrives at or above the target height
+    solvePitch(distance, height, speed) {
+        const reaches = pitch => {
+            const result = this.simulate(pitch, speed, distance);
+            return result && result.height >= height ? result : null;
+        };
+
+        let low = null;
+        for (let pitch = MIN_PITCH; pitch <= MAX_PITCH; pitch += 1) {
+            if (!reaches(pitch)) {
+                low = pitch;
+                continue;
+            }
+            if (low === null) return { pitch, ticks: this.simulate(pitch, speed, distance).ticks };
+
+            // Bisect between the last miss and the first arrival
+            let high = pitch;
+            for (let step = 0; step < 20; step++) {
+                const middle = (low + high) / 2;
+                if (reaches(middle)) high = middle;
+                else low = middle;
+            }
+            return { pitch: high, ticks: this.simulate(high, speed, distance).ticks };
+        }
+        return null;
+    }
+
+    // Whether an arrow loosed from an eye position can arrive at a point at all
+    canReach(eye, point, weapon = 'bow') {
+        const distance = Math.hypot(point.x - eye.x, point.z - eye.z);
+        if (distance > MAX_RANGE) return false;
+        const speed = weapon === 'bow' ? BOW_SPEED : CROSSBOW_SPEED;
+        return !!this.solvePitch(distance, point.y - (eye.y - LAUNCH_DROP), speed);
+    }
+
+    // Aims where a moving target will be when the arrow gets there
+    computeAim(entity, speed, delay = 0) {
+        const eye = this.bot.position;
+        const launch = { x: eye.x, y: eye.y - LAUNCH_DROP, z: eye.z };
+        const aimAt = position => this.managers.combat.getAimPoint({ ...entity, position });
+
+        let target = aimAt(this.entities.predictPosition(entity, delay / 1000));
+        let solution = null;
+        for (let iteration = 0; iteration < LEAD_ITERATIONS; iteration++) {
+            const dx = target.x - launch.x;
+            const dz = target.z - launch.z;
+            const distance = Math.hypot(dx, dz);
+            if (distance > MAX_RANGE) return null;
+
+            solution = this.solvePitch(distance, target.y - launch.y, speed);
+            if (!solution) return null;
+            solution = { ...solution, dx, dz, distance, target };
+            target = aimAt(this.entities.predictPosition(entity, (delay + solution.ticks * TICK) / 1000));
+        }
+        return solution;
+    }
+
+    getDrawTicks(weapon) {
+        if (weapon.name === 'bow') return FULL_DRAW_TICKS;
+        const quickCharge = weapon.item?.enchantments?.find(enchantment => enchantment.name === 'quick_charge')?.level || 0;
+        return CROSSBOW_CHARGE_TICKS - 5 * quickCharge;
+    }
+
+    // Draws, aims at the last moment and releases; confirmation arrives later as ranged_hit
+    async shoot(target) {
+        if (this.busy) return { status: 'busy' };
+        const weapon = this.getWeaponSlot();
+        if (!weapon) return { status: 'no_weapon' };
+        if (this.getArrowCount() === 0) return { status: 'no_arrows' };
+        const entity = this.entities.getEntity(target.id);
+        if (!entity || !this.bot.position) return { status: 'no_target' };
+
+        const speed = weapon.name === 'bow' ? BOW_SPEED : CROSSBOW_SPEED;
+        const drawTicks = this.getDrawTicks(weapon);
+        const loaded = weapon.name === 'crossbow' && this.crossbowLoaded;
+        if (!this.computeAim(entity, speed, loaded ? TICK : (drawTicks + 1) * TICK)) {
+            this.stats.outOfRange++;
+            return { status: 'out_of_range' };
+        }
+
+        this.busy = true;
+        try {
+            await this.inventory.selectHotbarSlot(weapon.slot);
+
+            // A crossbow charges first and fires on the next use; a bow fires on release
+            if (!loaded) {
+                this.inventory.useItem(weapon.slot);
+                await this.bot.delay((drawTicks + 1) * TICK);
+                if (weapon.name === 'crossbow') {
+                    this.inventory.releaseItem(weapon.slot);
+                    this.crossbowLoaded = true;
+                }
+            }
+
+            // The movement controller turns the look away from calm endermen's eyes; a shot loosed
+            // that way lands blocks short, so it stays drawn until the line clears or the wait runs out
+            let live = null;
+            let aim = null;
+            let clear = false;
+            for (let tick = 0; tick < CLEAR_LOOK_TICKS && !clear; tick++) {
+                if (tick > 0) await this.bot.delay(TICK);
+                live = this.entities.getEntity(target.id);
+                aim = live && this.computeAim(live, speed, TICK);
+                if (!aim) break;
+
+                const eye = this.bot.position;
+                const rise = aim.distance * Math.tan(aim.pitch * Math.PI / 180);
+                clear = this.managers.movement.lookAt({ x: eye.x + aim.dx, y: eye.y + rise, z: eye.z + aim.dz });
+            }
+            // Neither case looses anything: a crossbow stays loaded and a drawn bow is lowered
+            if (!aim) {
+                if (weapon.name === 'bow') await this.cancelDraw(weapon);
+                this.stats.outOfRange++;
+                return { status: 'out_of_range' };
+            }
+            if (!clear) {
+                if (weapon.name === 'bow') await this.cancelDraw(weapon);
+                this.stats.held++;
+                return { status: 'gaze_blocked' };
+            }
+            await this.bot.delay(TICK); // the facing goes out with the next movement tick
+
+            if (weapon.name === 'bow') {
+                this.inventory.releaseItem(weapon.slot);
+            } else {
+                this.inventory.useItem(weapon.slot);
+                this.crossbowLoaded = false;
+            }
+
+            const now = this.now();
+            this.expirePendingShots(now);
+            this.stats.shots++;
+            this.pendingShots.set(live.id, { deadline: now + aim.ticks * TICK + CONFIRM_SLACK, weapon: weapon.name });
+            this.lastShot = {
+                target: live.type,
+                distance: Math.round(aim.distance * 10) / 10,
+                pitch: Math.round(aim.pitch * 10) / 10,
+                flightTicks: Math.round(aim.ticks)
+            };
+
+            this.logger.log(`🏹 Shot at ${live.type} ${this.lastShot.distance} blocks away (pitch ${this.lastShot.pitch}°, ${this.lastShot.flightTicks} ticks)`);
+            this.bot.emit('ranged_shot', { target: live, weapon: weapon.name, ...this.lastShot });
+            return { status: 'fired', ...this.lastShot };
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    // Releasing a bow always fires it; selecting the held slot again ends the use instead
+    cancelDraw(weapon) {
+        return this.inventory.selectHotbarSlot(weapon.slot);
+    }
+
+    confirmHit(entity) {
+        const pending = this.pendingShots.get(entity.id);
+        if (!pending) return;
+
+        this.pendingShots.delete(entity.id);
+        if (this.now() > pending.deadline) {
+            this.stats.misses++;
+            return;
+        }
+
+        this.stats.hits++;
+        this.bot.emit('ranged_hit', { entity, weapon: pending.weapon });
+    }
+
+    expirePendingShots(now = this.now()) {
+        for (const [id, pending] of this.pendingShots) {
+            if (now <= pending.deadline) continue;
+            this.pendingShots.delete(id);
+            this.stats.misses++;
+        }
+    }
+
+    getStats() {
+        this.expirePendingShots();
+        const resolved = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRate: resolved > 0 ? Math.round(this.stats.hits / resolved * 100) / 100 : null,
+            arrows: this.getArrowCount(),
+            weapon: this.getWeaponSlot()?.name || null,
+            crossbowLoaded: this.crossbowLoaded,
+            lastShot: this.lastShot
+        };
+    }
+}
+
+module.exports = RangedCombat;
@@ -0,0 +1,190 @@
+// modules/RecipeDatabase.js - Crafting and smelting recipes from the server's crafting_data plus a bundled set
+const bundled = require('./data/recipes.json');
+
+// Bedrock item tags used by recipe ingredients -> bundled tag names
+const TAG_NAMES = {
+    'minecraft:logs': 'logs',
+    'minecraft:planks': 'planks',
+    'minecraft:coals': 'coals',
+    'minecraft:stone_tool_materials': 'stone_tool_materials',
+    'minecraft:stone_crafting_materials': 'stone_tool_materials',
+    'minecraft:wool': 'wool'
+};
+
+const CRAFTING_TYPES = ['shaped', 'shapeless'];
+const SMELTING_TYPES = ['furnace', 'furnace_with_metadata'];
+
+class RecipeDatabase {
+    constructor(bot) {
+        this.bot = bot;
+        this.recipes = new Map();
+        this.tags = new Map(Object.entries(bundled.tags));
+        this.serverRecipeCount = 0;
+        this.loadBundled();
+    }
+
+    get itemRegistry() {
+        return this.bot.itemRegistry;
+    }
+
+    // Server recipes are per session; bundled ones stay first so they win ties
+    attach(client) {
+        this.recipes.clear();
+        this.serverRecipeCount = 0;
+        this.loadBundled();
+
+        client.on('crafting_data', (packet) => this.loadServerRecipes(packet));
+    }
+
+    loadBundled() {
+        for (const recipe of bundled.recipes) {
+            this.add({ ...recipe, source: 'bundled' });
+        }
+    }
+
+    add(recipe) {
+        const output = this.shortName(recipe.output);
+        if (!output || Object.keys(recipe.ingredients || {}).length === 0) return;
+
+        if (!this.recipes.has(output)) {
+            this.recipes.set(output, []);
+        }
+        this.recipes.get(output).push({
+            output,
+            count: recipe.count || 1,
+            ingredients: recipe.ingredients,
+            station: recipe.station || 'crafting_table',
+            source: recipe.source || 'server',
+            // Only server recipes can be executed: item_stack_request names them by network id
+            networkId: recipe.networkId ?? null,
+            input: recipe.input || null,
+            result: recipe.result || null
+        });
+    }
+
+    loadServerRecipes(packet) {
+        let loaded = 0;
+        for (const entry of packet.recipes || []) {
+            const recipe = this.parseServerRecipe(entry);
+            if (!recipe) continue;
+
+            this.add(recipe);
+            loaded++;
+        }
+
+        this.serverRecipeCount = loaded;
+        console.log(`📜 Loaded ${loaded} server recipes (${this.recipes.size} craftable items)`);
+    }
+
+    parseServerRecipe(entry) {
+        const recipe = entry?.recipe;
+        if (!recipe) return null;
+
+        if (SMELTING_TYPES.includes(entry.type)) {
+            if (recipe.block !== 'furnace') return null;
+            const input = this.itemName(recipe.input_id);
+            const output = this.itemName(recipe.output?.network_id);
+            if (!input || !output) return null;
+
+            return {
+                output,
+                count: recipe.output.count || 1,
+                ingredients: { [input]: 1 },
+                station: 'furnace',
+                result: recipe.output
+            };
+        }
+
+        if (!CRAFTING_TYPES.includes(entry.type) || recipe.block !== 'crafting_table') return null;
+
+        // Shaped input is a grid of rows, shapeless a flat list
+        const input = entry.type === 'shaped' ? (recipe.input || []).flat() : recipe.input || [];
+        const ingredients = {};
+        for (const ingredient of input) {
+            if (!ingredient || ingredient.type === 'invalid') continue;
+
+            const name = this.ingredientName(ingredient);
+            if (!name) return null;
+            ingredients[name] = (ingredients[name] || 0) + (ingredient.count || 1);
+        }
+
+        const [result] = recipe.output || [];
+        const output = this.itemName(result?.network_id);
+        if (!output) return null;
+
+        const fitsInventoryGrid = entry.type === 'shaped'
+            ? recipe.width <= 2 && recipe.height <= 2
+            : input.length <= 4;
+
+        return {
+            output,
+            count: result.count || 1,
+            ingredients,
+            station: fitsInventoryGrid ? 'inventory' : 'crafting_table',
+            networkId: recipe.network_id ?? null,
+            input: input.filter(ingredient => ingredient && ingredient.type !== 'invalid'),
+            result
+        };
+    }
+
+    ingredientName(ingredient) {
+        switch (ingredient.type) {
+            case 'int_id_meta':
+                return this.itemName(ingredient.network_id);
+            case 'item_tag':
+                return TAG_NAMES[ingredient.tag] || this.shortName(ingredient.tag);
+            case 'complex_alias':
+            case 'string_id_meta':
+                return this.shortName(ingredient.name);
+            default:
+                return null;
+        }
+    }
+
+    itemName(networkId) {
+        const name = this.itemRegistry.getName(networkId);
+        if (!name || name === 'minecraft:air' || name.startsWith('unknown:')) return null;
+        return this.shortName(name);
+    }
+
+    shortName(name) {
+        return this.itemRegistry.shortName(name);
+    }
+
+    getRecipes(item) {
+        return this.recipes.get(this.shortName(item)) || [];
+    }
+
+    // Server recipes for an item that can be sent in an item_stack_request
+    getExecutableRecipes(item) {
+        return this.getRecipes(item).filter(recipe => recipe.networkId !== null && recipe.station !== 'furnace');
+    }
+
+    // Does an inventory item satisfy a recipe ingredient (exact item or tag member)?
+    matchesIngredient(ingredient, itemName) {
+        const name = this.shortName(itemName);
+        return name === ingredient || this.getTagMembers(ingredient).includes(name);
+    }
+
+    isCraftable(item) {
+        return this.getRecipes(item).length > 0;
+    }
+
+    isTag(name) {
+        return this.tags.has(name);
+    }
+
+    getTagMembers(name) {
+        return this.tags.get(name) || [];
+    }
+
+    getStats() {
+        return {
+            craftableItems: this.recipes.size,
+            serverRecipes: this.serverRecipeCount,
+            bundledRecipes: bundled.recipes.length
+        };
+    }
+}
+
+module.exports = RecipeDatabase;
@@ -0,0 +1,187 @@
+// modules/ReconnectManager.js - Reconnect supervisor with exponential backoff
+const EventEmitter = require('events');
+
+class ReconnectManager extends EventEmitter {
+    constructor(bot) {
+        super();
+        this.bot = bot;
+        this.managers = {};
+
+        // Reconnect policy
+        this.config = {
+            enabled: bot.config.reconnectEnabled !== false,
+            baseDelay: bot.config.reconnectBaseDelay || 2000, // ms
+            maxDelay: bot.config.reconnectMaxDelay || 120000, // ms
+            maxAttempts: bot.config.reconnectMaxAttempts ?? 50, // 0 = unlimited
+            jitter: bot.config.reconnectJitter ?? 0.3, // +/- fraction of the delay
+            connectTimeout: bot.config.connectTimeout || 30000 // ms until spawn
+        };
+
+        // Supervisor state
+        this.state = 'idle'; // idle, connecting, connected, waiting, gave_up, stopped
+        this.attempt = 0;
+        this.totalReconnects = 0;
+        this.reconnectTimer = null;
+        this.connectTimer = null;
+        this.nextAttemptAt = null;
+        this.lastDisconnectReason = null;
+        this.lastDisconnectAt = null;
+        this.lastConnectedAt = null;
+
+        this.bot.on('connected', () => this.handleConnected());
+        this.bot.on('disconnected', (reason) => this.handleDisconnect(reason));
+
+        console.log('🔌 ReconnectManager initialized');
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    handleConnecting() {
+        if (this.state === 'stopped') return;
+
+        this.state = 'connecting';
+        this.clearConnectTimer();
+
+        // Treat a connection that never spawns as a failed attempt
+        this.connectTimer = setTimeout(() => {
+            this.connectTimer = null;
+            if (this.state === 'connecting') {
+                console.log(`🔌 No spawn after ${this.config.connectTimeout}ms, abandoning attempt`);
+                this.bot.teardownClient();
+                this.handleDisconnect('connect_timeout');
+            }
+        }, this.config.connectTimeout);
+    }
+
+    handleConnected() {
+        this.clearConnectTimer();
+
+        const attempts = this.attempt;
+        this.state = 'connected';
+        this.attempt = 0;
+        this.nextAttemptAt = null;
+        this.lastConnectedAt = Date.now();
+
+        if (attempts > 0) {
+            this.totalReconnects++;
+            console.log(`🔌 Reconnected after ${attempts} attempt(s)`);
+            this.bot.emit('reconnected', { attempts, reason: this.lastDisconnectReason });
+        }
+    }
+
+    handleDisconnect(reason) {
+        this.clearConnectTimer();
+        this.lastDisconnectReason = this.describeReason(reason);
+        this.lastDisconnectAt = Date.now();
+
+        if (this.state === 'stopped' || this.state === 'gave_up') return;
+
+        if (!this.config.enabled) {
+            this.state = 'idle';
+            return;
+        }
+
+        this.scheduleReconnect(this.lastDisconnectReason);
+    }
+
+    scheduleReconnect(reason = 'unknown') {
+        if (this.state === 'stopped' || this.reconnectTimer) return;
+
+        if (this.config.maxAttempts > 0 && this.attempt >= this.config.maxAttempts) {
+            this.state = 'gave_up';
+            this.nextAttemptAt = null;
+            console.error(`❌ Giving up after ${this.attempt} reconnect attempts (last reason: ${reason})`);
+            this.bot.emit('reconnect_failed', { attempts: this.attempt, reason });
+            return;
+        }
+
+        const delay = this.computeDelay(this.attempt);
+        this.state = 'waiting';
+        this.nextAttemptAt = Date.now() + delay;
+
+        console.log(`🔌 Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.attempt + 1}${this.config.maxAttempts > 0 ? `/${this.config.maxAttempts}` : ''}) - ${reason}`);
+        this.bot.emit('reconnect_scheduled', { attempt: this.attempt + 1, delay, reason });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.attemptReconnect();
+        }, delay);
+    }
+
+    computeDelay(attempt) {
+        const exponential = Math.min(this.config.maxDelay, this.config.baseDelay * Math.pow(2, attempt));
+        const spread = exponential * this.config.jitter;
+        const jittered = exponential - spread + Math.random() * spread * 2;
+        return Math.round(Math.max(this.config.baseDelay, Math.min(this.config.maxDelay, jittered)));
+    }
+
+    async attemptReconnect() {
+        if (this.state === 'stopped') return;
+
+        this.attempt++;
+        this.nextAttemptAt = null;
+
+        try {
+            await this.bot.reconnect();
+        } catch (error) {
+            console.error('❌ Reconnect attempt failed:', error.message);
+            this.handleDisconnect(error);
+        }
+    }
+
+    // Manual control (used by the HTTP API and shutdown)
+    reconnectNow() {
+        this.clearReconnectTimer();
+        if (this.state === 'stopped' || this.state === 'gave_up') {
+            this.state = 'idle';
+        }
+        this.attempt = 0;
+        return this.attemptReconnect();
+    }
+
+    stop() {
+        this.state = 'stopped';
+        this.clearReconnectTimer();
+        this.clearConnectTimer();
+        this.nextAttemptAt = null;
+    }
+
+    clearReconnectTimer() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    clearConnectTimer() {
+        if (this.connectTimer) {
+            clearTimeout(this.connectTimer);
+            this.connectTimer = null;
+        }
+    }
+
+    describeReason(reason) {
+        if (!reason) return 'unknown';
+        if (typeof reason === 'string') return reason;
+        return reason.message || reason.reason || JSON.stringify(reason);
+    }
+
+    getStatus() {
+        return {
+            enabled: this.config.enabled,
+            state: this.state,
+            attempt: this.attempt,
+            maxAttempts: this.config.maxAttempts,
+            totalReconnects: this.totalReconnects,
+            nextAttemptIn: this.nextAttemptAt ? Math.max(0, this.nextAttemptAt - Date.now()) : null,
+            lastDisconnectReason: this.lastDisconnectReason,
+            lastDisconnectAt: this.lastDisconnectAt,
+            lastConnectedAt: this.lastConnectedAt,
+            sessionId: this.bot.sessionId
+        };
+    }
+}
+
+module.exports = ReconnectManager;
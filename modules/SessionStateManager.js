@@ -0,0 +1,160 @@
+// modules/SessionStateManager.js - Authoritative world/session state from the server
+const GAME_MODES = {
+    0: 'survival',
+    1: 'creative',
+    2: 'adventure',
+    3: 'survival_spectator',
+    4: 'creative_spectator',
+    5: 'fallback',
+    6: 'spectator'
+};
+
+const DIFFICULTIES = ['peaceful', 'easy', 'normal', 'hard'];
+
+const DIMENSIONS = {
+    0: 'overworld',
+    1: 'nether',
+    2: 'the_end',
+    overworld: 'overworld',
+    nether: 'nether',
+    end: 'the_end',
+    the_end: 'the_end'
+};
+
+class SessionStateManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.client = null;
+        this.state = this.createEmptyState();
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    createEmptyState() {
+        return {
+            runtimeId: null,
+            uniqueId: null,
+            spawnPoint: null,
+            position: null,
+            dimension: 'overworld',
+            gameMode: 'unknown',
+            worldGameMode: 'unknown',
+            difficulty: 'normal',
+            worldName: null,
+            levelId: null,
+            seed: null,
+            startedAt: null
+        };
+    }
+
+    // Each connection, replays included, opens with its own start_game; nothing carries over
+    attach(client) {
+        this.client = client;
+        this.state = this.createEmptyState();
+
+        client.on('start_game', (packet) => this.handleStartGame(packet));
+        client.on('set_player_game_type', (packet) => this.handleGameType(packet));
+        client.on('set_difficulty', (packet) => this.handleDifficulty(packet));
+        client.on('change_dimension', (packet) => this.handleChangeDimension(packet));
+    }
+
+    handleStartGame(packet) {
+        const worldGameMode = this.normalizeGameMode(packet.world_gamemode);
+        const playerGameMode = this.normalizeGameMode(packet.player_gamemode);
+
+        this.state = {
+            ...this.state,
+            runtimeId: this.toNumber(packet.runtime_entity_id),
+            uniqueId: this.toNumber(packet.entity_id),
+            spawnPoint: packet.spawn_position ? { ...packet.spawn_position } : null,
+            position: packet.player_position ? { ...packet.player_position } : null,
+            dimension: this.normalizeDimension(packet.dimension),
+            worldGameMode,
+            // 'fallback' means the player follows the world default
+            gameMode: playerGameMode === 'fallback' ? worldGameMode : playerGameMode,
+            difficulty: this.normalizeDifficulty(packet.difficulty),
+            worldName: packet.world_name || null,
+            levelId: packet.level_id || null,
+            seed: packet.seed !== undefined ? packet.seed.toString() : null,
+            startedAt: Date.now()
+        };
+
+        this.bot.runtimeId = this.state.runtimeId;
+        if (this.state.position) {
+            this.bot.position = { ...this.state.position };
+        }
+
+        console.log(`🌍 Joined ${this.state.worldName || 'world'}: ${this.state.gameMode} (${this.state.difficulty}) in ${this.state.dimension}, runtime id ${this.state.runtimeId}`);
+        this.bot.emit('session_state', this.getState());
+    }
+
+    handleGameType(packet) {
+        const gameMode = this.normalizeGameMode(packet.gamemode);
+        const resolved = gameMode === 'fallback' ? this.state.worldGameMode : gameMode;
+        if (resolved === this.state.gameMode) return;
+
+        const previous = this.state.gameMode;
+        this.state.gameMode = resolved;
+
+        console.log(`🎮 Game mode changed: ${previous} → ${resolved}`);
+        this.bot.emit('game_mode_changed', { gameMode: resolved, previous });
+    }
+
+    handleDifficulty(packet) {
+        const difficulty = this.normalizeDifficulty(packet.difficulty);
+        if (difficulty === this.state.difficulty) return;
+
+        const previous = this.state.difficulty;
+        this.state.difficulty = difficulty;
+
+        console.log(`⚖️ Difficulty changed: ${previous} → ${difficulty}`);
+        this.bot.emit('difficulty_changed', { difficulty, previous });
+    }
+
+    handleChangeDimension(packet) {
+        const previous = this.state.dimension;
+        this.state.dimension = this.normalizeDimension(packet.dimension);
+
+        if (packet.position) {
+            this.state.position = { ...packet.position };
+            this.bot.position = { ...packet.position };
+        }
+
+        console.log(`🌀 Dimension changed: ${previous} → ${this.state.dimension}`);
+        this.bot.emit('dimension_changed', {
+            dimension: this.state.dimension,
+            previous,
+            position: this.state.position
+        });
+    }
+
+    normalizeGameMode(value) {
+        if (typeof value === 'number') return GAME_MODES[value] || 'unknown';
+        return value || 'unknown';
+    }
+
+    normalizeDifficulty(value) {
+        if (typeof value === 'number') return DIFFICULTIES[value] || 'normal';
+        return DIFFICULTIES.includes(value) ? value : 'normal';
+    }
+
+    normalizeDimension(value) {
+        return DIMENSIONS[value] || 'overworld';
+    }
+
+    toNumber(value) {
+        return value === undefined || value === null ? null : Number(value);
+    }
+
+    isSurvivalLike() {
+        return ['survival', 'adventure'].includes(this.state.gameMode);
+    }
+
+    getState() {
+        return { ...this.state };
+    }
+}
+
+module.exports = SessionStateManager;
@@ -0,0 +1,347 @@
+// modules/StrongholdLocator.js - Finds the stronghold by throwing eyes of ender and triangulating their flights
+const EYE_ENTITY = 'minecraft:eye_of_ender_signal';
+const PORTAL_EYES = 12; // frames in an end portal
+const MIN_THROWS = 2; // two crossing flights give a position
+const MAX_THROWS = 5;
+
+const EYE_SPAWN_TIMEOUT = 2000; // ms for the thrown eye to show up
+const FLIGHT_TIMEOUT = 6000; // ms; eyes fly for about four seconds
+const SAMPLE_INTERVAL = 50; // ms, one game tick
+const PICKUP_WAIT = 1000; // ms for a surviving eye to drop as an item
+const MIN_FLIGHT = 1.5; // blocks of horizontal travel needed for a direction
+
+const MIN_ANGLE_ERROR = 0.5 * Math.PI / 180; // eyes aim at the stronghold start, not the portal room
+const TARGET_ERROR = 32; // blocks; close enough to dig down and search
+const THROW_SPACING = 128; // blocks walked along the flight before the next throw
+const SIDE_STEP = 48; // blocks off the line, so flights cross at a useful angle
+
+class StrongholdLocator {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = null;
+        this.client = null;
+        this.busy = false;
+        this.rays = [];
+        this.estimate = null;
+        this.stats = { throws: 0, flights: 0, shattered: 0, recovered: 0 };
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    get inventory() {
+        return this.managers?.inventory || this.bot.inventoryManager;
+    }
+
+    get entities() {
+        return this.managers?.entities || this.bot.entityTracker;
+    }
+
+    attach(client) {
+        this.client = client;
+    }
+
+    // The portal needs twelve eyes. A throw only costs one when it shatters (one in five); the
+    // others drop where they hover and are picked up again, so the minimum two throws may dip
+    // into the portal set while anything beyond that comes out of spare eyes
+    getThrowBudget() {
+        const eyes = this.inventory.getItemCount('eyesOfEnder');
+        const spare = Math.max(0, eyes - PORTAL_EYES);
+        return Math.min(eyes, MAX_THROWS, spare + MIN_THROWS);
+    }
+
+    // Throws from several spots and stores the triangulated position as the stronghold waypoint
+    async locate() {
+        if (this.busy) return { status: 'busy' };
+        if (this.managers.session?.state.dimension !== 'overworld') {
+            return { status: 'wrong_dimension' };
+        }
+
+        const budget = this.getThrowBudget();
+        if (budget === 0) {
+            console.log('🔮 No eyes of ender to throw');
+            return { status: 'no_eyes' };
+        }
+
+        this.busy = true;
+        this.rays = [];
+        this.estimate = null;
+        let side = 1;
+
+        try {
+            console.log(`🔮 Locating stronghold with up to ${budget} eye throws`);
+            for (let attempt = 0; attempt < budget; attempt++) {
+                if (this.rays.length > 0) {
+                    await this.managers.navigation.navigateToTarget(this.nextThrowSpot(side), {
+                        precision: 6,
+                        timeout: 90000
+                    });
+                    side = -side;
+                }
+
+                const result = await this.throwEye();
+                if (result.reason === 'ender_eye_not_in_hotbar' || result.reason === 'not_connected') {
+                    return { status: 'failed', reason: result.reason };
+                }
+                if (!result.ray) continue;
+
+                this.rays.push(result.ray);
+                this.estimate = this.triangulate(this.rays);
+                if (this.estimate && this.estimate.error <= TARGET_ERROR) break;
+            }
+
+            if (!this.estimate) {
+                return {
+                    status: this.rays.length > 0 ? 'direction_only' : 'failed',
+                    rays: this.rays
+                };
+            }
+
+            // The stronghold is underground; the waypoint marks the surface above it
+            const feet = this.managers.pathfinder.toFeet(this.bot.position);
+            const waypoint = this.managers.navigation.updateStrongholdLocation({
+                x: this.estimate.x,
+                y: feet.y,
+                z: this.estimate.z
+            });
+            console.log(`🏰 Stronghold triangulated at ${Math.round(this.estimate.x)}, ${Math.round(this.estimate.z)} (±${Math.round(this.estimate.error)} blocks, ${this.rays.length} throws)`);
+            this.bot.emit('stronghold_estimated', { ...this.estimate, waypoint });
+            return { status: 'located', estimate: this.estimate, waypoint, rays: this.rays };
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    // One throw: resolves { ray } from the eye's flight, or { reason } when nothing usable came of it
+    async throwEye() {
+        if (!this.client || !this.bot.connected) return { reason: 'not_connected' };
+
+        const slot = this.inventory.findHotbarSlot('ender_eye');
+        if (slot === null) {
+            return { reason: 'ender_eye_not_in_hotbar' };
+        }
+
+        const spawned = this.waitForEye();
+        await this.inventory.selectHotbarSlot(slot);
+        this.inventory.useItem(slot);
+        this.stats.throws++;
+
+        const eye = await spawned;
+        if (!eye) {
+            console.log('🔮 Thrown eye never appeared');
+            return { reason: 'no_eye' };
+        }
+
+        const samples = await this.observeFlight(eye);
+        const last = samples[samples.length - 1];
+        await this.recoverEye(last);
+
+        const ray = this.fitRay(samples);
+        if (!ray) {
+            console.log('🔮 Eye flight too short to read a direction');
+            return { reason: 'no_flight' };
+        }
+
+        this.stats.flights++;
+        const heading = Math.round(Math.atan2(-ray.direction.x, ray.direction.z) * 180 / Math.PI);
+        console.log(`🔮 Eye flew toward yaw ${heading}° (±${(ray.angleError * 180 / Math.PI).toFixed(1)}°)`);
+        return { ray };
+    }
+
+    // The eye spawns at the thrower's head
+    waitForEye() {
+        return new Promise(resolve => {
+            const listener = (entity) => {
+                if (entity.type !== EYE_ENTITY || !this.bot.position) return;
+                if (this.horizontalDistance(entity.position, this.bot.position) > 4) return;
+                clearTimeout(timer);
+                this.bot.removeListener('entity_spawned', listener);
+                resolve(entity);
+            };
+            const timer = setTimeout(() => {
+                this.bot.removeListener('entity_spawned', listener);
+                resolve(null);
+            }, EYE_SPAWN_TIMEOUT);
+
+            this.bot.on('entity_spawned', listener);
+        });
+    }
+
+    // Samples the eye's position every tick until it shatters, drops or times out
+    observeFlight(eye) {
+        return new Promise(resolve => {
+            const samples = [{ ...eye.position }];
+            const started = Date.now();
+
+            const timer = setInterval(() => {
+                const current = this.entities.getEntity(eye.id);
+                if (current) {
+                    const previous = samples[samples.length - 1];
+                    const { x, y, z } = current.position;
+                    if (x !== previous.x || y !== previous.y || z !== previous.z) {
+                        samples.push({ x, y, z });
+                    }
+                }
+                if (!current || Date.now() - started > FLIGHT_TIMEOUT) {
+                    clearInterval(timer);
+                    resolve(samples);
+                }
+            }, SAMPLE_INTERVAL);
+        });
+    }
+
+    // Surviving eyes drop as items where they stopped; walk over to pick them up
+    async recoverEye(lastPosition) {
+        const isEye = entity => entity.kind === 'item' &&
+            this.bot.itemRegistry.getName(entity.item?.network_id) === 'minecraft:ender_eye';
+
+        await this.bot.delay(PICKUP_WAIT);
+        const dropped = this.entities.findNearest(lastPosition, isEye, 3);
+        if (!dropped) {
+            this.stats.shattered++;
+            console.log('💥 Eye of ender shattered');
+            return false;
+        }
+
+        this.stats.recovered++;
+        await this.managers.navigation.navigateToTarget(dropped.entity.position, { precision: 1.5, timeout: 15000 });
+        return true;
+    }
+
+    // Least-squares line through the horizontal samples, pointed the way the eye flew
+    fitRay(samples) {
+        if (samples.length < 2) return null;
+
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const span = this.horizontalDistance(first, last);
+        if (span < MIN_FLIGHT) return null;
+
+        const mean = { x: 0, z: 0 };
+        samples.forEach(sample => {
+            mean.x += sample.x / samples.length;
+            mean.z += sample.z / samples.length;
+        });
+
+        let sxx = 0;
+        let sxz = 0;
+        let szz = 0;
+        samples.forEach(sample => {
+            const dx = sample.x - mean.x;
+            const dz = sample.z - mean.z;
+            sxx += dx * dx;
+            sxz += dx * dz;
+            szz += dz * dz;
+        });
+
+        const angle = 0.5 * Math.atan2(2 * sxz, sxx - szz);
+        let direction = { x: Math.cos(angle), z: Math.sin(angle) };
+        if (direction.x * (last.x - first.x) + direction.z * (last.z - first.z) < 0) {
+            direction = { x: -direction.x, z: -direction.z };
+        }
+
+        // Scatter across the line, relative to how far the eye flew, is the aiming error
+        const residual = Math.sqrt(samples.reduce((sum, sample) => {
+            const offset = (sample.x - mean.x) * -direction.z + (sample.z - mean.z) * direction.x;
+            return sum + offset * offset;
+        }, 0) / samples.length);
+
+        return {
+            origin: { x: first.x, z: first.z },
+            point: mean,
+            direction,
+            angleError: Math.max(MIN_ANGLE_ERROR, Math.atan2(residual, span))
+        };
+    }
+
+    // Weighted least-squares crossing point of the rays. Each ray's weight is 1 / (sideways error)²,
+    // which grows with distance, so the solve is repeated once with distances from the first pass.
+    // error is a 2-sigma radius in blocks
+    triangulate(rays) {
+        if (rays.length < MIN_THROWS) return null;
+
+        let estimate = null;
+        for (let pass = 0; pass < 2; pass++) {
+            let a = 0;
+            let b = 0;
+            let c = 0;
+            let px = 0;
+            let pz = 0;
+
+            for (const ray of rays) {
+                const range = estimate ? Math.max(16, this.horizontalDistance(ray.origin, estimate)) : 1;
+                const sigma = ray.angleError * range;
+                const weight = 1 / (sigma * sigma);
+                const { x: dx, z: dz } = ray.direction;
+
+                // weight * (I - d dᵀ), the projection onto the ray's normal
+                const pxx = weight * (1 - dx * dx);
+                const pxz = weight * -dx * dz;
+                const pzz = weight * (1 - dz * dz);
+                a += pxx;
+                b += pxz;
+                c += pzz;
+                px += pxx * ray.point.x + pxz * ray.point.z;
+                pz += pxz * ray.point.x + pzz * ray.point.z;
+            }
+
+            const det = a * c - b * b;
+            if (det <= 1e-9 * (a + c) * (a + c)) return null; // parallel flights
+
+            estimate = {
+                x: (c * px - b * pz) / det,
+                z: (a * pz - b * px) / det
+            };
+
+            // Covariance is the inverse of the weighted normal matrix
+            const trace = (a + c) / det;
+            const spread = Math.sqrt(((c - a) / det / 2) ** 2 + (b / det) ** 2);
+            estimate.error = 2 * Math.sqrt(trace / 2 + spread);
+        }
+
+        // Every eye has to have flown toward the answer, not away from it
+        const ahead = rays.every(ray =>
+            (estimate.x - ray.origin.x) * ray.direction.x + (estimate.z - ray.origin.z) * ray.direction.z > 0);
+        if (!ahead) return null;
+
+        estimate.distance = this.bot.position ? this.horizontalDistance(this.bot.position, estimate) : null;
+        return estimate;
+    }
+
+    // Walk along the last flight (or toward the estimate) and off to one side
+    nextThrowSpot(side) {
+        const position = this.bot.position;
+        const last = this.rays[this.rays.length - 1];
+
+        let heading = last.direction;
+        let advance = THROW_SPACING;
+        if (this.estimate) {
+            const distance = this.horizontalDistance(position, this.estimate);
+            heading = { x: (this.estimate.x - position.x) / distance, z: (this.estimate.z - position.z) / distance };
+            advance = Math.min(THROW_SPACING, distance / 2);
+        }
+
+        return {
+            x: position.x + heading.x * advance - heading.z * SIDE_STEP * side,
+            y: position.y,
+            z: position.z + heading.z * advance + heading.x * SIDE_STEP * side
+        };
+    }
+
+    horizontalDistance(a, b) {
+        return Math.hypot(a.x - b.x, a.z - b.z);
+    }
+
+    getStatus() {
+        return {
+            busy: this.busy,
+            throwBudget: this.inventory ? this.getThrowBudget() : 0,
+            throws: this.rays.length,
+            estimate: this.estimate,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = StrongholdLocator;
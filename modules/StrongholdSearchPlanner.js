@@ -0,0 +1,313 @@
+// modules/StrongholdSearchPlanner.js - Where to look for a stronghold before any eye has been thrown
+// Bedrock places strongholds two ways. Three go under villages: they start 120 degrees apart from a
+// random angle, 40-72 chunks from 0,0, and each then moves to a village nearby. The rest are
+// scattered: the world is cut into 200-chunk cells and a cell may hold one stronghold somewhere in
+// its first 150 chunks along both axes.
+const VILLAGE_STRONGHOLDS = { count: 3, minDistance: 640, maxDistance: 1152 };
+const VILLAGE_DRIFT = 256; // blocks a village stronghold may end up from where it started
+const SCATTER_CELL = 3200; // blocks along each side of a scatter cell
+const SCATTER_AREA = 2400; // blocks from the cell's north-west corner a stronghold can start in
+const SCATTER_CHANCE = 0.25; // chance a cell holds a stronghold at all
+
+// Corridors, the portal room and silverfish blocks
+const STRONGHOLD_BLOCKS = ['stonebrick', 'monster_egg', 'stone_brick_stairs', 'mossy_stone_brick_stairs', 'end_portal_frame'];
+const MIN_BRICKS = 24; // stone bricks below MAX_STRONGHOLD_Y before we believe it is a stronghold
+const MAX_STRONGHOLD_Y = 56;
+
+const REGION_SIZE = 256; // blocks, roughly, across each candidate region
+const TRAVEL_BIAS = 256; // blocks; keeps a slightly likelier far region from beating a near one
+const EYE_TOLERANCE = 3; // eye-ray angle errors a region may sit off the ray
+
+class StrongholdSearchPlanner {
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.managers = null;
+        this.maxDistance = options.maxDistance || 6000; // blocks from 0,0; farther is too far to walk
+        this.regions = null;
+        this.found = [];
+        this.stats = { scans: 0, ruledOut: 0, eyeRays: 0 };
+
+        // Any stronghold learned elsewhere (eyes, players) tells us where its siblings are
+        this.bot.on('waypoint_added', (waypoint) => {
+            if (waypoint.kind === 'stronghold' && waypoint.dimension === 'overworld') {
+                this.recordFound(waypoint.position);
+            }
+        });
+        // Strongholds found in earlier runs are saved as waypoints
+        this.bot.waypointStore?.ready.then(() => this.restoreFound());
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    get world() {
+        return this.managers?.world || this.bot.worldModel;
+    }
+
+    get waypoints() {
+        return this.managers?.waypoints || this.bot.waypointStore;
+    }
+
+    restoreFound() {
+        for (const waypoint of this.waypoints?.list({ kind: 'stronghold', dimension: 'overworld' }) || []) {
+            this.recordFound(waypoint.position);
+        }
+    }
+
+    // Regions are built on first use; each belongs to a group with an expected stronghold count
+    getRegions() {
+        if (this.regions) return this.regions;
+
+        this.regions = [...this.buildVillageRegions(), ...this.buildScatterRegions()];
+        this.updateProbabilities();
+        return this.regions;
+    }
+
+    // Annular sectors over the village band, widened by how far a stronghold can drift
+    buildVillageRegions() {
+        const regions = [];
+        const minDistance = VILLAGE_STRONGHOLDS.minDistance - VILLAGE_DRIFT;
+        const maxDistance = Math.min(this.maxDistance, VILLAGE_STRONGHOLDS.maxDistance + VILLAGE_DRIFT);
+        const bands = Math.ceil((maxDistance - minDistance) / REGION_SIZE);
+        const bandWidth = (maxDistance - minDistance) / bands;
+
+        for (let band = 0; band < bands; band++) {
+            const inner = minDistance + band * bandWidth;
+            const outer = inner + bandWidth;
+            const radius = (inner + outer) / 2;
+            // More sectors on wider bands keeps every region about the same size
+            const sectors = Math.ceil(2 * Math.PI * radius / REGION_SIZE);
+
+            for (let sector = 0; sector < sectors; sector++) {
+                const angle = (sector + 0.5) * 2 * Math.PI / sectors;
+                regions.push(this.createRegion(`v-${band}-${sector}`, 'village', {
+                    x: Math.round(Math.cos(angle) * radius),
+                    z: Math.round(Math.sin(angle) * radius)
+                }, Math.PI / sectors * (outer * outer - inner * inner), { angle, angleWidth: 2 * Math.PI / sectors, radius }));
+            }
+        }
+        return regions;
+    }
+
+    // Square regions over the placement area of every scatter cell within reach
+    buildScatterRegions() {
+        const regions = [];
+        const lastCell = Math.floor(this.maxDistance / SCATTER_CELL);
+        const perSide = Math.ceil(SCATTER_AREA / REGION_SIZE);
+        const size = SCATTER_AREA / perSide;
+
+        for (let cellX = -lastCell - 1; cellX <= lastCell; cellX++) {
+            for (let cellZ = -lastCell - 1; cellZ <= lastCell; cellZ++) {
+                const group = `cell:${cellX},${cellZ}`;
+                for (let i = 0; i < perSide; i++) {
+                    for (let j = 0; j < perSide; j++) {
+                        const center = {
+                            x: Math.round(cellX * SCATTER_CELL + (i + 0.5) * size),
+                            z: Math.round(cellZ * SCATTER_CELL + (j + 0.5) * size)
+                        };
+                        if (Math.hypot(center.x, center.z) > this.maxDistance) continue;
+                        regions.push(this.createRegion(`s${cellX},${cellZ}-${i}-${j}`, group, center, size * size));
+                    }
+                }
+            }
+        }
+        return regions;
+    }
+
+    createRegion(id, group, center, area, extra = {}) {
+        return { id, group, center, area, ...extra, status: 'candidate', reason: null, probability: 0 };
+    }
+
+    // Village regions share whatever village strongholds are still unfound; a scatter cell may be
+    // empty, so exploring most of one makes it likelier empty rather than crowding its chance
+    // into what is left
+    updateProbabilities() {
+        const groups = new Map();
+        for (const region of this.regions) {
+            if (!groups.has(region.group)) groups.set(region.group, []);
+            groups.get(region.group).push(region);
+        }
+
+        const areaOf = regions => regions.reduce((total, region) => total + region.area, 0);
+        for (const [group, regions] of groups) {
+            const found = this.found.filter(stronghold => stronghold.group === group).length;
+            let share;
+            if (group === 'village') {
+                const candidateArea = areaOf(regions.filter(region => region.status === 'candidate'));
+                share = candidateArea > 0 ? Math.max(0, VILLAGE_STRONGHOLDS.count - found) / candidateArea : 0;
+            } else {
+                const ruledOutArea = areaOf(regions.filter(region => region.status !== 'candidate'));
+                share = found > 0 ? 0 : SCATTER_CHANCE / (SCATTER_AREA * SCATTER_AREA - SCATTER_CHANCE * ruledOutArea);
+            }
+
+            for (const region of regions) {
+                region.probability = region.status === 'candidate' ? share * region.area : 0;
+            }
+        }
+    }
+
+    // Which groups a stronghold at `position` could belong to, village first
+    groupsOf(position) {
+        const groups = [];
+        const distance = Math.hypot(position.x, position.z);
+        if (distance >= VILLAGE_STRONGHOLDS.minDistance - VILLAGE_DRIFT &&
+            distance <= VILLAGE_STRONGHOLDS.maxDistance + VILLAGE_DRIFT) {
+            groups.push('village');
+        }
+
+        const cellX = Math.floor(position.x / SCATTER_CELL);
+        const cellZ = Math.floor(position.z / SCATTER_CELL);
+        if (position.x - cellX * SCATTER_CELL < SCATTER_AREA && position.z - cellZ * SCATTER_CELL < SCATTER_AREA) {
+            groups.push(`cell:${cellX},${cellZ}`);
+        }
+        return groups;
+    }
+
+    ruleOut(region, reason) {
+        if (region.status !== 'candidate') return;
+        region.status = 'ruled_out';
+        region.reason = reason;
+        this.stats.ruledOut++;
+    }
+
+    // Candidates in order of visit: likeliest per block travelled, hopping from region to region
+    getRoute(from = this.bot.position, limit = 5) {
+        const candidates = this.getRegions().filter(region => region.status === 'candidate' && region.probability > 0);
+        const route = [];
+        let current = from || { x: 0, z: 0 };
+
+        while (route.length < limit && candidates.length > 0) {
+            let bestIndex = 0;
+            let bestScore = -Infinity;
+            candidates.forEach((region, index) => {
+                const distance = Math.hypot(region.center.x - current.x, region.center.z - current.z);
+                const score = region.probability / (distance + TRAVEL_BIAS);
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestIndex = index;
+                }
+            });
+
+            const [next] = candidates.splice(bestIndex, 1);
+            route.push(next);
+            current = next.center;
+        }
+        return route;
+    }
+
+    // Looks through the loaded world: returns the stronghold when one is in view, otherwise
+    // rules out every region that is fully loaded
+    scan(position = this.bot.position) {
+        this.stats.scans++;
+        const world = this.world;
+        const regions = this.getRegions();
+        if (!position || !world) return null;
+
+        const maxDistance = (this.bot.config.worldViewDistance || 12) * 16;
+        const frame = world.findNearestBlock('end_portal_frame', position, maxDistance);
+        const blocks = world.findBlocks(STRONGHOLD_BLOCKS, { position, maxDistance, count: MIN_BRICKS * 4 })
+            .filter(block => block.position.y <= MAX_STRONGHOLD_Y);
+
+        if (frame || blocks.length >= MIN_BRICKS) {
+            const anchor = frame || blocks[0];
+            console.log(`🏰 Stronghold ${frame ? 'portal room' : 'corridors'} found at ${anchor.position.x}, ${anchor.position.y}, ${anchor.position.z}`);
+            return { position: anchor.position, portalRoom: !!frame };
+        }
+
+        const half = REGION_SIZE / 2;
+        let ruledOut = 0;
+        for (const region of regions) {
+            if (region.status !== 'candidate') continue;
+            const { x, z } = region.center;
+            const covered = [[0, 0], [-half, -half], [-half, half], [half, -half], [half, half]]
+                .every(([dx, dz]) => world.isLoaded(x + dx, z + dz));
+            if (covered) {
+                this.ruleOut(region, 'explored');
+                ruledOut++;
+            }
+        }
+
+        if (ruledOut > 0) {
+            this.updateProbabilities();
+            console.log(`🗺️ Ruled out ${ruledOut} stronghold regions around ${Math.round(position.x)}, ${Math.round(position.z)}`);
+        }
+        return null;
+    }
+
+    // An eye flight that did not give a full fix still says which way the nearest stronghold is
+    applyEyeRay(ray) {
+        this.stats.eyeRays++;
+        const tolerance = EYE_TOLERANCE * ray.angleError;
+
+        for (const region of this.getRegions()) {
+            if (region.status !== 'candidate') continue;
+
+            const dx = region.center.x - ray.origin.x;
+            const dz = region.center.z - ray.origin.z;
+            const distance = Math.hypot(dx, dz);
+            const along = (dx * ray.direction.x + dz * ray.direction.z) / distance;
+            const offAngle = Math.acos(Math.max(-1, Math.min(1, along)));
+            const regionAngle = Math.atan2(REGION_SIZE / 2, distance);
+            if (offAngle > tolerance + regionAngle) {
+                this.ruleOut(region, 'eye');
+            }
+        }
+        this.updateProbabilities();
+    }
+
+    // A village stronghold leaves candidates only near its two siblings, 120 degrees on either way
+    // (allowing for drift to a village); a scattered one rules out the rest of its cell.
+    recordFound(position) {
+        if (this.found.some(found => Math.hypot(found.x - position.x, found.z - position.z) < REGION_SIZE)) return;
+
+        const regions = this.getRegions();
+        const group = this.groupsOf(position)[0] || null;
+        const angle = Math.atan2(position.z, position.x);
+        this.found.push({ x: position.x, z: position.z, group, angle });
+
+        const count = VILLAGE_STRONGHOLDS.count;
+        for (const region of regions) {
+            if (region.group !== group || region.status !== 'candidate') continue;
+
+            if (group !== 'village') {
+                this.ruleOut(region, 'cell_taken');
+                continue;
+            }
+            // Both strongholds may have drifted to their villages
+            const tolerance = Math.atan2(2 * VILLAGE_DRIFT, region.radius) + region.angleWidth / 2;
+            const near = Array.from({ length: count - 1 }, (_, k) => angle + (k + 1) * 2 * Math.PI / count)
+                .some(expected => this.angleBetween(region.angle, expected) <= tolerance);
+            if (!near) {
+                this.ruleOut(region, 'spacing');
+            }
+        }
+        this.updateProbabilities();
+    }
+
+    angleBetween(a, b) {
+        const difference = Math.abs(a - b) % (2 * Math.PI);
+        return difference > Math.PI ? 2 * Math.PI - difference : difference;
+    }
+
+    getStatus() {
+        const regions = this.regions || [];
+        const candidates = regions.filter(region => region.status === 'candidate');
+        return {
+            regions: regions.length,
+            candidates: candidates.length,
+            found: this.found.length,
+            next: this.regions ? this.getRoute(this.bot.position, 3).map(region => ({
+                id: region.id,
+                center: region.center,
+                probability: Math.round(region.probability * 1000) / 1000
+            })) : [],
+            ...this.stats
+        };
+    }
+}
+
+StrongholdSearchPlanner.VILLAGE_STRONGHOLDS = VILLAGE_STRONGHOLDS;
+StrongholdSearchPlanner.SCATTER_CELL = SCATTER_CELL;
+
+module.exports = StrongholdSearchPlanner;
@@ -0,0 +1,224 @@
+// modules/StructuredOutput.js - JSON schema prompts, validation and repair for AI decisions
+class StructuredOutputError extends Error {
+    constructor(label, errors, lastReply) {
+        super(`${label}: no valid JSON after retries (${errors.join('; ')})`);
+        this.name = 'StructuredOutputError';
+        this.errors = errors;
+        this.lastReply = lastReply;
+    }
+}
+
+class StructuredOutput {
+    constructor(bot) {
+        this.bot = bot;
+        this.stats = {
+            requests: 0,
+            validFirstTry: 0,
+            repaired: 0,
+            failed: 0
+        };
+    }
+
+    get maxRetries() {
+        return this.bot.config.aiStructuredRetries ?? 2;
+    }
+
+    // Ask the model for JSON matching schema; throws StructuredOutputError when every attempt fails
+    // options.label names the decision in logs, options.generate overrides how text is produced
+    async generate(prompt, schema, options = {}) {
+        const label = options.label || 'AI decision';
+        const generate = options.generate || (text => this.bot.llm.generateText(text, { json: true }));
+        this.stats.requests++;
+
+        let currentPrompt = this.buildPrompt(prompt, schema);
+        let errors = [];
+        let reply = '';
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            reply = await generate(currentPrompt);
+            const result = this.parse(reply, schema);
+
+            if (result.valid) {
+                if (attempt === 0) this.stats.validFirstTry++;
+                else this.stats.repaired++;
+                return result.value;
+            }
+
+            errors = result.errors;
+            if (this.bot.config.debugMode) {
+                console.log(`🧩 ${label} reply rejected (attempt ${attempt + 1}):`, errors);
+            }
+            currentPrompt = this.buildRepairPrompt(prompt, schema, reply, errors);
+        }
+
+        this.stats.failed++;
+        throw new StructuredOutputError(label, errors, reply);
+    }
+
+    buildPrompt(prompt, schema) {
+        return `${prompt.trim()}
+
+Respond with ONLY a JSON object that matches this JSON schema. No markdown, no code fences, no extra text.
+${JSON.stringify(schema, null, 2)}`;
+    }
+
+    buildRepairPrompt(prompt, schema, reply, errors) {
+        return `${this.buildPrompt(prompt, schema)}
+
+Your previous reply was rejected:
+${String(reply).substring(0, 1000)}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with corrected JSON only.`;
+    }
+
+    parse(reply, schema) {
+        const json = this.extractJson(reply);
+        if (json === null) {
+            return { valid: false, errors: ['reply did not contain a JSON object'] };
+        }
+
+        let value;
+        try {
+            value = JSON.parse(json);
+        } catch (error) {
+            return { valid: false, errors: [`invalid JSON: ${error.message}`] };
+        }
+
+        value = this.coerce(value, schema);
+        const errors = this.validate(value, schema);
+        return errors.length === 0 ? { valid: true, value } : { valid: false, errors };
+    }
+
+    // Strip code fences and surrounding chatter, keeping the outermost object or array
+    extractJson(reply) {
+        if (typeof reply !== 'string') return null;
+
+        let text = reply.trim();
+        const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+        if (fenced) text = fenced[1].trim();
+
+        const start = text.search(/[{[]/);
+        if (start === -1) return null;
+        const closing = text[start] === '{' ? '}' : ']';
+        const end = text.lastIndexOf(closing);
+        if (end <= start) return null;
+
+        return text.substring(start, end + 1);
+    }
+
+    // Cheap local repairs: enum casing and numeric strings
+    coerce(value, schema) {
+        if (!schema || value === null || value === undefined) return value;
+
+        if (schema.enum && typeof value === 'string') {
+            const match = schema.enum.find(option => String(option).toLowerCase() === value.trim().toLowerCase());
+            return match !== undefined ? match : value;
+        }
+
+        if ((schema.type === 'number' || schema.type === 'integer') && typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+            return Number(value);
+        }
+
+        if (schema.type === 'array' && Array.isArray(value)) {
+            return value.map(item => this.coerce(item, schema.items));
+        }
+
+        if (schema.type === 'array' && typeof value === 'string' && schema.items?.type === 'string') {
+            return value.split(',').map(item => item.trim()).filter(Boolean);
+        }
+
+        if (schema.type === 'object' && typeof value === 'object' && !Array.isArray(value)) {
+            const result = { ...value };
+            for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+                if (key in result) {
+                    result[key] = this.coerce(result[key], propertySchema);
+                }
+            }
+            return result;
+        }
+
+        return value;
+    }
+
+    // Supports the subset of JSON schema the decision prompts use
+    validate(value, schema, path = '$') {
+        const errors = [];
+        if (!schema) return errors;
+
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            errors.push(`${path} should be ${schema.type}`);
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${path} should have at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path} should have at most ${schema.maxLength} characters`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${path} should be >= ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${path} should be <= ${schema.maximum}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path} should have at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path} should have at most ${schema.maxItems} items`);
+            }
+            value.forEach((item, index) => {
+                errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+            });
+        }
+
+        if (schema.type === 'object') {
+            for (const key of schema.required || []) {
+                if (value[key] === undefined || value[key] === null) {
+                    errors.push(`${path}.${key} is required`);
+                }
+            }
+            for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+                if (value[key] !== undefined && value[key] !== null) {
+                    errors.push(...this.validate(value[key], propertySchema, `${path}.${key}`));
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    matchesType(value, type) {
+        switch (type) {
+            case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            default: return true;
+        }
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+module.exports = StructuredOutput;
+module.exports.StructuredOutputError = StructuredOutputError;
@@ -0,0 +1,340 @@
+// modules/SurvivalManager.js - Hunger, saturation and active effects, and eating or drinking to keep them up
+const EAT_TICKS = 32; // food and drinkable potions alike take 1.6 s
+const TICK = 50; // ms
+const CONFIRM_TIMEOUT = 1000; // ms after the last packet for the server to take the item
+const RETRY_DELAY = 5000; // ms before trying again after the server ignored an attempt
+const MAX_HUNGER = 20;
+const REGEN_HUNGER = 18; // natural regeneration needs at least this much
+const SPRINT_HUNGER = 6; // at or below this sprinting stops; eat anything there is
+const NETHER_FOOD_RESERVE = 8; // food items wanted on hand before a Nether run
+const WARN_INTERVAL = 60000; // ms between repeated "no food" warnings
+
+// Golden apples are worth more as healing than as a meal; rotten flesh poisons with hunger
+const HEALING_FOODS = ['golden_apple', 'enchanted_golden_apple'];
+const STARVATION_FOODS = ['rotten_flesh'];
+
+// mob_effect event_id values; one that is not listed is taken to be the event's name already
+const EFFECT_EVENTS = { 1: 'add', 2: 'update', 3: 'remove' };
+
+class SurvivalManager {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = null;
+        this.client = null;
+        this.hunger = MAX_HUNGER;
+        this.saturation = 5;
+        this.exhaustion = 0;
+        this.effects = new Map(); // effect name -> { amplifier, expires }
+        this.busy = false;
+        this.retryAt = 0;
+        this.lastMeal = null;
+        this.lastWarning = 0;
+        this.stats = { meals: 0, potions: 0, failed: 0, warnings: 0 };
+
+        // Health arrives through the bot's own stats handler, after ours has read hunger
+        this.bot.on('stats_update', () => this.checkNeeds());
+        this.bot.on('inventory_updated', () => this.checkNeeds());
+        this.bot.on('dimension_changed', ({ dimension }) => {
+            if (dimension === 'nether') this.checkNetherReserve();
+        });
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    get inventory() {
+        return this.managers?.inventory || this.bot.inventoryManager;
+    }
+
+    get registry() {
+        return this.bot.itemRegistry;
+    }
+
+    attach(client) {
+        this.client = client;
+        this.busy = false;
+        this.retryAt = 0;
+        this.effects.clear();
+
+        client.on('update_attributes', (packet) => this.handleAttributes(packet));
+        client.on('mob_effect', (packet) => this.handleEffect(packet));
+    }
+
+    handleAttributes(packet) {
+        if (Number(packet.runtime_entity_id) !== this.bot.runtimeId) return;
+
+        for (const attribute of packet.attributes || []) {
+            switch (attribute.name) {
+                case 'minecraft:player.hunger':
+                    this.hunger = attribute.current;
+                    break;
+                case 'minecraft:player.saturation':
+                    this.saturation = attribute.current;
+                    break;
+                case 'minecraft:player.exhaustion':
+                    this.exhaustion = attribute.current;
+                    break;
+            }
+        }
+    }
+
+    handleEffect(packet) {
+        if (Number(packet.runtime_entity_id) !== this.bot.runtimeId) return;
+
+        const name = this.registry.getEffectName(packet.effect_id);
+        const event = EFFECT_EVENTS[packet.event_id] || packet.event_id;
+        if (event === 'remove') {
+            this.effects.delete(name);
+            return;
+        }
+        this.effects.set(name, { amplifier: packet.amplifier, expires: Date.now() + packet.duration * TICK });
+    }
+
+    hasEffect(name) {
+        const effect = this.effects.get(name);
+        return !!effect && effect.expires > Date.now();
+    }
+
+    // Main inventory only: offhand items cannot be swapped into the hotbar this way
+    getHeldFood() {
+        return this.inventory.containers.inventory.filter(slotItem => slotItem && this.registry.isFood(slotItem.name));
+    }
+
+    getPotions(effect) {
+        return this.inventory.containers.inventory.filter(slotItem => {
+            if (!slotItem) return false;
+            const name = this.registry.shortName(slotItem.name);
+            return (name === 'potion' || name === 'splash_potion') && this.registry.getPotion(slotItem.metadata)?.effect === effect;
+        });
+    }
+
+    // Least hunger wasted on a full bar, then most saturation, then whatever is already in the hotbar;
+    // golden apples and rotten flesh only once the bar is low enough that sprinting has stopped
+    chooseFood() {
+        const missing = MAX_HUNGER - this.hunger;
+        const shortName = slotItem => this.registry.shortName(slotItem.name);
+        const score = slotItem => {
+            const food = this.registry.getFood(slotItem.name);
+            return { waste: Math.max(0, food.hunger - missing), saturation: food.saturation, hotbar: slotItem.slot < 9 ? 0 : 1 };
+        };
+        const best = candidates => candidates
+            .map(slotItem => ({ slotItem, ...score(slotItem) }))
+            .sort((a, b) => a.waste - b.waste || b.saturation - a.saturation || a.hotbar - b.hotbar)[0]?.slotItem || null;
+
+        const held = this.getHeldFood();
+        const everyday = held.filter(slotItem => !HEALING_FOODS.includes(shortName(slotItem)) && !STARVATION_FOODS.includes(shortName(slotItem)));
+        if (everyday.length > 0 || this.hunger > SPRINT_HUNGER) return best(everyday);
+
+        return best(held.filter(slotItem => STARVATION_FOODS.includes(shortName(slotItem)))) ||
+            best(held.filter(slotItem => HEALING_FOODS.includes(shortName(slotItem))));
+    }
+
+    // Eat once a whole item fits, or sooner when hurt (regeneration needs 18) or nearly starving
+    shouldEat(slotItem) {
+        const food = this.registry.getFood(slotItem.name);
+        const missing = MAX_HUNGER - this.hunger;
+        if (missing <= 0) return false;
+        if (this.hunger <= SPRINT_HUNGER || missing >= food.hunger) return true;
+        return this.hunger < REGEN_HUNGER && this.bot.health < this.bot.maxHealth;
+    }
+
+    canConsume() {
+        return !this.busy && !!this.client && this.bot.connected && Date.now() >= this.retryAt &&
+            !this.managers?.ranged?.busy;
+    }
+
+    // Runs on every hunger, health or inventory change; a fight only pauses eating until it gets urgent
+    async checkNeeds() {
+        if (!this.canConsume()) return;
+        if (this.managers?.combat?.inCombat && this.hunger > SPRINT_HUNGER) return;
+
+        try {
+            const food = this.chooseFood();
+            if (!food) {
+                if (this.hunger < REGEN_HUNGER) this.warnNoFood('hungry');
+                return;
+            }
+            if (this.shouldEat(food)) await this.consume(food);
+        } catch (error) {
+            console.error('❌ Survival check failed:', error.message);
+        }
+    }
+
+    // Hunger drains fastest while fighting and sprinting through the Nether; better to know before going in
+    checkNetherReserve() {
+        const food = this.inventory.getItemCount('food');
+        if (food < NETHER_FOOD_RESERVE) this.warnNoFood('nether_reserve', food);
+    }
+
+    warnNoFood(reason, have = this.inventory.getItemCount('food')) {
+        const now = Date.now();
+        if (now - this.lastWarning < WARN_INTERVAL) return;
+        this.lastWarning = now;
+        this.stats.warnings++;
+
+        console.log(`🍖 Low on food (${reason}): ${have} food items, hunger ${this.hunger}/${MAX_HUNGER}`);
+        this.bot.emit('food_needed', { reason, have, want: NETHER_FOOD_RESERVE, hunger: this.hunger });
+    }
+
+    // Healing potion, then regeneration (potion, then golden apple) unless already regenerating,
+    // then an ordinary meal so natural regeneration can start
+    async heal() {
+        if (!this.canConsume()) return { success: false, reason: 'busy' };
+        const missingHealth = this.bot.maxHealth - this.bot.health;
+        if (missingHealth <= 0) return { success: false, reason: 'full_health' };
+
+        const healing = this.choosePotion('instant_health', missingHealth);
+        if (healing) return this.consume(healing);
+
+        if (!this.hasEffect('regeneration')) {
+            const regeneration = this.choosePotion('regeneration', missingHealth);
+            if (regeneration) return this.consume(regeneration);
+
+            const apple = this.inventory.findItemByName('golden_apple') ||
+                (this.bot.health <= 6 ? this.inventory.findItemByName('enchanted_golden_apple') : null);
+            if (apple) return this.consume(apple);
+        }
+
+        const food = this.hunger < REGEN_HUNGER ? this.chooseFood() : null;
+        if (food) return this.consume(food);
+        return { success: false, reason: 'no_healing_items' };
+    }
+
+    // Instant health heals 4 << amplifier; the weakest potion that covers the loss, else the strongest
+    choosePotion(effect, missingHealth) {
+        const potions = this.getPotions(effect)
+            .map(slotItem => ({ slotItem, amplifier: this.registry.getPotion(slotItem.metadata).amplifier }))
+            .sort((a, b) => a.amplifier - b.amplifier);
+        if (potions.length === 0) return null;
+
+        const covering = potions.find(potion => (4 << potion.amplifier) >= missingHealth);
+        return (covering || potions[potions.length - 1]).slotItem;
+    }
+
+    // Strength for any fight; fire resistance for fights in the Nether, where blazes and ghasts throw fire
+    async useBuffs() {
+        if (!this.canConsume()) return { success: false, reason: 'busy' };
+
+        const wanted = ['strength'];
+        if (this.managers?.navigation?.currentDimension === 'nether') wanted.push('fire_resistance');
+
+        for (const effect of wanted) {
+            if (this.hasEffect(effect)) continue;
+            const potion = this.getPotions(effect)[0];
+            if (potion) return this.consume(potion);
+        }
+        return { success: false, reason: 'no_buffs_needed' };
+    }
+
+    // Equip, use, hold for the eating time, release; splash potions break on the first use at our feet
+    async consume(slotItem) {
+        if (!this.canConsume()) return { success: false, reason: 'busy' };
+
+        this.busy = true;
+        const previous = this.inventory.selectedSlot;
+        const name = this.registry.shortName(slotItem.name);
+        let slot = null;
+        try {
+            slot = await this.bringToHotbar(slotItem);
+            if (slot === null) return this.fail(name, 'no_hotbar_slot');
+
+            const before = this.inventory.containers.inventory[slot];
+            const hungerBefore = this.hunger;
+            await this.inventory.selectHotbarSlot(slot);
+
+            if (name === 'splash_potion') {
+                // Thrown at the bot's own feet; the server takes the direction from the last look it was sent
+                const eye = this.bot.position;
+                this.managers?.movement?.lookAt({ x: eye.x, y: eye.y - 3, z: eye.z + 0.001 });
+                await this.bot.delay(TICK);
+                this.inventory.useItem(slot);
+            } else {
+                this.inventory.useItem(slot);
+                await this.bot.delay((EAT_TICKS + 1) * TICK);
+                this.inventory.releaseItem(slot, 'consume');
+            }
+
+            if (!await this.waitForConsumed(slot, before)) return this.fail(name, 'not_consumed');
+
+            const isFood = this.registry.isFood(name);
+            this.stats[isFood ? 'meals' : 'potions']++;
+            if (isFood) this.lastMeal = { item: name, hunger: hungerBefore, time: Date.now() };
+
+            console.log(isFood ? `🍖 Ate ${this.registry.displayName(name)} (hunger ${hungerBefore}/${MAX_HUNGER})` :
+                `🧪 Used ${this.describePotion(before)} (health ${this.bot.health}/${this.bot.maxHealth})`);
+            this.bot.emit('item_consumed', { item: name, metadata: before.metadata, hunger: hungerBefore, health: this.bot.health });
+            return { success: true, item: name };
+        } finally {
+            if (slot !== null && previous !== slot) await this.inventory.selectHotbarSlot(previous);
+            this.busy = false;
+        }
+    }
+
+    fail(item, reason) {
+        this.stats.failed++;
+        this.retryAt = Date.now() + RETRY_DELAY;
+        console.log(`⚠️ Could not use ${this.registry.displayName(item)}: ${reason}`);
+        return { success: false, item, reason };
+    }
+
+    describePotion(slotItem) {
+        const potion = this.registry.getPotion(slotItem.metadata);
+        const kind = potion ? `${this.registry.displayName(potion.effect)}${potion.amplifier ? ' II' : ''}` : 'Unknown';
+        return `${this.registry.displayName(slotItem.name)} of ${kind}`;
+    }
+
+    // The server answers a use by shrinking the stack or swapping it for a bowl or bottle
+    async waitForConsumed(slot, before) {
+        const deadline = Date.now() + CONFIRM_TIMEOUT;
+        while (Date.now() < deadline) {
+            const now = this.inventory.containers.inventory[slot];
+            if (!now || now.name !== before.name || now.count < before.count) return true;
+            await this.bot.delay(TICK);
+        }
+        return false;
+    }
+
+    // Items can only be used from the hotbar; anything further in is swapped into an empty or
+    // unimportant hotbar slot first
+    async bringToHotbar(slotItem) {
+        if (slotItem.slot < 9) return slotItem.slot;
+
+        const crafting = this.managers?.crafting;
+        if (!crafting) return null;
+
+        const hotbar = this.inventory.containers.inventory.slice(0, 9);
+        const weapons = new Set(this.inventory.getWeapons().map(weapon => weapon.slot));
+        let target = hotbar.findIndex(item => !item);
+        if (target < 0) {
+            target = [...hotbar.keys()].reverse().find(index => !weapons.has(index) && index !== this.inventory.selectedSlot) ?? -1;
+        }
+        if (target < 0) return null;
+
+        return await crafting.swapSlots(slotItem, target) ? target : null;
+    }
+
+    getStatus() {
+        const now = Date.now();
+        const effects = {};
+        for (const [name, effect] of this.effects) {
+            if (effect.expires > now) effects[name] = { amplifier: effect.amplifier, seconds: Math.round((effect.expires - now) / 1000) };
+        }
+
+        return {
+            hunger: this.hunger,
+            saturation: Math.round(this.saturation * 10) / 10,
+            exhaustion: Math.round(this.exhaustion * 10) / 10,
+            effects,
+            food: this.inventory.getItemCount('food'),
+            healingItems: this.inventory.hasHealingItems(),
+            busy: this.busy,
+            lastMeal: this.lastMeal,
+            ...this.stats
+        };
+    }
+}
+
+SurvivalManager.NETHER_FOOD_RESERVE = NETHER_FOOD_RESERVE;
+
+module.exports = SurvivalManager;
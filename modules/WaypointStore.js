@@ -0,0 +1,208 @@
+// modules/WaypointStore.js - Named locations per dimension, saved across restarts
+const fs = require('fs').promises;
+const path = require('path');
+
+const KINDS = ['base', 'portal', 'fortress', 'stronghold', 'end_portal', 'end_crystal', 'death', 'player'];
+
+const DIMENSIONS = {
+    overworld: 'overworld',
+    nether: 'nether',
+    end: 'the_end',
+    the_end: 'the_end'
+};
+
+const NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+class WaypointStore {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = null;
+        this.filePath = path.resolve(process.cwd(), bot.config.waypointFile || './data/waypoints.json');
+        this.waypoints = new Map(); // 'dimension/name' -> waypoint
+        this.pendingSave = Promise.resolve();
+        this.lastHealth = bot.health;
+
+        this.ready = this.load();
+        this.setupListeners();
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    get currentDimension() {
+        return this.managers?.session?.state.dimension || 'overworld';
+    }
+
+    setupListeners() {
+        // Remember where we died so the gear can be picked up again
+        this.bot.on('stats_update', ({ health }) => {
+            if (health <= 0 && this.lastHealth > 0 && this.bot.position) {
+                this.recordDeath(this.bot.position);
+            }
+            this.lastHealth = health;
+        });
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            for (const waypoint of data.waypoints || []) {
+                this.waypoints.set(this.key(waypoint.dimension, waypoint.name), waypoint);
+            }
+            console.log(`📍 Loaded ${this.waypoints.size} waypoints`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading waypoints:', error.message);
+            }
+        }
+    }
+
+    // Writes are chained so two quick changes never interleave on disk
+    save() {
+        this.pendingSave = this.pendingSave.then(async () => {
+            try {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                const data = { version: 1, waypoints: Array.from(this.waypoints.values()) };
+                await fs.writeFile(this.filePath, JSON.stringify(data, null, 2));
+            } catch (error) {
+                console.error('Error saving waypoints:', error.message);
+            }
+        });
+        return this.pendingSave;
+    }
+
+    flush() {
+        return this.pendingSave;
+    }
+
+    key(dimension, name) {
+        return `${dimension}/${name}`;
+    }
+
+    normalizeName(name) {
+        const normalized = String(name || '').trim().toLowerCase();
+        if (!NAME_PATTERN.test(normalized)) {
+            throw new Error(`Invalid waypoint name "${name}" (letters, digits, - and _, up to 32)`);
+        }
+        return normalized;
+    }
+
+    normalizeDimension(dimension) {
+        if (dimension === undefined || dimension === null || dimension === '') return this.currentDimension;
+        const normalized = DIMENSIONS[String(dimension).toLowerCase()];
+        if (!normalized) {
+            throw new Error(`Unknown dimension "${dimension}"`);
+        }
+        return normalized;
+    }
+
+    // Positions are block coordinates of the feet, the same numbers players read off their screen
+    add(name, position, options = {}) {
+        const kind = options.kind || 'player';
+        if (!KINDS.includes(kind)) {
+            throw new Error(`Unknown waypoint kind "${kind}" (${KINDS.join(', ')})`);
+        }
+        if (!position || ![position.x, position.y, position.z].every(Number.isFinite)) {
+            throw new Error('Waypoint position needs numeric x, y and z');
+        }
+
+        const waypoint = {
+            name: this.normalizeName(name),
+            dimension: this.normalizeDimension(options.dimension),
+            kind,
+            position: { x: Math.floor(position.x), y: Math.floor(position.y), z: Math.floor(position.z) },
+            owner: options.owner || null,
+            link: options.link || null, // { dimension, name } of the portal on the other side
+            createdAt: Date.now()
+        };
+
+        const key = this.key(waypoint.dimension, waypoint.name);
+        const replaced = this.waypoints.has(key);
+        this.waypoints.set(key, waypoint);
+        this.save();
+
+        console.log(`📍 Waypoint ${replaced ? 'updated' : 'added'}: ${waypoint.name} (${waypoint.kind}) at ${this.format(waypoint)}`);
+        this.bot.emit('waypoint_added', { ...waypoint, replaced });
+        return waypoint;
+    }
+
+    remove(name, dimension) {
+        const key = this.key(this.normalizeDimension(dimension), this.normalizeName(name));
+        const waypoint = this.waypoints.get(key);
+        if (!waypoint) return null;
+
+        this.waypoints.delete(key);
+        this.save();
+        console.log(`📍 Waypoint removed: ${waypoint.name} (${waypoint.dimension})`);
+        this.bot.emit('waypoint_removed', waypoint);
+        return waypoint;
+    }
+
+    get(name, dimension) {
+        return this.waypoints.get(this.key(this.normalizeDimension(dimension), this.normalizeName(name))) || null;
+    }
+
+    // Name lookup for commands: the current dimension wins, otherwise any dimension
+    resolve(name) {
+        const normalized = this.normalizeName(name);
+        const here = this.waypoints.get(this.key(this.currentDimension, normalized));
+        if (here) return here;
+        return this.list().find(waypoint => waypoint.name === normalized) || null;
+    }
+
+    list(filter = {}) {
+        const dimension = filter.dimension ? this.normalizeDimension(filter.dimension) : null;
+        return Array.from(this.waypoints.values())
+            .filter(waypoint => !dimension || waypoint.dimension === dimension)
+            .filter(waypoint => !filter.kind || waypoint.kind === filter.kind)
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    }
+
+    findNearest(kind, position = this.bot.position, dimension) {
+        const candidates = this.list({ kind, dimension: dimension || this.currentDimension });
+        if (!position) return candidates[0] || null;
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const waypoint of candidates) {
+            const distance = Math.hypot(waypoint.position.x - position.x, waypoint.position.z - position.z);
+            if (distance < nearestDistance) {
+                nearest = waypoint;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    // Player positions are at eye height; the waypoint keeps the block the feet are in
+    toBlockPosition(position) {
+        const pathfinder = this.managers?.pathfinder;
+        return pathfinder ? pathfinder.toFeet(position) : position;
+    }
+
+    recordDeath(position) {
+        try {
+            this.add('death', this.toBlockPosition(position), { kind: 'death' });
+        } catch (error) {
+            console.error('Error recording death point:', error.message);
+        }
+    }
+
+    format(waypoint) {
+        const { x, y, z } = waypoint.position;
+        return `${x} ${y} ${z} (${waypoint.dimension})`;
+    }
+
+    getStats() {
+        const byKind = {};
+        for (const waypoint of this.waypoints.values()) {
+            byKind[waypoint.kind] = (byKind[waypoint.kind] || 0) + 1;
+        }
+        return { total: this.waypoints.size, byKind, file: this.filePath };
+    }
+}
+
+WaypointStore.KINDS = KINDS;
+
+module.exports = WaypointStore;
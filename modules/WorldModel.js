@@ -0,0 +1,597 @@
+// modules/WorldModel.js - Block store decoded from chunk packets, with block queries and far-chunk unloading
+const minecraftData = require('minecraft-data');
+
+// Block data ships per protocol version; runtime ids only match the version the server speaks
+const FALLBACK_VERSION = '1.20.0';
+
+const EYE_HEIGHT = 1.62;
+
+// Sub-chunk index range (16 blocks each) per dimension
+const SECTION_RANGES = {
+    overworld: { min: -4, max: 19 },
+    nether: { min: 0, max: 7 },
+    the_end: { min: 0, max: 15 }
+};
+
+const DIMENSION_IDS = { overworld: 0, nether: 1, the_end: 2 };
+
+// level_chunk sub_chunk_count values that mean "ask for the sub-chunks with subchunk_request"
+const REQUEST_ALL = -1;
+const REQUEST_LIMITED = -2;
+
+const SIGHT_STEP = 0.25; // blocks between samples along a sight line
+
+const LIQUIDS = ['water', 'flowing_water', 'lava', 'flowing_lava'];
+const HAZARDS = ['lava', 'flowing_lava', 'fire', 'soul_fire', 'magma', 'cactus', 'sweet_berry_bush',
+    'powder_snow', 'wither_rose', 'campfire', 'soul_campfire'];
+
+// Sequential reader for the network sub-chunk format
+class ByteReader {
+    constructor(buffer, offset = 0) {
+        this.buffer = buffer;
+        this.offset = offset;
+    }
+
+    readByte() {
+        return this.buffer.readUInt8(this.offset++);
+    }
+
+    readSignedByte() {
+        return this.buffer.readInt8(this.offset++);
+    }
+
+    readWord() {
+        const value = this.buffer.readUInt32LE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    readVarInt() {
+        let value = 0;
+        for (let shift = 0; shift < 35; shift += 7) {
+            const byte = this.readByte();
+            value |= (byte & 0x7f) << shift;
+            if ((byte & 0x80) === 0) break;
+        }
+        return value >>> 0;
+    }
+
+    readZigZag() {
+        const value = this.readVarInt();
+        return (value >>> 1) ^ -(value & 1);
+    }
+}
+
+class WorldModel {
+    constructor(bot) {
+        this.bot = bot;
+        this.managers = null;
+        this.client = null;
+        this.data = this.loadBlockData(bot.config.version);
+
+        this.columns = new Map(); // 'cx,cz' -> { x, z, sections: Map(sectionY -> section), top, lastUsed }
+        this.stateInfo = new Map(); // runtime id -> { name, solid, liquid, hazard }
+        this.dimension = 'overworld';
+        this.hashedIds = false;
+        this.stats = { chunksLoaded: 0, chunksUnloaded: 0, blockUpdates: 0, decodeErrors: 0 };
+
+        this.airId = this.data.blocksByName.air.defaultState;
+    }
+
+    setManagers(managers) {
+        this.managers = managers;
+    }
+
+    loadBlockData(version) {
+        const data = minecraftData(`bedrock_${version}`);
+        if (data?.blocksByStateId) return data;
+
+        console.warn(`⚠️ No block data for Bedrock ${version}, using ${FALLBACK_VERSION} block states`);
+        return minecraftData(`bedrock_${FALLBACK_VERSION}`);
+    }
+
+    get maxChunks() {
+        return this.bot.config.worldMaxChunks || 625;
+    }
+
+    get viewDistance() {
+        return this.bot.config.worldViewDistance || 12;
+    }
+
+    // Chunks are only valid for one session
+    attach(client) {
+        this.client = client;
+        this.clear();
+
+        client.on('start_game', (packet) => this.handleStartGame(packet));
+        client.on('change_dimension', () => this.handleChangeDimension());
+        client.on('level_chunk', (packet) => this.handleLevelChunk(packet));
+        client.on('subchunk', (packet) => this.handleSubChunk(packet));
+        client.on('update_block', (packet) => this.handleUpdateBlock(packet));
+        client.on('update_subchunk_blocks', (packet) => this.handleUpdateSubChunkBlocks(packet));
+    }
+
+    clear() {
+        this.columns.clear();
+    }
+
+    currentDimension() {
+        return this.managers?.session?.getState().dimension || this.bot.sessionState?.getState().dimension || 'overworld';
+    }
+
+    handleStartGame(packet) {
+        this.dimension = this.currentDimension();
+        this.hashedIds = !!packet.block_network_ids_are_hashes;
+        if (this.hashedIds) {
+            console.warn('⚠️ Server uses hashed block ids; the world model cannot name blocks on this server');
+        }
+    }
+
+    // The old dimension's chunks are never needed again once we have left it
+    handleChangeDimension() {
+        this.clear();
+        this.dimension = this.currentDimension();
+    }
+
+    handleLevelChunk(packet) {
+        const range = this.sectionRange();
+        const column = this.getOrCreateColumn(packet.x, packet.z);
+        this.enforceLimits();
+        if (!this.columns.has(this.columnKey(packet.x, packet.z))) return; // already too far away
+
+        if (packet.sub_chunk_count === REQUEST_ALL || packet.sub_chunk_count === REQUEST_LIMITED) {
+            const count = packet.sub_chunk_count === REQUEST_LIMITED
+                ? Math.min(packet.highest_subchunk_count, range.max - range.min + 1)
+                : range.max - range.min + 1;
+            column.top = range.min + count - 1;
+            this.requestSubChunks(packet.x, packet.z, range.min, count);
+            return;
+        }
+
+        // Cached chunks arrive as blobs we never asked for; there is nothing to decode here
+        if (packet.cache_enabled || !packet.payload) return;
+
+        column.top = range.min + packet.sub_chunk_count - 1;
+        try {
+            const reader = new ByteReader(Buffer.from(packet.payload));
+            for (let i = 0; i < packet.sub_chunk_count; i++) {
+                const section = this.decodeSection(reader);
+                if (!section) break;
+                column.sections.set(section.y ?? range.min + i, section);
+            }
+        } catch (error) {
+            this.stats.decodeErrors++;
+            if (this.bot.config.debugMode) {
+                console.warn(`⚠️ Failed to decode chunk ${packet.x},${packet.z}: ${error.message}`);
+            }
+        }
+    }
+
+    requestSubChunks(cx, cz, fromY, count) {
+        if (!this.client) return;
+
+        const requests = [];
+        for (let dy = fromY; dy < fromY + count; dy++) {
+            requests.push({ dx: 0, dy, dz: 0 });
+        }
+
+        this.client.write('subchunk_request', {
+            dimension: DIMENSION_IDS[this.dimension] ?? 0,
+            origin: { x: cx, y: 0, z: cz },
+            requests
+        });
+    }
+
+    handleSubChunk(packet) {
+        const origin = packet.origin || { x: 0, y: 0, z: 0 };
+
+        for (const entry of packet.entries || []) {
+            const cx = origin.x + entry.dx;
+            const cz = origin.z + entry.dz;
+            const sectionY = origin.y + entry.dy;
+            const column = this.columns.get(this.columnKey(cx, cz));
+            if (!column) continue; // unloaded while the request was in flight
+
+            if (entry.result === 'success_all_air') {
+                column.sections.set(sectionY, this.createUniformSection(sectionY, this.airId));
+                continue;
+            }
+            if (entry.result !== 'success' || !entry.payload) continue;
+
+            try {
+                const section = this.decodeSection(new ByteReader(Buffer.from(entry.payload)));
+                if (section) column.sections.set(sectionY, { ...section, y: sectionY });
+            } catch (error) {
+                this.stats.decodeErrors++;
+                if (this.bot.config.debugMode) {
+                    console.warn(`⚠️ Failed to decode sub-chunk ${cx},${sectionY},${cz}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    handleUpdateBlock(packet) {
+        if (packet.layer && packet.layer !== 0) return; // layer 1 only holds waterlogging
+        const { x, y, z } = packet.position;
+        this.setBlockState(x, y, z, packet.block_runtime_id);
+    }
+
+    handleUpdateSubChunkBlocks(packet) {
+        for (const update of packet.blocks || []) {
+            const { x, y, z } = update.position;
+            this.setBlockState(x, y, z, update.runtime_id);
+        }
+    }
+
+    // Versions 8 and 9 only; older formats never reach a 1.18+ client
+    decodeSection(reader) {
+        const version = reader.readByte();
+        if (version !== 8 && version !== 9) {
+            throw new Error(`unsupported sub-chunk version ${version}`);
+        }
+
+        const storageCount = reader.readByte();
+        const y = version === 9 ? reader.readSignedByte() : undefined;
+
+        // Only the first storage holds blocks; the second is the liquid layer
+        const storage = storageCount > 0 ? this.decodeStorage(reader) : null;
+        if (!storage) return this.createUniformSection(y, this.airId);
+
+        return { y, palette: storage.palette, indices: storage.indices };
+    }
+
+    decodeStorage(reader) {
+        const header = reader.readByte();
+        const bitsPerBlock = header >> 1;
+
+        // Persistent (NBT) palettes are the disk format and never sent to clients
+        if ((header & 1) === 0) {
+            throw new Error('persistent palette in network chunk');
+        }
+
+        if (bitsPerBlock === 0) {
+            return { palette: [reader.readZigZag()], indices: null };
+        }
+
+        const blocksPerWord = Math.floor(32 / bitsPerBlock);
+        const wordCount = Math.ceil(4096 / blocksPerWord);
+        const mask = (1 << bitsPerBlock) - 1;
+
+        const paletteIndices = new Uint16Array(4096);
+        for (let word = 0, index = 0; word < wordCount; word++) {
+            const value = reader.readWord();
+            for (let i = 0; i < blocksPerWord && index < 4096; i++, index++) {
+                paletteIndices[index] = (value >>> (i * bitsPerBlock)) & mask;
+            }
+        }
+
+        const paletteSize = reader.readZigZag();
+        const palette = [];
+        for (let i = 0; i < paletteSize; i++) {
+            palette.push(reader.readZigZag());
+        }
+
+        const indices = palette.length <= 256 ? Uint8Array.from(paletteIndices) : paletteIndices;
+        return { palette, indices };
+    }
+
+    createUniformSection(y, stateId) {
+        return { y, palette: [stateId], indices: null };
+    }
+
+    sectionRange() {
+        return SECTION_RANGES[this.dimension] || SECTION_RANGES.overworld;
+    }
+
+    columnKey(cx, cz) {
+        return `${cx},${cz}`;
+    }
+
+    getOrCreateColumn(cx, cz) {
+        const key = this.columnKey(cx, cz);
+        let column = this.columns.get(key);
+        if (!column) {
+            column = { x: cx, z: cz, sections: new Map(), top: null, lastUsed: Date.now() };
+            this.columns.set(key, column);
+            this.stats.chunksLoaded++;
+        }
+        return column;
+    }
+
+    // Drop columns past the view distance, then the least recently used ones over the cap
+    enforceLimits() {
+        const position = this.bot.position;
+        if (position) {
+            const cx = Math.floor(position.x) >> 4;
+            const cz = Math.floor(position.z) >> 4;
+            for (const [key, column] of this.columns) {
+                if (Math.max(Math.abs(column.x - cx), Math.abs(column.z - cz)) > this.viewDistance) {
+                    this.unloadColumn(key);
+                }
+            }
+        }
+
+        if (this.columns.size <= this.maxChunks) return;
+
+        const oldest = [...this.columns.entries()]
+            .sort((a, b) => a[1].lastUsed - b[1].lastUsed)
+            .slice(0, this.columns.size - this.maxChunks);
+        for (const [key] of oldest) {
+            this.unloadColumn(key);
+        }
+    }
+
+    unloadColumn(key) {
+        if (this.columns.delete(key)) {
+            this.stats.chunksUnloaded++;
+        }
+    }
+
+    isLoaded(x, z) {
+        return this.columns.has(this.columnKey(Math.floor(x) >> 4, Math.floor(z) >> 4));
+    }
+
+    // Runtime id at a block position, or null when that part of the world is unknown
+    getStateId(x, y, z) {
+        x = Math.floor(x);
+        y = Math.floor(y);
+        z = Math.floor(z);
+
+        const column = this.columns.get(this.columnKey(x >> 4, z >> 4));
+        if (!column) return null;
+        column.lastUsed = Date.now();
+
+        const section = column.sections.get(y >> 4);
+        if (!section) {
+            // Sections above what the server sent are air; missing ones below it are still in flight
+            const range = this.sectionRange();
+            const top = column.top ?? range.max;
+            return (y >> 4) < range.min || (y >> 4) > top ? this.airId : null;
+        }
+
+        if (!section.indices) return section.palette[0];
+        return section.palette[section.indices[((x & 15) << 8) | ((z & 15) << 4) | (y & 15)]];
+    }
+
+    setBlockState(x, y, z, stateId) {
+        const column = this.columns.get(this.columnKey(x >> 4, z >> 4));
+        if (!column) return; // the chunk will arrive with the change already applied
+
+        const sectionY = y >> 4;
+        let section = column.sections.get(sectionY);
+        if (!section) {
+            section = this.createUniformSection(sectionY, this.airId);
+            column.sections.set(sectionY, section);
+        }
+
+        let paletteIndex = section.palette.indexOf(stateId);
+        if (paletteIndex === -1) {
+            section.palette.push(stateId);
+            paletteIndex = section.palette.length - 1;
+        }
+
+        if (!section.indices) {
+            if (paletteIndex === 0) return;
+            section.indices = new Uint8Array(4096);
+        } else if (paletteIndex > 255 && section.indices instanceof Uint8Array) {
+            section.indices = Uint16Array.from(section.indices);
+        }
+
+        const index = ((x & 15) << 8) | ((z & 15) << 4) | (y & 15);
+        const previous = section.palette[section.indices[index]];
+        section.indices[index] = paletteIndex;
+        this.stats.blockUpdates++;
+
+        if (previous !== stateId) {
+            this.bot.emit('block_changed', {
+                position: { x, y, z },
+                name: this.getStateInfo(stateId).name,
+                previous: this.getStateInfo(previous).name
+            });
+        }
+    }
+
+    getStateInfo(stateId) {
+        let info = this.stateInfo.get(stateId);
+        if (info) return info;
+
+        const block = this.hashedIds ? null : this.data.blocksByStateId[stateId];
+        const name = block?.name || 'unknown';
+        info = {
+            name,
+            solid: block ? block.boundingBox === 'block' : false,
+            liquid: LIQUIDS.includes(name),
+            hazard: HAZARDS.includes(name)
+        };
+        this.stateInfo.set(stateId, info);
+        return info;
+    }
+
+    getBlock(x, y, z) {
+        const stateId = this.getStateId(x, y, z);
+        if (stateId === null) return null;
+
+        const info = this.getStateInfo(stateId);
+        return {
+            name: info.name,
+            stateId,
+            states: this.hashedIds ? {} : this.data.blockStates[stateId]?.states || {},
+            position: { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) },
+            solid: info.solid,
+            liquid: info.liquid,
+            hazard: info.hazard
+        };
+    }
+
+    // Unknown (unloaded) blocks are neither solid nor passable
+    isSolid(x, y, z) {
+        const stateId = this.getStateId(x, y, z);
+        return stateId !== null && this.getStateInfo(stateId).solid;
+    }
+
+    isPassable(x, y, z) {
+        const stateId = this.getStateId(x, y, z);
+        if (stateId === null) return false;
+
+        const info = this.getStateInfo(stateId);
+        return !info.solid && !info.hazard;
+    }
+
+    isLiquid(x, y, z) {
+        const stateId = this.getStateId(x, y, z);
+        return stateId !== null && this.getStateInfo(stateId).liquid;
+    }
+
+    isHazard(x, y, z) {
+        const stateId = this.getStateId(x, y, z);
+        return stateId !== null && this.getStateInfo(stateId).hazard;
+    }
+
+    // 'diamond_ore', ['lava', 'flowing_lava'] or a predicate over block info
+    createMatcher(type) {
+        if (typeof type === 'function') return info => type(info);
+
+        const names = new Set((Array.isArray(type) ? type : [type])
+            .map(name => name.toLowerCase().replace(/^minecraft:/, '')));
+        return info => names.has(info.name);
+    }
+
+    // Nearest matching blocks, scanning only sections whose palette contains a match
+    findBlocks(type, options = {}) {
+        const position = options.position || this.bot.position;
+        const maxDistance = options.maxDistance ?? 32;
+        const count = options.count ?? 1;
+        if (!position) return [];
+
+        const matches = this.createMatcher(type);
+        const matchingIds = new Map();
+        const isMatch = stateId => {
+            if (!matchingIds.has(stateId)) matchingIds.set(stateId, matches(this.getStateInfo(stateId)));
+            return matchingIds.get(stateId);
+        };
+
+        const results = [];
+        for (const column of this.columns.values()) {
+            const baseX = column.x << 4;
+            const baseZ = column.z << 4;
+            if (this.distanceToBox(position.x, position.z, baseX, baseZ) > maxDistance) continue;
+
+            for (const [sectionY, section] of column.sections) {
+                const wanted = section.palette.map(isMatch);
+                if (!wanted.includes(true)) continue;
+
+                const baseY = sectionY << 4;
+                for (let index = 0; index < 4096; index++) {
+                    const paletteIndex = section.indices ? section.indices[index] : 0;
+                    if (!wanted[paletteIndex]) continue;
+
+                    const x = baseX + (index >> 8);
+                    const z = baseZ + ((index >> 4) & 15);
+                    const y = baseY + (index & 15);
+                    const distance = Math.hypot(x + 0.5 - position.x, y + 0.5 - position.y, z + 0.5 - position.z);
+                    if (distance <= maxDistance) {
+                        const { name } = this.getStateInfo(section.palette[paletteIndex]);
+                        results.push({ name, position: { x, y, z }, distance });
+                    }
+                }
+            }
+        }
+
+        return results.sort((a, b) => a.distance - b.distance).slice(0, count);
+    }
+
+    findNearestBlock(type, position = this.bot.position, maxDistance = 32) {
+        return this.findBlocks(type, { position, maxDistance, count: 1 })[0] || null;
+    }
+
+    // Samples the straight line between two points; unloaded blocks count as air
+    hasLineOfSight(from, to, ignore = []) {
+        const distance = Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z);
+        const steps = Math.ceil(distance / SIGHT_STEP);
+        for (let step = 1; step < steps; step++) {
+            const share = step / steps;
+            const block = this.getBlock(
+                from.x + (to.x - from.x) * share,
+                from.y + (to.y - from.y) * share,
+                from.z + (to.z - from.z) * share
+            );
+            if (block?.solid && !ignore.includes(block.name)) return false;
+        }
+        return true;
+    }
+
+    distanceToBox(x, z, baseX, baseZ) {
+        const dx = Math.max(baseX - x, 0, x - (baseX + 16));
+        const dz = Math.max(baseZ - z, 0, z - (baseZ + 16));
+        return Math.hypot(dx, dz);
+    }
+
+    // What the blocks around a player position say about the terrain
+    describeSurroundings(position = this.bot.position, radius = 4) {
+        if (!position || !this.isLoaded(position.x, position.z)) {
+            return { loaded: false };
+        }
+
+        const x = Math.floor(position.x);
+        const z = Math.floor(position.z);
+        const feet = Math.floor(position.y - EYE_HEIGHT);
+
+        let ceilingHeight = null;
+        for (let dy = 2; dy <= 32; dy++) {
+            if (this.isSolid(x, feet + dy, z)) {
+                ceilingHeight = dy;
+                break;
+            }
+        }
+
+        let dropBelow = null;
+        for (let dy = 1; dy <= 32; dy++) {
+            if (this.isSolid(x, feet - dy, z)) {
+                dropBelow = dy - 1;
+                break;
+            }
+        }
+
+        // Share of open blocks at body height around the player
+        let open = 0;
+        let total = 0;
+        for (let dx = -radius; dx <= radius; dx++) {
+            for (let dz = -radius; dz <= radius; dz++) {
+                for (let dy = 0; dy <= 1; dy++) {
+                    const stateId = this.getStateId(x + dx, feet + dy, z + dz);
+                    if (stateId === null) continue;
+                    total++;
+                    if (!this.getStateInfo(stateId).solid) open++;
+                }
+            }
+        }
+
+        const hazards = this.findBlocks(HAZARDS, { position, maxDistance: radius + 1, count: 8 });
+
+        return {
+            loaded: true,
+            block: this.getBlock(x, feet, z)?.name || 'unknown',
+            ground: this.getBlock(x, feet - 1, z)?.name || 'unknown',
+            inLiquid: this.isLiquid(x, feet, z) || this.isLiquid(x, feet + 1, z),
+            covered: ceilingHeight !== null,
+            ceilingHeight,
+            dropBelow,
+            openness: total > 0 ? open / total : 1,
+            hazards: hazards.map(hazard => ({ name: hazard.name, distance: Math.round(hazard.distance * 10) / 10 }))
+        };
+    }
+
+    getStats() {
+        let sections = 0;
+        for (const column of this.columns.values()) sections += column.sections.size;
+
+        return {
+            dimension: this.dimension,
+            loadedChunks: this.columns.size,
+            loadedSections: sections,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = WorldModel;
@@ -0,0 +1,44 @@
+// modules/providers/GeminiProvider.js - Google Gemini backend
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const LLMProvider = require('./LLMProvider');
+
+class GeminiProvider extends LLMProvider {
+    constructor(options = {}) {
+        super('gemini', options);
+
+        if (!options.apiKey) {
+            throw new Error('GEMINI_API_KEY is required for the gemini provider');
+        }
+
+        this.genAI = new GoogleGenerativeAI(options.apiKey);
+        this.client = this.genAI.getGenerativeModel({
+            model: this.model,
+            generationConfig: {
+                maxOutputTokens: this.defaults.maxTokens,
+                temperature: this.defaults.temperature,
+                topP: this.defaults.topP,
+                topK: this.defaults.topK
+            }
+        });
+    }
+
+    async complete(prompt, options) {
+        const generationConfig = {
+            maxOutputTokens: options.maxTokens,
+            temperature: options.temperature,
+            topP: options.topP,
+            topK: options.topK
+        };
+        if (options.json) {
+            generationConfig.responseMimeType = 'application/json';
+        }
+
+        const result = await this.client.generateContent({
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            generationConfig
+        });
+        return result.response.text();
+    }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,110 @@
+// modules/providers/HttpProvider.js - OpenAI-compatible and Ollama HTTP backends
+const LLMProvider = require('./LLMProvider');
+
+const DEFAULT_BASE_URLS = {
+    openai: 'http://localhost:8000/v1',
+    ollama: 'http://localhost:11434'
+};
+
+class HttpProvider extends LLMProvider {
+    constructor(options = {}) {
+        const api = options.api === 'ollama' ? 'ollama' : 'openai';
+        super(api, options);
+
+        this.api = api;
+        this.baseUrl = (options.baseUrl || DEFAULT_BASE_URLS[api]).replace(/\/+$/, '');
+        this.apiKey = options.apiKey;
+        this.timeout = options.timeout || 30000;
+
+        if (typeof fetch !== 'function') {
+            throw new Error('HTTP providers need a Node.js version with global fetch (18+)');
+        }
+    }
+
+    async complete(prompt, options) {
+        return this.api === 'ollama' ?
+            this.completeOllama(prompt, options) :
+            this.completeOpenAI(prompt, options);
+    }
+
+    async completeOpenAI(prompt, options) {
+        const body = {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            max_tokens: options.maxTokens,
+            temperature: options.temperature,
+            top_p: options.topP
+        };
+        if (options.json) {
+            body.response_format = { type: 'json_object' };
+        }
+
+        const data = await this.post('/chat/completions', body);
+        const content = data.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('OpenAI-compatible response had no message content');
+        }
+        return content;
+    }
+
+    async completeOllama(prompt, options) {
+        const body = {
+            model: this.model,
+            prompt,
+            stream: false,
+            options: {
+                num_predict: options.maxTokens,
+                temperature: options.temperature,
+                top_p: options.topP,
+                top_k: options.topK
+            }
+        };
+        if (options.json) {
+            body.format = 'json';
+        }
+
+        const data = await this.post('/api/generate', body);
+        if (typeof data.response !== 'string') {
+            throw new Error('Ollama response had no text');
+        }
+        return data.response;
+    }
+
+    async post(endpoint, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.baseUrl}${endpoint}`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const detail = await response.text().catch(() => '');
+                throw new Error(`${this.api} request failed with HTTP ${response.status}: ${detail.substring(0, 200)}`);
+            }
+            return await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`${this.api} request timed out after ${this.timeout}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    describe() {
+        return `${this.name}:${this.model}@${this.baseUrl}`;
+    }
+}
+
+module.exports = HttpProvider;
@@ -0,0 +1,55 @@
+// modules/providers/LLMProvider.js - Common interface for text generation backends
+class LLMProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.model = options.model || 'unknown';
+        this.defaults = {
+            maxTokens: options.maxTokens || 1000,
+            temperature: options.temperature ?? 0.7,
+            topP: options.topP ?? 0.9,
+            topK: options.topK ?? 40
+        };
+        this.stats = {
+            requests: 0,
+            failures: 0,
+            lastLatency: 0
+        };
+    }
+
+    // Subclasses implement the actual request; options: { maxTokens, temperature, json }
+    async complete(prompt, options) {
+        throw new Error(`${this.name} provider does not implement complete()`);
+    }
+
+    async generateText(prompt, options = {}) {
+        const startTime = Date.now();
+        this.stats.requests++;
+
+        try {
+            const text = await this.complete(prompt, { ...this.defaults, ...options });
+            if (typeof text !== 'string') {
+                throw new Error(`${this.name} provider returned no text`);
+            }
+            return text;
+        } catch (error) {
+            this.stats.failures++;
+            throw error;
+        } finally {
+            this.stats.lastLatency = Date.now() - startTime;
+        }
+    }
+
+    describe() {
+        return `${this.name}:${this.model}`;
+    }
+
+    getStats() {
+        return {
+            provider: this.name,
+            model: this.model,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,51 @@
+// modules/providers/ScriptedProvider.js - Deterministic fake backend for tests and offline runs
+const LLMProvider = require('./LLMProvider');
+
+class ScriptedProvider extends LLMProvider {
+    // options.responses: replies handed out in order
+    // options.rules: [{ match: 'regex', response }] checked before the queue
+    // options.defaultResponse: reply once the queue is empty
+    constructor(options = {}) {
+        super('scripted', { model: 'script', ...options });
+
+        this.responses = [...(options.responses || [])];
+        this.rules = (options.rules || []).map(rule => ({
+            pattern: rule.match instanceof RegExp ? rule.match : new RegExp(rule.match, 'i'),
+            response: rule.response
+        }));
+        this.defaultResponse = options.defaultResponse ?? 'Understood. Continuing the dragon mission!';
+        this.prompts = [];
+    }
+
+    async complete(prompt, options) {
+        this.prompts.push({ prompt, options, timestamp: Date.now() });
+
+        const rule = this.rules.find(candidate => candidate.pattern.test(prompt));
+        if (rule) {
+            return this.resolve(rule.response, prompt);
+        }
+
+        if (this.responses.length > 0) {
+            return this.resolve(this.responses.shift(), prompt);
+        }
+
+        return this.resolve(this.defaultResponse, prompt);
+    }
+
+    resolve(response, prompt) {
+        if (response instanceof Error) throw response;
+        if (typeof response === 'function') return response(prompt);
+        if (typeof response === 'object') return JSON.stringify(response);
+        return String(response);
+    }
+
+    enqueue(...responses) {
+        this.responses.push(...responses);
+    }
+
+    getLastPrompt() {
+        return this.prompts[this.prompts.length - 1]?.prompt || null;
+    }
+}
+
+module.exports = ScriptedProvider;
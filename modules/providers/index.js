@@ -0,0 +1,60 @@
+// modules/providers/index.js - Builds the configured LLM provider
+const fs = require('fs');
+const GeminiProvider = require('./GeminiProvider');
+const HttpProvider = require('./HttpProvider');
+const ScriptedProvider = require('./ScriptedProvider');
+const LLMProvider = require('./LLMProvider');
+
+function loadScript(config) {
+    if (Array.isArray(config.aiScript)) {
+        return { responses: config.aiScript };
+    }
+    if (config.aiScript && typeof config.aiScript === 'object') {
+        return config.aiScript;
+    }
+    if (config.aiScriptFile) {
+        const script = JSON.parse(fs.readFileSync(config.aiScriptFile, 'utf8'));
+        return Array.isArray(script) ? { responses: script } : script;
+    }
+    return {};
+}
+
+function createProvider(config) {
+    const common = {
+        maxTokens: config.maxTokens,
+        temperature: config.aiTemperature,
+        topP: config.aiTopP,
+        topK: config.aiTopK
+    };
+
+    switch (config.aiProvider || 'gemini') {
+        case 'gemini':
+            return new GeminiProvider({
+                ...common,
+                apiKey: config.geminiApiKey,
+                model: config.aiModel || config.geminiModel
+            });
+        case 'openai':
+        case 'ollama':
+            return new HttpProvider({
+                ...common,
+                api: config.aiProvider,
+                baseUrl: config.aiBaseUrl,
+                apiKey: config.aiApiKey,
+                model: config.aiModel,
+                timeout: config.aiRequestTimeout
+            });
+        case 'scripted':
+            return new ScriptedProvider({ ...common, ...loadScript(config) });
+        default:
+            throw new Error(`Unknown AI provider: ${config.aiProvider}`);
+    }
+}
+
+module.exports = {
+    createProvider,
+    LLMProvider,
+    GeminiProvider,
+    HttpProvider,
+    ScriptedProvider
+};
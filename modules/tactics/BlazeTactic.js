@@ -0,0 +1,88 @@
+// modules/tactics/BlazeTactic.js - Sidestep incoming fireballs and fight blazes with arrows or from cover
+const MobTactic = require('./MobTactic');
+
+const FIREBALL = 'minecraft:small_fireball';
+const BLAZE_EYE_HEIGHT = 1.5;
+const WATCH_RANGE = 24; // blocks; fireballs further out are not worth reacting to yet
+const HIT_RADIUS = 1.2; // blocks from the body's middle a fireball passing closer would hit
+const WARNING_TICKS = 30; // only fireballs arriving within this many ticks are dodged
+const SIDESTEP = 2.5; // blocks
+const BODY_MIDDLE = 0.72; // blocks below the eyes
+
+class BlazeTactic extends MobTactic {
+    constructor(combat) {
+        super('blaze', combat, ['minecraft:blaze']);
+    }
+
+    // A fireball flies straight; it hits if its line passes the body soon enough
+    findIncomingFireball() {
+        const eye = this.bot.position;
+        const body = { x: eye.x, y: eye.y - BODY_MIDDLE, z: eye.z };
+        const nearby = this.entities.getEntitiesWithin(eye, WATCH_RANGE, entity => this.registry.is(entity, FIREBALL));
+
+        for (const { entity } of nearby) {
+            const v = entity.velocity;
+            const speed = v.x * v.x + v.y * v.y + v.z * v.z;
+            if (speed < 1e-4) continue;
+
+            const rel = { x: body.x - entity.position.x, y: body.y - entity.position.y, z: body.z - entity.position.z };
+            const ticks = (rel.x * v.x + rel.y * v.y + rel.z * v.z) / speed;
+            if (ticks < 0 || ticks > WARNING_TICKS) continue;
+
+            const miss = Math.hypot(rel.x - v.x * ticks, rel.y - v.y * ticks, rel.z - v.z * ticks);
+            if (miss < HIT_RADIUS) return { fireball: entity, ticks };
+        }
+        return null;
+    }
+
+    // Steps across the fireball's path, to whichever side has ground
+    async sidestep(fireball) {
+        const navigation = this.managers?.navigation;
+        if (!navigation) return;
+
+        const eye = this.bot.position;
+        const length = Math.hypot(fireball.velocity.x, fireball.velocity.z) || 1;
+        const across = { x: -fireball.velocity.z / length, z: fireball.velocity.x / length };
+        const sides = [1, -1].map(sign => ({ x: eye.x + across.x * SIDESTEP * sign, y: eye.y, z: eye.z + across.z * SIDESTEP * sign }));
+
+        const pathfinder = this.pathfinder;
+        const standable = this.world && pathfinder ?
+            sides.find(side => {
+                const feet = pathfinder.toFeet(side);
+                return pathfinder.canStand(feet.x, feet.y, feet.z) === true;
+            }) : sides[0];
+        await navigation.moveToPosition(standable || sides[0], 0.5);
+    }
+
+    // Any blaze's fireball, whoever the target is
+    async evade() {
+        const incoming = this.findIncomingFireball();
+        if (!incoming) return false;
+
+        await this.sidestep(incoming.fireball);
+        return this.record('dodge_fireball', { ticks: Math.round(incoming.ticks) });
+    }
+
+    async act(target) {
+        if (!this.handles(target)) return false;
+
+        // Blazes hover out of sword reach; arrows are the better answer
+        const ranged = this.managers?.ranged;
+        if (ranged?.canShoot() && target.distance > this.combat.config.meleeReach) {
+            const result = await ranged.shoot(target);
+            if (result.status === 'fired') return this.record('shoot');
+        }
+        if (target.distance <= this.combat.config.meleeReach) return false;
+
+        // Without arrows, wait out of sight until it drifts into reach
+        const eye = this.eyeOf(target, BLAZE_EYE_HEIGHT);
+        if (!this.isExposed(eye)) return this.record('hold_cover');
+
+        const cover = this.findCover(eye);
+        if (!cover) return false;
+        await this.managers?.navigation?.moveToPosition(cover.position, 0.5);
+        return this.record('take_cover', { travel: Math.round(cover.travel * 10) / 10 });
+    }
+}
+
+module.exports = BlazeTactic;
@@ -0,0 +1,86 @@
+// modules/tactics/CreeperTactic.js - Strike a creeper, then get clear before its fuse runs out
+const MobTactic = require('./MobTactic');
+
+const CREEPER = 'minecraft:creeper';
+const BLAST_MARGIN = 1.5; // blocks beyond the blast's reach counted as safe
+const RETREAT_STEP = 4; // blocks per retreat move
+const STRIKE_MARGIN = 0.3; // blocks outside trigger range to strike from
+
+class CreeperTactic extends MobTactic {
+    constructor(combat) {
+        super('creeper', combat, [CREEPER]);
+    }
+
+    getFuse() {
+        return this.registry.getBehavior(CREEPER, 'fuse');
+    }
+
+    // Blast power 3 hurts out to 6 blocks; a charged (powered) creeper's blast is twice as big
+    getBlastReach(creeper) {
+        const power = this.getFuse().explosionRadius * (creeper.flags?.powered ? 2 : 1);
+        return power * 2;
+    }
+
+    // A lit fuse shows as the ignited flag; the server clears it when the fuse is called off
+    findLitCreeper() {
+        const nearby = this.entities.getEntitiesWithin(this.bot.position, 16,
+            entity => this.registry.is(entity, CREEPER) && !entity.dead && !!entity.flags?.ignited);
+        return nearby.find(({ entity, distance }) => distance < this.getBlastReach(entity) + BLAST_MARGIN) || null;
+    }
+
+    // Any lit creeper in blast range, whoever the target is
+    async evade() {
+        const lit = this.findLitCreeper();
+        if (!lit) return false;
+
+        await this.backAway(lit.entity, this.getBlastReach(lit.entity) + BLAST_MARGIN);
+        return this.record('flee_fuse', { distance: Math.round(lit.distance * 10) / 10 });
+    }
+
+    async act(target) {
+        if (!this.handles(target)) return false;
+
+        // Already clear of a lit one (evade saw to that); wait for it to blow or give up
+        if (target.flags?.ignited) return this.record('keep_clear');
+
+        const fuse = this.getFuse();
+        const reach = this.combat.config.meleeReach;
+
+        // One full-strength hit knocks it back out of trigger range; then step back while the sword recharges
+        if (target.distance <= reach && this.combat.canAttack()) {
+            await this.combat.attackTarget(target);
+            await this.backAway(target, fuse.triggerRange + 1);
+            return this.record('strike');
+        }
+        // Until then hold just outside trigger range
+        if (!this.combat.canAttack()) {
+            if (target.distance < fuse.triggerRange + 1) {
+                await this.backAway(target, fuse.triggerRange + 1);
+                return this.record('wait_out_cooldown');
+            }
+            return true;
+        }
+
+        // Stop just outside trigger range; the sword reaches a little further than the fuse.
+        // Not waited for, so the strike lands on the tick it comes into reach
+        this.combat.startWalk(target.position, fuse.triggerRange + STRIKE_MARGIN);
+        return this.record('close_in');
+    }
+
+    // Moves straight away from the creeper until at least `distance` from it
+    async backAway(creeper, distance) {
+        const navigation = this.managers?.navigation;
+        if (!navigation) return;
+
+        const bot = this.bot.position;
+        const gap = this.horizontalDistance(bot, creeper.position);
+        if (gap >= distance) return;
+
+        const dx = gap > 0 ? (bot.x - creeper.position.x) / gap : 1;
+        const dz = gap > 0 ? (bot.z - creeper.position.z) / gap : 0;
+        const step = Math.max(RETREAT_STEP, distance - gap);
+        await navigation.moveToPosition({ x: bot.x + dx * step, y: bot.y, z: bot.z + dz * step }, 1);
+    }
+}
+
+module.exports = CreeperTactic;
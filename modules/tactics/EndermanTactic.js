@@ -0,0 +1,120 @@
+// modules/tactics/EndermanTactic.js - Keep the bot's eyes off endermen, or fight one under a low ceiling
+const MobTactic = require('./MobTactic');
+
+const ENDERMAN = 'minecraft:enderman';
+const ENDERMAN_EYE_HEIGHT = 2.55;
+const GAZE_RANGE = 64; // blocks an enderman notices being looked at from
+const GAZE_TOLERANCE = 0.1; // the game's 0.025 cone, widened for rounding and head movement
+const LOOK_DROPS = [1.62, 4, 12]; // blocks below eye level tried when a look is unsafe
+const CEILING_SEARCH = 8; // blocks around the bot searched for a low ceiling
+const PROVOKE_RANGE = 24;
+
+class EndermanTactic extends MobTactic {
+    constructor(combat) {
+        super('enderman', combat, [ENDERMAN]);
+        this.provoking = null; // id of the enderman deliberately being stared at
+    }
+
+    // Pearls only matter until there are enough for the eyes of ender still missing; once in the End
+    // the eyes are spent and its endermen are best left alone
+    isHuntingPearls() {
+        const inventory = this.managers?.inventory;
+        if (!inventory || !this.combat.config.huntEndermen) return false;
+        if (this.managers?.navigation?.currentDimension === 'the_end') return false;
+        return inventory.getItemCount('enderPearls') + inventory.getItemCount('eyesOfEnder') < this.combat.config.pearlsNeeded;
+    }
+
+    // Calm endermen in view, except the one being provoked on purpose
+    getWatchers(eye) {
+        return this.entities.getEntitiesWithin(eye, GAZE_RANGE, entity =>
+            this.registry.is(entity, ENDERMAN) && !entity.dead && entity.id !== this.provoking &&
+            !this.registry.isProvoked(entity));
+    }
+
+    // Looking at `point` meets an enderman's eyes when the look falls inside a narrow cone around them
+    meetsGaze(eye, point, enderman) {
+        const head = this.eyeOf(enderman, ENDERMAN_EYE_HEIGHT);
+        const look = { x: point.x - eye.x, y: point.y - eye.y, z: point.z - eye.z };
+        const toHead = { x: head.x - eye.x, y: head.y - eye.y, z: head.z - eye.z };
+        const lookLength = Math.hypot(look.x, look.y, look.z);
+        const headDistance = Math.hypot(toHead.x, toHead.y, toHead.z);
+        if (lookLength === 0 || headDistance === 0) return false;
+
+        const dot = (look.x * toHead.x + look.y * toHead.y + look.z * toHead.z) / (lookLength * headDistance);
+        if (dot <= 1 - GAZE_TOLERANCE / headDistance) return false;
+        return !this.world || this.world.hasLineOfSight(eye, head);
+    }
+
+    // Drops the look toward the ground until no calm enderman's eyes are in it
+    adjustLook(eye, point) {
+        const watchers = this.getWatchers(eye);
+        if (watchers.length === 0) return point;
+
+        const safe = candidate => !watchers.some(({ entity }) => this.meetsGaze(eye, candidate, entity));
+        if (safe(point)) return point;
+
+        for (const drop of LOOK_DROPS) {
+            const lowered = { x: point.x, y: Math.min(point.y, eye.y - drop), z: point.z };
+            if (safe(lowered)) return lowered;
+        }
+        // Straight down never meets anyone's eyes
+        return { x: eye.x, y: eye.y - 1, z: eye.z + 0.001 };
+    }
+
+    // A spot whose ceiling is two blocks up: the bot fits, a three-block-tall enderman cannot follow
+    findLowCeiling() {
+        return this.findSpot(CEILING_SEARCH, (spot, node) => this.world.isSolid(node.x, node.y + 2, node.z));
+    }
+
+    isUnderLowCeiling() {
+        const pathfinder = this.pathfinder;
+        if (!this.world || !pathfinder || !this.bot.position) return false;
+        const feet = pathfinder.toFeet(this.bot.position);
+        return this.world.isSolid(feet.x, feet.y + 2, feet.z);
+    }
+
+    async act(target) {
+        if (!this.handles(target)) return false;
+        this.provoking = null;
+
+        // Under the ceiling it can only reach us by standing in front; hold the spot and swing
+        if (this.isUnderLowCeiling()) {
+            if (target.distance <= this.combat.config.meleeReach && this.combat.canAttack()) {
+                await this.combat.attackTarget(target);
+                return this.record('strike_from_cover');
+            }
+            return this.record('hold_ceiling');
+        }
+
+        const ceiling = this.findLowCeiling();
+        if (!ceiling) return false;
+        await this.managers?.navigation?.moveToPosition(ceiling.position, 0.3);
+        return this.record('seek_ceiling', { travel: Math.round(ceiling.travel * 10) / 10 });
+    }
+
+    // While pearls are still needed, picks a fight on our terms: from under a ceiling, by looking at it
+    async idle() {
+        if (!this.isHuntingPearls() || !this.bot.position) return false;
+
+        const candidate = this.entities.findNearest(this.bot.position,
+            entity => this.registry.is(entity, ENDERMAN) && !entity.dead && !this.registry.isProvoked(entity), PROVOKE_RANGE);
+        if (!candidate) {
+            this.provoking = null;
+            return false;
+        }
+
+        if (!this.isUnderLowCeiling()) {
+            const ceiling = this.findLowCeiling();
+            if (!ceiling) return false;
+            await this.managers?.navigation?.moveToPosition(ceiling.position, 0.3);
+            return this.record('seek_ceiling', { travel: Math.round(ceiling.travel * 10) / 10 });
+        }
+
+        const enderman = candidate.entity;
+        this.provoking = enderman.id;
+        this.managers?.movement?.lookAt(this.eyeOf(enderman, ENDERMAN_EYE_HEIGHT));
+        return this.record('provoke', { distance: Math.round(candidate.distance * 10) / 10 });
+    }
+}
+
+module.exports = EndermanTactic;
@@ -0,0 +1,125 @@
+// modules/tactics/MobTactic.js - Common ground for per-mob combat behavior
+const COVER_RADIUS = 6; // blocks around the bot searched for a spot out of sight
+
+class MobTactic {
+    constructor(name, combat, mobs = []) {
+        this.name = name;
+        this.combat = combat;
+        this.mobs = mobs;
+        this.lastAction = null;
+        this.stats = { activations: 0 };
+    }
+
+    get bot() {
+        return this.combat.bot;
+    }
+
+    get managers() {
+        return this.combat.managers;
+    }
+
+    get registry() {
+        return this.bot.entityRegistry;
+    }
+
+    get entities() {
+        return this.managers?.entities || this.bot.entityTracker;
+    }
+
+    get world() {
+        return this.managers?.world || this.bot.worldModel || null;
+    }
+
+    get pathfinder() {
+        return this.managers?.pathfinder || null;
+    }
+
+    handles(target) {
+        return !!target && this.mobs.some(type => this.registry.is(target, type));
+    }
+
+    // Runs for every tactic before any act(): dangers that outrank whatever is being fought
+    async evade() {
+        return false;
+    }
+
+    // Runs each combat tick before the strategy; returning true means this tactic moved or struck
+    // for the tick and the generic strategy sits it out
+    async act(target) {
+        return false;
+    }
+
+    // Runs while nothing is being fought
+    async idle() {
+        return false;
+    }
+
+    // Gets the final say over any point the bot is about to face
+    adjustLook(eye, point) {
+        return point;
+    }
+
+    // Counts and announces an action when it changes; returns true so act() can end with it
+    record(action, details = {}) {
+        if (this.lastAction?.action !== action) {
+            this.stats.activations++;
+            this.stats[action] = (this.stats[action] || 0) + 1;
+            this.combat.emit('tactic_used', { tactic: this.name, action, ...details });
+        }
+        this.lastAction = { action, time: this.combat.now(), ...details };
+        return true;
+    }
+
+    distance(a, b) {
+        return this.combat.calculateDistance(a, b);
+    }
+
+    horizontalDistance(a, b) {
+        return Math.hypot(a.x - b.x, a.z - b.z);
+    }
+
+    eyeOf(entity, eyeHeight) {
+        return { x: entity.position.x, y: entity.position.y + eyeHeight, z: entity.position.z };
+    }
+
+    // Whether a mob's eyes can see the bot's; without a world everything is in the open
+    isExposed(from, eye = this.bot.position) {
+        return !this.world || this.world.hasLineOfSight(from, eye);
+    }
+
+    // The standing spot nearest the bot within `radius` blocks that passes `accept`
+    findSpot(radius, accept) {
+        const pathfinder = this.pathfinder;
+        if (!this.world || !pathfinder || !this.bot.position) return null;
+
+        const feet = pathfinder.toFeet(this.bot.position);
+        let best = null;
+        for (let dx = -radius; dx <= radius; dx++) {
+            for (let dz = -radius; dz <= radius; dz++) {
+                for (let dy = -2; dy <= 2; dy++) {
+                    const node = { x: feet.x + dx, y: feet.y + dy, z: feet.z + dz };
+                    if (pathfinder.canStand(node.x, node.y, node.z) !== true) continue;
+
+                    const spot = pathfinder.toStandingPosition(node);
+                    if (!accept(spot, node)) continue;
+
+                    const travel = this.distance(spot, this.bot.position);
+                    if (!best || travel < best.travel) best = { position: spot, travel };
+                }
+            }
+        }
+        return best;
+    }
+
+    // Out of sight of `from`, leaving the threat no further than `maxDistance`
+    findCover(from, maxDistance = Infinity) {
+        return this.findSpot(COVER_RADIUS, spot =>
+            this.distance(spot, from) <= maxDistance && !this.world.hasLineOfSight(from, spot));
+    }
+
+    getStatus() {
+        return { name: this.name, ...this.stats, lastAction: this.lastAction };
+    }
+}
+
+module.exports = MobTactic;
@@ -0,0 +1,55 @@
+// modules/tactics/SkeletonTactic.js - Close in on archers from cover instead of across open ground
+const MobTactic = require('./MobTactic');
+
+const SKELETON_EYE_HEIGHT = 1.75;
+const CHARGE_DISTANCE = 6; // blocks; close enough to rush from cover
+const COVER_WAIT = 5000; // ms in cover before charging anyway
+
+class SkeletonTactic extends MobTactic {
+    constructor(combat) {
+        super('skeleton', combat, ['minecraft:skeleton', 'minecraft:stray']);
+        this.coverSince = null;
+    }
+
+    async act(target) {
+        if (!this.handles(target)) {
+            this.coverSince = null;
+            return false;
+        }
+
+        // An archer duel and a sword in reach are the strategy's job
+        const ranged = this.managers?.ranged;
+        if (ranged?.canShoot() || target.distance <= this.combat.config.meleeReach) {
+            this.coverSince = null;
+            return false;
+        }
+
+        const navigation = this.managers?.navigation;
+        if (!navigation) return false;
+        const eye = this.eyeOf(target, SKELETON_EYE_HEIGHT);
+
+        // Out of its sight it has to walk round to us; rush it once it is close or we have waited enough
+        if (!this.isExposed(eye)) {
+            this.coverSince ??= this.combat.now();
+            if (target.distance > CHARGE_DISTANCE && this.combat.now() - this.coverSince < COVER_WAIT) {
+                return this.record('hold_cover');
+            }
+            this.coverSince = null;
+            this.combat.startWalk(target.position, this.combat.config.meleeReach - 1);
+            return this.record('charge');
+        }
+
+        // In the open: the nearest spot it cannot see that is no further from it
+        const cover = this.findCover(eye, target.distance + 1);
+        if (cover) {
+            await navigation.moveToPosition(cover.position, 0.5);
+            return this.record('take_cover', { travel: Math.round(cover.travel * 10) / 10 });
+        }
+
+        this.coverSince = null;
+        this.combat.startWalk(target.position, this.combat.config.meleeReach - 1);
+        return this.record('charge');
+    }
+}
+
+module.exports = SkeletonTactic;
@@ -0,0 +1,24 @@
+// modules/tactics/index.js - The per-mob tactics CombatManager consults each combat tick
+const MobTactic = require('./MobTactic');
+const CreeperTactic = require('./CreeperTactic');
+const SkeletonTactic = require('./SkeletonTactic');
+const EndermanTactic = require('./EndermanTactic');
+const BlazeTactic = require('./BlazeTactic');
+
+function createTactics(combat) {
+    return [
+        new CreeperTactic(combat),
+        new SkeletonTactic(combat),
+        new EndermanTactic(combat),
+        new BlazeTactic(combat)
+    ];
+}
+
+module.exports = {
+    createTactics,
+    MobTactic,
+    CreeperTactic,
+    SkeletonTactic,
+    EndermanTactic,
+    BlazeTactic
+};
@@ -0,0 +1,73 @@
+// test/chat.test.js - Who may run which chat commands
+const test = require('node:test');
+const assert = require('node:assert');
+const ChatManager = require('../modules/ChatManager');
+
+function createChat(config = {}) {
+    const sent = [];
+    const crafted = [];
+    const bot = {
+        config: { username: 'DragonSlayerBot', adminUsers: ['Admin'], allowedCommands: ['help', 'status'], ...config },
+        sendChat: async message => sent.push(message),
+        missionManager: { getStatus: () => 'status report' },
+        craftingPlanner: { plan: () => ({ gather: [], craft: [] }) },
+        craftingManager: { craftFromPlan: async plan => { crafted.push(plan); return { success: true, crafted: [] }; } }
+    };
+    return { chat: new ChatManager(bot), sent, crafted };
+}
+
+test('allowed commands are open to everyone', async () => {
+    const { chat, sent } = createChat();
+    await chat.handleCommand('Steve', '!status');
+    assert.deepStrictEqual(sent, ['status report']);
+});
+
+test('other commands need an admin', async () => {
+    const { chat, sent, crafted } = createChat();
+    await chat.handleCommand('Steve', '!craft diamond sword');
+    assert.strictEqual(crafted.length, 0);
+    assert.match(sent[0], /admins only/);
+
+    await chat.handleCommand('Admin', '!craft diamond sword');
+    assert.strictEqual(crafted.length, 1);
+});
+
+test('waypoints can only be changed by their owner or an admin', async () => {
+    const { chat, sent } = createChat({ allowedCommands: ['wp'] });
+    const waypoints = new Map();
+    const navigated = [];
+    chat.bot.waypointStore = {
+        get: name => waypoints.get(name) || null,
+        add: (name, position, options) => {
+            const waypoint = { name, position, kind: options.kind, owner: options.owner };
+            waypoints.set(name, waypoint);
+            return waypoint;
+        },
+        remove: name => {
+            const waypoint = waypoints.get(name) || null;
+            waypoints.delete(name);
+            return waypoint;
+        },
+        format: waypoint => `${waypoint.position.x} ${waypoint.position.y} ${waypoint.position.z}`
+    };
+    chat.bot.navigationManager = {
+        planRoute: name => ({ waypoint: waypoints.get(name), portal: null }),
+        navigateToTarget: async name => navigated.push(name)
+    };
+
+    await chat.handleCommand('Admin', '!wp add base 0 64 0 base');
+    await chat.handleCommand('Steve', '!wp remove base');
+    await chat.handleCommand('Steve', '!wp add base 5 64 5');
+    assert.deepStrictEqual(waypoints.get('base').position, { x: 0, y: 64, z: 0 });
+
+    await chat.handleCommand('Steve', '!wp go base');
+    assert.deepStrictEqual(navigated, []);
+
+    await chat.handleCommand('Steve', '!wp add mine 10 20 30');
+    await chat.handleCommand('Steve', '!wp remove mine');
+    assert.strictEqual(waypoints.has('mine'), false);
+
+    await chat.handleCommand('Admin', '!wp go base');
+    assert.deepStrictEqual(navigated, ['base']);
+    assert.strictEqual(sent.filter(message => message.startsWith('🔒')).length, 3);
+});
@@ -0,0 +1,80 @@
+// test/combat_simulator.test.js - Simulated fights follow the engage and flee settings they are meant to tune
+const test = require('node:test');
+const assert = require('node:assert');
+const CombatSimulator = require('../modules/CombatSimulator');
+
+async function simulate(mob, config, fights = 3) {
+    const report = await new CombatSimulator().run({ mob, fights, strategies: ['BALANCED'], config });
+    return report.strategies.BALANCED;
+}
+
+test('every simulated mob gets fought', async () => {
+    const log = console.log;
+    for (const mob of Object.keys(CombatSimulator.MOB_AI)) {
+        const summary = await simulate(mob, {}, 1);
+        assert.strictEqual(summary.advice.engage, 1, mob);
+        assert.ok(summary.averageDamageDealt > 0, mob);
+        assert.strictEqual(summary.errors, 0, mob);
+    }
+    // CombatManager got a silent logger; the global one was never swapped out
+    assert.strictEqual(console.log, log);
+});
+
+test('a timid bot leaves a zombie alone that a bold one kills', async () => {
+    const timid = await simulate('zombie', { aggressionLevel: 0.3 });
+    const bold = await simulate('zombie', { aggressionLevel: 0.9 });
+
+    assert.deepStrictEqual([timid.advice.engage, timid.wins, timid.averageDamageTaken], [0, 0, 0]);
+    // Backing away from the declined fight is one walk at a time, not a new one every tick
+    assert.ok(timid.averageWalks * 5000 <= timid.averageDuration, `${timid.averageWalks} walks in ${timid.averageDuration} ms`);
+    assert.deepStrictEqual([bold.advice.engage, bold.wins], [3, 3]);
+});
+
+test('the flee threshold changes how skeleton fights end', async () => {
+    const stubborn = await simulate('skeleton', { fleeHealthThreshold: 2 }, 5);
+    // Charging from cover, the bot seldom drops below 12 health against a skeleton
+    const careful = await simulate('skeleton', { fleeHealthThreshold: 12 }, 5);
+
+    assert.notDeepStrictEqual(
+        [stubborn.wins, stubborn.losses, stubborn.draws, stubborn.averageDuration],
+        [careful.wins, careful.losses, careful.draws, careful.averageDuration]
+    );
+});
+
+async function scenario(name, fights = 2) {
+    const report = await new CombatSimulator().run({ scenario: name, fights, strategies: ['BALANCED'] });
+    return report.strategies.BALANCED;
+}
+
+test('every mob tactic gets exercised by its scenario', async () => {
+    const expected = {
+        creeper: ['creeper.strike', 'creeper.flee_fuse'],
+        skeleton_cover: ['skeleton.take_cover', 'skeleton.charge'],
+        enderman_ceiling: ['enderman.seek_ceiling', 'enderman.strike_from_cover'],
+        blaze_fireballs: ['blaze.dodge_fireball'],
+        blaze_bow: ['blaze.shoot']
+    };
+    for (const [name, actions] of Object.entries(expected)) {
+        const summary = await scenario(name);
+        for (const action of actions) {
+            assert.ok(summary.tactics[action] > 0, `${name}: ${action} in ${JSON.stringify(summary.tactics)}`);
+        }
+        assert.strictEqual(summary.errors, 0, name);
+    }
+
+    const bow = await scenario('blaze_bow');
+    assert.strictEqual(bow.wins, 2);
+    assert.ok(bow.ranged.arrowHits > 0);
+});
+
+test('a calm enderman in the line of fire holds the shot instead of lowering it', async () => {
+    const summary = await scenario('blaze_bow_watched', 3);
+
+    assert.ok(summary.ranged.held > 0, JSON.stringify(summary.ranged));
+    // A held shot lowers the bow rather than leaving it drawn
+    assert.strictEqual(summary.ranged.openDraws, 0);
+    // Every arrow that left the bow was one RangedCombat aimed and reported, and each found the blaze
+    assert.strictEqual(summary.ranged.arrowsLoosed, summary.ranged.shots);
+    assert.strictEqual(summary.ranged.arrowHits, summary.ranged.arrowsLoosed);
+    assert.strictEqual(summary.errors, 0);
+});
@@ -0,0 +1,42 @@
+// test/config.test.js - Provider-dependent validation in ConfigManager
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const ConfigManager = require('../modules/ConfigManager');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'dragon-bot-config-'));
+process.env.CONFIG_PATH = path.join(scratch, 'bot-config.json');
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+function validate(config) {
+    const manager = new ConfigManager(config);
+    manager.config = { ...manager.config, ...config };
+    return () => manager.validateConfig();
+}
+
+test('an empty Gemini key is fine for other providers', () => {
+    assert.doesNotThrow(validate({ aiProvider: 'scripted', geminiApiKey: '' }));
+    assert.doesNotThrow(validate({ aiProvider: 'ollama', aiModel: 'llama3', geminiApiKey: '' }));
+});
+
+test('the gemini provider still needs a key', () => {
+    assert.throws(validate({ aiProvider: 'gemini', geminiApiKey: '' }), /geminiApiKey is required/);
+});
+
+test('env overrides survive initialization without a Gemini key', async () => {
+    process.env.AI_PROVIDER = 'scripted';
+    process.env.GEMINI_API_KEY = '';
+    process.env.BOT_TEAM_NAME = 'dragonslayers';
+    try {
+        const manager = new ConfigManager();
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.strictEqual(manager.config.teamname, 'dragonslayers');
+        assert.strictEqual(manager.config.aiProvider, 'scripted');
+    } finally {
+        delete process.env.AI_PROVIDER;
+        delete process.env.GEMINI_API_KEY;
+        delete process.env.BOT_TEAM_NAME;
+    }
+});
@@ -0,0 +1,47 @@
+// test/crafting.test.js - The preparation phase crafts planned gear at a table it places itself
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockBot, waitFor, cleanup } = require('./helpers');
+
+test('preparation places a crafting table and crafts the planned diamond tools', async (t) => {
+    const { bot, server } = await startMockBot({
+        scenario: [
+            { type: 'give_item', slot: 0, item: 'diamond', count: 5 },
+            { type: 'give_item', slot: 1, item: 'stick', count: 3 },
+            { type: 'give_item', slot: 4, item: 'crafting_table', count: 1 },
+            { type: 'player_join', username: 'Alex', at: 300 }
+        ]
+    });
+    t.after(async () => {
+        await bot.shutdown();
+        cleanup();
+    });
+
+    await waitFor(() => bot.inventoryManager.getItemCount('diamond_pickaxe') === 1, 15000);
+    await waitFor(() => bot.inventoryManager.getItemCount('diamond_sword') === 1, 15000);
+
+    // The table went down from the slot the bot was holding, and only then was it remembered
+    assert.strictEqual(server.heldSlot, 4);
+    assert.strictEqual(server.craftingTables.length, 1);
+    assert.deepStrictEqual(bot.craftingManager.knownTables, server.craftingTables);
+    assert.strictEqual(bot.inventoryManager.getItemCount('diamond'), 0);
+});
+
+test('a table the server refuses is not remembered', async (t) => {
+    const { bot, server } = await startMockBot({
+        scenario: [{ type: 'give_item', slot: 4, item: 'crafting_table', count: 1 }]
+    });
+    t.after(async () => {
+        await bot.shutdown();
+        cleanup();
+    });
+
+    await waitFor(() => bot.inventoryManager.findHotbarSlot('crafting_table') === 4);
+    // Pretend the slot is already held so the bot skips mob_equipment and the server refuses
+    bot.inventoryManager.selectedSlot = 4;
+
+    const placed = await bot.craftingManager.placeCraftingTable();
+    assert.deepStrictEqual(placed, { success: false, reason: 'table_not_placed' });
+    assert.strictEqual(server.craftingTables.length, 0);
+    assert.strictEqual(bot.craftingManager.knownTables.length, 0);
+});
@@ -0,0 +1,166 @@
+// test/dragon_fight.test.js - Dragon phases read off synthetic flight samples, and the action each one gets
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const DragonFightController = require('../modules/DragonFightController');
+const EntityRegistry = require('../modules/EntityRegistry');
+
+const SAMPLE_INTERVAL = 250; // ms, the controller's own decision interval
+
+function createFight({ botPosition = { x: 20, y: 64, z: 0 }, crystals = {}, canShoot = false } = {}) {
+    const clock = { time: 100000 };
+    const bot = new EventEmitter();
+    bot.connected = true;
+    bot.position = { ...botPosition };
+    bot.entityRegistry = new EntityRegistry();
+
+    const others = []; // breath clouds and fireballs
+    const within = (position, radius, filter) => others
+        .map(entity => ({ entity, distance: Math.hypot(entity.position.x - position.x, entity.position.y - position.y, entity.position.z - position.z) }))
+        .filter(({ entity, distance }) => distance <= radius && filter(entity));
+    const calls = { walks: [], shots: [], towers: [] };
+    const dragon = { id: 7, type: 'minecraft:ender_dragon', position: { x: 0, y: 80, z: 60 } };
+
+    const fight = new DragonFightController(bot, { now: () => clock.time });
+    fight.setManagers({
+        entities: {
+            getEntity: id => (id === dragon.id ? dragon : null),
+            getEntitiesWithin: within,
+            findNearestOfType: (type, position, radius) => within(position, radius, entity => bot.entityRegistry.is(entity, type))[0] || null
+        },
+        combat: {
+            config: { meleeReach: 3.5 },
+            calculateDistance: (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z),
+            attackTarget: async target => target.distance <= 3.5
+        },
+        ranged: {
+            canShoot: () => canShoot,
+            getWeaponSlot: () => (canShoot ? { slot: 0, name: 'bow' } : null),
+            shoot: async target => calls.shots.push(target.id)
+        },
+        navigation: { moveToPosition: async (position, precision) => calls.walks.push({ position, precision }) },
+        pathfinder: { toStandingPosition: position => position },
+        crystals: {
+            count: crystals.count || 0,
+            findShootable: () => crystals.shootable || null,
+            getPlans: () => crystals.plans || [],
+            announceTower: plan => calls.towers.push(plan.id)
+        }
+    });
+    fight.dragonId = dragon.id;
+    fight.active = true;
+
+    // Moves the dragon along `path`, one sample per decision tick, and reads the phase off the last one
+    const fly = path => {
+        for (const position of path) {
+            clock.time += SAMPLE_INTERVAL;
+            dragon.position = { ...position };
+            fight.recordSample(dragon);
+        }
+        fight.setPhase(fight.detectPhase(dragon));
+        return fight.phase;
+    };
+    const act = async () => {
+        calls.walks.length = 0;
+        calls.shots.length = 0;
+        await fight.act(dragon);
+        return fight.lastAction.action;
+    };
+    return { fight, bot, dragon, clock, others, calls, fly, act };
+}
+
+// `count` positions from `from`, each `step` further along
+const line = (from, step, count = 5) => Array.from({ length: count }, (_, index) => ({
+    x: from.x + step.x * index,
+    y: from.y + step.y * index,
+    z: from.z + step.z * index
+}));
+
+test('a dragon all but still over the fountain is perching, and breathing once a cloud is down', async () => {
+    const { fly, act, others, calls } = createFight({ botPosition: { x: 12, y: 64, z: 0 } });
+
+    assert.strictEqual(fly(line({ x: 1, y: 66, z: 1 }, { x: 0.05, y: 0, z: 0 })), 'perching');
+    assert.strictEqual(await act(), 'approach_perch');
+    // Walks up to sword reach on its own side of the dragon
+    const [{ position }] = calls.walks;
+    assert.ok(Math.hypot(position.x - 1.2, position.z - 1) <= 2.6 && position.x > 1.2, JSON.stringify(position));
+
+    others.push({ id: 20, type: 'minecraft:area_effect_cloud', position: { x: 0, y: 64, z: 4 } });
+    assert.strictEqual(fly(line({ x: 1.2, y: 66, z: 1 }, { x: 0, y: 0, z: 0 })), 'breathing');
+    assert.strictEqual(await act(), 'wait_out_breath');
+    assert.deepStrictEqual(calls.walks, []);
+});
+
+test('a dive toward the fountain is a landing, not an attack on the bot', () => {
+    const { fly } = createFight({ botPosition: { x: -30, y: 64, z: -30 } });
+
+    assert.strictEqual(fly(line({ x: 30, y: 84, z: 0 }, { x: -2, y: -1, z: 0 })), 'landing');
+});
+
+test('flying at the bot is a charge up close and a strafing run from afar or with fireballs out', async () => {
+    const { fly, act, bot, clock, calls } = createFight({ botPosition: { x: 60, y: 64, z: 0 } });
+
+    // Low and closing in from 30 blocks
+    assert.strictEqual(fly(line({ x: 98, y: 74, z: 0 }, { x: -2, y: -0.5, z: 0 })), 'charging');
+    assert.strictEqual(await act(), 'dodge_charge');
+    // Sideways out of its path
+    const [{ position }] = calls.walks;
+    assert.ok(Math.abs(position.x - 60) < 1e-9 && Math.abs(Math.abs(position.z) - 6) < 1e-9, JSON.stringify(position));
+
+    // The same approach from high up and 100 blocks out
+    assert.strictEqual(fly(line({ x: 168, y: 110, z: 0 }, { x: -2, y: -0.5, z: 0 })), 'strafing');
+
+    // A fireball just spat out makes a close pass a strafing run too, until it is old news
+    bot.emit('entity_spawned', { id: 30, type: 'minecraft:dragon_fireball' });
+    assert.strictEqual(fly(line({ x: 98, y: 74, z: 0 }, { x: -2, y: -0.5, z: 0 })), 'strafing');
+    clock.time += 2000;
+    assert.strictEqual(fly(line({ x: 98, y: 74, z: 0 }, { x: -2, y: -0.5, z: 0 })), 'charging');
+});
+
+test('flying across the bot\'s line is circling', () => {
+    const { fly } = createFight({ botPosition: { x: 60, y: 64, z: 0 } });
+
+    assert.strictEqual(fly(line({ x: 0, y: 90, z: 70 }, { x: 2, y: 0, z: 0 })), 'circling');
+});
+
+test('fireballs and breath are dodged before anything else', async () => {
+    const { fly, act, others, calls } = createFight({ canShoot: true, crystals: { count: 2, shootable: { id: 11 } } });
+    fly(line({ x: 0, y: 90, z: 70 }, { x: 2, y: 0, z: 0 }));
+
+    others.push({ id: 31, type: 'minecraft:dragon_fireball', position: { x: 25, y: 66, z: 0 }, velocity: { x: -1, y: 0, z: 0 } });
+    assert.strictEqual(await act(), 'dodge_fireball');
+    assert.strictEqual(calls.walks.length, 1);
+
+    others.push({ id: 32, type: 'minecraft:area_effect_cloud', position: { x: 22, y: 64, z: 0 } });
+    assert.strictEqual(await act(), 'dodge_breath');
+    assert.deepStrictEqual(calls.walks[0].position, { x: 14, y: 64, z: 0 });
+    assert.deepStrictEqual(calls.shots, []);
+});
+
+test('crystals come first between passes: shoot, walk to a shot, or leave them for a tower', async () => {
+    const circle = [{ x: 0, y: 90, z: 40 }, { x: 2, y: 0, z: 0 }];
+
+    const inSight = createFight({ canShoot: true, crystals: { count: 1, shootable: { id: 11 } } });
+    inSight.fly(line(...circle));
+    assert.strictEqual(await inSight.act(), 'shoot_crystal');
+    assert.deepStrictEqual(inSight.calls.shots, [11]);
+
+    const standAt = { x: 30, y: 70, z: 10 };
+    const walkable = createFight({ canShoot: true, crystals: { count: 1, plans: [{ id: 12, method: 'shoot', standAt }] } });
+    walkable.fly(line(...circle));
+    assert.strictEqual(await walkable.act(), 'move_to_shot');
+    assert.deepStrictEqual(walkable.calls.walks, [{ position: standAt, precision: 1 }]);
+
+    // Caged or out of sight from every spot: announced for building up to, and the dragon gets the arrows
+    const caged = createFight({ canShoot: true, crystals: { count: 1, plans: [{ id: 13, method: 'tower' }] } });
+    caged.fly(line(...circle));
+    assert.strictEqual(await caged.act(), 'shoot_dragon');
+    assert.deepStrictEqual(caged.calls.towers, [13]);
+    assert.deepStrictEqual(caged.calls.shots, [7]);
+
+    // Without a bow the bot waits by the fountain for the next perch
+    const unarmed = createFight({ botPosition: { x: 40, y: 64, z: 0 }, crystals: { count: 1, shootable: { id: 11 } } });
+    unarmed.fly(line(...circle));
+    assert.strictEqual(await unarmed.act(), 'move_to_fountain');
+    assert.deepStrictEqual(unarmed.calls.walks[0].position, { x: 10, y: 64, z: 0 });
+});
@@ -0,0 +1,131 @@
+// test/end_crystals.test.js - Crystal blast damage and plans that keep the bot out of it
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const EndCrystalPlanner = require('../modules/EndCrystalPlanner');
+const EntityRegistry = require('../modules/EntityRegistry');
+
+const GROUND_Y = 60; // top of the end stone; feet stand at 61
+const CRYSTAL = { id: 40, type: 'minecraft:ender_crystal', position: { x: 0.5, y: 77, z: 0.5 } };
+
+// A 3x3 obsidian pillar up to y 75 with bedrock on top, optionally caged, on flat ground
+function createPlanner({ caged = false, health = 20, armor = 0, arrows = 16, walls = [] } = {}) {
+    const blocks = new Map();
+    const put = (x, y, z, name) => blocks.set(`${x},${y},${z}`, name);
+    for (let y = GROUND_Y + 1; y <= 75; y++) {
+        for (let x = -1; x <= 1; x++) {
+            for (let z = -1; z <= 1; z++) put(x, y, z, 'obsidian');
+        }
+    }
+    put(0, 76, 0, 'bedrock');
+    if (caged) {
+        for (let y = 76; y <= 80; y++) {
+            for (const [x, z] of [[-2, 0], [2, 0], [0, -2], [0, 2]]) put(x, y, z, 'iron_bars');
+        }
+    }
+
+    const bot = new EventEmitter();
+    bot.position = { x: 20.5, y: GROUND_Y + 2.62, z: 0.5 };
+    bot.health = health;
+    bot.entityRegistry = new EntityRegistry();
+
+    const planner = new EndCrystalPlanner(bot);
+    planner.setManagers({
+        world: {
+            getBlock: (x, y, z) => ({ name: blocks.get(`${x},${y},${z}`) || (y <= GROUND_Y ? 'end_stone' : 'air') }),
+            // `walls` are planes x = value that stop every ray crossing them
+            hasLineOfSight: (from, to) => !walls.some(wall => (from.x - wall) * (to.x - wall) < 0)
+        },
+        entities: { getEntity: id => (id === CRYSTAL.id ? CRYSTAL : null) },
+        combat: { getAimPoint: entity => ({ ...entity.position, y: entity.position.y + 1 }) },
+        ranged: {
+            getArrowCount: () => arrows,
+            getWeaponSlot: () => ({ slot: 0, name: 'bow' }),
+            canReach: (eye, point) => Math.hypot(point.x - eye.x, point.z - eye.z) <= 40
+        },
+        pathfinder: {
+            canStand: (x, y, z) => y === GROUND_Y + 1 && !blocks.has(`${x},${y},${z}`),
+            toFeet: position => ({ x: Math.floor(position.x), y: Math.floor(position.y - 1.62), z: Math.floor(position.z) }),
+            toStandingPosition: feet => ({ x: feet.x + 0.5, y: feet.y + 1.62, z: feet.z + 0.5 })
+        },
+        inventory: { getArmorLevel: () => armor, getItemCount: () => 64 }
+    });
+    bot.emit('entity_spawned', { ...CRYSTAL, position: { ...CRYSTAL.position } });
+    return planner;
+}
+
+// Feet placed so the body's middle is `distance` blocks level with the blast
+const feetAt = (center, distance) => ({ x: center.x + distance, y: center.y - 0.9, z: center.z });
+
+test('blast damage falls off with distance and is gone at twice the power', () => {
+    const planner = createPlanner();
+    const center = CRYSTAL.position;
+    const damage = distance => planner.estimateExplosionDamage(center, feetAt(center, distance));
+
+    // Power 6 point blank: (1 + 1) / 2 * 7 * 12 + 1
+    assert.strictEqual(damage(0), 85);
+    const falloff = [0, 2, 4, 6, 8, 10, 11.9].map(damage);
+    falloff.slice(1).forEach((value, index) => assert.ok(value < falloff[index], JSON.stringify(falloff)));
+    assert.ok(falloff[6] > 0);
+    assert.strictEqual(damage(12), 0);
+    assert.strictEqual(damage(30), 0);
+});
+
+test('armor and cover take their share of the blast', () => {
+    const center = CRYSTAL.position;
+    const feet = feetAt(center, 4);
+    const bare = createPlanner().estimateExplosionDamage(center, feet);
+
+    // Diamond armor soaks up a fixed share of a big hit
+    const armored = createPlanner({ armor: 0.75 }).estimateExplosionDamage(center, feet);
+    assert.ok(armored < bare, `${armored} vs ${bare}`);
+    // A wall across every ray leaves only the flat point the formula always adds
+    const covered = createPlanner({ walls: [center.x + 2] }).estimateExplosionDamage(center, feet);
+    assert.strictEqual(covered, 1);
+});
+
+test('an open crystal is shot from the ground, well out of the blast', () => {
+    const planner = createPlanner();
+    const [plan] = planner.getPlans();
+
+    assert.strictEqual(plan.method, 'shoot');
+    assert.strictEqual(plan.caged, false);
+    assert.strictEqual(plan.strike.explosionDamage, 0);
+    assert.ok(plan.survivable);
+    assert.deepStrictEqual(plan.steps, ['shoot']);
+});
+
+test('a caged crystal too dangerous to hit up close is shot from the ground once the cage is open', () => {
+    const planner = createPlanner({ caged: true });
+    const [plan] = planner.getPlans();
+
+    assert.strictEqual(plan.method, 'tower');
+    assert.strictEqual(plan.cageBars, 20);
+    assert.strictEqual(plan.blocksNeeded, 15);
+    // Hitting it from the pillar top would cost far more than the bot's health less the margin
+    const top = plan.standAt.y + plan.blocksNeeded;
+    const melee = planner.estimateExplosionDamage(planner.getTargetPoint(planner.getStanding()[0]), { x: 2.5, y: top, z: 0.5 });
+    assert.ok(!planner.isSurvivable(melee), `${melee} from the top`);
+
+    assert.strictEqual(plan.strike.method, 'shoot');
+    assert.ok(plan.strike.explosionDamage < 20 - 4);
+    assert.ok(plan.survivable);
+    assert.match(plan.steps.join(', '), /break 20 iron bars, climb down and shoot from/);
+});
+
+test('without arrows the only strike is the one it would not survive', () => {
+    const plan = createPlanner({ caged: true, arrows: 0 }).getPlans()[0];
+
+    assert.strictEqual(plan.strike.method, 'melee');
+    assert.strictEqual(plan.survivable, false);
+    assert.deepStrictEqual(plan.steps.slice(-1), ['hit the crystal']);
+});
+
+test('the self-damage threshold follows the bot\'s health', () => {
+    const planner = createPlanner();
+
+    assert.ok(planner.isSurvivable(15.9));
+    assert.ok(!planner.isSurvivable(16));
+    planner.bot.health = 8;
+    assert.ok(planner.isSurvivable(3.9) && !planner.isSurvivable(4));
+});
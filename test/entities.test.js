@@ -0,0 +1,28 @@
+// test/entities.test.js - Entity and player bookkeeping across add/remove packets
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockBot, waitFor, cleanup } = require('./helpers');
+
+test('remove_entity is matched by unique id', async (t) => {
+    const { bot, server } = await startMockBot();
+    t.after(async () => {
+        await bot.shutdown();
+        cleanup();
+    });
+
+    const removed = [];
+    const left = [];
+    bot.on('entity_removed', entity => removed.push(entity.type));
+    bot.on('player_left', player => left.push(player.name));
+
+    const zombie = server.spawnMob('minecraft:zombie', { x: 20, y: 64, z: 20 });
+    server.playerJoin('Alex');
+    await waitFor(() => bot.entityTracker.getEntity(zombie) && bot.players.size === 1);
+    assert.notStrictEqual(bot.entityTracker.getEntity(zombie).uniqueId, zombie);
+
+    server.removeEntity(zombie);
+    server.playerLeave('Alex');
+    await waitFor(() => !bot.entityTracker.getEntity(zombie) && bot.players.size === 0);
+    assert.deepStrictEqual(removed, ['minecraft:zombie']);
+    assert.deepStrictEqual(left, ['Alex']);
+});
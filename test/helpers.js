@@ -0,0 +1,40 @@
+// test/helpers.js - Boots the real bot against the mock server in a scratch directory
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Learning data, waypoints and captures are written relative to the working directory
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'dragon-bot-test-'));
+process.chdir(scratch);
+process.env.CONFIG_PATH = path.join(scratch, 'config', 'bot-config.json');
+process.env.AI_PROVIDER = 'scripted';
+process.env.RECONNECT_ENABLED = 'false';
+
+const { EnderDragonMissionBot } = require('../enhanced_dragon_bot');
+const MockBedrockServer = require('../modules/MockBedrockServer');
+
+async function startMockBot(serverOptions = {}, botOptions = {}) {
+    const bot = new EnderDragonMissionBot({ aiProvider: 'scripted', aiScript: {}, ...botOptions });
+    const server = bot.useMockServer(new MockBedrockServer({ scenario: [], ...serverOptions }));
+    const connected = new Promise(resolve => bot.once('connected', resolve));
+    await bot.connect();
+    await connected;
+    return { bot, server };
+}
+
+// Polls until `check` returns something truthy
+async function waitFor(check, timeout = 5000, interval = 50) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const result = check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+    throw new Error(`Condition not met within ${timeout} ms`);
+}
+
+function cleanup() {
+    fs.rmSync(scratch, { recursive: true, force: true });
+}
+
+module.exports = { startMockBot, waitFor, cleanup, MockBedrockServer };
@@ -0,0 +1,92 @@
+// test/inventory.test.js - The inventory mirror follows the server's inventory packets slot by slot
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockBot, waitFor, cleanup } = require('./helpers');
+
+const SHARPNESS = 9;
+
+test('slots, held item, durability, enchantments and armor come from the server', async (t) => {
+    const { bot, server } = await startMockBot({
+        scenario: [
+            { type: 'give_item', slot: 0, item: 'diamond_sword', count: 1, damage: 61, enchantments: [{ id: SHARPNESS, level: 3 }] },
+            { type: 'give_item', slot: 1, item: 'diamond', count: 3 },
+            { type: 'give_item', slot: 2, item: 'obsidian', count: 10 },
+            { type: 'give_item', slot: 9, item: 'ender_pearl', count: 12 }
+        ]
+    });
+    t.after(async () => {
+        await bot.shutdown();
+        cleanup();
+    });
+    const inventory = bot.inventoryManager;
+    await waitFor(() => inventory.getItemCount('ender_pearl') === 12);
+
+    // Legacy keys, identifiers and display names all read the same slots
+    assert.strictEqual(inventory.getItemCount('diamonds'), 3);
+    assert.strictEqual(inventory.getItemCount('minecraft:diamond'), 3);
+    assert.ok(inventory.hasItem('Ender Pearl', 12) && !inventory.hasItem('enderPearls', 13));
+    assert.strictEqual(inventory.findHotbarSlot('obsidian'), 2);
+    assert.strictEqual(inventory.findHotbarSlot('ender_pearl'), null);
+
+    const sword = inventory.getHeldItem();
+    assert.strictEqual(sword.name, 'minecraft:diamond_sword');
+    assert.deepStrictEqual(sword.durability, { damage: 61, max: 1561, remaining: 1500 });
+    assert.deepStrictEqual(sword.enchantments, [{ id: SHARPNESS, name: 'sharpness', level: 3 }]);
+    assert.strictEqual(inventory.describeItem(sword), 'Diamond Sword (sharpness 3) [1500/1561]');
+
+    // The Nether leg still wants flint and steel and food, but not the obsidian in slot 2
+    const missing = inventory.getMissingItems('nether').join(', ');
+    assert.doesNotMatch(missing, /obsidian/i);
+    assert.match(missing, /flint/i);
+
+    assert.strictEqual(inventory.getArmorDescription(), 'none');
+    const armor = piece => server.buildItem(`diamond_${piece}`);
+    server.sendPacket('mob_armor_equipment', {
+        runtime_entity_id: BigInt(bot.runtimeId),
+        helmet: armor('helmet'),
+        chestplate: armor('chestplate'),
+        leggings: armor('leggings'),
+        boots: armor('boots')
+    });
+    await waitFor(() => inventory.getArmorItems().length === 4);
+    assert.strictEqual(inventory.getArmorDescription(), 'Diamond Armor Set');
+    assert.strictEqual(inventory.getArmorLevel(), 1);
+});
+
+test('a full inventory_content replaces every slot and the selected slot follows mob_equipment', async (t) => {
+    const { bot, server } = await startMockBot({
+        scenario: [
+            { type: 'give_item', slot: 0, item: 'diamond', count: 5 },
+            { type: 'give_item', slot: 4, item: 'bow', count: 1 }
+        ]
+    });
+    t.after(async () => {
+        await bot.shutdown();
+        cleanup();
+    });
+    const inventory = bot.inventoryManager;
+    await waitFor(() => inventory.getItemCount('bow') === 1);
+
+    const input = [];
+    input[3] = server.buildItem('arrow', 32);
+    input[4] = server.buildItem('bow');
+    server.sendPacket('inventory_content', { window_id: 'inventory', input });
+    await waitFor(() => inventory.getItemCount('arrows') === 32);
+    assert.strictEqual(inventory.getItemCount('diamonds'), 0);
+    assert.strictEqual(inventory.getEmptySlotCount(), 34);
+
+    server.sendPacket('mob_equipment', {
+        runtime_entity_id: BigInt(bot.runtimeId),
+        item: input[4],
+        slot: 4,
+        selected_slot: 4,
+        window_id: 'inventory'
+    });
+    await waitFor(() => inventory.selectedSlot === 4);
+    assert.strictEqual(inventory.getHeldItem().name, 'minecraft:bow');
+
+    // An emptied slot drops out of the counts
+    server.sendPacket('inventory_slot', { window_id: 'inventory', slot: 3, item: { network_id: 0 } });
+    await waitFor(() => inventory.getItemCount('arrow') === 0);
+    assert.strictEqual(inventory.getDetailedInventory().slots.used, 1);
+});
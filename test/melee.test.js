@@ -0,0 +1,96 @@
+// test/melee.test.js - Melee swings reach the server as attacks and only count once the target shows the hit
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockBot, waitFor, cleanup } = require('./helpers');
+
+// Cows are not hostile, so the combat loop leaves every swing to the test
+const COW = 'minecraft:cow';
+
+async function startFight(t, scenario = []) {
+    const { bot, server } = await startMockBot({
+        scenario: [{ type: 'give_item', slot: 3, item: 'diamond_sword', count: 1 }, ...scenario]
+    });
+    t.after(async () => {
+        await bot.shutdown();
+        cleanup();
+    });
+    const combat = bot.combatManager;
+    await waitFor(() => bot.inventoryManager.getItemCount('diamond_sword') === 1);
+
+    // The hurt flash confirms a swing first; the health update that follows carries the damage
+    const confirmed = [];
+    combat.on('attack_confirmed', event => {
+        if (event.damage !== null) confirmed.push(event);
+    });
+    const attacks = () => server.getWrites('inventory_transaction')
+        .map(write => write.params.transaction)
+        .filter(transaction => transaction.transaction_type === 'item_use_on_entity');
+    return { bot, server, combat, confirmed, attacks };
+}
+
+test('a swing holds the best weapon, hits for its damage and waits out the cooldown', async (t) => {
+    const { bot, server, combat, confirmed, attacks } = await startFight(t);
+    const id = server.spawnMob(COW, { x: 1.5, y: 64, z: 0.5 }, 10);
+    await waitFor(() => bot.entityTracker.getEntity(id));
+
+    assert.strictEqual(await combat.attackTarget({ id }), true);
+    const [swing] = attacks();
+    assert.strictEqual(swing.transaction_data.action_type, 'attack');
+    assert.strictEqual(Number(swing.transaction_data.entity_runtime_id), id);
+    assert.strictEqual(swing.transaction_data.hotbar_slot, 3);
+    assert.strictEqual(server.heldSlot, 3);
+
+    // The damage is whatever the health update took off, not a guess
+    await waitFor(() => confirmed.length === 1);
+    assert.strictEqual(confirmed[0].damage, 7);
+    assert.strictEqual(confirmed[0].expectedDamage, 7);
+    assert.strictEqual(bot.entityTracker.getEntity(id).health, 3);
+
+    // A diamond sword swings at 1.6 per second
+    assert.strictEqual(await combat.attackTarget({ id }), false);
+    assert.strictEqual(attacks().length, 1);
+    await new Promise(resolve => setTimeout(resolve, combat.getAttackCooldown()));
+    assert.strictEqual(await combat.attackTarget({ id }), true);
+
+    await waitFor(() => confirmed.length === 2);
+    assert.strictEqual(confirmed[1].damage, 3);
+    assert.strictEqual(combat.combatStats.attacks, 2);
+    assert.strictEqual(combat.combatStats.hits, 2);
+    assert.strictEqual(combat.combatStats.damageDealt, 10);
+});
+
+test('targets out of reach get no swing and swings the server ignores are misses', async (t) => {
+    const { bot, server, combat, confirmed, attacks } = await startFight(t);
+    const far = server.spawnMob(COW, { x: 8.5, y: 64, z: 0.5 });
+    // Sent straight to the client: the server has no mob behind it to hurt
+    server.sendPacket('add_entity', {
+        unique_id: server.uniqueIdOf(90),
+        runtime_id: 90n,
+        entity_type: COW,
+        position: { x: 0.5, y: 64, z: 1.5 },
+        velocity: { x: 0, y: 0, z: 0 },
+        pitch: 0,
+        yaw: 0,
+        head_yaw: 0,
+        body_yaw: 0,
+        attributes: [{ name: 'minecraft:health', min: 0, max: 10, current: 10 }],
+        metadata: [],
+        properties: { ints: [], floats: [] },
+        links: []
+    });
+    await waitFor(() => bot.entityTracker.getEntity(far) && bot.entityTracker.getEntity(90));
+
+    assert.strictEqual(await combat.attackTarget({ id: far }), false);
+    assert.deepStrictEqual(attacks(), []);
+
+    assert.strictEqual(await combat.attackTarget({ id: 90 }), true);
+    assert.strictEqual(attacks().length, 1);
+    await new Promise(resolve => setTimeout(resolve, combat.config.hitConfirmWindow + 100));
+    combat.expirePendingHits();
+
+    assert.deepStrictEqual(confirmed, []);
+    assert.strictEqual(combat.combatStats.attacks, 1);
+    assert.strictEqual(combat.combatStats.hits, 0);
+    assert.strictEqual(combat.combatStats.misses, 1);
+    assert.strictEqual(combat.combatStats.damageDealt, 0);
+});
@@ -0,0 +1,89 @@
+// test/mission_food.test.js - The Nether leg waits for the food reserve SurvivalManager asks for
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockBot, waitFor, cleanup } = require('./helpers');
+
+async function startMission(t, serverOptions) {
+    const { bot, server } = await startMockBot(serverOptions);
+    t.after(async () => {
+        await bot.shutdown();
+        cleanup();
+    });
+
+    const mission = bot.missionManager;
+    mission.missionStarted = true;
+    mission.missionActive = true;
+    mission.currentPhase = 'preparation';
+    const expeditions = [];
+    bot.gameplayManager.startNetherExpedition = async () => expeditions.push(mission.getFoodCount());
+    return { bot, server, mission, expeditions };
+}
+
+// The saved goal and task are checked separately
+function heldLeg({ phase, want, advance }) {
+    return { phase, want, advance };
+}
+
+test('the Nether leg bakes bread, then waits for the reserve before starting', async (t) => {
+    const { bot, server, mission, expeditions } = await startMission(t, {
+        scenario: [
+            { type: 'give_item', slot: 0, item: 'wheat', count: 9 },
+            { type: 'give_item', slot: 1, item: 'bread', count: 2 },
+            { type: 'give_item', slot: 4, item: 'crafting_table', count: 1 }
+        ]
+    });
+    await waitFor(() => bot.inventoryManager.getItemCount('wheat') === 9 && mission.getFoodCount() === 2);
+
+    await mission.advanceMissionPhase('nether');
+    assert.strictEqual(bot.inventoryManager.getItemCount('bread'), 5);
+    assert.deepStrictEqual(heldLeg(mission.foodHold), { phase: 'nether', want: 8, advance: true });
+    assert.strictEqual(mission.currentPhase, 'preparation');
+    assert.match(mission.research.currentGoal, /Gather 3 Food/);
+    assert.deepStrictEqual(expeditions, []);
+
+    server.giveItem(2, 'cooked_beef', 3);
+    await waitFor(() => expeditions.length === 1);
+    assert.deepStrictEqual(expeditions, [8]);
+    assert.strictEqual(mission.currentPhase, 'nether');
+    assert.strictEqual(mission.foodHold, null);
+});
+
+test('running out of food in the Nether heads back through the portal', async (t) => {
+    const { bot, server, mission } = await startMission(t, {
+        speed: 10,
+        portals: [
+            { dimension: 0, position: { x: 5, y: 64, z: 0 }, exit: { dimension: 1, position: { x: 1, y: 64, z: 0 } } },
+            { dimension: 1, position: { x: 1, y: 64, z: 0 }, exit: { dimension: 0, position: { x: 5, y: 64, z: 0 } } }
+        ]
+    });
+    mission.currentPhase = 'nether';
+    await waitFor(() => bot.movementController.isRunning());
+
+    // Walking in with no food makes SurvivalManager ask for the reserve
+    await bot.navigationManager.navigateToTarget({ x: 5.5, y: 65.62, z: 0.5 }, { precision: 0.5 });
+    await waitFor(() => mission.foodHold !== null, 3000);
+    assert.deepStrictEqual(heldLeg(mission.foodHold), { phase: 'nether', want: 8, advance: true });
+
+    await waitFor(() => bot.navigationManager.currentDimension === 'overworld' && server.dimension === 0, 10000);
+    assert.ok(mission.progressLog.some(entry => /Leaving the Nether/.test(entry.message)));
+});
+
+test('hunger during preparation restocks without skipping ahead', async (t) => {
+    const { server, mission, expeditions } = await startMission(t, {
+        scenario: [{ at: 200, type: 'set_hunger', hunger: 4 }]
+    });
+    mission.research.currentGoal = 'Craft 1 Iron Pickaxe';
+    mission.currentTask = 'mining';
+
+    await waitFor(() => mission.foodHold !== null);
+    assert.deepStrictEqual(heldLeg(mission.foodHold), { phase: 'preparation', want: 8, advance: false });
+    assert.strictEqual(mission.currentTask, 'gathering_food');
+    assert.match(mission.research.currentGoal, /Food/);
+
+    server.giveItem(0, 'bread', 8);
+    await waitFor(() => mission.foodHold === null);
+    assert.strictEqual(mission.currentPhase, 'preparation');
+    assert.strictEqual(mission.currentTask, 'mining');
+    assert.deepStrictEqual(expeditions, []);
+    assert.doesNotMatch(mission.research.currentGoal, /food reserve/);
+});
@@ -0,0 +1,24 @@
+// test/mock_scenario.test.js - The default mock scenario, end to end through the real bot
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockBot, waitFor, cleanup, MockBedrockServer } = require('./helpers');
+
+test('the bot plays through the default mock scenario', async (t) => {
+    const { bot, server } = await startMockBot({ scenario: MockBedrockServer.defaultScenario(), speed: 4 });
+    t.after(async () => {
+        await bot.shutdown();
+        cleanup();
+    });
+
+    assert.strictEqual(bot.runtimeId, server.options.botRuntimeId);
+    assert.strictEqual(bot.sessionState.state.dimension, 'overworld');
+
+    // Inventory arrives through inventory_slot packets
+    await waitFor(() => bot.inventoryManager.getItemCount('food') === 6);
+    assert.strictEqual(bot.inventoryManager.getBestMeleeWeapon()?.name, 'minecraft:stone_sword');
+
+    await waitFor(() => bot.players.size === 1);
+    await waitFor(() => bot.entityTracker.findNearestOfType('minecraft:zombie', bot.position, 32));
+    await waitFor(() => bot.health === 14);
+    await waitFor(() => bot.health === 20);
+});
@@ -0,0 +1,54 @@
+// test/navigation.test.js - Path following gives up or slows down when steps cannot be walked
+const test = require('node:test');
+const assert = require('node:assert');
+const NavigationManager = require('../modules/NavigationManager');
+
+function createNavigation({ running }) {
+    const bot = {
+        config: { debugMode: false },
+        client: {},
+        connected: true,
+        position: { x: 0, y: 65.62, z: 0 },
+        delay: ms => new Promise(resolve => setTimeout(resolve, ms)),
+        entityTracker: { getEntitiesWithin: () => [] }
+    };
+    const navigation = new NavigationManager(bot);
+    const counts = { plans: 0, walks: 0 };
+    navigation.setManagers({
+        movement: {
+            isRunning: () => running,
+            walkTo: async () => {
+                counts.walks++;
+                throw new Error('Movement controller is not running');
+            }
+        },
+        pathfinder: {
+            canPlanFrom: () => true,
+            findPath: () => {
+                counts.plans++;
+                return { status: 'found', path: [{ x: 1, y: 64, z: 0 }], explored: 1 };
+            },
+            toStandingPosition: node => ({ x: node.x + 0.5, y: node.y + 1.62, z: node.z + 0.5 })
+        }
+    });
+    return { navigation, counts };
+}
+
+test('navigation aborts when the movement controller is not running', async () => {
+    const { navigation, counts } = createNavigation({ running: false });
+    const failures = [];
+    navigation.on('navigation_failed', event => failures.push(event.error));
+
+    assert.strictEqual(await navigation.navigateToTarget({ x: 20, y: 65.62, z: 0 }, { timeout: 1000 }), false);
+    assert.deepStrictEqual(failures, ['Movement controller is not running']);
+    assert.strictEqual(counts.plans, 0);
+});
+
+test('steps that fail at once back off instead of replanning in a loop', async () => {
+    const { navigation, counts } = createNavigation({ running: true });
+
+    assert.strictEqual(await navigation.navigateToTarget({ x: 20, y: 65.62, z: 0 }, { timeout: 1000 }), false);
+    // Pauses of 100, 200, 400 and 800 ms use up the second after four tries
+    assert.ok(counts.plans <= 5, `planned ${counts.plans} times`);
+    assert.strictEqual(counts.plans, counts.walks);
+});
@@ -0,0 +1,91 @@
+// test/pathfinder.test.js - A* routes around walls and hazards in the mock world and replans when blocks change
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockBot, waitFor, cleanup } = require('./helpers');
+
+const GOAL = { x: 8.5, y: 65.62, z: 0.5 };
+
+// A two-high stone wall across x = 4, from z = -4 to 4; feet stand at y 64 on the grass
+function wall(z, name = 'stone') {
+    return [64, 65].map(y => ({ position: { x: 4, y, z }, name }));
+}
+const WALL = [-4, -3, -2, -1, 0, 1, 2, 3, 4].flatMap(z => wall(z));
+
+async function startWorld(t, serverOptions = {}) {
+    const { bot, server } = await startMockBot({ blocks: WALL, ...serverOptions });
+    t.after(async () => {
+        await bot.shutdown();
+        cleanup();
+    });
+    // Every column the walk can reach, down to the ground, is decoded
+    await waitFor(() => [-8, 8, 16].every(x => [-8, 8].every(z => bot.worldModel.getBlock(x, 63, z))));
+    await waitFor(() => bot.movementController.isRunning());
+    return { bot, server };
+}
+
+const inWall = (node, blocked) => node.x === 4 && blocked.includes(node.z);
+
+test('a path goes around the wall, one step at a time, and ends at the goal', async (t) => {
+    const { bot } = await startWorld(t);
+
+    const result = bot.pathfinder.findPath(bot.position, GOAL, { range: 0.6 });
+    assert.strictEqual(result.status, 'complete');
+    let previous = bot.pathfinder.toFeet(bot.position);
+    for (const node of result.path) {
+        assert.ok(!inWall(node, [-4, -3, -2, -1, 0, 1, 2, 3, 4]), JSON.stringify(node));
+        assert.ok(Math.abs(node.x - previous.x) <= 1 && Math.abs(node.z - previous.z) <= 1 && node.y === 64, JSON.stringify(node));
+        previous = node;
+    }
+    assert.deepStrictEqual(previous, { x: 8, y: 64, z: 0 });
+    // Longer than the straight line through the wall
+    assert.ok(result.cost > 10, `cost ${result.cost}`);
+});
+
+test('a low step is jumped, lava is walked around and a goal outside the loaded area gets a partial path', async (t) => {
+    const { bot } = await startWorld(t, {
+        blocks: [
+            ...[-3, -2, -1, 0, 1, 2, 3].map(z => ({ position: { x: 2, y: 64, z }, name: 'stone' })),
+            ...[7, 8, 9].map(z => ({ position: { x: 2, y: 63, z }, name: 'lava' }))
+        ]
+    });
+    const pathfinder = bot.pathfinder;
+
+    // Straight over the step: up one, then back down
+    const over = pathfinder.findPath(bot.position, { x: 4.5, y: 65.62, z: 0.5 }, { range: 0.6 });
+    assert.strictEqual(over.status, 'complete');
+    assert.deepStrictEqual(over.path.map(node => node.y), [64, 65, 64, 64]);
+
+    // Going round the pool is cheaper than crossing it
+    const beside = pathfinder.findPath({ x: 0.5, y: 65.62, z: 8.5 }, { x: 4.5, y: 65.62, z: 8.5 }, { range: 0.6 });
+    assert.strictEqual(beside.status, 'complete');
+    assert.ok(beside.path.every(node => node.x !== 2 || Math.abs(node.z - 8) > 1), JSON.stringify(beside.path));
+
+    const far = pathfinder.findPath(bot.position, { x: 200.5, y: 65.62, z: 0.5 });
+    assert.strictEqual(far.status, 'partial');
+    const end = far.path[far.path.length - 1];
+    assert.ok(end.x > 40 && bot.worldModel.isLoaded(end.x, end.z), JSON.stringify(end));
+});
+
+test('closing the gap the bot is heading for makes it replan through the other one', async (t) => {
+    const { bot, server } = await startWorld(t);
+    const navigation = bot.navigationManager;
+
+    // The route it will take, and the side of the wall it goes around
+    const side = Math.sign(bot.pathfinder.findPath(bot.position, GOAL).path.find(node => node.x === 4).z);
+    const closed = [5, 6, 7, 8, 9, 10].map(z => z * side);
+
+    const visited = [];
+    const watch = setInterval(() => visited.push(bot.pathfinder.toFeet(server.botState.position)), 20);
+    t.after(() => clearInterval(watch));
+    const arrived = navigation.navigateToTarget(GOAL, { precision: 0.6, timeout: 30000 });
+
+    await waitFor(() => server.botState.position.z * side > 2);
+    closed.flatMap(z => wall(z)).forEach(({ position, name }) => server.setBlock(position, name));
+    assert.ok(await arrived);
+    clearInterval(watch);
+
+    const { x, z } = server.botState.position;
+    assert.ok(Math.hypot(x - GOAL.x, z - GOAL.z) <= 0.7, JSON.stringify(server.botState.position));
+    assert.ok(visited.every(node => !inWall(node, [-4, -3, -2, -1, 0, 1, 2, 3, 4, ...closed])), 'walked through a wall');
+    assert.ok(visited.some(node => node.z * side < -4), 'never went around the other side');
+});
@@ -0,0 +1,34 @@
+// test/portal.test.js - A portal trip hands movement over to the new dimension
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockBot, waitFor, cleanup } = require('./helpers');
+
+test('after a portal the bot acknowledges the change and walks on from the exit', async (t) => {
+    const { bot, server } = await startMockBot({
+        speed: 10,
+        portals: [
+            { dimension: 0, position: { x: 5, y: 64, z: 0 }, exit: { dimension: 1, position: { x: 1, y: 64, z: 0 } } },
+            { dimension: 1, position: { x: 1, y: 64, z: 0 }, exit: { dimension: 0, position: { x: 5, y: 64, z: 0 } } }
+        ]
+    });
+    t.after(async () => {
+        await bot.shutdown();
+        cleanup();
+    });
+    const navigation = bot.navigationManager;
+    await waitFor(() => bot.movementController.isRunning());
+
+    await navigation.navigateToTarget({ x: 5.5, y: 65.62, z: 0.5 }, { precision: 0.5 });
+    assert.ok(await navigation.waitForDimension('nether', 3000));
+    await waitFor(() => !server.awaitingDimensionAck, 1000);
+
+    // The controller starts from the exit, not from where it entered the portal
+    const exit = bot.movementController.getEyePosition();
+    assert.ok(Math.hypot(exit.x - 1.5, exit.z - 0.5) < 0.01, JSON.stringify(exit));
+    assert.deepStrictEqual(bot.movementController.velocity, { x: 0, y: 0, z: 0 });
+
+    assert.ok(await navigation.navigateToTarget({ x: 4.5, y: 65.62, z: 3.5 }, { precision: 0.5 }));
+    const { x, z } = server.botState.position;
+    assert.ok(Math.hypot(x - 4.5, z - 3.5) <= 0.6, JSON.stringify(server.botState.position));
+    assert.strictEqual(server.dimension, 1);
+});
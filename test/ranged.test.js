@@ -0,0 +1,113 @@
+// test/ranged.test.js - Arrow ballistics: the pitch that lands a shot and the lead on a moving target
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const RangedCombat = require('../modules/RangedCombat');
+
+const BOW_SPEED = 3;
+
+function createRanged() {
+    const bot = new EventEmitter();
+    bot.position = { x: 0, y: 65.62, z: 0 };
+    const ranged = new RangedCombat(bot);
+    ranged.setManagers({
+        combat: { getAimPoint: entity => ({ ...entity.position, y: entity.position.y + 1 }) },
+        entities: {
+            // Velocity in blocks per second keeps the expected leads easy to read
+            predictPosition: (entity, seconds) => ({
+                x: entity.position.x + entity.velocity.x * seconds,
+                y: entity.position.y + entity.velocity.y * seconds,
+                z: entity.position.z + entity.velocity.z * seconds
+            })
+        }
+    });
+    return ranged;
+}
+
+test('solvePitch lands the arrow at the target height when it can', () => {
+    const ranged = createRanged();
+    const cases = [
+        { name: 'close and level', distance: 5, height: 0 },
+        { name: 'level', distance: 20, height: 0 },
+        { name: 'far and level', distance: 63, height: 0 },
+        { name: 'above', distance: 20, height: 8 },
+        { name: 'below', distance: 20, height: -8 },
+        { name: 'far below', distance: 20, height: -30 },
+        { name: 'beyond the longest flight', distance: 150, height: 0, unreachable: true },
+        { name: 'higher than the arc goes', distance: 10, height: 40, unreachable: true }
+    ];
+
+    for (const { name, distance, height, unreachable } of cases) {
+        const solution = ranged.solvePitch(distance, height, BOW_SPEED);
+        if (unreachable) {
+            assert.strictEqual(solution, null, name);
+            continue;
+        }
+        assert.ok(solution, name);
+        const flight = ranged.simulate(solution.pitch, BOW_SPEED, distance);
+        assert.ok(Math.abs(flight.height - height) < 0.05, `${name}: arrives at ${flight.height}`);
+        assert.ok(Math.abs(flight.ticks - solution.ticks) < 1e-9, name);
+    }
+});
+
+test('solvePitch aims higher for targets above and lower for targets below', () => {
+    const ranged = createRanged();
+    const pitch = height => ranged.solvePitch(20, height, BOW_SPEED).pitch;
+
+    assert.ok(pitch(0) > 0 && pitch(0) < 5, `level shot at ${pitch(0)}°`);
+    assert.ok(pitch(8) > pitch(0));
+    assert.ok(pitch(-8) < 0);
+    // The further it has to fly the more it drops on the way
+    assert.ok(ranged.solvePitch(40, 0, BOW_SPEED).pitch > pitch(0));
+});
+
+test('computeAim solves for where the target will be', () => {
+    const ranged = createRanged();
+    const mob = (position, velocity = { x: 0, y: 0, z: 0 }) => ({ id: 1, type: 'minecraft:blaze', position, velocity });
+    const launchY = 65.62 - 0.1;
+
+    const still = ranged.computeAim(mob({ x: 20, y: 64, z: 0 }), BOW_SPEED);
+    assert.strictEqual(still.distance, 20);
+    assert.deepStrictEqual(still.target, { x: 20, y: 65, z: 0 });
+    assert.strictEqual(still.pitch, ranged.solvePitch(20, 65 - launchY, BOW_SPEED).pitch);
+
+    const above = ranged.computeAim(mob({ x: 20, y: 72, z: 0 }), BOW_SPEED);
+    const below = ranged.computeAim(mob({ x: 20, y: 56, z: 0 }), BOW_SPEED);
+    assert.ok(above.pitch > still.pitch && below.pitch < still.pitch);
+
+    // Walking across the line of fire at 4 blocks/s: aimed ahead by its flight time (and the draw)
+    const crossing = ranged.computeAim(mob({ x: 20, y: 64, z: 0 }, { x: 0, y: 0, z: 4 }), BOW_SPEED, 1000);
+    const expectedLead = 4 * (1 + crossing.ticks * 0.05);
+    assert.ok(Math.abs(crossing.target.z - expectedLead) < 0.05, `led to z=${crossing.target.z}`);
+
+    assert.strictEqual(ranged.computeAim(mob({ x: 80, y: 64, z: 0 }), BOW_SPEED), null);
+    assert.strictEqual(ranged.computeAim(mob({ x: 5, y: 120, z: 0 }), BOW_SPEED), null);
+});
+
+test('a target that gets out of range mid-draw lowers the bow instead of loosing the arrow', async () => {
+    const ranged = createRanged();
+    const writes = [];
+    const blaze = { id: 1, type: 'minecraft:blaze', position: { x: 20, y: 64, z: 0 }, velocity: { x: 0, y: 0, z: 0 } };
+    const bot = ranged.bot;
+    bot.connected = true;
+    // It flies off while the bow is drawn
+    bot.delay = async () => { blaze.position.x = 90; };
+    ranged.attach({});
+    ranged.setManagers({
+        ...ranged.managers,
+        entities: { ...ranged.managers.entities, getEntity: () => blaze },
+        movement: { lookAt: () => true },
+        inventory: {
+            containers: { inventory: [{ name: 'minecraft:bow', raw: { network_id: 300 } }] },
+            findHotbarSlot: name => (name === 'bow' ? 0 : null),
+            getItemCount: () => 16,
+            selectHotbarSlot: async () => writes.push('mob_equipment'),
+            useItem: () => writes.push('item_use'),
+            releaseItem: () => writes.push('item_release')
+        }
+    });
+
+    const result = await ranged.shoot(blaze);
+    assert.strictEqual(result.status, 'out_of_range');
+    assert.deepStrictEqual(writes, ['mob_equipment', 'item_use', 'mob_equipment']);
+});
@@ -0,0 +1,27 @@
+// test/session_state.test.js - Strategy follows the game mode and difficulty the server reports
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockBot, waitFor, cleanup } = require('./helpers');
+
+test('start_game and later game mode changes pick and announce the strategy', async (t) => {
+    const { bot, server } = await startMockBot({
+        difficulty: 3,
+        scenario: [{ at: 300, type: 'set_game_mode', gameMode: 1 }]
+    });
+    t.after(async () => {
+        await bot.shutdown();
+        cleanup();
+    });
+    const announced = () => server.getWrites('text').map(write => write.params.message)
+        .filter(message => message.startsWith('🎯 Strategy adapted'));
+
+    assert.strictEqual(bot.sessionState.state.difficulty, 'hard');
+    await waitFor(() => announced().length === 1);
+    assert.deepStrictEqual(announced(), ['🎯 Strategy adapted for survival (hard): ultra_cautious']);
+    assert.strictEqual(bot.missionManager.adaptiveStrategy.dragonStrategy, 'ultra_cautious');
+
+    await waitFor(() => announced().length === 2);
+    assert.strictEqual(bot.sessionState.state.gameMode, 'creative');
+    assert.strictEqual(bot.gameplayManager.activeStrategyKey, 'creative');
+    assert.strictEqual(bot.missionManager.adaptiveStrategy.dragonStrategy, 'aggressive_creative');
+});
@@ -0,0 +1,105 @@
+// test/stronghold_locator.test.js - Eye of ender flights fitted to rays, and rays crossed into a position
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const StrongholdLocator = require('../modules/StrongholdLocator');
+
+const MIN_ANGLE_ERROR = 0.5 * Math.PI / 180;
+const STRONGHOLD = { x: 1000, z: 600 };
+
+function createLocator() {
+    const bot = new EventEmitter();
+    bot.position = { x: 0, y: 70, z: 0 };
+    return new StrongholdLocator(bot);
+}
+
+// Tick samples of an eye flying from `from` toward `target`, rising as it goes; `noise` blocks of
+// seeded sideways jitter stand in for position rounding and a wobbly flight
+function flight(from, target, { count = 20, step = 0.6, noise = 0, seed = 1 } = {}) {
+    let state = seed;
+    const jitter = () => {
+        state = state * 16807 % 2147483647;
+        return (state / 2147483647 - 0.5) * 2 * noise;
+    };
+    const length = Math.hypot(target.x - from.x, target.z - from.z);
+    const along = { x: (target.x - from.x) / length, z: (target.z - from.z) / length };
+
+    return Array.from({ length: count }, (_, tick) => {
+        const side = jitter();
+        return {
+            x: from.x + along.x * step * tick - along.z * side,
+            y: 72 + tick * 0.1,
+            z: from.z + along.z * step * tick + along.x * side
+        };
+    });
+}
+
+const heading = direction => Math.atan2(direction.z, direction.x);
+
+test('fitRay follows a clean flight exactly and points the way the eye flew', () => {
+    const locator = createLocator();
+
+    const ray = locator.fitRay(flight({ x: 0, z: 0 }, STRONGHOLD));
+    assert.deepStrictEqual(ray.origin, { x: 0, z: 0 });
+    assert.ok(Math.abs(heading(ray.direction) - heading(STRONGHOLD)) < 1e-9);
+    assert.strictEqual(ray.angleError, MIN_ANGLE_ERROR);
+
+    // Back toward the origin: the same line, the other way
+    const back = locator.fitRay(flight({ x: 50, z: 30 }, { x: -950, z: -570 }));
+    assert.ok(back.direction.x < 0 && back.direction.z < 0);
+});
+
+test('fitRay needs a flight long enough to read', () => {
+    const locator = createLocator();
+
+    assert.strictEqual(locator.fitRay([{ x: 0, y: 72, z: 0 }]), null);
+    assert.strictEqual(locator.fitRay(flight({ x: 0, z: 0 }, STRONGHOLD, { count: 3 })), null);
+    assert.ok(locator.fitRay(flight({ x: 0, z: 0 }, STRONGHOLD, { count: 4 })));
+});
+
+test('fitRay reports a wobbly flight as a wider angle error', () => {
+    const locator = createLocator();
+
+    const ray = locator.fitRay(flight({ x: 0, z: 0 }, STRONGHOLD, { count: 30, noise: 0.8, seed: 7 }));
+    const off = Math.abs(heading(ray.direction) - heading(STRONGHOLD));
+    assert.ok(ray.angleError > MIN_ANGLE_ERROR);
+    assert.ok(off < ray.angleError * 2, `${off} off for an error of ${ray.angleError}`);
+});
+
+test('triangulate crosses clean throws at the stronghold', () => {
+    const locator = createLocator();
+    const rays = [{ x: 0, z: 0 }, { x: 200, z: 0 }].map(from => locator.fitRay(flight(from, STRONGHOLD)));
+
+    assert.strictEqual(locator.triangulate(rays.slice(0, 1)), null);
+    const estimate = locator.triangulate(rays);
+    assert.ok(Math.hypot(estimate.x - STRONGHOLD.x, estimate.z - STRONGHOLD.z) < 1e-6);
+    assert.ok(estimate.error > 0);
+    assert.strictEqual(estimate.distance, Math.hypot(estimate.x, estimate.z));
+});
+
+test('triangulate keeps the stronghold inside the error radius of noisy throws', () => {
+    const locator = createLocator();
+    const spots = [{ x: 0, z: 0 }, { x: 150, z: -60 }, { x: 300, z: 40 }];
+    const rays = spots.map((from, index) => locator.fitRay(flight(from, STRONGHOLD, { count: 30, noise: 0.8, seed: index + 3 })));
+
+    const estimate = locator.triangulate(rays);
+    const miss = Math.hypot(estimate.x - STRONGHOLD.x, estimate.z - STRONGHOLD.z);
+    assert.ok(miss > 1 && miss <= estimate.error, `missed by ${miss}, error ${estimate.error}`);
+});
+
+test('parallel and nearly parallel throws give nothing to go on', () => {
+    const locator = createLocator();
+    const east = locator.fitRay(flight({ x: 0, z: 0 }, { x: 1000, z: 0 }));
+    const beside = angle => locator.fitRay(flight({ x: 0, z: 50 }, { x: 1000, z: 50 - Math.tan(angle * Math.PI / 180) * 1000 }));
+
+    assert.strictEqual(locator.triangulate([east, beside(0)]), null);
+    assert.strictEqual(locator.triangulate([east, beside(0.001)]), null);
+    // A shallow crossing solves, but with an error too wide to walk to
+    for (const angle of [0.3, 1]) {
+        const estimate = locator.triangulate([east, beside(angle)]);
+        assert.ok(estimate.error > estimate.distance, `${angle}°: ±${estimate.error} at ${estimate.distance}`);
+    }
+    // Flights that only meet behind the throwers
+    const away = locator.fitRay(flight({ x: 0, z: 50 }, { x: -1000, z: 600 }));
+    assert.strictEqual(locator.triangulate([locator.fitRay(flight({ x: 0, z: 0 }, { x: -1000, z: -600 })), away]), null);
+});
@@ -0,0 +1,64 @@
+// test/stronghold_search.test.js - Bedrock stronghold placement drives the search route
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const StrongholdSearchPlanner = require('../modules/StrongholdSearchPlanner');
+
+function createPlanner(saved = []) {
+    const bot = new EventEmitter();
+    bot.position = { x: 0, y: 70, z: 0 };
+    bot.config = {};
+    bot.waypointStore = {
+        ready: Promise.resolve(),
+        list: ({ kind, dimension }) => saved.filter(waypoint => waypoint.kind === kind && waypoint.dimension === dimension)
+    };
+    return new StrongholdSearchPlanner(bot);
+}
+
+const distance = region => Math.hypot(region.center.x, region.center.z);
+
+test('the route from spawn starts with the village strongholds', () => {
+    const planner = createPlanner();
+    const route = planner.getRoute({ x: 0, z: 0 }, 5);
+
+    assert.strictEqual(route.length, 5);
+    for (const region of route) {
+        assert.strictEqual(region.group, 'village');
+        assert.ok(distance(region) >= 384 && distance(region) <= 1408, `${region.id} at ${distance(region)}`);
+    }
+    assert.ok(planner.getRegions().some(region => region.group.startsWith('cell:')));
+});
+
+test('a village stronghold leaves only the angles of its two siblings', () => {
+    const planner = createPlanner();
+    planner.recordFound({ x: 900, z: 0 });
+
+    const villages = planner.getRegions().filter(region => region.group === 'village' && region.status === 'candidate');
+    assert.ok(villages.length > 0);
+    for (const region of villages) {
+        const angle = Math.abs(Math.atan2(region.center.z, region.center.x)) * 180 / Math.PI;
+        assert.ok(angle > 60 && angle < 180, `${region.id} at ${angle} degrees`);
+    }
+    const total = villages.reduce((sum, region) => sum + region.probability, 0);
+    assert.ok(Math.abs(total - 2) < 1e-9);
+});
+
+test('a scattered stronghold fills its cell', () => {
+    const planner = createPlanner();
+    planner.recordFound({ x: 2000, z: 2000 });
+
+    const cell = planner.getRegions().filter(region => region.group === 'cell:0,0');
+    assert.ok(cell.length > 0);
+    assert.ok(cell.every(region => region.status === 'ruled_out' && region.probability === 0));
+    assert.deepStrictEqual(planner.groupsOf({ x: 1000, z: 100 }), ['village', 'cell:0,0']);
+});
+
+test('strongholds saved as waypoints are restored on load', async () => {
+    const planner = createPlanner([
+        { name: 'stronghold', kind: 'stronghold', dimension: 'overworld', position: { x: 900, y: 30, z: 0 } },
+        { name: 'home', kind: 'base', dimension: 'overworld', position: { x: 10, y: 64, z: 10 } }
+    ]);
+    await planner.bot.waypointStore.ready;
+
+    assert.deepStrictEqual(planner.found.map(found => [found.x, found.z, found.group]), [[900, 0, 'village']]);
+});
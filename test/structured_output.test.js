@@ -0,0 +1,75 @@
+// test/structured_output.test.js - AI decisions come back as validated JSON, repaired or replaced by the defaults
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockBot, cleanup } = require('./helpers');
+
+async function startBot(t) {
+    const { bot, server } = await startMockBot();
+    t.after(async () => {
+        await bot.shutdown();
+        cleanup();
+    });
+    return { bot, server };
+}
+
+// Hands out `replies` in order (the last one repeats) to prompts matching `pattern`, recording each prompt
+function script(bot, pattern, replies) {
+    const prompts = [];
+    bot.llm.rules.unshift({
+        pattern,
+        response: prompt => {
+            prompts.push(prompt);
+            const reply = replies[Math.min(prompts.length, replies.length) - 1];
+            return typeof reply === 'string' ? reply : JSON.stringify(reply);
+        }
+    });
+    return prompts;
+}
+
+test('a fenced, chatty strategy reply is unwrapped and loosely typed fields are coerced', async (t) => {
+    const { bot } = await startBot(t);
+    const prompts = script(bot, /Ender Dragon research/, [
+        'Sure! Here is the plan:\n```json\n{ "items": "diamond sword, bow, 10 ender pearls", "nextGoal": "Mine iron", "strategy": "Gear up, then the Nether" }\n```\nGood luck!'
+    ]);
+
+    await bot.missionManager.parseResearchForStrategy('Bring a bow.');
+    assert.strictEqual(prompts.length, 1);
+    assert.match(prompts[0], /JSON schema/);
+    assert.deepStrictEqual(bot.missionManager.research.requiredItems, ['diamond sword', 'bow', '10 ender pearls']);
+    assert.strictEqual(bot.missionManager.research.currentGoal, 'Mine iron');
+    assert.deepStrictEqual(bot.structuredOutput.getStats(), { requests: 1, validFirstTry: 1, repaired: 0, failed: 0 });
+});
+
+test('a combat decision outside the schema is sent back with the problems and the fixed reply is used', async (t) => {
+    const { bot } = await startBot(t);
+    const prompts = script(bot, /expert Minecraft combat AI/, [
+        '1. ATTACK_MELEE - the zombie is close',
+        { action: 'charge', reasoning: 'go' },
+        { action: 'attack_melee', reasoning: 'Zombie is close and slow' }
+    ]);
+
+    const decision = await bot.gameplayManager.makeAICombatDecision({ enemy: 'zombie', distance: 3 });
+    assert.strictEqual(decision.action, 'ATTACK_MELEE');
+    assert.strictEqual(decision.reasoning, 'Zombie is close and slow');
+    assert.strictEqual(prompts.length, 3);
+    assert.match(prompts[1], /did not contain a JSON object/);
+    assert.match(prompts[2], /\$\.action should be one of ATTACK_MELEE/);
+    assert.strictEqual(bot.structuredOutput.getStats().repaired, 1);
+});
+
+test('replies that never validate fall back to the built-in defaults', async (t) => {
+    const { bot } = await startBot(t);
+    const combat = script(bot, /expert Minecraft combat AI/, ['ATTACK_RANGED because it is far away']);
+    const strategy = script(bot, /Ender Dragon research/, [{ items: [], nextGoal: 'Win' }]);
+
+    const decision = await bot.gameplayManager.makeAICombatDecision({ enemy: 'skeleton', distance: 20 });
+    assert.deepStrictEqual(decision, bot.gameplayManager.getDefaultCombatAction({ distance: 20 }));
+    // The first try and two repairs
+    assert.strictEqual(combat.length, 3);
+
+    await bot.missionManager.parseResearchForStrategy('Bring a bow.');
+    assert.strictEqual(strategy.length, 3);
+    assert.strictEqual(bot.missionManager.research.currentGoal, 'Mine diamonds and gather basic resources');
+    assert.ok(bot.missionManager.research.requiredItems.length > 0);
+    assert.strictEqual(bot.structuredOutput.getStats().failed, 2);
+});
@@ -0,0 +1,130 @@
+// test/world_model.test.js - Sub-chunk payloads built byte by byte decode to the blocks they describe
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const WorldModel = require('../modules/WorldModel');
+
+function createWorld() {
+    const bot = new EventEmitter();
+    bot.config = { version: '1.20.0' };
+    bot.position = { x: 8, y: 70, z: 8 };
+    const world = new WorldModel(bot);
+    world.getOrCreateColumn(0, 0);
+    return world;
+}
+
+// Network format: version, storage count, (v9) section y, then per storage a header byte of
+// bits per block << 1 | 1, the packed words and a zigzag varint palette
+function encodeSection({ version = 9, y = 4, storages }) {
+    const bytes = [version, storages.length];
+    if (version === 9) bytes.push(y & 0xff);
+
+    const varint = value => {
+        do {
+            let byte = value & 0x7f;
+            value >>>= 7;
+            if (value) byte |= 0x80;
+            bytes.push(byte);
+        } while (value);
+    };
+    const zigzag = value => varint(((value << 1) ^ (value >> 31)) >>> 0);
+
+    for (const { bits, palette, blockAt } of storages) {
+        bytes.push((bits << 1) | 1);
+        if (bits === 0) {
+            zigzag(palette[0]);
+            continue;
+        }
+        const perWord = Math.floor(32 / bits);
+        for (let start = 0; start < 4096; start += perWord) {
+            let word = 0;
+            for (let i = 0; i < perWord && start + i < 4096; i++) {
+                word = (word | (blockAt(start + i) << (i * bits))) >>> 0;
+            }
+            bytes.push(word & 0xff, (word >>> 8) & 0xff, (word >>> 16) & 0xff, word >>> 24);
+        }
+        zigzag(palette.length);
+        palette.forEach(zigzag);
+    }
+    return Buffer.from(bytes);
+}
+
+// Index order inside a section is x, then z, then y
+const indexOf = (x, y, z) => (x << 8) | (z << 4) | y;
+
+function deliver(world, payload, dy = 4, result = 'success') {
+    world.handleSubChunk({ origin: { x: 0, y: 0, z: 0 }, entries: [{ dx: 0, dy, dz: 0, result, payload }] });
+}
+
+test('a paletted sub-chunk decodes to the blocks at each position', () => {
+    const world = createWorld();
+    const state = name => world.data.blocksByName[name].defaultState;
+    const palette = ['air', 'stone', 'dirt', 'grass', 'lava'].map(state);
+
+    // Stone floor, dirt on top of it, one grass block, a lava pool corner; 3 bits leave 2 spare per word
+    const blockAt = index => {
+        const x = index >> 8;
+        const z = (index >> 4) & 15;
+        const y = index & 15;
+        if (x === 3 && y === 2 && z === 5) return 3;
+        if (x < 2 && z < 2 && y === 1) return 4;
+        if (y === 0) return 1;
+        if (y === 1) return 2;
+        return 0;
+    };
+    deliver(world, encodeSection({ storages: [{ bits: 3, palette, blockAt }] }));
+
+    assert.strictEqual(world.getBlock(7, 64, 9).name, 'stone');
+    assert.strictEqual(world.getBlock(15, 65, 15).name, 'dirt');
+    assert.strictEqual(world.getBlock(3, 66, 5).name, 'grass');
+    assert.strictEqual(world.getBlock(3, 66, 6).name, 'air');
+    assert.ok(world.getBlock(1, 65, 0).hazard && world.getBlock(1, 65, 0).liquid);
+    assert.ok(world.isSolid(0, 64, 0) && !world.isSolid(0, 79, 0));
+    const section = world.columns.get('0,0').sections.get(4);
+    assert.strictEqual(section.palette[section.indices[indexOf(3, 2, 5)]], state('grass'));
+    assert.strictEqual(world.stats.decodeErrors, 0);
+});
+
+test('single-value and empty storages fill the whole section', () => {
+    const world = createWorld();
+    const stone = world.data.blocksByName.stone.defaultState;
+
+    deliver(world, encodeSection({ y: 3, storages: [{ bits: 0, palette: [stone] }] }), 3);
+    assert.strictEqual(world.getBlock(0, 48, 0).name, 'stone');
+    assert.strictEqual(world.getBlock(15, 63, 15).name, 'stone');
+    assert.strictEqual(world.columns.get('0,0').sections.get(3).indices, null);
+
+    // No storages at all is an empty section; version 8 carries no y byte
+    deliver(world, encodeSection({ version: 8, storages: [] }), 4);
+    assert.strictEqual(world.getBlock(4, 70, 4).name, 'air');
+
+    deliver(world, null, 5, 'success_all_air');
+    assert.strictEqual(world.getBlock(4, 85, 4).name, 'air');
+    // Nothing sent for the section below yet: unknown rather than air
+    assert.strictEqual(world.getBlock(4, 40, 4), null);
+});
+
+test('a second storage (the water layer) does not overwrite the blocks', () => {
+    const world = createWorld();
+    const stone = world.data.blocksByName.stone.defaultState;
+    const water = world.data.blocksByName.water.defaultState;
+
+    deliver(world, encodeSection({ storages: [
+        { bits: 0, palette: [stone] },
+        { bits: 0, palette: [water] }
+    ] }));
+    assert.strictEqual(world.getBlock(2, 70, 2).name, 'stone');
+});
+
+test('payloads the client cannot read count as decode errors and leave the section unknown', () => {
+    const world = createWorld();
+
+    deliver(world, Buffer.from([1, 1, 0]));
+    const persistent = encodeSection({ storages: [{ bits: 0, palette: [0] }] });
+    persistent[3] = 0; // header without the runtime-palette bit
+    deliver(world, persistent, 5);
+
+    assert.strictEqual(world.stats.decodeErrors, 2);
+    assert.strictEqual(world.getBlock(0, 64, 0), null);
+    assert.strictEqual(world.getBlock(0, 80, 0), null);
+});